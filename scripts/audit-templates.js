@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+
+/**
+ * Shopify Template Usage Audit Script
+ * Tallies which theme templates products, collections and pages use
+ *
+ * Every product, collection and page is fetched and grouped by templateSuffix,
+ * then compared with the theme's templates/ folder to flag:
+ * - suffixes in use that have no template file (the storefront falls back to the default)
+ * - template files that nothing uses
+ *
+ * Usage: node audit-templates.js [options]
+ * Options:
+ *   --shop <shop-name>        Shopify shop name (required)
+ *   --token <access-token>    Admin API access token (required)
+ *   --api-version <ver>       Admin API version (default: 2024-10)
+ *   --endpoint <url>          Send requests here instead of the shop (e.g. a mock server)
+ *   --theme-dir <dir>         Theme to read templates from (default: repo root)
+ *   --resources <list>        Resource types to audit (default: product,collection,page)
+ *   --output <filename>       Report filename (default: template-audit.html)
+ *   --format <html|csv>       Report format (default: from the output extension)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const cli = require("./cli");
+const { toCSV } = require("./csv");
+const { escapeHTML, adminUrl } = require("./reports");
+const {
+  RESOURCES,
+  DEFAULT_THEME_DIR,
+  templateName,
+  discoverTemplates,
+} = require("./theme-templates");
+
+// Configuration
+const config = {
+  ...cli.connectionConfig(),
+  themeDir: DEFAULT_THEME_DIR,
+  resources: Object.keys(RESOURCES),
+  output: "template-audit.html",
+  format: null,
+};
+
+// Items fetched per request (the Admin API maximum)
+const PAGE_SIZE = 250;
+
+// Text printed by --help
+function helpText() {
+  return `
+Usage: node audit-templates.js [options]
+
+Options:
+${cli.connectionOptionsHelp(26)}
+  --theme-dir <dir>         Theme to read templates/ from (default: the theme
+                            these scripts live in)
+  --resources <list>        Resource types to audit (default:
+                            product,collection,page)
+  --output <filename>       Report filename (default: template-audit.html)
+  --format <html|csv>       Report format (default: from the output extension)
+  --help                    Show this help message
+
+${cli.ENVIRONMENT_HELP}
+
+Examples:
+  # HTML report of every product, collection and page
+  node audit-templates.js --output template-audit.html
+
+  # One CSV row per product, for filtering in a spreadsheet
+  node audit-templates.js --resources product --output product-templates.csv
+`;
+}
+
+// Parse command line arguments
+function parseArgs() {
+  cli.parseArgs(config, {
+    help: helpText,
+    option(arg, next) {
+      switch (arg) {
+        case "--theme-dir":
+          config.themeDir = path.resolve(next());
+          break;
+        case "--resources":
+          config.resources = next()
+            .split(",")
+            .map((resource) => resource.trim().replace(/s$/, ""));
+          break;
+        case "--output":
+          config.output = next();
+          break;
+        case "--format":
+          config.format = next();
+          break;
+      }
+    },
+  });
+}
+
+// Validate configuration
+function validateConfig() {
+  cli.requireConnection(config);
+  const unknown = config.resources.filter((resource) => !RESOURCES[resource]);
+  if (unknown.length > 0) {
+    console.error(
+      `Error: Unknown resources: ${unknown.join(", ")}. Use ${Object.keys(
+        RESOURCES
+      ).join(", ")}.`
+    );
+    process.exit(1);
+  }
+  config.format =
+    config.format || (path.extname(config.output) === ".csv" ? "csv" : "html");
+  if (!["html", "csv"].includes(config.format)) {
+    console.error("Error: --format must be html or csv.");
+    process.exit(1);
+  }
+}
+
+// Shared Admin API client, created on first use from config
+const { makeGraphQLRequest } = cli.lazyClient(config);
+
+// Fetch every item of one resource type with its template suffix
+async function fetchAllItems(resource) {
+  const { connection, label } = RESOURCES[resource];
+  const query = `
+    query getItems($first: Int!, $after: String) {
+      ${connection}(first: $first, after: $after) {
+        edges {
+          node {
+            id
+            title
+            handle
+            templateSuffix
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const items = [];
+  let after = null;
+
+  do {
+    const response = await makeGraphQLRequest(query, {
+      first: PAGE_SIZE,
+      after,
+    });
+    const page = response[connection];
+    items.push(...page.edges.map((edge) => edge.node));
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    console.log(`  Fetched ${items.length} ${label}...`);
+  } while (after);
+
+  return items;
+}
+
+// Tally template usage for one resource type against the theme's templates
+// Returns one row per template: { resource, template, status, items }
+function tallyTemplates(resource, items, available) {
+  const usage = new Map(available.map((template) => [template, []]));
+
+  items.forEach((item) => {
+    const template = templateName(resource, item.templateSuffix);
+    if (!usage.has(template)) usage.set(template, []);
+    usage.get(template).push(item);
+  });
+
+  return [...usage.entries()].map(([template, used]) => ({
+    resource,
+    template,
+    status: !available.includes(template)
+      ? "missing"
+      : used.length === 0 && template !== resource
+      ? "unused"
+      : "ok",
+    items: used,
+  }));
+}
+
+// One CSV row per item, plus a row for each unused template
+function buildCSVReport(rows) {
+  const headers = [
+    "resource",
+    "template",
+    "status",
+    "id",
+    "handle",
+    "title",
+    "admin_url",
+  ];
+  const records = rows.flatMap((row) =>
+    row.items.length === 0
+      ? [{ resource: row.resource, template: row.template, status: row.status }]
+      : row.items.map((item) => ({
+          resource: row.resource,
+          template: row.template,
+          status: row.status,
+          id: item.id,
+          handle: item.handle,
+          title: item.title,
+          admin_url: adminUrl(config.shop, row.resource, item.id),
+        }))
+  );
+  return toCSV(headers, records);
+}
+
+const STATUS_LABELS = {
+  ok: "OK",
+  missing: "No template file",
+  unused: "Unused",
+};
+
+// Summary table plus the items behind every template, as one HTML page
+function buildHTMLReport(rows, generatedAt) {
+  const summary = rows
+    .map(
+      (row) => `
+        <tr class="${row.status}">
+          <td>${escapeHTML(row.resource)}</td>
+          <td><a href="#${escapeHTML(row.template)}">${escapeHTML(
+        row.template
+      )}</a></td>
+          <td class="count">${row.items.length}</td>
+          <td>${STATUS_LABELS[row.status]}</td>
+        </tr>`
+    )
+    .join("");
+
+  const details = rows
+    .filter((row) => row.items.length > 0)
+    .map(
+      (row) => `
+    <h3 id="${escapeHTML(row.template)}">${escapeHTML(row.template)} (${
+        row.items.length
+      })</h3>
+    <ul>${row.items
+      .map(
+        (item) => `
+      <li><a href="${escapeHTML(
+        adminUrl(config.shop, row.resource, item.id)
+      )}">${escapeHTML(item.title)}</a> <code>${escapeHTML(
+          item.handle
+        )}</code></li>`
+      )
+      .join("")}
+    </ul>`
+    )
+    .join("");
+
+  const missing = rows.filter((row) => row.status === "missing");
+  const unused = rows.filter((row) => row.status === "unused");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Template audit - ${escapeHTML(config.shop)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; }
+    th, td { padding: 0.35rem 0.75rem; border-bottom: 1px solid #ddd; text-align: left; }
+    td.count { text-align: right; }
+    tr.missing { background: #fde8e8; }
+    tr.unused { background: #fff6dd; }
+    code { color: #666; }
+  </style>
+</head>
+<body>
+  <h1>Template audit</h1>
+  <p>${escapeHTML(config.shop)} · theme ${escapeHTML(
+    config.themeDir
+  )} · ${escapeHTML(generatedAt)}</p>
+  <p>${missing.length} templates in use with no template file · ${
+    unused.length
+  } template files unused</p>
+
+  <h2>Summary</h2>
+  <table>
+    <thead>
+      <tr><th>Resource</th><th>Template</th><th>Items</th><th>Status</th></tr>
+    </thead>
+    <tbody>${summary}
+    </tbody>
+  </table>
+
+  <h2>Items by template</h2>${details}
+</body>
+</html>
+`;
+}
+
+// Main audit function
+async function auditTemplates() {
+  try {
+    console.log("Starting template audit...");
+    const themeTemplates = discoverTemplates(config.themeDir);
+    console.log(`Theme: ${config.themeDir}`);
+
+    const rows = [];
+    for (const resource of config.resources) {
+      console.log(`\nFetching ${RESOURCES[resource].label}...`);
+      const items = await fetchAllItems(resource);
+      rows.push(...tallyTemplates(resource, items, themeTemplates[resource]));
+    }
+
+    // Print summary
+    console.log("\n" + "=".repeat(50));
+    console.log("TEMPLATE AUDIT");
+    console.log("=".repeat(50));
+    rows.forEach((row) => {
+      const flag =
+        row.status === "ok" ? "" : `  ⚠️  ${STATUS_LABELS[row.status]}`;
+      console.log(
+        `${row.template.padEnd(40)} ${String(row.items.length).padStart(
+          6
+        )}${flag}`
+      );
+    });
+
+    const report =
+      config.format === "csv"
+        ? buildCSVReport(rows)
+        : buildHTMLReport(rows, new Date().toISOString());
+    fs.writeFileSync(config.output, report, "utf8");
+    console.log(`\nReport saved to: ${config.output}`);
+  } catch (error) {
+    console.error("Audit failed:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  parseArgs();
+  validateConfig();
+  auditTemplates();
+}
+
+module.exports = {
+  auditTemplates,
+  fetchAllItems,
+  tallyTemplates,
+  buildCSVReport,
+  buildHTMLReport,
+};
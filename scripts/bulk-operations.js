@@ -0,0 +1,154 @@
+/**
+ * Shopify Bulk Operations Helpers
+ * Runs a bulkOperationRunQuery, waits for it to finish and downloads the JSONL result
+ *
+ * Usage:
+ *   const { runBulkQuery, downloadFile, readJsonl } = require("./bulk-operations");
+ *   const operation = await runBulkQuery(client, query);
+ *   await downloadFile(operation.url, "products.jsonl");
+ *   for await (const node of readJsonl("products.jsonl")) { ... }
+ */
+
+const https = require("https");
+const fs = require("fs");
+const readline = require("readline");
+
+const BULK_FINISHED_STATUSES = ["COMPLETED", "FAILED", "CANCELED", "EXPIRED"];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Submit a bulk query and return the created operation
+async function startBulkQuery(client, query) {
+  const mutation = `
+    mutation bulkOperationRunQuery($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const payload = await client.mutate(
+    mutation,
+    { query },
+    "bulkOperationRunQuery"
+  );
+  return payload.bulkOperation;
+}
+
+// Fetch the current state of a bulk operation
+async function getBulkOperation(client, id) {
+  const query = `
+    query getBulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          id
+          status
+          errorCode
+          objectCount
+          fileSize
+          url
+          partialDataUrl
+        }
+      }
+    }
+  `;
+
+  const response = await client.request(query, { id });
+  return response.node;
+}
+
+// Run a bulk query to completion and return the finished operation
+async function runBulkQuery(client, query, options = {}) {
+  const pollInterval = options.pollInterval || 5000;
+  const log = options.log || console;
+
+  let operation = await startBulkQuery(client, query);
+  log.log(`Bulk operation started: ${operation.id}`);
+
+  while (!BULK_FINISHED_STATUSES.includes(operation.status)) {
+    await sleep(pollInterval);
+    operation = await getBulkOperation(client, operation.id);
+    log.log(
+      `  Status: ${operation.status} (${operation.objectCount || 0} objects)`
+    );
+  }
+
+  if (operation.status !== "COMPLETED") {
+    throw new Error(
+      `Bulk operation ${operation.id} ended with status ${operation.status}${
+        operation.errorCode ? ` (${operation.errorCode})` : ""
+      }`
+    );
+  }
+
+  return operation;
+}
+
+// Download a URL to a local file, following redirects
+function downloadFile(url, destination, redirects = 5) {
+  return new Promise((resolve, reject) => {
+    https
+      .get(url, (res) => {
+        if (
+          res.statusCode >= 300 &&
+          res.statusCode < 400 &&
+          res.headers.location &&
+          redirects > 0
+        ) {
+          res.resume();
+          resolve(
+            downloadFile(res.headers.location, destination, redirects - 1)
+          );
+          return;
+        }
+
+        if (res.statusCode !== 200) {
+          res.resume();
+          reject(new Error(`Download failed with HTTP ${res.statusCode}`));
+          return;
+        }
+
+        const file = fs.createWriteStream(destination);
+        res.pipe(file);
+        file.on("finish", () => resolve(destination));
+        file.on("error", reject);
+      })
+      .on("error", reject);
+  });
+}
+
+// Read a JSONL file one parsed object at a time
+async function* readJsonl(file) {
+  const rl = readline.createInterface({
+    input: fs.createReadStream(file, "utf8"),
+    crlfDelay: Infinity,
+  });
+
+  let lineNumber = 0;
+  for await (const line of rl) {
+    lineNumber++;
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${lineNumber} of ${file}`);
+    }
+  }
+}
+
+module.exports = {
+  startBulkQuery,
+  getBulkOperation,
+  runBulkQuery,
+  downloadFile,
+  readJsonl,
+};
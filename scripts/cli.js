@@ -0,0 +1,208 @@
+/**
+ * Script Command Line
+ * The parts every script's command line shares, so each script only declares
+ * its own options and checks
+ *
+ * - Connection settings from --shop, --token, --api-version and --endpoint,
+ *   or the SHOPIFY_* environment variables, with their help text and checks
+ * - A run that changes a shop a production profile connects to (see
+ *   profiles.js) is refused unless it is confirmed with --yes
+ * - --help, and the script's other options handed to its own handler
+ * - The Admin API client, created on first use from the parsed settings
+ * - Yes/no confirmation prompts
+ *
+ * Usage:
+ *   const cli = require("./cli");
+ *   const config = { ...cli.connectionConfig(), input: "" };
+ *   const { makeGraphQLRequest } = cli.lazyClient(config);
+ *
+ *   cli.parseArgs(config, {
+ *     help: () => `Options:\n${cli.connectionOptionsHelp()}\n  --input <file> ...`,
+ *     option(arg, next) {
+ *       if (arg === "--input") config.input = next();
+ *     },
+ *   });
+ *   cli.requireConnection(config, { writes: !config.dryRun });
+ *   cli.requireFile(config.input, "Input file", "--input <filename>");
+ */
+
+const fs = require("fs");
+const readline = require("readline");
+const { createClient, DEFAULT_API_VERSION } = require("./shopify-client");
+const {
+  findProfilesFile,
+  loadProfiles,
+  isProductionShop,
+} = require("./profiles");
+
+// Connection options and the config keys they set
+const CONNECTION_OPTIONS = {
+  "--shop": "shop",
+  "--token": "token",
+  "--api-version": "apiVersion",
+  "--endpoint": "endpoint",
+};
+
+const CONNECTION_HELP = [
+  ["--shop <shop-name>", "Shopify shop name (required)"],
+  ["--token <access-token>", "Admin API access token (required)"],
+  [
+    "--api-version <ver>",
+    `Admin API version (default: ${DEFAULT_API_VERSION})`,
+  ],
+  [
+    "--endpoint <url>",
+    "Send requests here instead of the shop (e.g. a mock server)",
+  ],
+  ["--yes", "Confirm changes to a production shop"],
+];
+
+const ENVIRONMENT_HELP = `Environment Variables:
+  SHOPIFY_SHOP          Shopify shop name
+  SHOPIFY_ACCESS_TOKEN  Admin API access token
+  SHOPIFY_API_VERSION   Admin API version (default: ${DEFAULT_API_VERSION})
+  SHOPIFY_ENDPOINT      Admin API endpoint override (e.g. http://localhost:4000)`;
+
+// Connection settings every script starts from, read from the environment
+function connectionConfig() {
+  return {
+    shop: process.env.SHOPIFY_SHOP || "",
+    token: process.env.SHOPIFY_ACCESS_TOKEN || "",
+    apiVersion: process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION,
+    endpoint: process.env.SHOPIFY_ENDPOINT || "",
+    yes: false,
+  };
+}
+
+// Help lines for the connection options; descriptions start after `width`
+// columns, to line up with the script's own options
+function connectionOptionsHelp(width = 23) {
+  return CONNECTION_HELP.map(
+    ([option, description]) => `  ${option.padEnd(width)}${description}`
+  ).join("\n");
+}
+
+// Parse the command line into config
+// Connection options, --yes and --help are handled here; any other argument goes to
+// `option(arg, next)`, where next() takes the value that follows it. `help`
+// returns the text --help prints
+function parseArgs(config, { help, option }, argv = process.argv.slice(2)) {
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    if (CONNECTION_OPTIONS[arg]) {
+      config[CONNECTION_OPTIONS[arg]] = next();
+    } else if (arg === "--yes") {
+      config.yes = true;
+    } else if (arg === "--help") {
+      console.log(help());
+      process.exit(0);
+    } else {
+      option(arg, next);
+    }
+  }
+}
+
+// Exit with an error unless a shop and token were given
+// With { writes: true }, also unless the shop is not production or --yes was
+// given, so running a script directly is guarded like the southbank command
+function requireConnection(config, { writes = false } = {}) {
+  if (!config.shop) {
+    console.error(
+      "Error: Shop name is required. Use --shop or set SHOPIFY_SHOP environment variable."
+    );
+    process.exit(1);
+  }
+  if (!config.token) {
+    console.error(
+      "Error: Access token is required. Use --token or set SHOPIFY_ACCESS_TOKEN environment variable."
+    );
+    process.exit(1);
+  }
+  if (writes && !config.yes) {
+    let production;
+    try {
+      const file = findProfilesFile();
+      production =
+        Boolean(file) && isProductionShop(loadProfiles(file), config.shop);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    if (production) {
+      console.error(
+        `Error: Refusing to write to production shop "${config.shop}" without --yes.`
+      );
+      console.error(
+        "Preview the changes with --dry-run, then run again with --yes to apply them."
+      );
+      process.exit(1);
+    }
+  }
+}
+
+// Exit with an error unless `file` was given and exists
+// e.g. requireFile(config.input, "Input file", "--input <filename>")
+function requireFile(file, label, usage) {
+  if (!file) {
+    console.error(`Error: ${label} is required. Use ${usage}`);
+    process.exit(1);
+  }
+  if (!fs.existsSync(file)) {
+    console.error(`Error: ${label} '${file}' does not exist.`);
+    process.exit(1);
+  }
+}
+
+// The script's Admin API client, created on first use from config, so it sees
+// the settings parseArgs filled in. `options` go to createClient, e.g. { log }
+function lazyClient(config, options = {}) {
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      client = createClient({
+        shop: config.shop,
+        token: config.token,
+        apiVersion: config.apiVersion,
+        endpoint: config.endpoint,
+        ...options,
+      });
+    }
+    return client;
+  }
+
+  // Make GraphQL request to Shopify
+  function makeGraphQLRequest(query, variables = {}) {
+    return getClient().request(query, variables);
+  }
+
+  return { getClient, makeGraphQLRequest };
+}
+
+// Ask for user confirmation; resolves true for an answer starting with "y"
+function askConfirmation(message) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+
+    rl.question(message, (answer) => {
+      rl.close();
+      resolve(answer.toLowerCase().startsWith("y"));
+    });
+  });
+}
+
+module.exports = {
+  ENVIRONMENT_HELP,
+  connectionConfig,
+  connectionOptionsHelp,
+  parseArgs,
+  requireConnection,
+  requireFile,
+  lazyClient,
+  askConfirmation,
+};
@@ -0,0 +1,368 @@
+/**
+ * CSV Reader/Writer (RFC 4180)
+ * Shared by the export, import and title processing scripts
+ *
+ * Reading:
+ * - Quoted fields may contain delimiters, doubled quotes and line breaks
+ * - LF, CRLF and lone CR line endings, including across stream chunks
+ * - UTF-8 byte order mark and Excel's "sep=;" hint line are stripped
+ * - The delimiter is detected from the header row (comma, semicolon or tab)
+ * - Values are returned exactly as written: no trimming, no type conversion
+ *
+ * Writing:
+ * - Fields containing the delimiter, quotes or line breaks are quoted
+ * - Records end with CRLF
+ *
+ * Usage:
+ *   const { readCSVFile, createCSVWriter } = require("./csv");
+ *   const { headers, rows, errors } = await readCSVFile("variants.csv");
+ *   const writer = createCSVWriter("out.csv", headers);
+ *   for (const row of rows) await writer.write(row);
+ *   await writer.close();
+ */
+
+const fs = require("fs");
+const { once } = require("events");
+
+const LINE_ENDING = "\r\n";
+const CANDIDATE_DELIMITERS = [",", ";", "\t"];
+
+// Parser states
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3;
+
+// Pick the delimiter that splits the header line into the most fields
+function detectDelimiter(text) {
+  const match = text.match(/^[^\r\n]*/);
+  const headerLine = match ? match[0] : "";
+  let best = ",";
+  let bestCount = 0;
+
+  for (const delimiter of CANDIDATE_DELIMITERS) {
+    let count = 0;
+    let inQuotes = false;
+    for (const char of headerLine) {
+      if (char === '"') inQuotes = !inQuotes;
+      else if (char === delimiter && !inQuotes) count++;
+    }
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+
+  return best;
+}
+
+// Create an incremental parser; push() and end() return completed records
+// as { fields, line } where line is the 1-based line the record starts on
+function createCSVParser(options = {}) {
+  let delimiter = options.delimiter || null;
+  let started = false;
+  let pending = "";
+
+  let state = FIELD_START;
+  let field = "";
+  let fields = [];
+  let hasContent = false;
+  let skipLineFeed = false;
+  let quotedCarriageReturn = false;
+  let line = 1;
+  let recordLine = 1;
+  let records = [];
+
+  function endField() {
+    fields.push(field);
+    field = "";
+  }
+
+  function endRecord() {
+    // Blank lines (no delimiter, no quotes, no text) are not records
+    if (hasContent || fields.length > 1 || fields[0] !== "") {
+      records.push({ fields, line: recordLine });
+    }
+    fields = [];
+    hasContent = false;
+    state = FIELD_START;
+  }
+
+  function newLine(char) {
+    endField();
+    endRecord();
+    line++;
+    recordLine = line;
+    skipLineFeed = char === "\r";
+  }
+
+  function consume(text) {
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (char === "\n") continue;
+      }
+
+      switch (state) {
+        case FIELD_START:
+        case UNQUOTED:
+          if (char === delimiter) {
+            endField();
+            state = FIELD_START;
+          } else if (char === "\n" || char === "\r") {
+            newLine(char);
+          } else if (char === '"' && state === FIELD_START) {
+            hasContent = true;
+            state = QUOTED;
+          } else {
+            field += char;
+            state = UNQUOTED;
+          }
+          break;
+
+        case QUOTED:
+          if (char === '"') {
+            state = QUOTE_IN_QUOTED;
+          } else {
+            // Count line breaks inside quotes so error line numbers stay right
+            if (char === "\r" || (char === "\n" && !quotedCarriageReturn)) {
+              line++;
+            }
+            quotedCarriageReturn = char === "\r";
+            field += char;
+          }
+          break;
+
+        case QUOTE_IN_QUOTED:
+          if (char === '"') {
+            field += '"';
+            state = QUOTED;
+          } else if (char === delimiter) {
+            endField();
+            state = FIELD_START;
+          } else if (char === "\n" || char === "\r") {
+            newLine(char);
+          } else {
+            // Text after a closing quote is kept as-is, as Excel does
+            field += char;
+            state = UNQUOTED;
+          }
+          break;
+      }
+    }
+  }
+
+  // The first chunk is held back until it contains a full line, so the BOM,
+  // "sep=" hint and delimiter can be handled before any parsing happens
+  function start(text) {
+    pending += text;
+    if (!/[\r\n]/.test(pending)) return false;
+
+    let body = pending.replace(/^\uFEFF/, "");
+    pending = "";
+
+    const hint = body.match(/^sep=(.)(\r\n|\n|\r)/);
+    if (hint) {
+      delimiter = delimiter || hint[1];
+      body = body.slice(hint[0].length);
+      line++;
+      recordLine = line;
+    }
+
+    delimiter = delimiter || detectDelimiter(body);
+    started = true;
+    consume(body);
+    return true;
+  }
+
+  function take() {
+    const completed = records;
+    records = [];
+    return completed;
+  }
+
+  return {
+    push(chunk) {
+      if (started) consume(chunk);
+      else start(chunk);
+      return take();
+    },
+
+    end() {
+      if (!started) {
+        pending += "\n";
+        start("");
+      }
+      if (state === QUOTED) {
+        throw new Error(
+          `Unterminated quoted field in record starting on line ${recordLine}`
+        );
+      }
+      if (state !== FIELD_START || fields.length > 0) {
+        endField();
+        endRecord();
+      }
+      return take();
+    },
+
+    get delimiter() {
+      return delimiter;
+    },
+  };
+}
+
+// Turn parsed records into row objects keyed by the header record
+function recordsToRows(records) {
+  if (records.length === 0) {
+    return { headers: [], rows: [], errors: [] };
+  }
+
+  const headers = records[0].fields;
+  const rows = [];
+  const errors = [];
+
+  for (const record of records.slice(1)) {
+    if (record.fields.length !== headers.length) {
+      errors.push({
+        line: record.line,
+        message: `Row on line ${record.line} has ${record.fields.length} values but expected ${headers.length}`,
+      });
+      continue;
+    }
+
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = record.fields[index];
+    });
+    rows.push(row);
+  }
+
+  return { headers, rows, errors };
+}
+
+// Parse CSV text into { headers, rows, errors }
+function parseCSV(content, options = {}) {
+  const parser = createCSVParser(options);
+  const records = [...parser.push(content), ...parser.end()];
+  return recordsToRows(records);
+}
+
+// Stream the records of a CSV file as { fields, line }
+async function* readCSVRecords(file, options = {}) {
+  const parser = createCSVParser(options);
+  const stream = fs.createReadStream(file, { encoding: "utf8" });
+
+  for await (const chunk of stream) {
+    yield* parser.push(chunk);
+  }
+  yield* parser.end();
+}
+
+// Stream the rows of a CSV file as objects keyed by header
+async function* readCSVRows(file, options = {}) {
+  let headers = null;
+
+  for await (const record of readCSVRecords(file, options)) {
+    if (!headers) {
+      headers = record.fields;
+      continue;
+    }
+    if (record.fields.length !== headers.length) {
+      throw new Error(
+        `Row on line ${record.line} has ${record.fields.length} values but expected ${headers.length}`
+      );
+    }
+
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = record.fields[index];
+    });
+    yield row;
+  }
+}
+
+// Read a whole CSV file into { headers, rows, errors }
+async function readCSVFile(file, options = {}) {
+  const records = [];
+  for await (const record of readCSVRecords(file, options)) {
+    records.push(record);
+  }
+  return recordsToRows(records);
+}
+
+// Escape a single CSV value
+function formatCSVValue(value, delimiter = ",") {
+  if (value === null || value === undefined) return "";
+
+  const text = String(value);
+  if (
+    text.includes(delimiter) ||
+    text.includes('"') ||
+    text.includes("\n") ||
+    text.includes("\r")
+  ) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Convert one row object to a CSV line (without line ending)
+function formatCSVRow(headers, row, delimiter = ",") {
+  return headers
+    .map((header) => formatCSVValue(row[header], delimiter))
+    .join(delimiter);
+}
+
+// Convert headers and row objects to CSV text
+function toCSV(headers, rows, options = {}) {
+  const delimiter = options.delimiter || ",";
+  if (headers.length === 0) return "";
+
+  const lines = [
+    headers.map((header) => formatCSVValue(header, delimiter)).join(delimiter),
+    ...rows.map((row) => formatCSVRow(headers, row, delimiter)),
+  ];
+  return lines.join(LINE_ENDING) + LINE_ENDING;
+}
+
+// Create a streaming writer; the header row is written immediately
+function createCSVWriter(file, headers, options = {}) {
+  const delimiter = options.delimiter || ",";
+  const stream = fs.createWriteStream(file, { encoding: "utf8" });
+  let count = 0;
+
+  stream.write(
+    headers.map((header) => formatCSVValue(header, delimiter)).join(delimiter) +
+      LINE_ENDING
+  );
+
+  return {
+    async write(row) {
+      count++;
+      if (!stream.write(formatCSVRow(headers, row, delimiter) + LINE_ENDING)) {
+        await once(stream, "drain");
+      }
+    },
+
+    close() {
+      return new Promise((resolve, reject) => {
+        stream.on("error", reject);
+        stream.end(() => resolve(count));
+      });
+    },
+  };
+}
+
+module.exports = {
+  createCSVParser,
+  parseCSV,
+  readCSVRecords,
+  readCSVRows,
+  readCSVFile,
+  formatCSVValue,
+  formatCSVRow,
+  toCSV,
+  createCSVWriter,
+};
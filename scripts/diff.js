@@ -0,0 +1,147 @@
+/**
+ * Baseline Snapshots and Per-Cell Diffs
+ * Lets the import scripts send only the cells that actually changed
+ *
+ * A baseline is written next to each export (e.g. variants-export.csv.baseline.json)
+ * and holds every exported record keyed by its ID column. The import compares
+ * the edited CSV with either that file or values fetched live from Shopify.
+ * It is written a record at a time, so an export never has to hold them all.
+ */
+
+const fs = require("fs");
+
+// Types compared as parsed JSON rather than as text
+const JSON_TYPES = [
+  "json",
+  "rich_text_field",
+  "dimension",
+  "volume",
+  "weight",
+  "money",
+  "rating",
+  "link",
+];
+
+const MAX_CELL_WIDTH = 40;
+
+// Baseline file that belongs to an export file. The export's extension is
+// kept, so exports of the same name in different formats get their own
+// baseline
+function baselinePathFor(exportFile) {
+  return `${exportFile}.baseline.json`;
+}
+
+// Start a baseline snapshot: add(record) writes each exported record as it
+// comes, close() finishes the file and returns its path. A record whose ID was
+// already added replaces the earlier one, as JSON.parse keeps the last key
+function createBaselineWriter(file, idColumn, meta = {}) {
+  const header = JSON.stringify(
+    { exportedAt: new Date().toISOString(), idColumn, ...meta },
+    null,
+    2
+  );
+  const fd = fs.openSync(file, "w");
+  fs.writeSync(fd, `${header.slice(0, -2)},\n  "rows": {`);
+  let count = 0;
+
+  return {
+    add(record) {
+      fs.writeSync(
+        fd,
+        `${count++ > 0 ? "," : ""}\n    ${JSON.stringify(
+          String(record[idColumn])
+        )}: ${JSON.stringify(record)}`
+      );
+    },
+    close() {
+      fs.writeSync(fd, `${count > 0 ? "\n  " : ""}}\n}\n`);
+      fs.closeSync(fd);
+      return file;
+    },
+  };
+}
+
+// Write a baseline snapshot of exported records
+function writeBaseline(file, records, idColumn, meta = {}) {
+  const writer = createBaselineWriter(file, idColumn, meta);
+  records.forEach((record) => writer.add(record));
+  return writer.close();
+}
+
+// Read a baseline snapshot; returns { exportedAt, idColumn, rows }
+function readBaseline(file) {
+  const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!snapshot.rows || !snapshot.idColumn) {
+    throw new Error(`${file} is not a baseline snapshot`);
+  }
+  return snapshot;
+}
+
+function normaliseJSON(value) {
+  try {
+    return JSON.stringify(JSON.parse(value));
+  } catch (error) {
+    return value;
+  }
+}
+
+// Compare a current value with a new one, allowing for formatting differences
+function valuesEqual(before, after, type = "") {
+  const a = before == null ? "" : String(before);
+  const b = after == null ? "" : String(after);
+  if (a === b) return true;
+
+  if (JSON_TYPES.includes(type) || type.startsWith("list.")) {
+    return normaliseJSON(a) === normaliseJSON(b);
+  }
+  if (type === "number_decimal" || type === "money_amount") {
+    return a !== "" && b !== "" && Number(a) === Number(b);
+  }
+  return false;
+}
+
+// Show a value on one line, truncated to fit a table cell
+function formatCell(value) {
+  const text = value == null ? "" : String(value);
+  const flat = text.replace(/\r\n|\n|\r/g, "⏎");
+  return flat.length > MAX_CELL_WIDTH
+    ? flat.slice(0, MAX_CELL_WIDTH - 1) + "…"
+    : flat;
+}
+
+// Render changes as a before/after table
+// Each change is { target, field, before, after }
+function formatDiffTable(changes) {
+  const headers = ["Target", "Field", "Before", "After"];
+  const rows = changes.map((change) => [
+    formatCell(change.target),
+    formatCell(change.field),
+    formatCell(change.before),
+    formatCell(change.after),
+  ]);
+
+  const widths = headers.map((header, index) =>
+    Math.max(header.length, ...rows.map((row) => row[index].length))
+  );
+  const line = (cells) =>
+    cells
+      .map((cell, index) => cell.padEnd(widths[index]))
+      .join(" | ")
+      .trimEnd();
+
+  return [
+    line(headers),
+    widths.map((width) => "-".repeat(width)).join("-+-"),
+    ...rows.map(line),
+  ].join("\n");
+}
+
+module.exports = {
+  JSON_TYPES,
+  baselinePathFor,
+  createBaselineWriter,
+  writeBaseline,
+  readBaseline,
+  valuesEqual,
+  formatDiffTable,
+};
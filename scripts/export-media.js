@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+
+/**
+ * Shopify Product Media Export Script
+ * Exports every product image with its position, alt text and variants to CSV
+ *
+ * One row per media item, in each product's order (see media.js for the
+ * columns). Edit the alt text, positions and variants, then import the file
+ * with import-media.js. With --alt-template, images that have no alt text are
+ * given one from the template, ready to review and import.
+ *
+ * Usage: node export-media.js [options]
+ * Options:
+ *   --shop <shop-name>        Shopify shop name (required)
+ *   --token <access-token>    Admin API access token (required)
+ *   --api-version <ver>       Admin API version (default: 2024-10)
+ *   --endpoint <url>          Send requests here instead of the shop (e.g. a mock server)
+ *   --filter-tag <tag>        Only products with this tag
+ *   --filter-vendor <vendor>  Only products from this vendor
+ *   --filter-type <type>      Only products of this product type
+ *   --query <query>           Raw Shopify search syntax, combined with the filters
+ *   --alt-template <text>     Fill empty alt text from a template, e.g.
+ *                             "{product_title}[ – {variant_label} frame]"
+ *   --output <filename>       Output filename (default: media-export.csv)
+ */
+
+const fs = require("fs");
+const cli = require("./cli");
+const { toCSV } = require("./csv");
+const { term, allOf } = require("./search-query");
+const {
+  MEDIA_COLUMNS,
+  fetchProductsMedia,
+  attachedVariants,
+  mediaRows,
+  checkAltTemplate,
+  fillAltTemplate,
+} = require("./media");
+
+// Configuration
+const config = {
+  ...cli.connectionConfig(),
+  filterTag: null,
+  filterVendor: null,
+  filterType: null,
+  query: null,
+  altTemplate: null,
+  output: "media-export.csv",
+};
+
+const PRODUCT_PAGE_SIZE = 100;
+
+// Text printed by --help
+function helpText() {
+  return `
+Usage: node export-media.js [options]
+
+Options:
+${cli.connectionOptionsHelp(26)}
+  --filter-tag <tag>        Only products with this tag
+  --filter-vendor <vendor>  Only products from this vendor
+  --filter-type <type>      Only products of this product type
+  --query <query>           Raw Shopify search syntax, combined with the filters
+  --alt-template <text>     Fill empty alt text from a template. Placeholders:
+                            {product_title}, {product_vendor}, {product_type},
+                            {product_handle}, {media_position}, {variant_title},
+                            {variant_sku}, {variant_label}. Text in [ ] is left
+                            out when a placeholder in it is empty
+  --output <filename>       Output filename (default: media-export.csv)
+  --help                    Show this help message
+
+${cli.ENVIRONMENT_HELP}
+
+Examples:
+  # Every product image, one row each
+  node export-media.js --output media.csv
+
+  # Ready-made frames, with alt text filled in where it is missing
+  node export-media.js --filter-type "Ready-made Frame" --alt-template "{product_title}[ – {variant_label} frame]"
+`;
+}
+
+// Parse command line arguments
+function parseArgs() {
+  cli.parseArgs(config, {
+    help: helpText,
+    option(arg, next) {
+      switch (arg) {
+        case "--filter-tag":
+          config.filterTag = next();
+          break;
+        case "--filter-vendor":
+          config.filterVendor = next();
+          break;
+        case "--filter-type":
+          config.filterType = next();
+          break;
+        case "--query":
+          config.query = next();
+          break;
+        case "--alt-template":
+          config.altTemplate = next();
+          break;
+        case "--output":
+          config.output = next();
+          break;
+      }
+    },
+  });
+}
+
+// Validate configuration
+function validateConfig() {
+  cli.requireConnection(config);
+  if (config.altTemplate !== null) {
+    try {
+      checkAltTemplate(config.altTemplate);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+}
+
+// Shared Admin API client, created on first use from config
+const { makeGraphQLRequest } = cli.lazyClient(config);
+
+// Fetch the products in scope
+async function fetchProducts() {
+  const query = `
+    query getProducts($first: Int!, $after: String, $query: String) {
+      products(first: $first, after: $after, query: $query) {
+        edges {
+          node {
+            id
+            title
+            handle
+            vendor
+            productType
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const search = allOf([
+    config.filterTag && term("tag", config.filterTag),
+    config.filterVendor && term("vendor", config.filterVendor),
+    config.filterType && term("product_type", config.filterType),
+    config.query && config.query.trim(),
+  ]);
+  if (search) console.log(`Fetching products matching: ${search}`);
+
+  const products = [];
+  let after = null;
+
+  do {
+    const response = await makeGraphQLRequest(query, {
+      first: PRODUCT_PAGE_SIZE,
+      after,
+      query: search || null,
+    });
+    const connection = response.products;
+    products.push(...connection.edges.map((edge) => edge.node));
+    after = connection.pageInfo.hasNextPage
+      ? connection.pageInfo.endCursor
+      : null;
+  } while (after);
+
+  return products;
+}
+
+// Main export function
+async function exportMedia() {
+  try {
+    console.log("Starting product media export...");
+
+    const products = await fetchProducts();
+    console.log(`Found ${products.length} products`);
+
+    const rows = [];
+    let withoutMedia = 0;
+    let missingAlt = 0;
+    let filled = 0;
+
+    console.log("Fetching media...");
+    const media = await fetchProductsMedia(
+      makeGraphQLRequest,
+      products.map((product) => product.id)
+    );
+
+    for (const product of products) {
+      const details = media.get(product.id) || { media: [], variants: [] };
+      if (details.media.length === 0) withoutMedia++;
+
+      mediaRows(product, details).forEach((row) => {
+        if (row.media_alt === "") {
+          missingAlt++;
+          if (config.altTemplate) {
+            const [variant] = attachedVariants(details, row.media_id);
+            row.media_alt = fillAltTemplate(
+              config.altTemplate,
+              row,
+              variant || null
+            );
+            if (row.media_alt !== "") filled++;
+          }
+        }
+        rows.push(row);
+      });
+    }
+
+    fs.writeFileSync(config.output, toCSV(MEDIA_COLUMNS, rows), "utf8");
+
+    console.log("\n" + "=".repeat(50));
+    console.log("MEDIA EXPORT SUMMARY");
+    console.log("=".repeat(50));
+    console.log(`Products: ${products.length}`);
+    console.log(`Media exported: ${rows.length}`);
+    console.log(`Products without media: ${withoutMedia}`);
+    console.log(`Media without alt text: ${missingAlt}`);
+    if (config.altTemplate) {
+      console.log(`Alt text filled from the template: ${filled}`);
+    }
+    console.log(`Output: ${config.output}`);
+    console.log(
+      `\n✅ Edit the file, then import it with: node import-media.js --input ${config.output} --dry-run`
+    );
+  } catch (error) {
+    console.error("Export failed:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  parseArgs();
+  validateConfig();
+  exportMedia();
+}
+
+module.exports = {
+  exportMedia,
+  fetchProducts,
+};
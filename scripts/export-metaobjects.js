@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Shopify Metaobject Export Script
+ * Exports every entry of a metaobject type (artists by default) to CSV or JSON
+ *
+ * One column (or JSON property) per field of the metaobject definition, after
+ * the entry's id and handle. Values are exported as Shopify stores them, so the
+ * file can be edited and imported back with import-metaobjects.js.
+ *
+ * Usage: node export-metaobjects.js [options]
+ * Options:
+ *   --shop <shop-name>     Shopify shop name (required)
+ *   --token <access-token> Admin API access token (required)
+ *   --api-version <ver>    Admin API version (default: 2024-10)
+ *   --endpoint <url>       Send requests here instead of the shop (e.g. a mock server)
+ *   --type <type>          Metaobject type to export (default: artist)
+ *   --output <filename>    Output filename (default: <type>-export.csv)
+ *   --format <csv|json>    File format (default: from the output extension)
+ */
+
+const cli = require("./cli");
+const {
+  formatFor,
+  fetchMetaobjectDefinition,
+  fetchMetaobjects,
+  writeMetaobjectFile,
+} = require("./metaobjects");
+
+// Configuration
+const config = {
+  ...cli.connectionConfig(),
+  type: "artist",
+  output: null,
+  format: null,
+};
+
+// Text printed by --help
+function helpText() {
+  return `
+Usage: node export-metaobjects.js [options]
+
+Options:
+${cli.connectionOptionsHelp()}
+  --type <type>          Metaobject type to export (default: artist)
+  --output <filename>    Output filename (default: <type>-export.csv)
+  --format <csv|json>    File format (default: from the output extension)
+  --help                 Show this help message
+
+${cli.ENVIRONMENT_HELP}
+
+Examples:
+  # Every artist, one row each
+  node export-metaobjects.js --output artists.csv
+
+  # As JSON, with rich-text bios as JSON rather than strings
+  node export-metaobjects.js --output artists.json
+`;
+}
+
+// Parse command line arguments
+function parseArgs() {
+  cli.parseArgs(config, {
+    help: helpText,
+    option(arg, next) {
+      switch (arg) {
+        case "--type":
+          config.type = next();
+          break;
+        case "--output":
+          config.output = next();
+          break;
+        case "--format":
+          config.format = next();
+          break;
+      }
+    },
+  });
+}
+
+// Validate configuration
+function validateConfig() {
+  cli.requireConnection(config);
+  if (!config.type) {
+    console.error("Error: --type needs a metaobject type, e.g. artist.");
+    process.exit(1);
+  }
+  config.format = formatFor(
+    config.output || "",
+    config.format || (config.output ? null : "csv")
+  );
+  if (!["csv", "json"].includes(config.format)) {
+    console.error("Error: --format must be csv or json.");
+    process.exit(1);
+  }
+  config.output = config.output || `${config.type}-export.${config.format}`;
+}
+
+// Shared Admin API client, created on first use from config
+const { makeGraphQLRequest } = cli.lazyClient(config);
+
+// Main export function
+async function exportMetaobjects() {
+  try {
+    console.log(`Starting ${config.type} metaobject export...`);
+
+    const definition = await fetchMetaobjectDefinition(
+      makeGraphQLRequest,
+      config.type
+    );
+    console.log(
+      `Fields: ${definition.fieldDefinitions
+        .map((field) => `${field.key} (${field.type.name})`)
+        .join(", ")}`
+    );
+
+    const entries = await fetchMetaobjects(makeGraphQLRequest, config.type);
+    writeMetaobjectFile(config.output, config.format, definition, entries);
+
+    console.log("\n" + "=".repeat(50));
+    console.log("METAOBJECT EXPORT SUMMARY");
+    console.log("=".repeat(50));
+    console.log(`Type: ${definition.name} (${definition.type})`);
+    console.log(`Entries exported: ${entries.length}`);
+    console.log(`Output: ${config.output}`);
+    console.log(
+      `\n✅ Edit the file, then import it with: node import-metaobjects.js --input ${config.output} --dry-run`
+    );
+  } catch (error) {
+    console.error("Export failed:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  parseArgs();
+  validateConfig();
+  exportMetaobjects();
+}
+
+module.exports = {
+  exportMetaobjects,
+};
@@ -2,143 +2,457 @@
 
 /**
  * Shopify Product Variants Export Script
- * Exports product variants with metafields to CSV for editing
+ * Exports product variants with metafields to CSV (or XLSX, JSON, JSONL) for editing
+ *
+ * With --owner product it exports one row per product with the product's own
+ * metafields instead (artist, signature, care instructions, ...), for the same
+ * edit-and-import workflow.
+ *
+ * With --inventory each variant row also gets the available, on-hand and
+ * incoming quantity at every location, one column each.
  *
  * Usage: node export-variants.js [options]
  * Options:
  *   --shop <shop-name>     Shopify shop name (required)
  *   --token <access-token> Admin API access token (required)
- *   --output <filename>    Output CSV filename (default: variants-export.csv)
+ *   --api-version <ver>    Admin API version (default: 2024-10)
+ *   --endpoint <url>       Send requests here instead of the shop (e.g. a mock server)
+ *   --output <filename>    Output filename (default: variants-export.csv)
+ *   --format <format>      csv, xlsx, json or jsonl (default: from the output extension)
+ *   --owner <variant|product> Whose metafields to export (default: variant)
+ *   --inventory            Add a column per location and inventory quantity
  *   --product-id <id>      Export specific product by ID (optional)
- *   --limit <number>       Limit number of products to process (default: 50)
+ *   --limit <number|all>   Limit number of products to process (default: 50)
+ *   --bulk                 Export the whole catalogue with a Bulk Operation
+ *   --from-jsonl <file>    Convert a bulk operation JSONL file to CSV (offline)
  */
 
-const https = require("https");
 const fs = require("fs");
 const path = require("path");
+const cli = require("./cli");
+const { runBulkQuery, downloadFile, readJsonl } = require("./bulk-operations");
+const { createCSVWriter } = require("./csv");
+const {
+  baselinePathFor,
+  createBaselineWriter,
+  writeBaseline,
+} = require("./diff");
+const {
+  metafieldColumn,
+  isMetafieldColumn,
+  fetchMetafieldDefinitions,
+  getChoices,
+} = require("./metafields");
+const { TABLE_FORMATS, formatFor, writeTableFile } = require("./table-files");
+const { contains } = require("./search-query");
+const {
+  QUANTITY_NAMES,
+  fetchLocations,
+  inventoryLevelFields,
+  aliasedLevels,
+  addQuantityColumns,
+} = require("./inventory");
 
 // Configuration
 const config = {
-  shop: process.env.SHOPIFY_SHOP || "",
-  token: process.env.SHOPIFY_ACCESS_TOKEN || "",
-  output: "variants-export.csv",
+  ...cli.connectionConfig(),
+  output: null,
+  format: null,
+  owner: "variant",
+  inventory: false,
   productId: null,
   limit: 50,
   search: null,
   includeAllMetafields: false,
+  bulk: false,
+  fromJsonl: null,
 };
 
-// Parse command line arguments
-function parseArgs() {
-  const args = process.argv.slice(2);
-  for (let i = 0; i < args.length; i++) {
-    switch (args[i]) {
-      case "--shop":
-        config.shop = args[++i];
-        break;
-      case "--token":
-        config.token = args[++i];
-        break;
-      case "--output":
-        config.output = args[++i];
-        break;
-      case "--product-id":
-        config.productId = args[++i];
-        break;
-      case "--limit":
-        config.limit = parseInt(args[++i]);
-        break;
-      case "--search":
-        config.search = args[++i];
-        break;
-      case "--include-all-metafields":
-        config.includeAllMetafields = true;
-        break;
-      case "--help":
-        console.log(`
+// Text printed by --help
+function helpText() {
+  return `
 Usage: node export-variants.js [options]
 
 Options:
-  --shop <shop-name>     Shopify shop name (required)
-  --token <access-token> Admin API access token (required)
-  --output <filename>    Output CSV filename (default: variants-export.csv)
+${cli.connectionOptionsHelp()}
+  --output <filename>    Output filename (default: variants-export.csv, or
+                         products-export.csv with --owner product)
+  --format <format>      csv, xlsx, json or jsonl (default: from the --output
+                         extension, otherwise csv). XLSX keeps IDs, SKUs and
+                         barcodes as text and adds dropdowns for true/false
+                         and choice-list columns
+  --owner <variant|product>
+                         Export variants with their metafields (default), or
+                         one row per product with product metafields
+  --inventory            Add the available, on-hand and incoming quantity at
+                         each location, one column each
   --product-id <id>      Export specific product by ID (optional)
   --search <term>        Search for products by title, handle, or tags (optional)
-  --limit <number>       Limit number of products to process (default: 50)
+  --limit <number|all>   Limit number of products to process (default: 50)
   --include-all-metafields Include all metafields (default: only custom metafields)
+  --bulk                 Export the whole catalogue with a Bulk Operation; the
+                         JSONL result is kept next to the CSV (*.bulk.jsonl)
+  --from-jsonl <file>    Convert a saved bulk operation JSONL file to CSV
+                         without contacting Shopify
   --help                 Show this help message
 
-Environment Variables:
-  SHOPIFY_SHOP          Shopify shop name
-  SHOPIFY_ACCESS_TOKEN  Admin API access token
-        `);
-        process.exit(0);
-        break;
-    }
-  }
+${cli.ENVIRONMENT_HELP}
+
+Examples:
+  # Variants and their metafields
+  node export-variants.js --output variants.csv
+
+  # Products and their metafields (artist, signature, care instructions, ...)
+  node export-variants.js --owner product --output products.csv
+
+  # Variants with stock at each location
+  node export-variants.js --inventory --output inventory.csv
+
+  # A workbook for editing in Excel
+  node export-variants.js --output variants.xlsx
+`;
+}
+
+// Parse command line arguments
+function parseArgs() {
+  cli.parseArgs(config, {
+    help: helpText,
+    option(arg, next) {
+      switch (arg) {
+        case "--output":
+          config.output = next();
+          break;
+        case "--format":
+          config.format = next();
+          break;
+        case "--owner":
+          config.owner = next();
+          break;
+        case "--inventory":
+          config.inventory = true;
+          break;
+        case "--product-id":
+          config.productId = next();
+          break;
+        case "--limit": {
+          const value = next();
+          config.limit = value === "all" ? Infinity : parseInt(value);
+          break;
+        }
+        case "--search":
+          config.search = next();
+          break;
+        case "--include-all-metafields":
+          config.includeAllMetafields = true;
+          break;
+        case "--bulk":
+          config.bulk = true;
+          break;
+        case "--from-jsonl":
+          config.fromJsonl = next();
+          break;
+      }
+    },
+  });
 }
 
 // Validate configuration
 function validateConfig() {
-  if (!config.shop) {
+  if (!["variant", "product"].includes(config.owner)) {
+    console.error("Error: --owner must be variant or product.");
+    process.exit(1);
+  }
+  if (config.inventory && config.owner === "product") {
     console.error(
-      "Error: Shop name is required. Use --shop or set SHOPIFY_SHOP environment variable."
+      "Error: --inventory adds variant columns and cannot be used with --owner product."
     );
     process.exit(1);
   }
-  if (!config.token) {
+  config.format = formatFor(config.output || "", config.format);
+  if (!TABLE_FORMATS.includes(config.format)) {
     console.error(
-      "Error: Access token is required. Use --token or set SHOPIFY_ACCESS_TOKEN environment variable."
+      `Error: --format must be one of ${TABLE_FORMATS.join(", ")}.`
     );
     process.exit(1);
   }
+  config.output = config.output || `${config.owner}s-export.${config.format}`;
+  if (config.fromJsonl) {
+    if (!fs.existsSync(config.fromJsonl)) {
+      console.error(`Error: JSONL file '${config.fromJsonl}' does not exist.`);
+      process.exit(1);
+    }
+    // Offline conversion needs no credentials
+    return;
+  }
+  cli.requireConnection(config);
 }
 
-// Make GraphQL request to Shopify
-function makeGraphQLRequest(query, variables = {}) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: `${config.shop}.myshopify.com`,
-      port: 443,
-      path: `/admin/api/2023-10/graphql.json`,
-      method: "POST",
-      headers: {
-        "X-Shopify-Access-Token": config.token,
-        "Content-Type": "application/json",
-      },
-    };
-
-    const requestBody = JSON.stringify({
-      query: query,
-      variables: variables,
-    });
+// Shared Admin API client, created on first use from config
+const { getClient, makeGraphQLRequest } = cli.lazyClient(config);
+
+// Page sizes chosen to keep each query under Shopify's 1000-point cost limit
+const MAX_QUERY_COST = 1000;
+const PRODUCT_PAGE_SIZE = 50;
+const PRODUCT_WITH_METAFIELDS_PAGE_SIZE = 10;
+const VARIANT_PAGE_SIZE = 15;
+const METAFIELD_PAGE_SIZE = 50;
 
-    const req = https.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => {
-        try {
-          const jsonData = JSON.parse(data);
-          if (jsonData.errors) {
-            reject(
-              new Error(`GraphQL errors: ${JSON.stringify(jsonData.errors)}`)
-            );
-          } else {
-            resolve(jsonData.data);
+// Variants fetched with their products, and the metafields fetched with each
+// of those variants. Kept small so several products fit in one query; the
+// rest are paged per product or variant only when there are more
+const NESTED_VARIANT_PAGE_SIZE = 20;
+const NESTED_METAFIELD_PAGE_SIZE = 10;
+
+// First page of an owner's metafields; the rest are fetched by cursor
+function metafieldsField(first) {
+  return `
+    metafields(first: ${first}) {
+      edges {
+        node {
+          namespace
+          key
+          value
+          type
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  `;
+}
+
+const METAFIELDS_FIELD = metafieldsField(METAFIELD_PAGE_SIZE);
+
+// Fields requested for every variant, with the first `metafieldPageSize` metafields
+function variantFields(metafieldPageSize) {
+  return `
+    id
+    title
+    sku
+    barcode
+    price
+    compareAtPrice
+    inventoryQuantity
+    inventoryPolicy
+    taxable
+    createdAt
+    updatedAt
+    selectedOptions {
+      name
+      value
+    }
+    ${metafieldsField(metafieldPageSize)}
+  `;
+}
+
+// Fields requested for every product
+const PRODUCT_FIELDS = `
+  id
+  title
+  handle
+  vendor
+  productType
+  variantsCount {
+    count
+  }
+`;
+
+// Active locations, loaded once per export when --inventory is used
+let locations = [];
+
+// Fields requested for every variant, with its stock at each location
+// when --inventory is used
+function getVariantFields(metafieldPageSize = METAFIELD_PAGE_SIZE) {
+  const fields = variantFields(metafieldPageSize);
+  if (!config.inventory) return fields;
+  return `
+    ${fields}
+    inventoryItem {
+      id
+      ${inventoryLevelFields(locations)}
+    }
+  `;
+}
+
+// Load the locations whose stock --inventory exports
+async function loadLocations() {
+  console.log("Fetching locations...");
+  locations = await fetchLocations(makeGraphQLRequest);
+  console.log(
+    `Found ${locations.length} locations: ${locations
+      .map((location) => location.name)
+      .join(", ")}`
+  );
+}
+
+// Product fields for the current --owner: product metafields are only
+// needed for product rows, and the first page of variants otherwise
+function getProductFields() {
+  if (config.owner === "product") return `${PRODUCT_FIELDS}${METAFIELDS_FIELD}`;
+  return `
+    ${PRODUCT_FIELDS}
+    variants(first: ${NESTED_VARIANT_PAGE_SIZE}) {
+      edges {
+        node {
+          ${getVariantFields(NESTED_METAFIELD_PAGE_SIZE)}
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  `;
+}
+
+// Products per page: as many as fit under the cost limit, counted the way
+// Shopify does (a connection costs 2 plus its page size times each node)
+function getProductPageSize() {
+  if (config.owner === "product") return PRODUCT_WITH_METAFIELDS_PAGE_SIZE;
+
+  const metafieldsCost = 2 + NESTED_METAFIELD_PAGE_SIZE;
+  const inventoryCost = config.inventory ? 1 + 2 * locations.length : 0;
+  // selectedOptions, metafields and inventoryItem
+  const variantCost = 1 + metafieldsCost + inventoryCost;
+  // variantsCount and the variants connection
+  const productCost = 1 + 2 + NESTED_VARIANT_PAGE_SIZE * variantCost;
+  return Math.max(
+    1,
+    Math.min(PRODUCT_PAGE_SIZE, Math.floor((MAX_QUERY_COST - 2) / productCost))
+  );
+}
+
+// Build the products search string from config, quoting and escaping the
+// search term so spaces, quotes and colons cannot break the query
+function getProductsQueryString() {
+  return config.search ? contains("title", config.search) : null;
+}
+
+// Fetch the remaining metafields of a variant or product past the first page
+// `root` is the query field that looks the owner up: productVariant or product
+async function fetchRemainingMetafields(owner, root) {
+  let pageInfo = owner.metafields.pageInfo;
+
+  while (pageInfo && pageInfo.hasNextPage) {
+    const query = `
+      query getMetafields($id: ID!, $first: Int!, $after: String) {
+        ${root}(id: $id) {
+          metafields(first: $first, after: $after) {
+            edges {
+              node {
+                namespace
+                key
+                value
+                type
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
           }
-        } catch (error) {
-          reject(new Error(`Failed to parse JSON: ${error.message}`));
         }
-      });
+      }
+    `;
+
+    const response = await makeGraphQLRequest(query, {
+      id: owner.id,
+      first: METAFIELD_PAGE_SIZE,
+      after: pageInfo.endCursor,
     });
+    const connection = response[root].metafields;
+    owner.metafields.edges.push(...connection.edges);
+    pageInfo = connection.pageInfo;
+  }
 
-    req.on("error", (error) => {
-      reject(error);
+  return owner;
+}
+
+// Fetch what the rows of a product need past the pages that came with it:
+// the rest of its metafields, or the rest of its variants and their metafields
+async function loadProductDetails(product) {
+  if (config.owner === "product") {
+    await fetchRemainingMetafields(product, "product");
+    return product;
+  }
+
+  const { edges, pageInfo } = product.variants;
+  for (const edge of edges) {
+    await fetchRemainingMetafields(edge.node, "productVariant");
+  }
+  if (pageInfo.hasNextPage) {
+    console.log(`  Fetching more variants for: ${product.title}`);
+    const rest = await fetchProductVariants(product.id, pageInfo.endCursor);
+    edges.push(...rest.edges);
+  }
+  product.variants = { edges };
+  return product;
+}
+
+// Fetch the variants of a product, following variant and metafield cursors
+// Starts after `after` when the first variants came with the product
+async function fetchProductVariants(productId, after = null) {
+  const query = `
+    query getProductVariants($id: ID!, $first: Int!, $after: String) {
+      product(id: $id) {
+        variants(first: $first, after: $after) {
+          edges {
+            node {
+              ${getVariantFields()}
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  const edges = [];
+
+  do {
+    const response = await makeGraphQLRequest(query, {
+      id: productId,
+      first: VARIANT_PAGE_SIZE,
+      after,
     });
+    const connection = response.product.variants;
 
-    req.write(requestBody);
-    req.end();
-  });
+    for (const edge of connection.edges) {
+      await fetchRemainingMetafields(edge.node, "productVariant");
+      edges.push(edge);
+    }
+
+    after = connection.pageInfo.hasNextPage
+      ? connection.pageInfo.endCursor
+      : null;
+  } while (after);
+
+  return { edges };
+}
+
+// Get the number of products Shopify reports for the current search
+async function getProductsCount() {
+  try {
+    const query = `
+      query getProductsCount($query: String) {
+        productsCount(query: $query, limit: null) {
+          count
+        }
+      }
+    `;
+    const response = await makeGraphQLRequest(query, {
+      query: getProductsQueryString(),
+    });
+    return response.productsCount.count;
+  } catch (error) {
+    console.warn("Warning: Could not fetch product count:", error.message);
+    return null;
+  }
 }
 
 // Get all products or specific product
@@ -149,10 +463,415 @@ async function getProducts() {
       const query = `
         query getProduct($id: ID!) {
           product(id: $id) {
+            ${getProductFields()}
+          }
+        }
+      `;
+      const response = await makeGraphQLRequest(query, {
+        id: `gid://shopify/Product/${config.productId}`,
+      });
+      if (!response.product) {
+        throw new Error(`Product ${config.productId} not found`);
+      }
+      return [await loadProductDetails(response.product)];
+    }
+
+    const query = `
+      query getProducts($first: Int!, $after: String, $query: String) {
+        products(first: $first, after: $after, query: $query) {
+          edges {
+            node {
+              ${getProductFields()}
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `;
+
+    const searchQuery = getProductsQueryString();
+    const limitLabel = config.limit === Infinity ? "all" : config.limit;
+
+    if (config.search) {
+      console.log(
+        `Searching for products matching: "${config.search}" (limit: ${limitLabel})`
+      );
+    } else {
+      console.log(`Fetching products (limit: ${limitLabel})...`);
+    }
+
+    const products = [];
+    const pageSize = getProductPageSize();
+    let after = null;
+
+    do {
+      const response = await makeGraphQLRequest(query, {
+        first: Math.min(pageSize, config.limit - products.length),
+        after,
+        query: searchQuery,
+      });
+      const connection = response.products;
+
+      for (const edge of connection.edges) {
+        products.push(await loadProductDetails(edge.node));
+      }
+      console.log(`  Fetched ${products.length} products`);
+
+      after = connection.pageInfo.hasNextPage
+        ? connection.pageInfo.endCursor
+        : null;
+    } while (after && products.length < config.limit);
+
+    return products;
+  } catch (error) {
+    console.error("Error fetching products:", error.message);
+    throw error;
+  }
+}
+
+// Common app namespaces left out of the export unless --include-all-metafields is used
+const EXCLUDED_NAMESPACES = [
+  "shopify",
+  "global",
+  "reviews",
+  "judge_me",
+  "yotpo",
+  "stamped",
+  "loox",
+  "okendo",
+  "gorgias",
+  "klaviyo",
+  "mailchimp",
+  "privy",
+  "bold",
+  "recharge",
+  "subscription",
+  "upsell",
+  "cross_sell",
+  "product_bundles",
+  "inventory_quantity",
+  "inventory_management",
+];
+
+// Include custom namespace and any others not in the excluded list
+function isExportedNamespace(namespace) {
+  return (
+    config.includeAllMetafields ||
+    namespace === "custom" ||
+    !EXCLUDED_NAMESPACES.includes(namespace)
+  );
+}
+
+// Metafield owner type of the rows being exported
+const OWNER_TYPES = {
+  variant: "PRODUCTVARIANT",
+  product: "PRODUCT",
+};
+
+// Get metafield definitions for variants, or products with --owner product
+async function getMetafieldDefinitions() {
+  try {
+    console.log(`Fetching ${config.owner} metafield definitions...`);
+    const definitions = await fetchMetafieldDefinitions(
+      makeGraphQLRequest,
+      OWNER_TYPES[config.owner]
+    );
+
+    // Filter out app-specific metafields and focus on custom ones (unless --include-all-metafields is used)
+    let filteredMetafields = definitions;
+
+    if (!config.includeAllMetafields) {
+      filteredMetafields = filteredMetafields.filter((metafield) =>
+        isExportedNamespace(metafield.namespace)
+      );
+    }
+
+    console.log(
+      `Found ${definitions.length} total metafields, ${filteredMetafields.length} filtered metafields`
+    );
+
+    return filteredMetafields;
+  } catch (error) {
+    console.warn(
+      "Warning: Could not fetch metafield definitions:",
+      error.message
+    );
+    return [];
+  }
+}
+
+// Get metafields for a product variant (now handled in the main query)
+function extractVariantMetafields(variant) {
+  return variant.metafields?.edges?.map((edge) => edge.node) || [];
+}
+
+// Get the product's own metafields, fetched with --owner product
+function extractProductMetafields(product) {
+  return product.metafields?.edges?.map((edge) => edge.node) || [];
+}
+
+// Convert metafields to flat object
+function flattenMetafields(metafields) {
+  const flattened = {};
+
+  // Add actual metafields
+  metafields.forEach((metafield) => {
+    const key = metafieldColumn(metafield.namespace, metafield.key);
+    flattened[key] = metafield.value;
+  });
+
+  return flattened;
+}
+
+// Core variant columns with a fixed set of values
+const CORE_CHOICES = {
+  variant_inventory_policy: ["DENY", "CONTINUE"],
+  variant_taxable: ["true", "false"],
+};
+
+// Columns Excel must treat as text: IDs, SKUs and barcodes, which it would
+// otherwise turn into numbers (losing leading zeros and long digits)
+function isTextColumn(header) {
+  return (
+    header.endsWith("_id") ||
+    header === "variant_sku" ||
+    header === "variant_barcode" ||
+    (isMetafieldColumn(header) && /sku|barcode/i.test(header))
+  );
+}
+
+// Sheet settings for an XLSX export: text columns and the dropdowns for
+// booleans and single-choice metafields (`definitions` may be empty)
+function xlsxOptions(headers, definitions) {
+  const lists = {};
+  headers.forEach((header) => {
+    if (CORE_CHOICES[header]) lists[header] = CORE_CHOICES[header];
+  });
+  definitions.forEach((definition) => {
+    const column = metafieldColumn(definition.namespace, definition.key);
+    const type = definition.type.name;
+    if (!headers.includes(column) || type.startsWith("list.")) return;
+    const choices =
+      type === "boolean" ? ["true", "false"] : getChoices(definition);
+    if (choices && choices.length > 0) lists[column] = choices.map(String);
+  });
+
+  return {
+    sheet: config.owner === "product" ? "Products" : "Variants",
+    textColumns: headers.filter(isTextColumn),
+    lists,
+  };
+}
+
+// Write the exported records in the chosen format
+function writeRecords(outputPath, records, definitions) {
+  const headers = records.length > 0 ? Object.keys(records[0]) : [];
+  writeTableFile(
+    outputPath,
+    config.format,
+    headers,
+    records,
+    xlsxOptions(headers, definitions)
+  );
+}
+
+// Save the exported values so a later import can diff against them
+function saveBaseline(outputPath, records) {
+  return writeBaseline(
+    baselinePathFor(outputPath),
+    records,
+    `${config.owner}_id`,
+    { shop: config.shop || null }
+  );
+}
+
+// The same baseline, written a record at a time (see createBaselineWriter)
+function openBaseline(outputPath) {
+  return createBaselineWriter(
+    baselinePathFor(outputPath),
+    `${config.owner}_id`,
+    { shop: config.shop || null }
+  );
+}
+
+// Create the CSV record for one variant with all metafield columns
+function buildVariantRecord(product, variant, metafields, allMetafieldKeys) {
+  const flattenedMetafields = flattenMetafields(metafields);
+
+  // Extract option values from selectedOptions
+  const option1 =
+    variant.selectedOptions?.find((opt) => opt.name === "Option1")?.value || "";
+  const option2 =
+    variant.selectedOptions?.find((opt) => opt.name === "Option2")?.value || "";
+  const option3 =
+    variant.selectedOptions?.find((opt) => opt.name === "Option3")?.value || "";
+
+  const variantRecord = {
+    product_id: product.id,
+    product_title: product.title,
+    product_handle: product.handle,
+    product_vendor: product.vendor || "",
+    product_type: product.productType || "",
+    variant_id: variant.id,
+    variant_title: variant.title,
+    variant_sku: variant.sku || "",
+    variant_barcode: variant.barcode || "",
+    variant_price: variant.price ?? "",
+    variant_compare_at_price: variant.compareAtPrice ?? "",
+    variant_inventory_quantity: variant.inventoryQuantity || 0,
+    variant_inventory_policy: variant.inventoryPolicy || "",
+    variant_taxable: variant.taxable,
+    variant_option1: option1,
+    variant_option2: option2,
+    variant_option3: option3,
+    variant_created_at: variant.createdAt,
+    variant_updated_at: variant.updatedAt,
+  };
+
+  // Stock per location; bulk exports collect the levels as child lines
+  if (config.inventory) {
+    variantRecord.variant_inventory_item_id = variant.inventoryItem?.id || "";
+    addQuantityColumns(
+      variantRecord,
+      variant.inventoryLevels ||
+        aliasedLevels(variant.inventoryItem, locations),
+      locations
+    );
+  }
+
+  // Add all metafield columns (empty if not present for this variant)
+  allMetafieldKeys.forEach((key) => {
+    variantRecord[key] = flattenedMetafields[key] || "";
+  });
+
+  return variantRecord;
+}
+
+// Create the CSV record for one product with all product metafield columns
+function buildProductRecord(product, metafields, allMetafieldKeys) {
+  const flattenedMetafields = flattenMetafields(metafields);
+
+  const productRecord = {
+    product_id: product.id,
+    product_title: product.title,
+    product_handle: product.handle,
+    product_vendor: product.vendor || "",
+    product_type: product.productType || "",
+  };
+
+  allMetafieldKeys.forEach((key) => {
+    productRecord[key] = flattenedMetafields[key] || "";
+  });
+
+  return productRecord;
+}
+
+// Compare what was fetched with the totals Shopify reports
+async function reportFetchTotals(products, rowCount) {
+  const expectedVariants = products.reduce(
+    (sum, product) => sum + (product.variantsCount?.count ?? 0),
+    0
+  );
+
+  console.log(`\nFetch summary:`);
+  if (config.productId) {
+    console.log(`  Products: 1 of 1`);
+  } else {
+    const productsCount = await getProductsCount();
+    console.log(
+      `  Products: ${products.length} of ${
+        productsCount == null ? "unknown" : productsCount
+      }${
+        productsCount != null && products.length < productsCount
+          ? ` (limited by --limit ${config.limit}; use --limit all for everything)`
+          : ""
+      }`
+    );
+  }
+  if (config.owner === "product") return;
+  console.log(`  Variant rows: ${rowCount} of ${expectedVariants}`);
+
+  if (rowCount !== expectedVariants) {
+    console.warn(
+      `  Warning: fetched ${rowCount} variants but Shopify reports ${expectedVariants} for these products`
+    );
+  }
+}
+
+// Variant inventory levels in a bulk query; each level is its own JSONL line
+const BULK_INVENTORY_FIELDS = `
+  inventoryItem {
+    id
+    inventoryLevels {
+      edges {
+        node {
+          id
+          location {
+            id
+            name
+          }
+          quantities(names: ${JSON.stringify(QUANTITY_NAMES)}) {
+            name
+            quantity
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Build the bulk operation query (connections take no page arguments here)
+function buildBulkProductsQuery() {
+  const searchQuery = config.productId
+    ? `id:${config.productId}`
+    : getProductsQueryString();
+  const productsArgs = searchQuery
+    ? `(query: ${JSON.stringify(searchQuery)})`
+    : "";
+
+  // Product rows need the product's metafields rather than its variants
+  if (config.owner === "product") {
+    return `
+      {
+        products${productsArgs} {
+          edges {
+            node {
+              id
+              title
+              handle
+              vendor
+              productType
+              metafields {
+                edges {
+                  node {
+                    namespace
+                    key
+                    value
+                    type
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+  }
+
+  return `
+    {
+      products${productsArgs} {
+        edges {
+          node {
             id
             title
             handle
-            variants(first: 100) {
+            vendor
+            productType
+            variants {
               edges {
                 node {
                   id
@@ -170,7 +889,7 @@ async function getProducts() {
                     name
                     value
                   }
-                  metafields(first: 50) {
+                  metafields {
                     edges {
                       node {
                         namespace
@@ -180,218 +899,305 @@ async function getProducts() {
                       }
                     }
                   }
+                  ${config.inventory ? BULK_INVENTORY_FIELDS : ""}
                 }
               }
             }
           }
         }
-      `;
-      const response = await makeGraphQLRequest(query, {
-        id: `gid://shopify/Product/${config.productId}`,
-      });
-      return [response.product];
-    } else {
-      let query = `
-        query getProducts($first: Int!, $query: String) {
-          products(first: $first, query: $query) {
-            edges {
-              node {
-                id
-                title
-                handle
-                variants(first: 100) {
-                  edges {
-                    node {
-                      id
-                      title
-                      sku
-                      barcode
-                      price
-                      compareAtPrice
-                      inventoryQuantity
-                      inventoryPolicy
-                      taxable
-                      createdAt
-                      updatedAt
-                      selectedOptions {
-                        name
-                        value
-                      }
-                      metafields(first: 50) {
-                        edges {
-                          node {
-                            namespace
-                            key
-                            value
-                            type
-                          }
-                        }
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      `;
+      }
+    }
+  `;
+}
 
-      const variables = { first: config.limit };
+function isProductNode(node) {
+  return (
+    typeof node.id === "string" && node.id.startsWith("gid://shopify/Product/")
+  );
+}
 
-      if (config.search) {
-        variables.query = `title:*${config.search}*`;
-        console.log(`Searching for products matching: "${config.search}"`);
-      } else {
-        console.log(`Fetching products (limit: ${config.limit})...`);
-      }
+function isVariantNode(node) {
+  return (
+    typeof node.id === "string" &&
+    node.id.startsWith("gid://shopify/ProductVariant/")
+  );
+}
+
+function isMetafieldNode(node) {
+  return node.namespace !== undefined && node.key !== undefined;
+}
+
+function isInventoryLevelNode(node) {
+  return (
+    typeof node.id === "string" &&
+    node.id.startsWith("gid://shopify/InventoryLevel/")
+  );
+}
 
-      const response = await makeGraphQLRequest(query, variables);
-      return response.products.edges.map((edge) => edge.node);
+// Collect the locations that inventory levels in a bulk JSONL file refer to
+async function collectBulkLocations(file) {
+  const found = new Map();
+  for await (const node of readJsonl(file)) {
+    if (isInventoryLevelNode(node) && !found.has(node.location.id)) {
+      found.set(node.location.id, {
+        id: node.location.id,
+        name: node.location.name,
+      });
     }
-  } catch (error) {
-    console.error("Error fetching products:", error.message);
-    throw error;
   }
+  return [...found.values()];
 }
 
-// Get metafield definitions for variants
-async function getVariantMetafieldDefinitions() {
-  try {
-    console.log("Fetching variant metafield definitions...");
-    const query = `
-      query getMetafieldDefinitions($first: Int!) {
-        metafieldDefinitions(first: $first, ownerType: PRODUCTVARIANT) {
-          edges {
-            node {
-              id
-              namespace
-              key
-              name
-              type {
-                name
-              }
-            }
-          }
-        }
-      }
-    `;
-
-    const response = await makeGraphQLRequest(query, {
-      first: 250,
-    });
+// Collect the metafield columns present in a bulk JSONL file
+async function collectBulkMetafieldKeys(file) {
+  const keys = new Set();
+  for await (const node of readJsonl(file)) {
+    if (isMetafieldNode(node) && isExportedNamespace(node.namespace)) {
+      keys.add(metafieldColumn(node.namespace, node.key));
+    }
+  }
+  return keys;
+}
 
-    // Filter out app-specific metafields and focus on custom ones (unless --include-all-metafields is used)
-    let filteredMetafields = response.metafieldDefinitions.edges.map(
-      (edge) => edge.node
-    );
+// Stream variant records out of a bulk JSONL file
+// Shopify writes each child line after its parent, so a variant's metafields
+// follow the variant line and end when the next variant or product starts
+async function* readBulkVariantRecords(file, allMetafieldKeys) {
+  const products = new Map();
+  let current = null;
 
-    if (!config.includeAllMetafields) {
-      filteredMetafields = filteredMetafields.filter((metafield) => {
-        // Include only custom namespace or specific namespaces we care about
-        const namespace = metafield.namespace;
-
-        // Exclude common app namespaces
-        const excludedNamespaces = [
-          "shopify",
-          "global",
-          "reviews",
-          "judge_me",
-          "yotpo",
-          "stamped",
-          "loox",
-          "okendo",
-          "gorgias",
-          "klaviyo",
-          "mailchimp",
-          "privy",
-          "bold",
-          "recharge",
-          "subscription",
-          "upsell",
-          "cross_sell",
-          "product_bundles",
-          "inventory_quantity",
-          "inventory_management",
-        ];
-
-        // Include custom namespace and any others not in the excluded list
-        return (
-          namespace === "custom" || !excludedNamespaces.includes(namespace)
+  for await (const node of readJsonl(file)) {
+    if (isProductNode(node)) {
+      products.set(node.id, node);
+    } else if (isVariantNode(node)) {
+      if (current) {
+        yield buildVariantRecord(
+          current.product,
+          current.variant,
+          current.metafields,
+          allMetafieldKeys
         );
-      });
+      }
+      const product = products.get(node.__parentId);
+      if (!product) {
+        throw new Error(
+          `Variant ${node.id} appears before its product ${node.__parentId}`
+        );
+      }
+      current = { product, variant: node, metafields: [] };
+      if (config.inventory) node.inventoryLevels = [];
+    } else if (isInventoryLevelNode(node)) {
+      if (!current || node.__parentId !== current.variant.id) {
+        throw new Error(
+          `Inventory level ${node.id} is not grouped with its variant ${node.__parentId}`
+        );
+      }
+      if (current.variant.inventoryLevels) {
+        current.variant.inventoryLevels.push(node);
+      }
+    } else if (isMetafieldNode(node)) {
+      if (!current || node.__parentId !== current.variant.id) {
+        throw new Error(
+          `Metafield ${node.namespace}.${node.key} is not grouped with its variant ${node.__parentId}`
+        );
+      }
+      current.metafields.push(node);
     }
+  }
 
-    console.log(
-      `Found ${response.metafieldDefinitions.edges.length} total metafields, ${filteredMetafields.length} filtered metafields`
+  if (current) {
+    yield buildVariantRecord(
+      current.product,
+      current.variant,
+      current.metafields,
+      allMetafieldKeys
     );
+  }
+}
 
-    return filteredMetafields;
-  } catch (error) {
-    console.warn(
-      "Warning: Could not fetch metafield definitions:",
-      error.message
+// Stream product records out of a bulk JSONL file exported with --owner product
+// A product's metafields follow the product line, as with variants
+async function* readBulkProductRecords(file, allMetafieldKeys) {
+  let current = null;
+
+  for await (const node of readJsonl(file)) {
+    if (isProductNode(node)) {
+      if (current) {
+        yield buildProductRecord(
+          current.product,
+          current.metafields,
+          allMetafieldKeys
+        );
+      }
+      current = { product: node, metafields: [] };
+    } else if (isVariantNode(node)) {
+      throw new Error(
+        `${file} holds variants; convert it without --owner product`
+      );
+    } else if (isMetafieldNode(node)) {
+      if (!current || node.__parentId !== current.product.id) {
+        throw new Error(
+          `Metafield ${node.namespace}.${node.key} is not grouped with its product ${node.__parentId}`
+        );
+      }
+      current.metafields.push(node);
+    }
+  }
+
+  if (current) {
+    yield buildProductRecord(
+      current.product,
+      current.metafields,
+      allMetafieldKeys
     );
-    return [];
   }
 }
 
-// Get metafields for a product variant (now handled in the main query)
-function extractVariantMetafields(variant) {
-  return variant.metafields?.edges?.map((edge) => edge.node) || [];
+// Convert a bulk JSONL file to the same CSV columns exportVariants() produces
+async function jsonlToCSV(file, output, allMetafieldKeys, onRecord) {
+  const keys = allMetafieldKeys || (await collectBulkMetafieldKeys(file));
+  const readRecords =
+    config.owner === "product"
+      ? readBulkProductRecords
+      : readBulkVariantRecords;
+  const productIds = new Set();
+  let writer = null;
+  let rows = 0;
+
+  for await (const record of readRecords(file, keys)) {
+    if (!writer) {
+      writer = createCSVWriter(output, Object.keys(record));
+    }
+    productIds.add(record.product_id);
+    rows++;
+    await writer.write(record);
+    if (onRecord) onRecord(record);
+  }
+
+  if (writer) {
+    await writer.close();
+  } else {
+    fs.writeFileSync(output, "", "utf8");
+  }
+
+  return { products: productIds.size, rows };
 }
 
-// Convert metafields to flat object
-function flattenMetafields(metafields) {
-  const flattened = {};
+// Export through a Bulk Operation, or convert a local JSONL file
+async function exportVariantsFromBulk() {
+  let jsonlFile = config.fromJsonl;
+  let allMetafieldKeys = null;
+  let metafieldDefinitions = [];
 
-  // Add actual metafields
-  metafields.forEach((metafield) => {
-    const key = `metafield_${metafield.namespace}_${metafield.key}`;
-    flattened[key] = metafield.value;
-  });
+  if (!jsonlFile) {
+    metafieldDefinitions = await getMetafieldDefinitions();
+    allMetafieldKeys = new Set(
+      metafieldDefinitions.map((metafield) =>
+        metafieldColumn(metafield.namespace, metafield.key)
+      )
+    );
+    if (config.inventory) await loadLocations();
 
-  return flattened;
+    console.log("\nSubmitting bulk operation...");
+    const operation = await runBulkQuery(getClient(), buildBulkProductsQuery());
+
+    jsonlFile = path.resolve(
+      config.output.replace(/\.[^./\\]+$/, "") + ".bulk.jsonl"
+    );
+    if (operation.url) {
+      console.log(`Downloading ${operation.objectCount} objects...`);
+      await downloadFile(operation.url, jsonlFile);
+    } else {
+      // Shopify returns no URL when the query matched nothing
+      fs.writeFileSync(jsonlFile, "", "utf8");
+    }
+    console.log(`Bulk result saved to: ${jsonlFile}`);
+  } else {
+    console.log(`Converting JSONL file: ${jsonlFile}`);
+    if (config.inventory) locations = await collectBulkLocations(jsonlFile);
+  }
+
+  const outputPath = path.resolve(config.output);
+  let products;
+  let exported = 0;
+  let baselinePath;
+  if (config.format === "csv") {
+    // Each row goes to the baseline as it is converted, so a large shop's
+    // records are never all held in memory
+    const baseline = openBaseline(outputPath);
+    ({ products } = await jsonlToCSV(
+      jsonlFile,
+      outputPath,
+      allMetafieldKeys,
+      (record) => {
+        baseline.add(record);
+        exported++;
+      }
+    ));
+    baselinePath = baseline.close();
+  } else {
+    const records = [];
+    // Other formats are written in one go from the records
+    const keys =
+      allMetafieldKeys || (await collectBulkMetafieldKeys(jsonlFile));
+    const readRecords =
+      config.owner === "product"
+        ? readBulkProductRecords
+        : readBulkVariantRecords;
+    for await (const record of readRecords(jsonlFile, keys)) {
+      records.push(record);
+    }
+    writeRecords(outputPath, records, metafieldDefinitions);
+    products = new Set(records.map((record) => record.product_id)).size;
+    exported = records.length;
+    baselinePath = saveBaseline(outputPath, records);
+  }
+
+  console.log(`\nTotal products: ${products}`);
+  if (config.owner === "variant") {
+    console.log(`Total variants processed: ${exported}`);
+  }
+  console.log(`\nExport completed successfully!`);
+  console.log(`${config.format.toUpperCase()} file saved to: ${outputPath}`);
+  console.log(`Baseline saved to: ${baselinePath}`);
 }
 
-// Convert data to CSV format
-function arrayToCSV(data) {
-  if (data.length === 0) return "";
-
-  const headers = Object.keys(data[0]);
-  const csvContent = [
-    headers.join(","),
-    ...data.map((row) =>
-      headers
-        .map((header) => {
-          const value = row[header] || "";
-          // Escape commas and quotes in CSV
-          if (
-            typeof value === "string" &&
-            (value.includes(",") || value.includes('"') || value.includes("\n"))
-          ) {
-            return `"${value.replace(/"/g, '""')}"`;
-          }
-          return value;
-        })
-        .join(",")
-    ),
-  ].join("\n");
+// Write the file and its baseline, then explain how to import the edits
+function writeExport(records, definitions) {
+  const outputPath = path.resolve(config.output);
+  writeRecords(outputPath, records, definitions);
+  const baselinePath = saveBaseline(outputPath, records);
+  const ownerOption = config.owner === "product" ? " --owner product" : "";
+  const fieldsOption = config.inventory ? " --fields inventory,metafields" : "";
 
-  return csvContent;
+  console.log(`\nExport completed successfully!`);
+  console.log(`${config.format.toUpperCase()} file saved to: ${outputPath}`);
+  console.log(`Baseline saved to: ${baselinePath}`);
+  console.log(`\nNext steps:`);
+  console.log(`1. Edit the file to update metafields`);
+  console.log(
+    `2. Run the import script: node import-variants.js${ownerOption} --input ${config.output}${fieldsOption}`
+  );
 }
 
 // Main export function
 async function exportVariants() {
   try {
-    console.log("Starting variant export...");
+    if (config.bulk || config.fromJsonl) {
+      console.log(`Starting bulk ${config.owner} export...`);
+      await exportVariantsFromBulk();
+      return;
+    }
+
+    console.log(`Starting ${config.owner} export...`);
 
     // First, get all metafield definitions to know what fields exist
-    const metafieldDefinitions = await getVariantMetafieldDefinitions();
+    const metafieldDefinitions = await getMetafieldDefinitions();
     const allMetafieldKeys = new Set();
 
     // Extract metafield keys from definitions
     metafieldDefinitions.forEach((metafield) => {
-      const key = `metafield_${metafield.namespace}_${metafield.key}`;
+      const key = metafieldColumn(metafield.namespace, metafield.key);
       allMetafieldKeys.add(key);
     });
 
@@ -400,10 +1206,24 @@ async function exportVariants() {
         ", "
       )}`
     );
+    if (config.inventory) await loadLocations();
 
     const products = await getProducts();
     console.log(`Found ${products.length} products`);
 
+    if (config.owner === "product") {
+      const records = products.map((product) =>
+        buildProductRecord(
+          product,
+          extractProductMetafields(product),
+          allMetafieldKeys
+        )
+      );
+      await reportFetchTotals(products, records.length);
+      writeExport(records, metafieldDefinitions);
+      return;
+    }
+
     const allVariants = [];
 
     // Process all variants and create records with all metafield columns
@@ -416,67 +1236,20 @@ async function exportVariants() {
           `  Processing variant: ${variant.title} (ID: ${variant.id})`
         );
 
-        // Get metafields for this variant
-        const metafields = extractVariantMetafields(variant);
-        const flattenedMetafields = flattenMetafields(metafields);
-
-        // Extract option values from selectedOptions
-        const option1 =
-          variant.selectedOptions?.find((opt) => opt.name === "Option1")
-            ?.value || "";
-        const option2 =
-          variant.selectedOptions?.find((opt) => opt.name === "Option2")
-            ?.value || "";
-        const option3 =
-          variant.selectedOptions?.find((opt) => opt.name === "Option3")
-            ?.value || "";
-
-        // Create variant record with all metafield columns
-        const variantRecord = {
-          product_id: product.id,
-          product_title: product.title,
-          product_handle: product.handle,
-          variant_id: variant.id,
-          variant_title: variant.title,
-          variant_sku: variant.sku || "",
-          variant_barcode: variant.barcode || "",
-          variant_price: variant.price?.amount || "",
-          variant_compare_at_price: variant.compareAtPrice?.amount || "",
-          variant_inventory_quantity: variant.inventoryQuantity || 0,
-          variant_inventory_policy: variant.inventoryPolicy || "",
-          variant_taxable: variant.taxable,
-          variant_option1: option1,
-          variant_option2: option2,
-          variant_option3: option3,
-          variant_created_at: variant.createdAt,
-          variant_updated_at: variant.updatedAt,
-        };
-
-        // Add all metafield columns (empty if not present for this variant)
-        allMetafieldKeys.forEach((key) => {
-          variantRecord[key] = flattenedMetafields[key] || "";
-        });
+        const variantRecord = buildVariantRecord(
+          product,
+          variant,
+          extractVariantMetafields(variant),
+          allMetafieldKeys
+        );
 
         allVariants.push(variantRecord);
       }
     }
 
     console.log(`\nTotal variants processed: ${allVariants.length}`);
-
-    // Generate CSV
-    const csvContent = arrayToCSV(allVariants);
-
-    // Write to file
-    const outputPath = path.resolve(config.output);
-    fs.writeFileSync(outputPath, csvContent, "utf8");
-
-    console.log(`\nExport completed successfully!`);
-    console.log(`CSV file saved to: ${outputPath}`);
-    console.log(`\nNext steps:`);
-    console.log(`1. Edit the CSV file to update metafields`);
-    console.log(
-      `2. Run the import script: node import-variants.js --input ${config.output}`
-    );
+    await reportFetchTotals(products, allVariants.length);
+    writeExport(allVariants, metafieldDefinitions);
   } catch (error) {
     console.error("Export failed:", error.message);
     process.exit(1);
@@ -494,5 +1267,14 @@ module.exports = {
   exportVariants,
   makeGraphQLRequest,
   getProducts,
+  getProductsCount,
+  fetchProductVariants,
   extractVariantMetafields,
+  extractProductMetafields,
+  buildVariantRecord,
+  buildProductRecord,
+  buildBulkProductsQuery,
+  readBulkVariantRecords,
+  readBulkProductRecords,
+  jsonlToCSV,
 };
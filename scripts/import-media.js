@@ -0,0 +1,602 @@
+#!/usr/bin/env node
+
+/**
+ * Shopify Product Media Import Script
+ * Imports edited alt text, media order and variant images from CSV
+ *
+ * Takes a file written by export-media.js. For each product it compares the
+ * rows with the shop and sends only what changed:
+ * - media_alt: the image's alt text (empty cells are left alone; __CLEAR__ empties it)
+ * - media_position: the image's place in the product's media, from 1
+ * - media_variants: the variants showing the image, one per line (empty cells
+ *   are left alone; __CLEAR__ detaches every variant)
+ *
+ * Usage: node import-media.js [options]
+ * Options:
+ *   --shop <shop-name>     Shopify shop name (required)
+ *   --token <access-token> Admin API access token (required)
+ *   --api-version <ver>    Admin API version (default: 2024-10)
+ *   --endpoint <url>       Send requests here instead of the shop (e.g. a mock server)
+ *   --input <filename>     Input CSV file (required)
+ *   --dry-run              Preview changes without applying them
+ *   --journal <file>       Undo journal to append to (default: changes.journal.jsonl)
+ */
+
+const fs = require("fs");
+const cli = require("./cli");
+const { readCSVFile } = require("./csv");
+const { formatDiffTable } = require("./diff");
+const { isClearMarker, CLEAR_MARKER } = require("./metafields");
+const {
+  MAX_ALT_LENGTH,
+  fetchProductsMedia,
+  attachedVariants,
+  findVariant,
+  updateMediaAlt,
+  reorderMedia,
+  attachVariantMedia,
+  detachVariantMedia,
+} = require("./media");
+const { createJournal, DEFAULT_JOURNAL_FILE } = require("./journal");
+
+// Configuration
+const config = {
+  ...cli.connectionConfig(),
+  input: "",
+  dryRun: false,
+  journal: DEFAULT_JOURNAL_FILE,
+};
+
+// Undo journal for this run; stays null on dry runs
+let journal = null;
+
+// Columns every media file needs, and the ones an import can change
+const REQUIRED_COLUMNS = ["product_id", "media_id"];
+const EDITABLE_COLUMNS = ["media_alt", "media_position", "media_variants"];
+
+// Text printed by --help
+function helpText() {
+  return `
+Usage: node import-media.js [options]
+
+Options:
+${cli.connectionOptionsHelp()}
+  --input <filename>     Input CSV file, as written by export-media.js (required)
+  --dry-run              Preview changes without applying them
+  --journal <file>       Undo journal to append every change to, for use with
+                         rollback.js (default: ${DEFAULT_JOURNAL_FILE})
+  --help                 Show this help message
+
+Edit media_alt, media_position (from 1) and media_variants (one variant title,
+ID or SKU per line). Empty cells are left alone; use ${CLEAR_MARKER} to empty
+the alt text or detach every variant from an image. Rows of a product that are
+left out keep their place.
+
+${cli.ENVIRONMENT_HELP}
+
+Examples:
+  node import-media.js --input media-export.csv --dry-run
+  node import-media.js --input media-export.csv
+`;
+}
+
+// Parse command line arguments
+function parseArgs() {
+  cli.parseArgs(config, {
+    help: helpText,
+    option(arg, next) {
+      switch (arg) {
+        case "--input":
+          config.input = next();
+          break;
+        case "--dry-run":
+          config.dryRun = true;
+          break;
+        case "--journal":
+          config.journal = next();
+          break;
+      }
+    },
+  });
+}
+
+// Validate configuration
+function validateConfig() {
+  cli.requireConnection(config, { writes: !config.dryRun });
+  cli.requireFile(config.input, "Input file", "--input <filename>");
+}
+
+// Results file written next to the input file, keeping its extension
+function resultsPathFor(input) {
+  return `${input}-import-results.json`;
+}
+
+// Shared Admin API client, created on first use from config
+const { getClient, makeGraphQLRequest } = cli.lazyClient(config);
+
+// Group rows by product, keeping the file's order
+function groupByProduct(rows) {
+  const products = new Map();
+  rows.forEach((row) => {
+    if (!products.has(row.product_id)) products.set(row.product_id, []);
+    products.get(row.product_id).push(row);
+  });
+  return products;
+}
+
+// Alt text changes: [{ mediaId, position, before, after }]
+function planAlt(rows, details, errors) {
+  const changes = [];
+  rows.forEach((row) => {
+    const cell = row.media_alt;
+    if (cell === undefined || cell === "") return;
+
+    const media = details.media.find((item) => item.id === row.media_id);
+    const after = isClearMarker(cell) ? "" : cell.trim();
+    if (after.length > MAX_ALT_LENGTH) {
+      errors.push(
+        `${row.media_id}: media_alt is longer than ${MAX_ALT_LENGTH} characters`
+      );
+      return;
+    }
+    if (after !== media.alt) {
+      changes.push({
+        mediaId: media.id,
+        position: details.media.indexOf(media) + 1,
+        before: media.alt,
+        after,
+      });
+    }
+  });
+  return changes;
+}
+
+// New media order from media_position, or null when it does not change
+// Media without a position in the file keep their current one
+function planOrder(rows, details, errors) {
+  const positions = new Map();
+  rows.forEach((row) => {
+    const cell = (row.media_position || "").trim();
+    if (cell === "") return;
+    if (!/^\d+$/.test(cell) || Number(cell) < 1) {
+      errors.push(`${row.media_id}: media_position must be a number from 1`);
+      return;
+    }
+    positions.set(row.media_id, Number(cell));
+  });
+  if (positions.size === 0) return null;
+
+  const before = details.media.map((item) => item.id);
+  const after = before
+    .map((id, index) => ({
+      id,
+      index,
+      position: positions.has(id) ? positions.get(id) : index + 1,
+    }))
+    .sort((a, b) => a.position - b.position || a.index - b.index)
+    .map((item) => item.id);
+
+  return after.some((id, index) => id !== before[index])
+    ? { before, after }
+    : null;
+}
+
+// Variant image changes from media_variants:
+// [{ variantId, variantTitle, before, after }] with media IDs ("" for none)
+function planAttachments(rows, details, errors) {
+  const wanted = new Map();
+  const listedBy = new Map();
+
+  rows.forEach((row) => {
+    const cell = row.media_variants;
+    if (cell === undefined || cell === "") return;
+
+    // Variants attached now are detached unless the row still lists them
+    attachedVariants(details, row.media_id).forEach((variant) => {
+      if (!wanted.has(variant.id)) wanted.set(variant.id, "");
+    });
+    if (isClearMarker(cell)) return;
+
+    cell
+      .split(/\r\n|\n|\r/)
+      .map((line) => line.trim())
+      .filter((line) => line !== "")
+      .forEach((text) => {
+        const variant = findVariant(details.variants, text);
+        if (!variant) {
+          errors.push(`${row.media_id}: media_variants: no variant "${text}"`);
+          return;
+        }
+        if (
+          listedBy.has(variant.id) &&
+          listedBy.get(variant.id) !== row.media_id
+        ) {
+          errors.push(
+            `media_variants: "${variant.title}" is listed under ${listedBy.get(
+              variant.id
+            )} and ${row.media_id}; a variant shows one image`
+          );
+          return;
+        }
+        listedBy.set(variant.id, row.media_id);
+        wanted.set(variant.id, row.media_id);
+      });
+  });
+
+  return details.variants
+    .filter((variant) => wanted.has(variant.id))
+    .filter((variant) => wanted.get(variant.id) !== variant.mediaId)
+    .map((variant) => ({
+      variantId: variant.id,
+      variantTitle: variant.title,
+      before: variant.mediaId,
+      after: wanted.get(variant.id),
+    }));
+}
+
+// Compare a product's rows with the shop
+// Returns { status: "invalid" | "unchanged" | "changed", errors, alt, order, attachments }
+function planProduct(rows, details) {
+  const errors = [];
+
+  const known = rows.filter((row) => {
+    if (details.media.some((item) => item.id === row.media_id)) return true;
+    errors.push(`${row.media_id || "(no media_id)"} is not on this product`);
+    return false;
+  });
+
+  const plan = {
+    alt: planAlt(known, details, errors),
+    order: planOrder(known, details, errors),
+    attachments: planAttachments(known, details, errors),
+  };
+
+  if (errors.length > 0) return { status: "invalid", errors };
+  const changed =
+    plan.alt.length > 0 || plan.order || plan.attachments.length > 0;
+  return { status: changed ? "changed" : "unchanged", errors, ...plan };
+}
+
+// Position of a media item ("#2") for tables and messages
+function mediaLabel(details, mediaId) {
+  if (!mediaId) return "(none)";
+  const index = details.media.findIndex((item) => item.id === mediaId);
+  return index === -1 ? mediaId : `#${index + 1}`;
+}
+
+// Print the planned changes as a before/after table
+function printDiff(planned) {
+  const rows = [];
+  planned.forEach(({ title, details, alt, order, attachments }) => {
+    alt.forEach((change) => {
+      rows.push({
+        target: `${title} #${change.position}`,
+        field: "alt",
+        before: change.before,
+        after: change.after === "" ? "(cleared)" : change.after,
+      });
+    });
+    if (order) {
+      rows.push({
+        target: title,
+        field: "order",
+        before: order.before.map((id) => mediaLabel(details, id)).join(" "),
+        after: order.after.map((id) => mediaLabel(details, id)).join(" "),
+      });
+    }
+    attachments.forEach((change) => {
+      rows.push({
+        target: `${title} / ${change.variantTitle}`,
+        field: "image",
+        before: mediaLabel(details, change.before),
+        after: mediaLabel(details, change.after),
+      });
+    });
+  });
+
+  if (rows.length > 0) {
+    console.log("\n" + formatDiffTable(rows));
+  }
+}
+
+// Append applied changes to the undo journal
+function recordChanges(productId, title, field, changes) {
+  if (!journal) return;
+
+  changes.forEach((change) => {
+    journal.record({
+      kind: "media",
+      target: change.target,
+      productId,
+      title,
+      field,
+      before: change.before,
+      after: change.after,
+    });
+  });
+}
+
+// Move variants to their new images: detach the old ones, then attach
+// Variants left with no image if the attach fails are journalled as detached
+async function applyAttachments(productId, title, attachments) {
+  const detach = attachments.filter((change) => change.before);
+  const attach = attachments.filter((change) => change.after);
+
+  if (detach.length > 0) {
+    await detachVariantMedia(
+      getClient(),
+      productId,
+      detach.map((change) => ({
+        variantId: change.variantId,
+        mediaIds: [change.before],
+      }))
+    );
+  }
+
+  try {
+    if (attach.length > 0) {
+      await attachVariantMedia(
+        getClient(),
+        productId,
+        attach.map((change) => ({
+          variantId: change.variantId,
+          mediaIds: [change.after],
+        }))
+      );
+    }
+  } catch (error) {
+    recordChanges(
+      productId,
+      title,
+      "variantMedia",
+      detach.map((change) => ({
+        target: change.variantId,
+        before: change.before,
+        after: "",
+      }))
+    );
+    throw error;
+  }
+
+  recordChanges(
+    productId,
+    title,
+    "variantMedia",
+    attachments.map((change) => ({
+      target: change.variantId,
+      before: change.before,
+      after: change.after,
+    }))
+  );
+}
+
+// Send one product's changes; returns the result detail
+async function applyPlan({ productId, title, alt, order, attachments }) {
+  const detail = {
+    productId,
+    title,
+    status: config.dryRun ? "dry-run" : "updated",
+    alt: alt.length,
+    reordered: Boolean(order),
+    variantImages: attachments.length,
+  };
+
+  if (config.dryRun) return detail;
+
+  try {
+    if (alt.length > 0) {
+      await updateMediaAlt(
+        getClient(),
+        productId,
+        alt.map((change) => ({ id: change.mediaId, alt: change.after }))
+      );
+      recordChanges(
+        productId,
+        title,
+        "alt",
+        alt.map((change) => ({
+          target: change.mediaId,
+          before: change.before,
+          after: change.after,
+        }))
+      );
+    }
+
+    if (order) {
+      await reorderMedia(getClient(), productId, order.after);
+      recordChanges(productId, title, "mediaOrder", [
+        {
+          target: productId,
+          before: order.before.join("\n"),
+          after: order.after.join("\n"),
+        },
+      ]);
+    }
+
+    if (attachments.length > 0) {
+      await applyAttachments(productId, title, attachments);
+    }
+
+    console.log(
+      `  ✓ ${title}: ${[
+        alt.length > 0 && `${alt.length} alt text`,
+        order && "reordered",
+        attachments.length > 0 && `${attachments.length} variant images`,
+      ]
+        .filter(Boolean)
+        .join(", ")}`
+    );
+  } catch (error) {
+    console.error(`  ✗ ${title}: ${error.message}`);
+    detail.status = "failed";
+    detail.error = error.message;
+  }
+  return detail;
+}
+
+// Main import function
+async function importMedia() {
+  try {
+    console.log("Starting product media import...");
+
+    if (config.dryRun) {
+      console.log("🔍 DRY RUN MODE - No changes will be applied");
+    }
+
+    console.log(`Reading CSV file: ${config.input}`);
+    const { headers, rows, errors } = await readCSVFile(config.input);
+    errors.forEach((error) => console.warn(`Warning: ${error.message}`));
+
+    const missing = REQUIRED_COLUMNS.filter(
+      (column) => !headers.includes(column)
+    );
+    if (missing.length > 0) {
+      throw new Error(`${config.input} has no ${missing.join(" or ")} column`);
+    }
+    const editable = EDITABLE_COLUMNS.filter((column) =>
+      headers.includes(column)
+    );
+    if (editable.length === 0) {
+      throw new Error(
+        `${
+          config.input
+        } has none of the columns an import changes: ${EDITABLE_COLUMNS.join(
+          ", "
+        )}`
+      );
+    }
+
+    const products = groupByProduct(rows);
+    console.log(
+      `Found ${rows.length} media rows for ${
+        products.size
+      } products (columns: ${editable.join(", ")})`
+    );
+
+    if (!config.dryRun) {
+      journal = createJournal(config.journal, {
+        script: "import-media",
+        shop: config.shop,
+      });
+      console.log(`Journal: ${config.journal} (run ${journal.runId})`);
+    }
+
+    const results = {
+      updated: 0,
+      failed: 0,
+      skipped: 0,
+      details: [],
+    };
+
+    // Compare every product's rows with the shop
+    const current = await fetchProductsMedia(makeGraphQLRequest, [
+      ...products.keys(),
+    ]);
+    const planned = [];
+    for (const [productId, productRows] of products) {
+      const title = productRows[0].product_title || productId;
+      const details = current.get(productId);
+      if (!details) {
+        const error = `Product ${productId} not found`;
+        console.log(`  ✗ ${title}: ${error}`);
+        results.failed++;
+        results.details.push({ productId, title, status: "failed", error });
+        continue;
+      }
+
+      const plan = planProduct(productRows, details);
+      if (plan.status === "invalid") {
+        console.log(`  ✗ ${title}:`);
+        plan.errors.forEach((error) => console.log(`    ${error}`));
+        results.failed++;
+        results.details.push({
+          productId,
+          title,
+          status: "failed",
+          error: plan.errors.join("; "),
+        });
+      } else if (plan.status === "unchanged") {
+        results.skipped++;
+        results.details.push({ productId, title, status: "unchanged" });
+      } else {
+        planned.push({ productId, title, details, ...plan });
+      }
+    }
+
+    console.log(
+      `\n${planned.length} products have changes, ${results.skipped} unchanged`
+    );
+
+    if (config.dryRun) {
+      printDiff(planned);
+    } else if (planned.length > 0) {
+      console.log("");
+    }
+
+    const totals = { alt: 0, reordered: 0, variantImages: 0 };
+    for (const plan of planned) {
+      const detail = await applyPlan(plan);
+      results.details.push(detail);
+      if (detail.status === "failed") {
+        results.failed++;
+        continue;
+      }
+      results.updated++;
+      totals.alt += detail.alt;
+      totals.reordered += detail.reordered ? 1 : 0;
+      totals.variantImages += detail.variantImages;
+    }
+
+    // Print summary
+    const verb = config.dryRun ? "to change" : "changed";
+    console.log("\n" + "=".repeat(50));
+    console.log("MEDIA IMPORT SUMMARY");
+    console.log("=".repeat(50));
+    console.log(`Total products processed: ${products.size}`);
+    console.log(
+      `${config.dryRun ? "To update" : "Updated"}: ${results.updated}`
+    );
+    console.log(`Failed: ${results.failed}`);
+    console.log(`Skipped (unchanged): ${results.skipped}`);
+    console.log(`Alt text ${verb}: ${totals.alt}`);
+    console.log(
+      `Products ${config.dryRun ? "to reorder" : "reordered"}: ${
+        totals.reordered
+      }`
+    );
+    console.log(`Variant images ${verb}: ${totals.variantImages}`);
+
+    if (config.dryRun) {
+      console.log("\n🔍 This was a dry run. No actual changes were made.");
+      console.log("Run without --dry-run to apply the changes.");
+    }
+
+    if (journal && journal.count > 0) {
+      console.log(
+        `\n${journal.count} changes journalled to ${config.journal}. To undo this run:`
+      );
+      console.log(
+        `  node rollback.js --journal ${config.journal} --run ${journal.runId}`
+      );
+    }
+
+    const resultsFile = resultsPathFor(config.input);
+    fs.writeFileSync(resultsFile, JSON.stringify(results, null, 2));
+    console.log(`\nDetailed results saved to: ${resultsFile}`);
+  } catch (error) {
+    console.error("Import failed:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  parseArgs();
+  validateConfig();
+  importMedia();
+}
+
+module.exports = {
+  importMedia,
+  planProduct,
+};
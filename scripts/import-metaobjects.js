@@ -0,0 +1,583 @@
+#!/usr/bin/env node
+
+/**
+ * Shopify Metaobject Import Script
+ * Imports edited metaobject entries (artists by default) from CSV or JSON
+ *
+ * Rows are matched to entries by id, or by handle when the id is empty. Rows
+ * that match no entry are created. Only fields whose value differs from the
+ * shop are sent; empty cells are left alone and __CLEAR__ empties a field.
+ *
+ * Usage: node import-metaobjects.js [options]
+ * Options:
+ *   --shop <shop-name>     Shopify shop name (required)
+ *   --token <access-token> Admin API access token (required)
+ *   --api-version <ver>    Admin API version (default: 2024-10)
+ *   --endpoint <url>       Send requests here instead of the shop (e.g. a mock server)
+ *   --input <filename>     Input CSV or JSON file (required)
+ *   --type <type>          Metaobject type (default: the JSON file's type, or artist)
+ *   --format <csv|json>    File format (default: from the input extension)
+ *   --no-create            Skip rows that match no existing entry
+ *   --dry-run              Preview changes without applying them
+ *   --journal <file>       Undo journal to append to (default: changes.journal.jsonl)
+ */
+
+const fs = require("fs");
+const cli = require("./cli");
+const { valuesEqual, formatDiffTable } = require("./diff");
+const {
+  coerceMetafieldValue,
+  isClearMarker,
+  CLEAR_MARKER,
+} = require("./metafields");
+const {
+  formatFor,
+  fetchMetaobjectDefinition,
+  fetchMetaobjects,
+  readMetaobjectFile,
+} = require("./metaobjects");
+const { createJournal, DEFAULT_JOURNAL_FILE } = require("./journal");
+
+// Configuration
+const config = {
+  ...cli.connectionConfig(),
+  input: "",
+  type: null,
+  format: null,
+  create: true,
+  dryRun: false,
+  journal: DEFAULT_JOURNAL_FILE,
+};
+
+// Undo journal for this run; stays null on dry runs
+let journal = null;
+
+// Text printed by --help
+function helpText() {
+  return `
+Usage: node import-metaobjects.js [options]
+
+Options:
+${cli.connectionOptionsHelp()}
+  --input <filename>     Input CSV or JSON file, as written by
+                         export-metaobjects.js (required)
+  --type <type>          Metaobject type (default: the JSON file's type, or artist)
+  --format <csv|json>    File format (default: from the input extension)
+  --no-create            Skip rows that match no existing entry instead of
+                         creating them
+  --dry-run              Preview changes without applying them
+  --journal <file>       Undo journal to append every change to, for use with
+                         rollback.js (default: ${DEFAULT_JOURNAL_FILE})
+  --help                 Show this help message
+
+Rows are matched by id, then by handle. Empty cells are left alone; use
+${CLEAR_MARKER} to empty a field. Rich-text fields take the JSON Shopify uses.
+
+${cli.ENVIRONMENT_HELP}
+
+Examples:
+  node import-metaobjects.js --input artists.csv --dry-run
+  node import-metaobjects.js --input artists.json
+`;
+}
+
+// Parse command line arguments
+function parseArgs() {
+  cli.parseArgs(config, {
+    help: helpText,
+    option(arg, next) {
+      switch (arg) {
+        case "--input":
+          config.input = next();
+          break;
+        case "--type":
+          config.type = next();
+          break;
+        case "--format":
+          config.format = next();
+          break;
+        case "--no-create":
+          config.create = false;
+          break;
+        case "--dry-run":
+          config.dryRun = true;
+          break;
+        case "--journal":
+          config.journal = next();
+          break;
+      }
+    },
+  });
+}
+
+// Validate configuration
+function validateConfig() {
+  cli.requireConnection(config, { writes: !config.dryRun });
+  cli.requireFile(config.input, "Input file", "--input <filename>");
+  config.format = formatFor(config.input, config.format);
+  if (!["csv", "json"].includes(config.format)) {
+    console.error("Error: --format must be csv or json.");
+    process.exit(1);
+  }
+}
+
+// Results file written next to the input file, keeping its extension
+function resultsPathFor(input) {
+  return `${input}-import-results.json`;
+}
+
+// Shared Admin API client, created on first use from config
+const { getClient, makeGraphQLRequest } = cli.lazyClient(config);
+
+// Update the handle and/or fields of an entry
+async function updateMetaobject(id, input) {
+  const mutation = `
+    mutation metaobjectUpdate($id: ID!, $metaobject: MetaobjectUpdateInput!) {
+      metaobjectUpdate(id: $id, metaobject: $metaobject) {
+        metaobject {
+          id
+          handle
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `;
+
+  const payload = await getClient().mutate(
+    mutation,
+    { id, metaobject: input },
+    "metaobjectUpdate"
+  );
+  return payload.metaobject;
+}
+
+// Create an entry; returns { id, handle }
+// Not retried after a 5xx or network error, which could create it twice
+async function createMetaobject(input) {
+  const mutation = `
+    mutation metaobjectCreate($metaobject: MetaobjectCreateInput!) {
+      metaobjectCreate(metaobject: $metaobject) {
+        metaobject {
+          id
+          handle
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `;
+
+  const payload = await getClient().mutate(
+    mutation,
+    { metaobject: input },
+    "metaobjectCreate",
+    { idempotent: false }
+  );
+  return payload.metaobject;
+}
+
+// Check the file's field columns against the definition; returns unknown keys
+function unknownKeys(keys, definition) {
+  return keys.filter(
+    (key) => !definition.fieldDefinitions.some((field) => field.key === key)
+  );
+}
+
+// Validate and coerce an entry's cells; returns { values, errors }
+// values is a list of { key, type, value, action } for the non-empty cells
+function extractValues(entry, definition) {
+  const values = [];
+  const errors = [];
+
+  definition.fieldDefinitions.forEach((field) => {
+    const cell = entry.fields[field.key];
+    if (cell === undefined || cell === "") return;
+
+    const type = field.type.name;
+    if (isClearMarker(cell)) {
+      if (field.required) {
+        errors.push(`${field.key}: is required and cannot be cleared`);
+      } else {
+        values.push({ key: field.key, type, value: "", action: "clear" });
+      }
+      return;
+    }
+
+    try {
+      values.push({
+        key: field.key,
+        type,
+        value: coerceMetafieldValue(field.key, cell, field),
+      });
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+
+  return { values, errors };
+}
+
+// Find the shop's entry for a row: by id, then by handle
+function findExisting(entry, existing) {
+  if (entry.id) return existing.byId.get(entry.id) || null;
+  if (entry.handle) return existing.byHandle.get(entry.handle) || null;
+  return null;
+}
+
+// Compare a row with the shop
+// Returns { status: "invalid" | "unchanged" | "changed" | "new", ... }
+function planEntry(entry, definition, existing) {
+  const { values, errors } = extractValues(entry, definition);
+  const current = findExisting(entry, existing);
+
+  if (entry.id && !current) {
+    errors.push(`${entry.id} was not found`);
+  }
+  if (errors.length > 0) {
+    return { status: "invalid", errors };
+  }
+
+  if (!current) {
+    const missing = definition.fieldDefinitions
+      .filter((field) => field.required)
+      .filter(
+        (field) =>
+          !values.some((value) => value.key === field.key && value.value)
+      )
+      .map((field) => field.key);
+    if (missing.length > 0) {
+      return {
+        status: "invalid",
+        errors: [`a new entry needs ${missing.join(", ")}`],
+      };
+    }
+    return {
+      status: "new",
+      changes: values
+        .filter((value) => value.action !== "clear")
+        .map((value) => ({ ...value, field: value.key, before: "" })),
+    };
+  }
+
+  const changes = values
+    .map((value) => ({
+      ...value,
+      field: value.key,
+      before: current.fields[value.key] ?? "",
+    }))
+    .filter((change) =>
+      change.action === "clear"
+        ? change.before !== ""
+        : !valuesEqual(change.before, change.value, change.type)
+    );
+
+  if (entry.id && entry.handle && entry.handle !== current.handle) {
+    changes.unshift({
+      field: "handle",
+      type: "",
+      before: current.handle,
+      value: entry.handle,
+    });
+  }
+
+  return changes.length > 0
+    ? { status: "changed", current, changes }
+    : { status: "unchanged", current };
+}
+
+// Name to show for a row in tables and messages
+function entryLabel(entry, definition) {
+  return (
+    entry.handle ||
+    entry.fields[definition.displayNameKey] ||
+    entry.id ||
+    "(new entry)"
+  );
+}
+
+// Print the planned changes as a before/after table
+function printDiff(planned, definition) {
+  const rows = [];
+  planned.forEach(({ entry, status, changes }) => {
+    changes.forEach((change) => {
+      rows.push({
+        target: entryLabel(entry, definition),
+        field: change.field,
+        before: status === "new" ? "(new)" : change.before,
+        after: change.action === "clear" ? "(cleared)" : change.value,
+      });
+    });
+  });
+
+  if (rows.length > 0) {
+    console.log("\n" + formatDiffTable(rows));
+  }
+}
+
+// Append the changes applied to an existing entry to the undo journal
+function recordChanges(current, changes) {
+  if (!journal) return;
+
+  changes.forEach((change) => {
+    journal.record({
+      kind: "metaobject",
+      target: current.id,
+      metaobjectType: config.type,
+      title: current.handle,
+      field: change.field,
+      key: change.field === "handle" ? null : change.key,
+      type: change.type || null,
+      before: change.before,
+      after: change.value,
+    });
+  });
+}
+
+// Append an entry the run created to the undo journal; rolling it back deletes
+// the entry again
+function recordCreation(created) {
+  if (!journal) return;
+
+  journal.record({
+    kind: "metaobject",
+    target: created.id,
+    metaobjectType: config.type,
+    title: created.handle,
+    field: "entry",
+    key: null,
+    type: null,
+    before: "",
+    after: created.id,
+  });
+}
+
+// Send one planned row; returns the result detail
+async function applyPlan({ entry, status, current, changes }, definition) {
+  const label = entryLabel(entry, definition);
+  const fields = changes
+    .filter((change) => change.field !== "handle")
+    .map((change) => ({ key: change.key, value: change.value }));
+  const handleChange = changes.find((change) => change.field === "handle");
+
+  const detail = {
+    id: current ? current.id : null,
+    handle: entry.handle || (current && current.handle) || null,
+    status: config.dryRun
+      ? "dry-run"
+      : status === "new"
+      ? "created"
+      : "updated",
+    changes: changes.map((change) => ({
+      field: change.field,
+      action: change.action || "set",
+      before: change.before,
+      after: change.value,
+    })),
+  };
+
+  if (config.dryRun) return detail;
+
+  try {
+    if (status === "new") {
+      const input = { type: config.type, fields };
+      if (entry.handle) input.handle = entry.handle;
+      const created = await createMetaobject(input);
+      recordCreation(created);
+      detail.id = created.id;
+      detail.handle = created.handle;
+      console.log(`  ✓ Created ${created.handle} (${created.id})`);
+    } else {
+      const input = { fields };
+      if (handleChange) input.handle = handleChange.value;
+      await updateMetaobject(current.id, input);
+      recordChanges(current, changes);
+      console.log(`  ✓ Updated ${label}: ${changes.length} fields`);
+    }
+  } catch (error) {
+    console.error(`  ✗ ${label}: ${error.message}`);
+    detail.status = "failed";
+    detail.error = error.message;
+  }
+  return detail;
+}
+
+// Main import function
+async function importMetaobjects() {
+  try {
+    console.log("Starting metaobject import...");
+
+    if (config.dryRun) {
+      console.log("🔍 DRY RUN MODE - No changes will be applied");
+    }
+
+    console.log(`Reading ${config.format.toUpperCase()} file: ${config.input}`);
+    const file = await readMetaobjectFile(config.input, config.format);
+    file.errors.forEach((error) => console.warn(`Warning: ${error.message}`));
+
+    if (file.type && config.type && file.type !== config.type) {
+      throw new Error(
+        `${config.input} holds "${file.type}" entries, not "${config.type}"`
+      );
+    }
+    config.type = config.type || file.type || "artist";
+
+    const definition = await fetchMetaobjectDefinition(
+      makeGraphQLRequest,
+      config.type
+    );
+    const unknown = unknownKeys(file.keys, definition);
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown ${config.type} fields: ${unknown.join(
+          ", "
+        )}. Fields: ${definition.fieldDefinitions
+          .map((field) => field.key)
+          .join(", ")}`
+      );
+    }
+
+    console.log(
+      `Found ${file.entries.length} ${config.type} entries to process`
+    );
+
+    const entries = await fetchMetaobjects(makeGraphQLRequest, config.type);
+    const existing = {
+      byId: new Map(entries.map((entry) => [entry.id, entry])),
+      byHandle: new Map(entries.map((entry) => [entry.handle, entry])),
+    };
+
+    if (!config.dryRun) {
+      journal = createJournal(config.journal, {
+        script: "import-metaobjects",
+        shop: config.shop,
+      });
+      console.log(`Journal: ${config.journal} (run ${journal.runId})`);
+    }
+
+    const results = {
+      type: config.type,
+      updated: 0,
+      created: 0,
+      failed: 0,
+      skipped: 0,
+      details: [],
+    };
+
+    // Compare every row with the shop
+    const planned = [];
+    file.entries.forEach((entry) => {
+      const plan = planEntry(entry, definition, existing);
+      const label = entryLabel(entry, definition);
+
+      if (plan.status === "invalid") {
+        console.log(`  ✗ ${label}:`);
+        plan.errors.forEach((error) => console.log(`    ${error}`));
+        results.failed++;
+        results.details.push({
+          id: entry.id || null,
+          handle: entry.handle || null,
+          status: "failed",
+          error: plan.errors.join("; "),
+        });
+      } else if (plan.status === "unchanged") {
+        results.skipped++;
+        results.details.push({
+          id: plan.current.id,
+          handle: plan.current.handle,
+          status: "unchanged",
+        });
+      } else if (plan.status === "new" && !config.create) {
+        results.skipped++;
+        results.details.push({
+          id: null,
+          handle: entry.handle || null,
+          status: "skipped",
+          error: "no existing entry (--no-create)",
+        });
+      } else {
+        planned.push({ entry, ...plan });
+      }
+    });
+
+    const toCreate = planned.filter((plan) => plan.status === "new").length;
+    console.log(
+      `\n${planned.length - toCreate} entries have changes, ${toCreate} new, ${
+        results.skipped
+      } unchanged or skipped`
+    );
+
+    if (config.dryRun) {
+      printDiff(planned, definition);
+    } else if (planned.length > 0) {
+      console.log("");
+    }
+
+    for (const plan of planned) {
+      const detail = await applyPlan(plan, definition);
+      results.details.push(detail);
+      if (detail.status === "failed") {
+        results.failed++;
+      } else if (plan.status === "new") {
+        results.created++;
+      } else {
+        results.updated++;
+      }
+    }
+
+    // Print summary
+    console.log("\n" + "=".repeat(50));
+    console.log("METAOBJECT IMPORT SUMMARY");
+    console.log("=".repeat(50));
+    console.log(`Type: ${definition.name} (${definition.type})`);
+    console.log(`Total entries processed: ${file.entries.length}`);
+    console.log(
+      `${config.dryRun ? "To update" : "Updated"}: ${results.updated}`
+    );
+    console.log(
+      `${config.dryRun ? "To create" : "Created"}: ${results.created}`
+    );
+    console.log(`Failed: ${results.failed}`);
+    console.log(`Skipped (unchanged): ${results.skipped}`);
+
+    if (config.dryRun) {
+      console.log("\n🔍 This was a dry run. No actual changes were made.");
+      console.log("Run without --dry-run to apply the changes.");
+    }
+
+    if (journal && journal.count > 0) {
+      console.log(
+        `\n${journal.count} changes journalled to ${config.journal}. To undo this run:`
+      );
+      console.log(
+        `  node rollback.js --journal ${config.journal} --run ${journal.runId}`
+      );
+    }
+
+    const resultsFile = resultsPathFor(config.input);
+    fs.writeFileSync(resultsFile, JSON.stringify(results, null, 2));
+    console.log(`\nDetailed results saved to: ${resultsFile}`);
+  } catch (error) {
+    console.error("Import failed:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  parseArgs();
+  validateConfig();
+  importMetaobjects();
+}
+
+module.exports = {
+  importMetaobjects,
+  extractValues,
+  planEntry,
+};
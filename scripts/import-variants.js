@@ -2,294 +2,499 @@
 
 /**
  * Shopify Product Variants Import Script
- * Imports product variants with metafields from edited CSV
+ * Imports product variants with metafields from edited CSV (or XLSX, JSON, JSONL)
+ *
+ * With --owner product it imports a product export instead (one row per
+ * product, keyed by product_id), writing product metafields with the same
+ * validation, diffing and dry-run report.
+ *
+ * Inventory columns from an export made with --inventory are written when
+ * --fields includes inventory: a number sets the available quantity at that
+ * location and +n / -n adjusts it, with --inventory-reason as the reason code.
+ * An adjustment the journal shows this file already made is not made again.
  *
  * Usage: node import-variants.js [options]
  * Options:
  *   --shop <shop-name>     Shopify shop name (required)
  *   --token <access-token> Admin API access token (required)
- *   --input <filename>     Input CSV filename (required)
+ *   --api-version <ver>    Admin API version (default: 2024-10)
+ *   --endpoint <url>       Send requests here instead of the shop (e.g. a mock server)
+ *   --input <filename>     Input filename (required)
+ *   --format <format>      csv, xlsx, json or jsonl (default: from the input extension)
+ *   --owner <variant|product> Whose metafields the CSV holds (default: variant)
  *   --dry-run              Preview changes without applying them
  *   --batch-size <number>  Number of variants to process per batch (default: 10)
+ *   --concurrency <number> Most batches to apply at once (default: 4)
+ *   --baseline <file>      Diff against an export's baseline snapshot
+ *   --empty-means-delete   Delete metafields whose cell is empty
+ *   --fields <list>        Allow-list of columns to write (core fields need it)
+ *   --inventory-reason <r> Reason code for inventory changes (default: correction)
+ *   --journal <file>       Undo journal to append to (default: changes.journal.jsonl)
+ *   --resume <checkpoint>  Continue an interrupted import, skipping rows already applied
+ *   --retry-failed <file>  Only re-run the rows that failed in a previous results file
  */
 
-const https = require("https");
 const fs = require("fs");
 const path = require("path");
+const cli = require("./cli");
+const { readBaseline, valuesEqual, formatDiffTable } = require("./diff");
+const {
+  metafieldColumn,
+  isMetafieldColumn,
+  parseMetafieldColumn,
+  fetchMetafieldDefinitions,
+  indexDefinitions,
+  coerceMetafieldValue,
+  isClearMarker,
+  CLEAR_MARKER,
+} = require("./metafields");
+const {
+  createJournal,
+  readJournal,
+  DEFAULT_JOURNAL_FILE,
+} = require("./journal");
+const { TABLE_FORMATS, formatFor, readTableFile } = require("./table-files");
+const {
+  WRITABLE_QUANTITIES,
+  READ_ONLY_REASONS,
+  INVENTORY_REASONS,
+  DEFAULT_INVENTORY_REASON,
+  isInventoryColumn,
+  parseInventoryColumn,
+  fetchLocations,
+  findLocation,
+  inventoryLevelFields,
+  aliasedLevels,
+  addQuantityColumns,
+  parseQuantityCell,
+  setQuantities,
+  adjustQuantities,
+} = require("./inventory");
+const {
+  runPool,
+  bucketConcurrency,
+  createBufferedLog,
+  createProgressBar,
+} = require("./worker-pool");
 
 // Configuration
 const config = {
-  shop: process.env.SHOPIFY_SHOP || "",
-  token: process.env.SHOPIFY_ACCESS_TOKEN || "",
+  ...cli.connectionConfig(),
   input: "",
+  format: null,
+  owner: "variant",
   dryRun: false,
   batchSize: 10,
+  concurrency: 4,
+  baseline: null,
+  emptyMeansDelete: false,
+  fields: null,
+  inventoryReason: DEFAULT_INVENTORY_REASON,
+  journal: DEFAULT_JOURNAL_FILE,
+  resume: null,
+  retryFailed: null,
 };
 
-// Parse command line arguments
-function parseArgs() {
-  const args = process.argv.slice(2);
-  for (let i = 0; i < args.length; i++) {
-    switch (args[i]) {
-      case "--shop":
-        config.shop = args[++i];
-        break;
-      case "--token":
-        config.token = args[++i];
-        break;
-      case "--input":
-        config.input = args[++i];
-        break;
-      case "--dry-run":
-        config.dryRun = true;
-        break;
-      case "--batch-size":
-        config.batchSize = parseInt(args[++i]);
-        break;
-      case "--help":
-        console.log(`
+// Core variant columns the import can write when listed in --fields
+const CORE_FIELDS = {
+  variant_price: { field: "price", type: "money_amount", clearable: false },
+  variant_compare_at_price: {
+    field: "compareAtPrice",
+    type: "money_amount",
+    clearable: true,
+  },
+  variant_sku: { field: "sku", type: "text", clearable: true },
+  variant_barcode: { field: "barcode", type: "text", clearable: true },
+  variant_inventory_policy: {
+    field: "inventoryPolicy",
+    type: "inventory_policy",
+    clearable: false,
+  },
+  variant_taxable: { field: "taxable", type: "boolean", clearable: false },
+};
+
+// What a row is for each --owner: the metafield owner type and the columns
+// and result keys that identify it
+const OWNERS = {
+  variant: {
+    ownerType: "PRODUCTVARIANT",
+    idColumn: "variant_id",
+    titleColumn: "variant_title",
+    idKey: "variantId",
+    titleKey: "variantTitle",
+    noun: "Variant",
+    nouns: "variants",
+  },
+  product: {
+    ownerType: "PRODUCT",
+    idColumn: "product_id",
+    titleColumn: "product_title",
+    idKey: "productId",
+    titleKey: "productTitle",
+    noun: "Product",
+    nouns: "products",
+  },
+};
+
+// Row settings for the current --owner
+function owner() {
+  return OWNERS[config.owner];
+}
+
+// The --owner option to repeat in suggested commands
+function ownerOption() {
+  return config.owner === "variant" ? "" : ` --owner ${config.owner}`;
+}
+
+// Variants looked up per request when fetching current values
+const CURRENT_VALUES_PAGE_SIZE = 50;
+
+// Most metafields Shopify accepts in one metafieldsSet call
+const METAFIELDS_SET_LIMIT = 25;
+
+// Exit status of an import that finished with failed rows, so a wrapper or a
+// scheduled job can tell it from a clean run
+const FAILED_ROWS_EXIT_CODE = 2;
+
+// Text printed by --help
+function helpText() {
+  return `
 Usage: node import-variants.js [options]
 
 Options:
-  --shop <shop-name>     Shopify shop name (required)
-  --token <access-token> Admin API access token (required)
-  --input <filename>     Input CSV filename (required)
+${cli.connectionOptionsHelp()}
+  --input <filename>     Input filename, as written by export-variants.js (required)
+  --format <format>      csv, xlsx, json or jsonl (default: from the input
+                         extension, otherwise csv)
+  --owner <variant|product>
+                         Import a variant export (default), or a product
+                         export written with --owner product
   --dry-run              Preview changes without applying them
-  --batch-size <number>  Number of variants to process per batch (default: 10)
+  --batch-size <number>  Number of variants (or products) to process per batch
+                         (default: 10)
+  --concurrency <number> Most batches to apply at once (default: 4). Fewer run
+                         while the API cost bucket is low
+  --baseline <file>      Compare against the baseline snapshot written by the
+                         export instead of fetching current values
+  --empty-means-delete   Delete metafields whose cell is empty (by default
+                         empty cells are left alone; use ${CLEAR_MARKER} to
+                         delete a single value)
+  --fields <list>        Comma-separated allow-list of columns to write, e.g.
+                         price,compare_at_price or metafields,sku. Without it
+                         only metafield columns are imported. Core fields
+                         (variants only): price, compare_at_price, sku,
+                         barcode, inventory_policy, taxable. Add inventory
+                         to write the stock columns of an --inventory export
+  --inventory-reason <reason>
+                         Reason code recorded with inventory changes, e.g.
+                         correction, cycle_count_available, received,
+                         damaged (default: ${DEFAULT_INVENTORY_REASON})
+  --journal <file>       Undo journal to append every change to, for use with
+                         rollback.js (default: ${DEFAULT_JOURNAL_FILE})
+  --resume <checkpoint>  Continue an interrupted import from the checkpoint
+                         file it wrote, skipping rows already applied
+  --retry-failed <file>  Only re-run the rows that failed in a previous
+                         *-import-results.json file
   --help                 Show this help message
 
-Environment Variables:
-  SHOPIFY_SHOP          Shopify shop name
-  SHOPIFY_ACCESS_TOKEN  Admin API access token
-        `);
-        process.exit(0);
-        break;
-    }
-  }
+${cli.ENVIRONMENT_HELP}
+
+Examples:
+  # Preview the changes in an edited variant export
+  node import-variants.js --input variants.csv --dry-run
+
+  # Apply an edited product export (product metafields)
+  node import-variants.js --owner product --input products.csv
+
+  # Stock counts: 12 sets a quantity, +3 / -2 adjusts it
+  node import-variants.js --input inventory.csv --baseline inventory.csv.baseline.json --fields inventory --inventory-reason cycle_count_available
+`;
+}
+
+// Parse command line arguments
+function parseArgs() {
+  cli.parseArgs(config, {
+    help: helpText,
+    option(arg, next) {
+      switch (arg) {
+        case "--input":
+          config.input = next();
+          break;
+        case "--format":
+          config.format = next();
+          break;
+        case "--owner":
+          config.owner = next();
+          break;
+        case "--dry-run":
+          config.dryRun = true;
+          break;
+        case "--batch-size":
+          config.batchSize = parseInt(next());
+          break;
+        case "--concurrency":
+          config.concurrency = parseInt(next());
+          break;
+        case "--baseline":
+          config.baseline = next();
+          break;
+        case "--empty-means-delete":
+          config.emptyMeansDelete = true;
+          break;
+        case "--fields":
+          config.fields = next()
+            .split(",")
+            .map((name) => name.trim())
+            .filter(Boolean);
+          break;
+        case "--inventory-reason":
+          config.inventoryReason = next();
+          break;
+        case "--journal":
+          config.journal = next();
+          break;
+        case "--resume":
+          config.resume = next();
+          break;
+        case "--retry-failed":
+          config.retryFailed = next();
+          break;
+      }
+    },
+  });
 }
 
 // Validate configuration
 function validateConfig() {
-  if (!config.shop) {
+  cli.requireConnection(config, { writes: !config.dryRun });
+  cli.requireFile(config.input, "Input file", "--input <filename>");
+  if (!Number.isInteger(config.batchSize) || config.batchSize < 1) {
+    console.error("Error: --batch-size must be a whole number from 1.");
+    process.exit(1);
+  }
+  if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+    console.error("Error: --concurrency must be a whole number from 1.");
+    process.exit(1);
+  }
+  config.format = formatFor(config.input, config.format);
+  if (!TABLE_FORMATS.includes(config.format)) {
     console.error(
-      "Error: Shop name is required. Use --shop or set SHOPIFY_SHOP environment variable."
+      `Error: --format must be one of ${TABLE_FORMATS.join(", ")}.`
     );
     process.exit(1);
   }
-  if (!config.token) {
+  if (!OWNERS[config.owner]) {
+    console.error("Error: --owner must be variant or product.");
+    process.exit(1);
+  }
+  if (config.fields) {
+    const unknown = config.fields.filter((name) => !normaliseFieldName(name));
+    if (unknown.length > 0) {
+      console.error(`Error: Unknown --fields entries: ${unknown.join(", ")}`);
+      console.error(
+        `Use metafields, namespace.key, inventory, or one of: ${Object.keys(
+          CORE_FIELDS
+        )
+          .map((column) => column.replace("variant_", ""))
+          .join(", ")}`
+      );
+      process.exit(1);
+    }
+    config.fields = config.fields.map(normaliseFieldName);
+    const core = config.fields.filter(
+      (column) => CORE_FIELDS[column] || isInventoryField(column)
+    );
+    if (config.owner === "product" && core.length > 0) {
+      console.error(
+        `Error: ${core.join(
+          ", "
+        )} can only be imported for variants; product rows only hold metafields.`
+      );
+      process.exit(1);
+    }
+  }
+  if (!INVENTORY_REASONS.includes(config.inventoryReason)) {
     console.error(
-      "Error: Access token is required. Use --token or set SHOPIFY_ACCESS_TOKEN environment variable."
+      `Error: Unknown --inventory-reason. Use one of: ${INVENTORY_REASONS.join(
+        ", "
+      )}`
     );
     process.exit(1);
   }
-  if (!config.input) {
-    console.error("Error: Input CSV file is required. Use --input <filename>");
+  if (config.baseline && !fs.existsSync(config.baseline)) {
+    console.error(`Error: Baseline file '${config.baseline}' does not exist.`);
     process.exit(1);
   }
-  if (!fs.existsSync(config.input)) {
-    console.error(`Error: Input file '${config.input}' does not exist.`);
+  if (config.resume && !fs.existsSync(config.resume)) {
+    console.error(`Error: Checkpoint file '${config.resume}' does not exist.`);
     process.exit(1);
   }
-}
-
-// Parse CSV content
-function parseCSV(content) {
-  const lines = content.split("\n").filter((line) => line.trim());
-  if (lines.length < 2) {
-    throw new Error(
-      "CSV file must have at least a header row and one data row"
+  if (config.retryFailed && !fs.existsSync(config.retryFailed)) {
+    console.error(
+      `Error: Results file '${config.retryFailed}' does not exist.`
     );
+    process.exit(1);
   }
+}
 
-  const headers = lines[0].split(",").map((h) => h.replace(/"/g, "").trim());
-  const data = [];
+// Results and checkpoint files written next to the input file. As with the
+// baseline, the input's extension is kept, so imports of the same export in
+// different formats do not overwrite each other's files
+function resultsPathFor(input) {
+  return `${input}-import-results.json`;
+}
 
-  for (let i = 1; i < lines.length; i++) {
-    const values = parseCSVLine(lines[i]);
-    if (values.length !== headers.length) {
-      console.warn(
-        `Warning: Row ${i + 1} has ${values.length} values but expected ${
-          headers.length
-        }`
-      );
-      continue;
-    }
+function checkpointPathFor(input) {
+  return `${input}-import-checkpoint.json`;
+}
 
-    const row = {};
-    headers.forEach((header, index) => {
-      row[header] = values[index] || "";
-    });
-    data.push(row);
+// Save progress after a batch; written to a temp file first so a crash
+// mid-write cannot leave a truncated checkpoint behind
+function writeCheckpoint(file, checkpoint) {
+  const temp = `${file}.tmp`;
+  fs.writeFileSync(
+    temp,
+    JSON.stringify(
+      { ...checkpoint, updatedAt: new Date().toISOString() },
+      null,
+      2
+    )
+  );
+  fs.renameSync(temp, file);
+}
+
+function readCheckpoint(file) {
+  const checkpoint = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(checkpoint.applied) || !checkpoint.results) {
+    throw new Error(`${file} is not an import checkpoint`);
   }
+  return checkpoint;
+}
 
-  return data;
+// Variant (or product) IDs that failed in a previous run's results file
+function readFailedIds(file) {
+  const results = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(results.details)) {
+    throw new Error(`${file} is not an import results file`);
+  }
+  return new Set(
+    results.details
+      .filter((detail) => detail.status === "failed")
+      .map((detail) => detail[owner().idKey])
+  );
 }
 
-// Parse a single CSV line handling quoted values
-function parseCSVLine(line) {
-  const values = [];
-  let current = "";
-  let inQuotes = false;
+// Apply --resume and --retry-failed to the rows read from the CSV
+function selectRows(rows, checkpoint) {
+  const { idColumn } = owner();
+  let selected = rows;
 
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
+  if (checkpoint) {
+    const applied = new Set(checkpoint.applied);
+    selected = selected.filter((row) => !applied.has(row[idColumn]));
+    console.log(
+      `Resuming: ${rows.length - selected.length} rows already applied, ${
+        selected.length
+      } left`
+    );
+  }
 
-    if (char === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        // Escaped quote
-        current += '"';
-        i++; // Skip next quote
-      } else {
-        // Toggle quote state
-        inQuotes = !inQuotes;
-      }
-    } else if (char === "," && !inQuotes) {
-      values.push(current.trim());
-      current = "";
-    } else {
-      current += char;
-    }
+  if (config.retryFailed) {
+    const failed = readFailedIds(config.retryFailed);
+    selected = selected.filter((row) => failed.has(row[idColumn]));
+    console.log(
+      `Retrying ${selected.length} rows that failed in ${config.retryFailed}`
+    );
   }
 
-  values.push(current.trim());
-  return values;
+  return selected;
 }
 
-// Make GraphQL request to Shopify
-function makeGraphQLRequest(query, variables = {}) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: `${config.shop}.myshopify.com`,
-      port: 443,
-      path: `/admin/api/2023-10/graphql.json`,
-      method: "POST",
-      headers: {
-        "X-Shopify-Access-Token": config.token,
-        "Content-Type": "application/json",
-      },
-    };
-
-    const requestBody = JSON.stringify({ query: query, variables: variables });
+// Read the input file in its format; rows are keyed by header, values strings
+async function readInput() {
+  const { rows, errors } = await readTableFile(config.input, config.format);
 
-    const req = https.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => {
-        try {
-          const jsonData = JSON.parse(data);
-          if (jsonData.errors) {
-            reject(
-              new Error(`GraphQL errors: ${JSON.stringify(jsonData.errors)}`)
-            );
-          } else {
-            resolve(jsonData.data);
-          }
-        } catch (error) {
-          reject(new Error(`Failed to parse response: ${error.message}`));
-        }
-      });
-    });
+  errors.forEach((error) => {
+    console.warn(`Warning: ${error.message}`);
+  });
 
-    req.on("error", (error) => {
-      reject(error);
-    });
+  if (rows.length === 0) {
+    throw new Error(
+      `${config.input} must have at least a header row and one data row`
+    );
+  }
 
-    req.write(requestBody);
-    req.end();
-  });
+  return rows;
 }
 
-// Update variant metafields using GraphQL bulk update
-async function updateVariantMetafields(variantId, metafields) {
-  if (metafields.length === 0) {
-    return [];
-  }
+// Progress bar while batches are applied; client messages print above it
+let progress = null;
 
-  try {
-    if (config.dryRun) {
-      console.log(`  [DRY RUN] Would update ${metafields.length} metafields:`);
-      metafields.forEach((metafield) => {
-        console.log(
-          `    ${metafield.namespace}.${metafield.key} = ${metafield.value}`
-        );
-      });
-      return metafields.map((metafield) => ({
-        success: true,
-        metafield,
-        action: "dry-run",
-      }));
-    }
+const clientLog = {
+  log: (...args) => (progress || console).log(...args),
+  warn: (...args) => (progress || console).warn(...args),
+};
 
-    // Extract product ID from variant ID
-    const productId = await getProductIdFromVariantId(variantId);
-    if (!productId) {
-      throw new Error(`Could not find product for variant ${variantId}`);
-    }
+// Shared Admin API client, created on first use from config
+const { getClient, makeGraphQLRequest } = cli.lazyClient(config, {
+  log: clientLog,
+});
 
-    const query = `
-      mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
-        productVariantsBulkUpdate(productId: $productId, variants: $variants) {
-          product {
-            id
-          }
-          productVariants {
-            id
-            metafields(first: 10) {
-              edges {
-                node {
-                  namespace
-                  key
-                  value
-                }
-              }
-            }
-          }
-          userErrors {
-            field
-            message
-          }
+// Undo journal for this run; only opened for real (non dry-run) imports
+let journal = null;
+
+// Update the changed fields and metafields of one product's variants in a single call
+async function updateProductVariants(productId, variantChanges) {
+  const query = `
+    mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+        product {
+          id
+        }
+        productVariants {
+          id
+        }
+        userErrors {
+          field
+          message
         }
       }
-    `;
+    }
+  `;
 
-    const variables = {
-      productId: productId,
-      variants: [
-        {
-          id: variantId,
-          metafields: metafields.map((metafield) => ({
-            namespace: metafield.namespace,
-            key: metafield.key,
-            value: metafield.value,
-            type: metafield.type || "single_line_text_field",
-          })),
-        },
-      ],
-    };
+  const variables = {
+    productId,
+    variants: variantChanges.map(({ variantId, changes }) => {
+      const input = { id: variantId };
 
-    const response = await makeGraphQLRequest(query, variables);
+      changes
+        .filter((change) => change.column)
+        .forEach((change) => {
+          const value = change.action === "clear" ? null : change.value;
+          if (change.field === "sku") {
+            input.inventoryItem = { sku: value };
+          } else if (change.field === "taxable") {
+            input.taxable = value === "true";
+          } else {
+            input[change.field] = value;
+          }
+        });
 
-    if (response.productVariantsBulkUpdate.userErrors.length > 0) {
-      const errors = response.productVariantsBulkUpdate.userErrors;
-      throw new Error(`GraphQL errors: ${JSON.stringify(errors)}`);
-    }
+      const metafields = changes.filter((change) => !change.column);
+      if (metafields.length > 0) {
+        input.metafields = metafields.map((change) => ({
+          namespace: change.namespace,
+          key: change.key,
+          value: change.value,
+          type: change.type,
+        }));
+      }
 
-    return metafields.map((metafield) => ({
-      success: true,
-      metafield,
-      response,
-    }));
-  } catch (error) {
-    console.error(
-      `  Error updating metafields for variant ${variantId}:`,
-      error.message
-    );
-    return metafields.map((metafield) => ({
-      success: false,
-      metafield,
-      error: error.message,
-    }));
-  }
+      return input;
+    }),
+  };
+
+  return getClient().mutate(query, variables, "productVariantsBulkUpdate");
 }
 
 // Get product ID from variant ID
@@ -317,32 +522,870 @@ async function getProductIdFromVariantId(variantId) {
   }
 }
 
-// Extract metafields from CSV row
+// Turn a --fields entry into the column it refers to
+// e.g. "price" → "variant_price", "custom.popular" → "metafield:custom.popular"
+function normaliseFieldName(name) {
+  if (name === "metafields" || name === "inventory") return name;
+  if (isInventoryColumn(name)) {
+    return parseInventoryColumn(name) ? name : null;
+  }
+  if (CORE_FIELDS[name]) return name;
+  if (CORE_FIELDS[`variant_${name}`]) return `variant_${name}`;
+  if (isMetafieldColumn(name)) {
+    const parsed = parseMetafieldColumn(name);
+    return parsed ? metafieldColumn(parsed.namespace, parsed.key) : null;
+  }
+  const match = name.match(/^([^.]+)\.(.+)$/);
+  return match ? metafieldColumn(match[1], match[2]) : null;
+}
+
+// Whether a --fields entry names inventory columns
+function isInventoryField(name) {
+  return name === "inventory" || isInventoryColumn(name);
+}
+
+// Whether a column may be written; without --fields only metafields are
+function isColumnAllowed(column) {
+  if (!config.fields) return isMetafieldColumn(column);
+
+  if (isInventoryColumn(column)) {
+    return (
+      config.fields.includes("inventory") || config.fields.includes(column)
+    );
+  }
+
+  if (isMetafieldColumn(column)) {
+    const definition = getColumnDefinition(column);
+    return (
+      config.fields.includes("metafields") ||
+      (definition &&
+        config.fields.includes(
+          metafieldColumn(definition.namespace, definition.key)
+        ))
+    );
+  }
+  return config.fields.includes(column);
+}
+
+// Validate a money amount and normalise it to two decimal places
+function coerceMoney(column, value) {
+  const text = value
+    .trim()
+    .replace(/^[£$€]/, "")
+    .replace(/,(?=\d{3}\b)/g, "");
+  if (!/^\d+(\.\d{1,2})?$/.test(text)) {
+    throw new Error(
+      `${column}: expected an amount like 12.95 (got ${JSON.stringify(value)})`
+    );
+  }
+  return Number(text).toFixed(2);
+}
+
+// Validate and normalise a core field value
+function coerceCoreValue(column, value) {
+  const { type } = CORE_FIELDS[column];
+
+  switch (type) {
+    case "money_amount":
+      return coerceMoney(column, value);
+    case "inventory_policy": {
+      const policy = value.trim().toUpperCase();
+      if (policy !== "DENY" && policy !== "CONTINUE") {
+        throw new Error(
+          `${column}: expected DENY or CONTINUE (got ${JSON.stringify(value)})`
+        );
+      }
+      return policy;
+    }
+    case "boolean":
+      return coerceMetafieldValue(column, value, { type: { name: "boolean" } });
+    default:
+      return value;
+  }
+}
+
+// Extract the allowed core fields from a CSV row
+function extractCoreFields(row) {
+  const fields = [];
+  const errors = [];
+
+  Object.keys(CORE_FIELDS).forEach((column) => {
+    if (!(column in row) || !isColumnAllowed(column)) return;
+    const { field, type, clearable } = CORE_FIELDS[column];
+    const value = row[column];
+
+    if (
+      isClearMarker(value) ||
+      (value === "" && config.emptyMeansDelete && clearable)
+    ) {
+      if (!clearable) {
+        errors.push(`${column}: cannot be cleared`);
+        return;
+      }
+      fields.push({ column, field, type, value: "", action: "clear" });
+      return;
+    }
+
+    if (value === "") return;
+
+    try {
+      fields.push({
+        column,
+        field,
+        type,
+        value: coerceCoreValue(column, value),
+      });
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+
+  return { fields, errors };
+}
+
+// Refuse a compare-at price below the price, using current values for unchanged cells
+function checkCompareAtPrice(changes, before) {
+  const find = (column) => changes.find((change) => change.column === column);
+  const price = find("variant_price")
+    ? find("variant_price").value
+    : before.variant_price;
+  const compareAt = find("variant_compare_at_price")
+    ? find("variant_compare_at_price").value
+    : before.variant_compare_at_price;
+
+  if (
+    (find("variant_price") || find("variant_compare_at_price")) &&
+    compareAt !== "" &&
+    compareAt != null &&
+    price !== "" &&
+    price != null &&
+    Number(compareAt) < Number(price)
+  ) {
+    return `Compare-at price ${compareAt} is below price ${price}`;
+  }
+  return null;
+}
+
+// Variant (or product) metafield definitions, loaded once per import
+let metafieldDefinitions = [];
+let definitionIndex = new Map();
+
+// Load the metafield definitions used to type each column
+async function loadMetafieldDefinitions() {
+  console.log(`Fetching ${config.owner} metafield definitions...`);
+  metafieldDefinitions = await fetchMetafieldDefinitions(
+    makeGraphQLRequest,
+    owner().ownerType
+  );
+  definitionIndex = indexDefinitions(metafieldDefinitions);
+  console.log(`Found ${metafieldDefinitions.length} metafield definitions`);
+}
+
+// Look up the definition behind a CSV column
+function getColumnDefinition(column) {
+  const parsed = parseMetafieldColumn(column, metafieldDefinitions);
+  if (!parsed) return null;
+  return definitionIndex.get(`${parsed.namespace}.${parsed.key}`) || null;
+}
+
+// Match metafield columns to definitions; columns without one are not imported
+function checkMetafieldColumns(headers) {
+  const columns = [];
+  headers.filter(isMetafieldColumn).forEach((column) => {
+    const definition = getColumnDefinition(column);
+    if (definition) {
+      console.log(`  ${column} → ${definition.type.name}`);
+      columns.push({ column, definition });
+    } else {
+      console.warn(
+        `  Warning: ${column} has no ${config.owner} metafield definition and will be ignored`
+      );
+    }
+  });
+  return columns;
+}
+
+// Report which core field columns will be written
+function checkCoreColumns(headers) {
+  const present = headers.filter((column) => CORE_FIELDS[column]);
+  const skipped = present.filter((column) => !isColumnAllowed(column));
+
+  present
+    .filter((column) => isColumnAllowed(column))
+    .forEach((column) => {
+      console.log(`  ${column} → ${CORE_FIELDS[column].field}`);
+    });
+  if (skipped.length > 0) {
+    console.log(
+      `  Not importing ${skipped.join(
+        ", "
+      )} (add them to --fields to write them)`
+    );
+  }
+}
+
+// Inventory columns being written, with their locations; loaded once per import
+let inventoryColumns = [];
+
+// Read-only inventory columns (on_hand, incoming) of the same import, whose
+// cells must not be edited
+let readOnlyColumns = [];
+
+// The locations of the inventory columns being imported, each once
+function inventoryLocations() {
+  const seen = new Map();
+  [...inventoryColumns, ...readOnlyColumns].forEach(({ location }) =>
+    seen.set(location.id, location)
+  );
+  return [...seen.values()];
+}
+
+// Match the allowed inventory columns to the shop's locations
+// Only available quantities are written; an edited on_hand or incoming cell
+// fails its row, and unknown locations are ignored
+async function checkInventoryColumns(headers) {
+  const present = headers.filter(isInventoryColumn);
+  const allowed = present.filter((column) => isColumnAllowed(column));
+  inventoryColumns = [];
+  readOnlyColumns = [];
+
+  if (present.length > 0 && allowed.length === 0) {
+    console.log(
+      "  Not importing inventory columns (add inventory to --fields to write them)"
+    );
+  }
+  if (allowed.length === 0) return;
+
+  console.log("Fetching locations...");
+  const locations = await fetchLocations(makeGraphQLRequest);
+  allowed.forEach((column) => {
+    const parsed = parseInventoryColumn(column);
+    const location = parsed && findLocation(locations, parsed.location);
+    if (!location) {
+      console.warn(
+        `  Warning: ${column} is not an active location's quantity and will be ignored`
+      );
+    } else if (!WRITABLE_QUANTITIES.includes(parsed.name)) {
+      console.log(
+        `  ${column} is read-only (${READ_ONLY_REASONS[parsed.name]})`
+      );
+      readOnlyColumns.push({ column, location, name: parsed.name });
+    } else {
+      console.log(
+        `  ${column} → ${parsed.name} at ${location.name} (reason: ${config.inventoryReason})`
+      );
+      inventoryColumns.push({ column, location, name: parsed.name });
+    }
+  });
+
+  if (inventoryColumns.length > 0 && !config.baseline) {
+    console.log(
+      "  Note: without --baseline quantities are compared with live stock, so an\n" +
+        "  unedited cell undoes stock sold since the export. Use +n / -n, or\n" +
+        "  --baseline, if stock may have moved."
+    );
+  }
+}
+
+// Extract the inventory cells of a CSV row: { column, location, name, quantity | delta }
+function extractInventory(row) {
+  const inventory = [];
+  const errors = [];
+
+  inventoryColumns.forEach(({ column, location, name }) => {
+    const value = row[column];
+    if (value === undefined || value === "") return;
+    if (isClearMarker(value)) {
+      errors.push(`${column}: cannot be cleared`);
+      return;
+    }
+    try {
+      inventory.push({
+        column,
+        location,
+        name,
+        ...parseQuantityCell(column, value),
+      });
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+
+  return { inventory, errors };
+}
+
+// Fail a row whose read-only inventory cells were edited, i.e. no longer match
+// the current quantities
+function checkReadOnlyInventory(row, before) {
+  return readOnlyColumns
+    .filter(({ column }) => {
+      const value = (row[column] ?? "").trim();
+      return value !== "" && value !== (before[column] ?? "");
+    })
+    .map(
+      ({ column, name }) =>
+        `${column}: is read-only (${
+          READ_ONLY_REASONS[name]
+        }), but was changed from ${JSON.stringify(before[column] ?? "")}`
+    );
+}
+
+// Net adjustment each quantity has had from this input file, by
+// "<variant ID>|<column>", summed from the journal; rollbacks count against it
+let appliedDeltas = new Map();
+
+// Read the adjustments earlier runs of this file made, so running it again
+// only sends the part of a +n / -n cell that has not been applied
+async function loadAppliedDeltas() {
+  appliedDeltas = new Map();
+  if (inventoryColumns.length === 0 || !fs.existsSync(config.journal)) return;
+
+  const source = path.resolve(config.input);
+  for (const entry of await readJournal(config.journal)) {
+    if (
+      entry.kind !== "inventory" ||
+      entry.delta == null ||
+      entry.source !== source ||
+      entry.shop !== config.shop
+    ) {
+      continue;
+    }
+    const key = `${entry.target}|${entry.field}`;
+    appliedDeltas.set(key, (appliedDeltas.get(key) || 0) + entry.delta);
+  }
+}
+
+// Compare inventory cells with the current quantities, keeping the ones that change
+// A signed cell adjusts live stock, less what the journal shows this file has
+// already adjusted it by. Set cells `live` stock already holds, e.g. from an
+// earlier run of the file, are skipped
+function diffInventory(inventory, before, live) {
+  const changes = [];
+  const errors = [];
+
+  inventory.forEach(({ column, location, name, quantity, delta }) => {
+    const current = before[column] ?? "";
+    if (current === "") {
+      errors.push(`${column}: not stocked at ${location.name}`);
+      return;
+    }
+    if (!before.variant_inventory_item_id) {
+      errors.push(
+        `${column}: no inventory item ID to write to (export with --inventory)`
+      );
+      return;
+    }
+    const remaining =
+      delta != null
+        ? delta - (appliedDeltas.get(`${before.variant_id}|${column}`) || 0)
+        : null;
+    const after = delta != null ? Number(current) + remaining : quantity;
+    if (after === Number(current)) return;
+    if (delta == null && live && live[column] === String(after)) return;
+
+    changes.push({
+      inventory: true,
+      field: column,
+      type: "number_integer",
+      name,
+      location: location.name,
+      locationId: location.id,
+      inventoryItemId: before.variant_inventory_item_id,
+      before: current,
+      value: String(after),
+      ...(delta != null ? { delta: remaining } : {}),
+    });
+  });
+
+  return { changes, errors };
+}
+
+// Extract metafields from CSV row, typed and validated against their definitions
 function extractMetafields(row) {
   const metafields = [];
+  const errors = [];
 
-  Object.keys(row).forEach((key) => {
-    if (key.startsWith("metafield_") && row[key]) {
-      const parts = key.replace("metafield_", "").split("_");
-      if (parts.length >= 2) {
-        const namespace = parts[0];
-        const metafieldKey = parts.slice(1).join("_");
-
-        metafields.push({
-          namespace: namespace,
-          key: metafieldKey,
-          value: row[key],
-          type: "single_line_text_field", // Default type, can be customized
-        });
+  Object.keys(row).forEach((column) => {
+    if (!isMetafieldColumn(column) || !isColumnAllowed(column)) return;
+
+    const definition = getColumnDefinition(column);
+    if (!definition) return;
+
+    // Clear marker, or an empty cell with --empty-means-delete, removes the metafield
+    if (
+      isClearMarker(row[column]) ||
+      (row[column] === "" && config.emptyMeansDelete)
+    ) {
+      metafields.push({
+        namespace: definition.namespace,
+        key: definition.key,
+        value: "",
+        type: definition.type.name,
+        action: "delete",
+      });
+      return;
+    }
+
+    if (!row[column]) return;
+
+    try {
+      metafields.push({
+        namespace: definition.namespace,
+        key: definition.key,
+        value: coerceMetafieldValue(column, row[column], definition),
+        type: definition.type.name,
+      });
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+
+  return { metafields, errors };
+}
+
+// Delete metafields; identifiers are { ownerId, namespace, key }
+async function deleteMetafields(identifiers) {
+  const query = `
+    mutation metafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+      metafieldsDelete(metafields: $metafields) {
+        deletedMetafields {
+          ownerId
+          namespace
+          key
+        }
+        userErrors {
+          field
+          message
+        }
       }
     }
+  `;
+
+  return getClient().mutate(
+    query,
+    { metafields: identifiers },
+    "metafieldsDelete"
+  );
+}
+
+// Query one aliased metafield per imported column: m0, m1, ...
+function metafieldAliases(columns) {
+  return columns
+    .map(
+      ({ definition }, index) =>
+        `m${index}: metafield(namespace: ${JSON.stringify(
+          definition.namespace
+        )}, key: ${JSON.stringify(definition.key)}) { value }`
+    )
+    .join("\n");
+}
+
+// Copy the aliased metafield values of a node onto its current-values record
+function addMetafieldValues(record, node, columns) {
+  columns.forEach(({ definition }, index) => {
+    record[metafieldColumn(definition.namespace, definition.key)] =
+      node[`m${index}`]?.value ?? "";
   });
+  return record;
+}
+
+// Set metafields on any owner; each is { ownerId, namespace, key, value, type }
+async function setMetafields(metafields) {
+  const query = `
+    mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        metafields {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  return getClient().mutate(query, { metafields }, "metafieldsSet");
+}
+
+// Fetch the current value of every imported metafield for a set of variants
+async function fetchCurrentValues(variantIds, columns) {
+  const aliases = metafieldAliases(columns);
+  const locations = inventoryLocations();
+  const inventoryFields =
+    locations.length > 0
+      ? `inventoryItem { id ${inventoryLevelFields(locations)} }`
+      : "";
+
+  const query = `
+    query getCurrentValues($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on ProductVariant {
+          id
+          product {
+            id
+          }
+          price
+          compareAtPrice
+          sku
+          barcode
+          inventoryPolicy
+          taxable
+          ${aliases}
+          ${inventoryFields}
+        }
+      }
+    }
+  `;
+
+  const current = {};
+  for (let i = 0; i < variantIds.length; i += CURRENT_VALUES_PAGE_SIZE) {
+    const ids = variantIds.slice(i, i + CURRENT_VALUES_PAGE_SIZE);
+    const response = await makeGraphQLRequest(query, { ids });
+
+    response.nodes.forEach((node) => {
+      if (!node || !node.id) return;
+      const record = {
+        variant_id: node.id,
+        product_id: node.product.id,
+        variant_price: node.price ?? "",
+        variant_compare_at_price: node.compareAtPrice ?? "",
+        variant_sku: node.sku ?? "",
+        variant_barcode: node.barcode ?? "",
+        variant_inventory_policy: node.inventoryPolicy ?? "",
+        variant_taxable: String(node.taxable),
+      };
+      if (locations.length > 0) {
+        record.variant_inventory_item_id = node.inventoryItem?.id || "";
+        addQuantityColumns(
+          record,
+          aliasedLevels(node.inventoryItem, locations),
+          locations
+        );
+      }
+      current[node.id] = addMetafieldValues(record, node, columns);
+    });
+  }
+
+  return current;
+}
+
+// Fetch the current value of every imported product metafield for a set of products
+async function fetchCurrentProductValues(productIds, columns) {
+  const query = `
+    query getCurrentProductValues($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          id
+          title
+          ${metafieldAliases(columns)}
+        }
+      }
+    }
+  `;
+
+  const current = {};
+  for (let i = 0; i < productIds.length; i += CURRENT_VALUES_PAGE_SIZE) {
+    const ids = productIds.slice(i, i + CURRENT_VALUES_PAGE_SIZE);
+    const response = await makeGraphQLRequest(query, { ids });
+
+    response.nodes.forEach((node) => {
+      if (!node || !node.id) return;
+      current[node.id] = addMetafieldValues(
+        { product_id: node.id, product_title: node.title },
+        node,
+        columns
+      );
+    });
+  }
 
-  return metafields;
+  return current;
 }
 
-// Process variants in batches
-async function processBatch(variants) {
+// Load the values each row is compared against: a baseline snapshot or live data
+async function loadCurrentValues(rows, columns) {
+  const { idColumn } = owner();
+
+  if (config.baseline) {
+    console.log(`Comparing against baseline: ${config.baseline}`);
+    const baseline = readBaseline(config.baseline);
+    if (baseline.idColumn !== idColumn) {
+      throw new Error(
+        `${config.baseline} is a baseline of ${baseline.idColumn} rows; --owner ${config.owner} needs ${idColumn}`
+      );
+    }
+    console.log(`  Baseline exported at ${baseline.exportedAt}`);
+    return baseline.rows;
+  }
+
+  console.log("Fetching current values from Shopify...");
+  const ids = [...new Set(rows.map((row) => row[idColumn]))];
+  return config.owner === "product"
+    ? fetchCurrentProductValues(ids, columns)
+    : fetchCurrentValues(ids, columns);
+}
+
+// Read live stock for the rows when comparing against a baseline, so stock
+// cells an earlier run already wrote are not sent again
+async function loadLiveStock(rows) {
+  if (!config.baseline || inventoryColumns.length === 0) return {};
+
+  console.log("Fetching live stock...");
+  const ids = [...new Set(rows.map((row) => row.variant_id))];
+  return fetchCurrentValues(ids, []);
+}
+
+// Compare extracted metafields with the current values, keeping the ones that change
+function diffMetafields(metafields, before) {
+  return metafields
+    .map((metafield) => ({
+      ...metafield,
+      field: `${metafield.namespace}.${metafield.key}`,
+      before: before[metafieldColumn(metafield.namespace, metafield.key)] ?? "",
+    }))
+    .filter((change) =>
+      change.action === "delete"
+        ? change.before !== ""
+        : !valuesEqual(change.before, change.value, change.type)
+    );
+}
+
+// Work out which cells of a row differ from the current values
+// `live` holds the live stock when `current` is a baseline
+async function planVariant(variant, current, live = {}) {
+  const variantId = variant.variant_id;
+  const { metafields, errors: metafieldErrors } = extractMetafields(variant);
+  const { fields, errors: fieldErrors } = extractCoreFields(variant);
+  const { inventory, errors: inventoryErrors } = extractInventory(variant);
+  const errors = [...fieldErrors, ...metafieldErrors, ...inventoryErrors];
+
+  if (errors.length > 0) {
+    return { status: "invalid", errors };
+  }
+
+  const before = current[variantId];
+  if (!before) {
+    return {
+      status: "invalid",
+      errors: [`Variant ${variantId} was not found`],
+    };
+  }
+
+  const readOnlyErrors = checkReadOnlyInventory(variant, before);
+  if (readOnlyErrors.length > 0) {
+    return { status: "invalid", errors: readOnlyErrors };
+  }
+
+  const fieldChanges = fields
+    .map((field) => ({ ...field, before: before[field.column] ?? "" }))
+    .filter((change) =>
+      change.action === "clear"
+        ? change.before !== ""
+        : !valuesEqual(change.before, change.value, change.type)
+    );
+
+  const compareAtError = checkCompareAtPrice(fieldChanges, before);
+  if (compareAtError) {
+    return { status: "invalid", errors: [compareAtError] };
+  }
+
+  const metafieldChanges = diffMetafields(metafields, before);
+
+  const inventoryDiff = diffInventory(inventory, before, live[variantId]);
+  if (inventoryDiff.errors.length > 0) {
+    return { status: "invalid", errors: inventoryDiff.errors };
+  }
+
+  const changes = [
+    ...fieldChanges,
+    ...metafieldChanges,
+    ...inventoryDiff.changes,
+  ];
+
+  if (changes.length === 0) {
+    return { status: "unchanged", changes };
+  }
+
+  let productId = variant.product_id || before.product_id;
+  if (!productId) {
+    productId = await getProductIdFromVariantId(variantId);
+  }
+  if (!productId) {
+    return {
+      status: "invalid",
+      errors: [`Could not find product for variant ${variantId}`],
+    };
+  }
+
+  return { status: "changed", productId, changes };
+}
+
+// Work out which product metafields of a row (--owner product) differ
+function planProduct(product, current) {
+  const productId = product.product_id;
+  const { metafields, errors } = extractMetafields(product);
+
+  if (errors.length > 0) {
+    return { status: "invalid", errors };
+  }
+
+  const before = current[productId];
+  if (!before) {
+    return {
+      status: "invalid",
+      errors: [`Product ${productId} was not found`],
+    };
+  }
+
+  const changes = diffMetafields(metafields, before);
+  if (changes.length === 0) {
+    return { status: "unchanged", changes };
+  }
+  return { status: "changed", productId, changes };
+}
+
+// Print the planned changes as a before/after table
+function printDiff(planned) {
+  const { idColumn, titleColumn } = owner();
+  const rows = [];
+  planned.forEach(({ row, changes }) => {
+    changes.forEach((change) => {
+      rows.push({
+        target: row[titleColumn] || row[idColumn],
+        field: change.field,
+        before: change.before,
+        after:
+          change.action === "delete"
+            ? "(deleted)"
+            : change.action === "clear"
+            ? "(cleared)"
+            : change.delta != null
+            ? `${change.value} (${change.delta > 0 ? "+" : ""}${change.delta})`
+            : change.value,
+      });
+    });
+  });
+
+  if (rows.length > 0) {
+    console.log("\n" + formatDiffTable(rows));
+  }
+}
+
+// Group changed variants by product, keeping each product's rows together
+function groupByProduct(planned) {
+  const groups = new Map();
+  planned.forEach((entry) => {
+    if (!groups.has(entry.productId)) groups.set(entry.productId, []);
+    groups.get(entry.productId).push(entry);
+  });
+  return [...groups.entries()].map(([productId, entries]) => ({
+    productId,
+    entries,
+  }));
+}
+
+// Append the changes that were applied to one variant (or product) to the undo journal
+function recordChanges(productId, variantId, changes) {
+  if (!journal) return;
+
+  changes.forEach((change) => {
+    const after = change.action ? null : change.value;
+    if (change.inventory) {
+      journal.record({
+        kind: "inventory",
+        target: variantId,
+        productId,
+        field: change.field,
+        inventoryItemId: change.inventoryItemId,
+        locationId: change.locationId,
+        location: change.location,
+        name: change.name,
+        reason: config.inventoryReason,
+        before: change.before,
+        after,
+        ...(change.delta != null
+          ? { delta: change.delta, source: path.resolve(config.input) }
+          : {}),
+      });
+    } else if (change.column) {
+      journal.record({
+        kind: "variant",
+        target: variantId,
+        productId,
+        field: change.field,
+        column: change.column,
+        before: change.before,
+        after,
+      });
+    } else {
+      journal.record({
+        kind: "metafield",
+        ...(config.owner === "product" ? { ownerType: "PRODUCT" } : {}),
+        target: variantId,
+        productId,
+        field: change.field,
+        namespace: change.namespace,
+        key: change.key,
+        type: change.type,
+        before: change.before,
+        after,
+      });
+    }
+  });
+}
+
+// Write the inventory changes of one product's variants, journalling each
+// mutation's changes and adding them to `applied` once it succeeds
+// Plain cells are set, refused by Shopify if the quantity is no longer
+// `before`; signed cells are adjusted afterwards, so stock sold meanwhile is
+// kept. Each quantity has one cell, so a set and an adjust never meet
+async function applyInventoryChanges(productId, stock, applied) {
+  const changes = stock.flatMap(({ variantId, changes }) =>
+    changes.map((change) => ({ variantId, change }))
+  );
+  const record = (written) =>
+    written.forEach(({ variantId, change }) => {
+      recordChanges(productId, variantId, [change]);
+      applied.add(change);
+    });
+  const adjusts = changes.filter(({ change }) => change.delta != null);
+  const sets = changes.filter((item) => !adjusts.includes(item));
+
+  for (const name of WRITABLE_QUANTITIES) {
+    const named = sets.filter(({ change }) => change.name === name);
+    if (named.length === 0) continue;
+    await setQuantities(
+      getClient(),
+      name,
+      config.inventoryReason,
+      named.map(({ change }) => ({
+        inventoryItemId: change.inventoryItemId,
+        locationId: change.locationId,
+        quantity: Number(change.value),
+        compareQuantity: Number(change.before),
+      }))
+    );
+    record(named);
+  }
+
+  if (adjusts.length > 0) {
+    await adjustQuantities(
+      getClient(),
+      "available",
+      config.inventoryReason,
+      adjusts.map(({ change }) => ({
+        inventoryItemId: change.inventoryItemId,
+        locationId: change.locationId,
+        delta: change.delta,
+      }))
+    );
+    record(adjusts);
+  }
+}
+
+// Process a batch of product groups, one productVariantsBulkUpdate each
+// Progress is printed to `out`, which batches running side by side buffer
+async function processBatch(groups, out = console) {
   const results = {
     success: 0,
     failed: 0,
@@ -350,129 +1393,535 @@ async function processBatch(variants) {
     details: [],
   };
 
-  for (const variant of variants) {
-    try {
-      const variantId = variant.variant_id;
-      const metafields = extractMetafields(variant);
+  for (const { productId, entries } of groups) {
+    const fieldCount = entries.reduce((n, e) => n + e.changes.length, 0);
+    out.log(
+      `  Product ${productId}: ${entries.length} variants, ${fieldCount} changed fields`
+    );
 
-      if (metafields.length === 0) {
-        console.log(
-          `  Skipping variant ${variantId} - no metafields to update`
-        );
-        results.skipped++;
-        continue;
-      }
+    const updates = entries
+      .map(({ row, changes }) => ({
+        variantId: row.variant_id,
+        changes: changes.filter(
+          (change) => change.action !== "delete" && !change.inventory
+        ),
+      }))
+      .filter((update) => update.changes.length > 0);
+    const stock = entries
+      .map(({ row, changes }) => ({
+        variantId: row.variant_id,
+        changes: changes.filter((change) => change.inventory),
+      }))
+      .filter((update) => update.changes.length > 0);
+    const deletions = entries.flatMap(({ row, changes }) =>
+      changes
+        .filter((change) => change.action === "delete")
+        .map((change) => ({
+          ownerId: row.variant_id,
+          namespace: change.namespace,
+          key: change.key,
+        }))
+    );
 
-      console.log(
-        `  Processing variant ${variantId} (${variant.variant_title}) - ${metafields.length} metafields`
-      );
+    let updateError = null;
+    let deleteError = null;
+    let inventoryError = null;
+    const appliedStock = new Set();
+    if (!config.dryRun) {
+      if (updates.length > 0) {
+        try {
+          await updateProductVariants(productId, updates);
+          updates.forEach(({ variantId, changes }) =>
+            recordChanges(productId, variantId, changes)
+          );
+        } catch (err) {
+          updateError = err.message;
+          out.error(`    ✗ ${updateError}`);
+        }
+      }
+      if (deletions.length > 0) {
+        try {
+          await deleteMetafields(deletions);
+          entries.forEach(({ row, changes }) =>
+            recordChanges(
+              productId,
+              row.variant_id,
+              changes.filter((change) => change.action === "delete")
+            )
+          );
+        } catch (err) {
+          deleteError = err.message;
+          out.error(`    ✗ ${deleteError}`);
+        }
+      }
+      if (stock.length > 0) {
+        try {
+          await applyInventoryChanges(productId, stock, appliedStock);
+        } catch (err) {
+          inventoryError = err.message;
+          out.error(`    ✗ ${inventoryError}`);
+        }
+      }
+    }
 
-      const metafieldResults = await updateVariantMetafields(
-        variantId,
-        metafields
-      );
+    // The error of the mutation that failed to send a change, if any; stock
+    // changes a mutation applied before a later one failed are not failures
+    const changeError = (change) => {
+      if (change.action === "delete") return deleteError;
+      if (!change.inventory) return updateError;
+      return appliedStock.has(change) ? null : inventoryError;
+    };
 
-      const successCount = metafieldResults.filter((r) => r.success).length;
-      const failCount = metafieldResults.filter((r) => !r.success).length;
+    entries.forEach(({ row, changes }) => {
+      const error =
+        [...new Set(changes.map(changeError).filter(Boolean))].join("; ") ||
+        null;
 
-      if (failCount === 0) {
-        results.success++;
-        console.log(`    ✓ Successfully updated ${successCount} metafields`);
-      } else {
+      if (error) {
         results.failed++;
-        console.log(
-          `    ✗ Failed to update ${failCount} of ${metafields.length} metafields`
-        );
+      } else {
+        results.success++;
       }
-
       results.details.push({
-        variantId,
-        variantTitle: variant.variant_title,
-        metafieldResults,
+        variantId: row.variant_id,
+        variantTitle: row.variant_title,
+        productId,
+        status: error ? "failed" : config.dryRun ? "dry-run" : "updated",
+        changes: changes.map((change) => ({
+          field: change.field,
+          type: change.type,
+          action: change.action || (change.delta != null ? "adjust" : "set"),
+          before: change.before,
+          after: change.value,
+          ...(change.delta != null ? { delta: change.delta } : {}),
+          ...(changeError(change) ? { failed: true } : {}),
+        })),
+        ...(error ? { error } : {}),
       });
-    } catch (error) {
-      console.error(
-        `  Error processing variant ${variant.variant_id}:`,
-        error.message
+    });
+
+    if (!updateError && !deleteError && !inventoryError) {
+      out.log(
+        `    ✓ ${config.dryRun ? "Would update" : "Updated"} ${
+          fieldCount - deletions.length
+        } fields, ${config.dryRun ? "would delete" : "deleted"} ${
+          deletions.length
+        }`
       );
-      results.failed++;
-      results.details.push({
-        variantId: variant.variant_id,
-        variantTitle: variant.variant_title,
-        error: error.message,
-      });
     }
   }
 
   return results;
 }
 
+// Process a batch of products (--owner product): metafieldsSet writes the new
+// values, up to 25 at a time, and metafieldsDelete removes cleared ones
+async function processProductBatch(groups, out = console) {
+  const results = {
+    success: 0,
+    failed: 0,
+    skipped: 0,
+    details: [],
+  };
+  const entries = groups.flatMap((group) => group.entries);
+  const errors = new Map();
+  const failedChanges = new Set();
+  const fail = ({ productId, change }, message) => {
+    if (!errors.has(productId)) errors.set(productId, new Set());
+    errors.get(productId).add(message);
+    failedChanges.add(change);
+  };
+
+  const sets = entries.flatMap(({ productId, changes }) =>
+    changes
+      .filter((change) => change.action !== "delete")
+      .map((change) => ({ productId, change }))
+  );
+  const deletions = entries.flatMap(({ productId, changes }) =>
+    changes
+      .filter((change) => change.action === "delete")
+      .map((change) => ({ productId, change }))
+  );
+
+  if (!config.dryRun) {
+    for (let i = 0; i < sets.length; i += METAFIELDS_SET_LIMIT) {
+      const chunk = sets.slice(i, i + METAFIELDS_SET_LIMIT);
+      try {
+        await setMetafields(
+          chunk.map(({ productId, change }) => ({
+            ownerId: productId,
+            namespace: change.namespace,
+            key: change.key,
+            value: change.value,
+            type: change.type,
+          }))
+        );
+        chunk.forEach(({ productId, change }) =>
+          recordChanges(productId, productId, [change])
+        );
+      } catch (err) {
+        out.error(`    ✗ ${err.message}`);
+        chunk.forEach((item) => fail(item, err.message));
+      }
+    }
+    if (deletions.length > 0) {
+      try {
+        await deleteMetafields(
+          deletions.map(({ productId, change }) => ({
+            ownerId: productId,
+            namespace: change.namespace,
+            key: change.key,
+          }))
+        );
+        deletions.forEach(({ productId, change }) =>
+          recordChanges(productId, productId, [change])
+        );
+      } catch (err) {
+        out.error(`    ✗ ${err.message}`);
+        deletions.forEach((item) => fail(item, err.message));
+      }
+    }
+  }
+
+  entries.forEach(({ row, productId, changes }) => {
+    const error = errors.has(productId)
+      ? [...errors.get(productId)].join("; ")
+      : null;
+    const deleted = changes.filter((change) => change.action === "delete");
+
+    if (error) {
+      results.failed++;
+      out.log(`  ✗ Product ${productId} (${row.product_title})`);
+    } else {
+      results.success++;
+      out.log(
+        `  ✓ Product ${productId} (${row.product_title}): ${
+          config.dryRun ? "would update" : "updated"
+        } ${changes.length - deleted.length} fields, ${
+          config.dryRun ? "would delete" : "deleted"
+        } ${deleted.length}`
+      );
+    }
+    results.details.push({
+      productId,
+      productTitle: row.product_title,
+      status: error ? "failed" : config.dryRun ? "dry-run" : "updated",
+      changes: changes.map((change) => ({
+        field: change.field,
+        type: change.type,
+        action: change.action || "set",
+        before: change.before,
+        after: change.value,
+        ...(failedChanges.has(change) ? { failed: true } : {}),
+      })),
+      ...(error ? { error } : {}),
+    });
+  });
+
+  return results;
+}
+
 // Main import function
 async function importVariants() {
   try {
-    console.log("Starting variant import...");
+    const { idColumn, titleColumn, idKey, titleKey, noun, nouns } = owner();
+    console.log(`Starting ${config.owner} import...`);
 
     if (config.dryRun) {
       console.log("🔍 DRY RUN MODE - No changes will be applied");
     }
 
-    // Read and parse CSV
-    console.log(`Reading CSV file: ${config.input}`);
-    const csvContent = fs.readFileSync(config.input, "utf8");
-    const variants = parseCSV(csvContent);
+    console.log(`Reading ${config.format.toUpperCase()} file: ${config.input}`);
+    const rows = await readInput();
+    const headers = Object.keys(rows[0]);
+
+    const checkpoint = config.resume ? readCheckpoint(config.resume) : null;
+    if (
+      checkpoint &&
+      path.resolve(checkpoint.input) !== path.resolve(config.input)
+    ) {
+      console.warn(
+        `Warning: checkpoint was written for ${checkpoint.input}, not ${config.input}`
+      );
+    }
+    const variants = selectRows(rows, checkpoint);
+
+    console.log(`Found ${variants.length} ${nouns} to process`);
 
-    console.log(`Found ${variants.length} variants to process`);
+    await loadMetafieldDefinitions();
+    const columns = checkMetafieldColumns(headers);
+    checkCoreColumns(headers);
+    await checkInventoryColumns(headers);
+    const current =
+      variants.length > 0 ? await loadCurrentValues(variants, columns) : {};
+    const live = await loadLiveStock(variants);
+    await loadAppliedDeltas();
 
-    // Process in batches
+    if (!config.dryRun) {
+      // A resumed import keeps its run ID so one rollback covers all of it
+      journal = createJournal(config.journal, {
+        script: "import-variants",
+        shop: config.shop,
+        runId: checkpoint ? checkpoint.runId : undefined,
+      });
+      console.log(`Journal: ${config.journal} (run ${journal.runId})`);
+    }
+
+    // Rows applied before the checkpoint count towards this run's results
+    const resumed = checkpoint
+      ? checkpoint.results.details.filter((d) => d.status === "updated")
+      : [];
     const totalResults = {
-      success: 0,
+      success: resumed.length,
       failed: 0,
       skipped: 0,
-      details: [],
+      details: [...resumed],
     };
 
-    for (let i = 0; i < variants.length; i += config.batchSize) {
-      const batch = variants.slice(i, i + config.batchSize);
-      console.log(
-        `\nProcessing batch ${Math.floor(i / config.batchSize) + 1} (${
-          batch.length
-        } variants)...`
+    // Each result's row number in the file; the results file is sorted by it,
+    // so it is in CSV order whatever order the batches finished in. Resumed
+    // rows are found by ID
+    const rowIndex = new Map(rows.map((row, index) => [row, index]));
+    const rowPositions = new Map();
+    const placeResult = (detail, row) =>
+      rowPositions.set(detail, rowIndex.get(row) ?? -1);
+    if (resumed.length > 0) {
+      const firstRow = new Map();
+      rows.forEach((row) => {
+        if (!firstRow.has(row[idColumn])) firstRow.set(row[idColumn], row);
+      });
+      resumed.forEach((detail) =>
+        placeResult(detail, firstRow.get(detail[idKey]))
       );
+    }
 
-      const batchResults = await processBatch(batch);
+    const checkpointFile = config.resume || checkpointPathFor(config.input);
+    const startedAt = new Date().toISOString();
+    // `results` are the run's results so far, including finished batches
+    const saveCheckpoint = (results, completedBatches, totalBatches) => {
+      if (config.dryRun) return;
+      writeCheckpoint(checkpointFile, {
+        input: config.input,
+        runId: journal.runId,
+        startedAt: checkpoint ? checkpoint.startedAt : startedAt,
+        completedBatches,
+        totalBatches,
+        applied: results.details
+          .filter((detail) => detail.status === "updated")
+          .map((detail) => detail[idKey]),
+        results,
+      });
+    };
 
-      totalResults.success += batchResults.success;
-      totalResults.failed += batchResults.failed;
-      totalResults.skipped += batchResults.skipped;
-      totalResults.details.push(...batchResults.details);
+    // Compare every row with the current values
+    const planned = [];
+    for (const row of variants) {
+      const plan =
+        config.owner === "product"
+          ? planProduct(row, current)
+          : await planVariant(row, current, live);
 
-      // Add delay between batches to avoid rate limiting
-      if (i + config.batchSize < variants.length && !config.dryRun) {
-        console.log("  Waiting 1 second before next batch...");
-        await new Promise((resolve) => setTimeout(resolve, 1000));
+      if (plan.status === "invalid") {
+        console.log(`  ✗ ${noun} ${row[idColumn]} (${row[titleColumn]}):`);
+        plan.errors.forEach((error) => console.log(`    ${error}`));
+        const detail = {
+          [idKey]: row[idColumn],
+          [titleKey]: row[titleColumn],
+          status: "failed",
+          error: plan.errors.join("; "),
+        };
+        totalResults.failed++;
+        totalResults.details.push(detail);
+        placeResult(detail, row);
+      } else if (plan.status === "unchanged") {
+        const detail = {
+          [idKey]: row[idColumn],
+          [titleKey]: row[titleColumn],
+          status: "unchanged",
+        };
+        totalResults.skipped++;
+        totalResults.details.push(detail);
+        placeResult(detail, row);
+      } else {
+        planned.push({ row, ...plan });
       }
     }
 
+    console.log(
+      `\n${planned.length} ${nouns} have changes, ${totalResults.skipped} unchanged`
+    );
+
+    if (config.dryRun) {
+      printDiff(planned);
+    }
+
+    // Process in batches of whole products, up to batch-size variants each
+    // (a product row is a group of one)
+    const groups = groupByProduct(planned);
+    const batches = [];
+    let currentBatch = [];
+    let batchVariants = 0;
+    groups.forEach((group) => {
+      if (
+        currentBatch.length > 0 &&
+        batchVariants + group.entries.length > config.batchSize
+      ) {
+        batches.push(currentBatch);
+        currentBatch = [];
+        batchVariants = 0;
+      }
+      currentBatch.push(group);
+      batchVariants += group.entries.length;
+    });
+    if (currentBatch.length > 0) batches.push(currentBatch);
+
+    // Batches run side by side, as many as the cost bucket allows. Each
+    // batch's output is printed when it finishes, and its results are added
+    // once all have finished
+    const addResults = (target, batchResults) => {
+      target.success += batchResults.success;
+      target.failed += batchResults.failed;
+      target.skipped += batchResults.skipped;
+      target.details.push(...batchResults.details);
+    };
+    // Results so far, in the order batches finish, for the checkpoint
+    const finished = { ...totalResults, details: [...totalResults.details] };
+    let finishedBatches = 0;
+
+    if (batches.length > 0) {
+      console.log(
+        `\nProcessing ${batches.length} batches, up to ${config.concurrency} at a time...`
+      );
+      progress = createProgressBar({ total: batches.length, unit: "batches" });
+    }
+
+    let batchResults;
+    try {
+      batchResults = await runPool(
+        batches,
+        async (batch, i) => {
+          const out = createBufferedLog();
+          out.log(
+            `\nBatch ${i + 1}/${batches.length} (${batch.length} products):`
+          );
+          const results =
+            config.owner === "product"
+              ? await processProductBatch(batch, out)
+              : await processBatch(batch, out);
+          return { results, out };
+        },
+        {
+          concurrency: config.concurrency,
+          limit: () =>
+            bucketConcurrency(getClient().throttleStatus(), config.concurrency),
+          onDone: ({ results, out }) => {
+            out.flush(progress);
+            addResults(finished, results);
+            saveCheckpoint(finished, ++finishedBatches, batches.length);
+            progress.tick();
+          },
+        }
+      );
+    } finally {
+      if (progress) progress.stop();
+      progress = null;
+    }
+    // A batch's details follow its entries, product group by product group
+    batchResults.forEach(({ results }, i) => {
+      const batchRows = batches[i].flatMap((group) =>
+        group.entries.map((entry) => entry.row)
+      );
+      results.details.forEach((detail, j) => placeResult(detail, batchRows[j]));
+      addResults(totalResults, results);
+    });
+    totalResults.details.sort(
+      (a, b) => rowPositions.get(a) - rowPositions.get(b)
+    );
+
     // Print summary
     console.log("\n" + "=".repeat(50));
     console.log("IMPORT SUMMARY");
     console.log("=".repeat(50));
-    console.log(`Total variants processed: ${variants.length}`);
+    console.log(
+      `Total ${nouns} processed: ${variants.length + resumed.length}`
+    );
+    if (resumed.length > 0) {
+      console.log(`  (${resumed.length} applied before resuming)`);
+    }
     console.log(`Successfully updated: ${totalResults.success}`);
     console.log(`Failed: ${totalResults.failed}`);
-    console.log(`Skipped: ${totalResults.skipped}`);
+    console.log(`Skipped (unchanged): ${totalResults.skipped}`);
+
+    // Only changes that were applied count, not the failed ones of a row
+    const deletions = totalResults.details.flatMap((detail) =>
+      (detail.changes || [])
+        .filter((change) => change.action === "delete" && !change.failed)
+        .map((change) => ({ ...change, ownerId: detail[idKey] }))
+    );
+    if (deletions.length > 0) {
+      console.log(
+        `Metafields ${config.dryRun ? "to delete" : "deleted"}: ${
+          deletions.length
+        }`
+      );
+      deletions.forEach((deletion) => {
+        console.log(`  - ${deletion.ownerId} ${deletion.field}`);
+      });
+    }
+
+    const stockChanges = totalResults.details.flatMap((detail) =>
+      (detail.changes || []).filter(
+        (change) => isInventoryColumn(change.field) && !change.failed
+      )
+    );
+    if (stockChanges.length > 0) {
+      console.log(
+        `Inventory quantities ${config.dryRun ? "to change" : "changed"}: ${
+          stockChanges.length
+        } (reason: ${config.inventoryReason})`
+      );
+    }
 
     if (config.dryRun) {
       console.log("\n🔍 This was a dry run. No actual changes were made.");
       console.log("Run without --dry-run to apply the changes.");
     }
 
+    if (journal && journal.count > 0) {
+      console.log(
+        `\n${journal.count} changes journalled to ${config.journal}. To undo this run:`
+      );
+      console.log(
+        `  node rollback.js --journal ${config.journal} --run ${journal.runId}`
+      );
+    }
+
     // Save detailed results
-    const resultsFile = config.input.replace(".csv", "-import-results.json");
+    const resultsFile = resultsPathFor(config.input);
     fs.writeFileSync(resultsFile, JSON.stringify(totalResults, null, 2));
     console.log(`\nDetailed results saved to: ${resultsFile}`);
+
+    if (!config.dryRun && fs.existsSync(checkpointFile)) {
+      fs.unlinkSync(checkpointFile);
+    }
+    if (totalResults.failed > 0) {
+      console.log(
+        `To retry only the failed rows: node import-variants.js${ownerOption()} --input ${
+          config.input
+        } --retry-failed ${resultsFile}`
+      );
+      process.exit(FAILED_ROWS_EXIT_CODE);
+    }
   } catch (error) {
     console.error("Import failed:", error.message);
+    const checkpointFile = config.resume || checkpointPathFor(config.input);
+    if (!config.dryRun && fs.existsSync(checkpointFile)) {
+      console.error(
+        `Progress was saved. To continue: node import-variants.js${ownerOption()} --input ${
+          config.input
+        } --resume ${checkpointFile}`
+      );
+    }
     process.exit(1);
   }
 }
@@ -485,9 +1934,16 @@ if (require.main === module) {
 }
 
 module.exports = {
+  FAILED_ROWS_EXIT_CODE,
   importVariants,
-  parseCSV,
+  resultsPathFor,
   makeGraphQLRequest,
-  updateVariantMetafields,
+  updateProductVariants,
+  deleteMetafields,
+  fetchCurrentValues,
+  planVariant,
+  planProduct,
+  setMetafields,
   getProductIdFromVariantId,
+  extractMetafields,
 };
@@ -0,0 +1,272 @@
+/**
+ * Inventory Quantities by Location
+ * Shared by the variant export/import scripts and rollback.js
+ *
+ * Quantities are one column per location and quantity name, named
+ * `inventory:<location name>.<quantity>`, e.g.
+ *   inventory:SE1 Workshop.available, inventory:SE1 Workshop.on_hand,
+ *   inventory:SE1 Workshop.incoming
+ *
+ * In an import a plain number sets the quantity ("12") and a signed one
+ * adjusts it by that much ("+3", "-2"), so stock sold while the file was
+ * being edited is kept. Only available stock is imported: on hand moves with
+ * it, so a stale on_hand cell would undo an available edit, and incoming
+ * stock changes with transfers and purchase orders.
+ *
+ * Usage:
+ *   const { fetchLocations, inventoryLevelFields } = require("./inventory");
+ *   const locations = await fetchLocations(request);
+ *   const query = `... inventoryItem { id ${inventoryLevelFields(locations)} } ...`;
+ */
+
+const INVENTORY_COLUMN_PREFIX = "inventory:";
+
+// Quantities exported per location, and the ones an import may change
+const QUANTITY_NAMES = ["available", "on_hand", "incoming"];
+const WRITABLE_QUANTITIES = ["available"];
+
+// Why the other quantities are not imported
+const READ_ONLY_REASONS = {
+  on_hand: "it moves with available; edit that instead",
+  incoming: "it changes with transfers and purchase orders",
+};
+
+// Reason codes Shopify accepts for an inventory change
+const INVENTORY_REASONS = [
+  "correction",
+  "cycle_count_available",
+  "damaged",
+  "movement_created",
+  "movement_updated",
+  "movement_received",
+  "movement_canceled",
+  "other",
+  "promotion",
+  "quality_control",
+  "received",
+  "reservation_created",
+  "reservation_deleted",
+  "reservation_updated",
+  "restock",
+  "safety_stock",
+  "shrinkage",
+];
+const DEFAULT_INVENTORY_REASON = "correction";
+
+const LOCATION_PAGE_SIZE = 50;
+
+// Raised when a cell is not a quantity or a signed change
+class InventoryValueError extends Error {
+  constructor(column, value, message) {
+    super(`${column}: ${message} (got ${JSON.stringify(value)})`);
+    this.name = "InventoryValueError";
+    this.column = column;
+    this.value = value;
+  }
+}
+
+// Column name for a quantity at a location
+function inventoryColumn(locationName, name) {
+  return `${INVENTORY_COLUMN_PREFIX}${locationName}.${name}`;
+}
+
+function isInventoryColumn(header) {
+  return header.startsWith(INVENTORY_COLUMN_PREFIX);
+}
+
+// Split a column into its location name and quantity name
+// The quantity is after the last ".", so location names may contain dots
+function parseInventoryColumn(header) {
+  if (!isInventoryColumn(header)) return null;
+  const rest = header.slice(INVENTORY_COLUMN_PREFIX.length);
+  const dot = rest.lastIndexOf(".");
+  if (dot <= 0) return null;
+  const name = rest.slice(dot + 1);
+  if (!QUANTITY_NAMES.includes(name)) return null;
+  return { location: rest.slice(0, dot), name };
+}
+
+// Fetch the shop's active locations: [{ id, name }]
+async function fetchLocations(request) {
+  const query = `
+    query getLocations($first: Int!, $after: String) {
+      locations(first: $first, after: $after) {
+        edges {
+          node {
+            id
+            name
+            isActive
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const locations = [];
+  let after = null;
+
+  do {
+    const response = await request(query, {
+      first: LOCATION_PAGE_SIZE,
+      after,
+    });
+    const connection = response.locations;
+    connection.edges.forEach(({ node }) => {
+      if (node.isActive !== false) {
+        locations.push({ id: node.id, name: node.name });
+      }
+    });
+    after = connection.pageInfo.hasNextPage
+      ? connection.pageInfo.endCursor
+      : null;
+  } while (after);
+
+  return locations;
+}
+
+// Find a location by name, ignoring case
+function findLocation(locations, name) {
+  const wanted = name.trim().toLowerCase();
+  return (
+    locations.find((location) => location.name.toLowerCase() === wanted) || null
+  );
+}
+
+// InventoryItem fields fetching each location's level as an alias: l0, l1, ...
+function inventoryLevelFields(locations) {
+  const names = JSON.stringify(QUANTITY_NAMES);
+  return locations
+    .map(
+      (location, index) =>
+        `l${index}: inventoryLevel(locationId: ${JSON.stringify(
+          location.id
+        )}) { quantities(names: ${names}) { name quantity } }`
+    )
+    .join("\n");
+}
+
+// Turn the aliased levels of an inventory item back into a list of
+// { location, quantities } like an inventoryLevels connection holds
+function aliasedLevels(inventoryItem, locations) {
+  if (!inventoryItem) return [];
+  return locations
+    .map((location, index) => {
+      const level = inventoryItem[`l${index}`];
+      return level ? { location, quantities: level.quantities } : null;
+    })
+    .filter(Boolean);
+}
+
+// Add a column per location and quantity to a record
+// Locations the item is not stocked at are left empty
+function addQuantityColumns(record, levels, locations) {
+  locations.forEach((location) => {
+    const level = levels.find((l) => l.location.id === location.id);
+    QUANTITY_NAMES.forEach((name) => {
+      const quantity = level
+        ? level.quantities.find((q) => q.name === name)
+        : null;
+      record[inventoryColumn(location.name, name)] =
+        quantity && quantity.quantity != null ? String(quantity.quantity) : "";
+    });
+  });
+  return record;
+}
+
+// Read a cell: "12" sets the quantity, "+3" or "-2" adjusts it
+// Returns { quantity } or { delta }
+function parseQuantityCell(column, value) {
+  const text = value.trim();
+  const match = text.match(/^([+-])?\s*(\d+)$/);
+  if (!match) {
+    throw new InventoryValueError(
+      column,
+      value,
+      "expected a whole number, or +n / -n to adjust"
+    );
+  }
+  const amount = parseInt(match[2], 10);
+  if (!match[1]) return { quantity: amount };
+  return { delta: match[1] === "-" ? -amount : amount };
+}
+
+// Set quantities; each item is { inventoryItemId, locationId, quantity, compareQuantity }
+// compareQuantity makes Shopify refuse the change if stock moved since it was read
+async function setQuantities(client, name, reason, quantities) {
+  const query = `
+    mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+      inventorySetQuantities(input: $input) {
+        inventoryAdjustmentGroup {
+          reason
+          changes {
+            name
+            delta
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  return client.mutate(
+    query,
+    { input: { name, reason, ignoreCompareQuantity: false, quantities } },
+    "inventorySetQuantities"
+  );
+}
+
+// Adjust quantities; each change is { inventoryItemId, locationId, delta }
+// Not retried after a 5xx or network error, which could apply it twice
+async function adjustQuantities(client, name, reason, changes) {
+  const query = `
+    mutation inventoryAdjustQuantities($input: InventoryAdjustQuantitiesInput!) {
+      inventoryAdjustQuantities(input: $input) {
+        inventoryAdjustmentGroup {
+          reason
+          changes {
+            name
+            delta
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  return client.mutate(
+    query,
+    { input: { name, reason, changes } },
+    "inventoryAdjustQuantities",
+    { idempotent: false }
+  );
+}
+
+module.exports = {
+  QUANTITY_NAMES,
+  WRITABLE_QUANTITIES,
+  READ_ONLY_REASONS,
+  INVENTORY_REASONS,
+  DEFAULT_INVENTORY_REASON,
+  InventoryValueError,
+  inventoryColumn,
+  isInventoryColumn,
+  parseInventoryColumn,
+  fetchLocations,
+  findLocation,
+  inventoryLevelFields,
+  aliasedLevels,
+  addQuantityColumns,
+  parseQuantityCell,
+  setQuantities,
+  adjustQuantities,
+};
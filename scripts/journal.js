@@ -0,0 +1,118 @@
+/**
+ * Change Journal
+ * Records every value the scripts overwrite so a run can be rolled back
+ *
+ * Each write appends one JSON line:
+ *   { runId, timestamp, script, shop, kind, target, productId, field, before, after, ... }
+ *
+ * kind is "template" (product templateSuffix), "variant" (a core variant field
+ * such as price), "metafield" (a variant metafield, with namespace, key and type;
+ * ownerType "PRODUCT" marks a product metafield), "metaobject" (a field or
+ * the handle of a metaobject entry, with key and type, or field "entry" for an
+ * entry the run created, journalled as its ID), "inventory" (a
+ * quantity of a variant at a location, with inventoryItemId, locationId, name
+ * and reason, plus delta and the imported file as source when it was
+ * adjusted rather than set) or "media" (the
+ * alt text of a media item, a product's media order as one ID per line, or
+ * the media shown by a variant).
+ * An empty `before` means there was no value; rolling back removes it again.
+ *
+ * Usage:
+ *   const { createJournal, readJournal } = require("./journal");
+ *   const journal = createJournal("changes.journal.jsonl", { script, shop });
+ *   journal.record({ kind: "template", target, field: "templateSuffix", before, after });
+ *   const entries = await readJournal("changes.journal.jsonl");
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { readJsonl } = require("./bulk-operations");
+
+const DEFAULT_JOURNAL_FILE = "changes.journal.jsonl";
+
+// Run IDs sort by start time, e.g. 20241015T093012-3fa2
+function createRunId() {
+  const stamp = new Date()
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d+Z$/, "");
+  return `${stamp}-${crypto.randomBytes(2).toString("hex")}`;
+}
+
+// Open a journal for one run; entries are appended as soon as they are recorded
+function createJournal(file, meta = {}) {
+  const runId = meta.runId || createRunId();
+  let count = 0;
+
+  return {
+    file,
+    runId,
+
+    record(entry) {
+      const line = {
+        runId,
+        timestamp: new Date().toISOString(),
+        script: meta.script,
+        shop: meta.shop,
+        ...entry,
+      };
+      // Written synchronously so the entry survives a crash straight after the write
+      fs.appendFileSync(file, JSON.stringify(line) + "\n", "utf8");
+      count++;
+    },
+
+    get count() {
+      return count;
+    },
+  };
+}
+
+// Read every entry of a journal file
+async function readJournal(file) {
+  const entries = [];
+  for await (const entry of readJsonl(file)) {
+    entries.push(entry);
+  }
+  return entries;
+}
+
+// Numeric ID of a gid (or the value itself if it is already numeric)
+function numericId(id) {
+  return String(id || "").replace(/^gid:\/\/shopify\/\w+\//, "");
+}
+
+// Keep entries matching a run ID and/or product ID
+function filterEntries(entries, filters = {}) {
+  return entries.filter(
+    (entry) =>
+      (!filters.runId || entry.runId === filters.runId) &&
+      (!filters.productId ||
+        numericId(entry.productId) === numericId(filters.productId))
+  );
+}
+
+// Summarise the runs in a journal, oldest first
+function listRuns(entries) {
+  const runs = new Map();
+  entries.forEach((entry) => {
+    const run = runs.get(entry.runId) || {
+      runId: entry.runId,
+      script: entry.script,
+      shop: entry.shop,
+      startedAt: entry.timestamp,
+      changes: 0,
+    };
+    run.changes++;
+    runs.set(entry.runId, run);
+  });
+  return [...runs.values()];
+}
+
+module.exports = {
+  DEFAULT_JOURNAL_FILE,
+  createRunId,
+  createJournal,
+  readJournal,
+  filterEntries,
+  listRuns,
+};
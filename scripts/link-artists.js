@@ -0,0 +1,587 @@
+#!/usr/bin/env node
+
+/**
+ * Shopify Artist Linking Script
+ * Links products to their artist metaobject in bulk, by vendor or by tag
+ *
+ * Sets the product metafield the artist snippets read (custom.artist) to the
+ * artist entry whose name (or handle) matches the product's vendor, or its
+ * "artist:<name>" tag. Products already linked to another artist are left
+ * alone unless --overwrite is given.
+ *
+ * Usage: node link-artists.js [options]
+ * Options:
+ *   --shop <shop-name>        Shopify shop name (required)
+ *   --token <access-token>    Admin API access token (required)
+ *   --api-version <ver>       Admin API version (default: 2024-10)
+ *   --endpoint <url>          Send requests here instead of the shop (e.g. a mock server)
+ *   --by <vendor|tag>         What to match artists on (default: vendor)
+ *   --tag-prefix <prefix>     Prefix of artist tags with --by tag (default: artist:)
+ *   --type <type>             Metaobject type (default: artist)
+ *   --name-field <key>        Field holding the artist's name (default: the
+ *                             definition's display name field)
+ *   --metafield <ns.key>      Product metafield to set (default: custom.artist)
+ *   --filter-tag <tag>        Only products with this tag
+ *   --filter-vendor <vendor>  Only products from this vendor
+ *   --filter-type <type>      Only products of this product type
+ *   --query <query>           Raw Shopify search syntax, combined with the filters
+ *   --overwrite               Replace links to a different artist
+ *   --dry-run                 Preview changes without applying them
+ *   --force                   Skip confirmation prompt
+ *   --journal <file>          Undo journal to append to (default: changes.journal.jsonl)
+ */
+
+const cli = require("./cli");
+const { createJournal, DEFAULT_JOURNAL_FILE } = require("./journal");
+const { term, allOf } = require("./search-query");
+const { fetchMetafieldDefinitions } = require("./metafields");
+const {
+  fetchMetaobjectDefinition,
+  fetchMetaobjects,
+} = require("./metaobjects");
+
+// Configuration
+const config = {
+  ...cli.connectionConfig(),
+  by: "vendor",
+  tagPrefix: "artist:",
+  type: "artist",
+  nameField: null,
+  metafield: "custom.artist",
+  filterTag: null,
+  filterVendor: null,
+  filterType: null,
+  query: null,
+  overwrite: false,
+  dryRun: false,
+  force: false,
+  journal: DEFAULT_JOURNAL_FILE,
+};
+
+// Undo journal for this run; stays null on dry runs
+let journal = null;
+
+const PRODUCT_PAGE_SIZE = 100;
+
+// metafieldsSet takes at most 25 metafields per call
+const METAFIELDS_SET_LIMIT = 25;
+
+// Text printed by --help
+function helpText() {
+  return `
+Usage: node link-artists.js [options]
+
+Options:
+${cli.connectionOptionsHelp(26)}
+  --by <vendor|tag>         Match artists on the product's vendor, or on its
+                            artist tags (default: vendor)
+  --tag-prefix <prefix>     Prefix of artist tags with --by tag, e.g. the tag
+                            "artist:Ada Lowe" (default: artist:)
+  --type <type>             Metaobject type (default: artist)
+  --name-field <key>        Field holding the artist's name (default: the
+                            definition's display name field)
+  --metafield <ns.key>      Product metafield to set (default: custom.artist)
+  --filter-tag <tag>        Only products with this tag
+  --filter-vendor <vendor>  Only products from this vendor
+  --filter-type <type>      Only products of this product type
+  --query <query>           Raw Shopify search syntax, combined with the filters
+  --overwrite               Replace links to a different artist (by default
+                            only products without one, or with the same one,
+                            are changed)
+  --dry-run                 Preview changes without applying them
+  --force                   Skip confirmation prompt
+  --journal <file>          Undo journal to append every change to, for use
+                            with rollback.js (default: ${DEFAULT_JOURNAL_FILE})
+  --help                    Show this help message
+
+Names are matched ignoring case and extra spaces, against the artist's name or
+its handle.
+
+${cli.ENVIRONMENT_HELP}
+
+Examples:
+  # Prints whose vendor is the artist
+  node link-artists.js --filter-type Print --dry-run
+
+  # Products tagged "artist:<name>"
+  node link-artists.js --by tag --dry-run
+`;
+}
+
+// Parse command line arguments
+function parseArgs() {
+  cli.parseArgs(config, {
+    help: helpText,
+    option(arg, next) {
+      switch (arg) {
+        case "--by":
+          config.by = next();
+          break;
+        case "--tag-prefix":
+          config.tagPrefix = next();
+          break;
+        case "--type":
+          config.type = next();
+          break;
+        case "--name-field":
+          config.nameField = next();
+          break;
+        case "--metafield":
+          config.metafield = next();
+          break;
+        case "--filter-tag":
+          config.filterTag = next();
+          break;
+        case "--filter-vendor":
+          config.filterVendor = next();
+          break;
+        case "--filter-type":
+          config.filterType = next();
+          break;
+        case "--query":
+          config.query = next();
+          break;
+        case "--overwrite":
+          config.overwrite = true;
+          break;
+        case "--dry-run":
+          config.dryRun = true;
+          break;
+        case "--force":
+          config.force = true;
+          break;
+        case "--journal":
+          config.journal = next();
+          break;
+      }
+    },
+  });
+}
+
+// Validate configuration
+function validateConfig() {
+  cli.requireConnection(config, { writes: !config.dryRun });
+  if (!["vendor", "tag"].includes(config.by)) {
+    console.error("Error: --by must be vendor or tag.");
+    process.exit(1);
+  }
+  if (config.by === "tag" && !config.tagPrefix) {
+    console.error("Error: --by tag needs a --tag-prefix, e.g. artist:");
+    process.exit(1);
+  }
+  const match = config.metafield.match(/^([^.]+)\.(.+)$/);
+  if (!match) {
+    console.error("Error: --metafield should look like custom.artist.");
+    process.exit(1);
+  }
+  config.namespace = match[1];
+  config.key = match[2];
+}
+
+// Shared Admin API client, created on first use from config
+const { getClient, makeGraphQLRequest } = cli.lazyClient(config);
+
+// Names are compared ignoring case and runs of spaces
+function normaliseName(name) {
+  return String(name || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+// Index artists by normalised name and handle
+function indexArtists(artists, nameField) {
+  const index = new Map();
+  artists.forEach((artist) => {
+    [artist.fields[nameField], artist.handle]
+      .map(normaliseName)
+      .filter(Boolean)
+      .forEach((name) => {
+        if (!index.has(name)) index.set(name, artist);
+      });
+  });
+  return index;
+}
+
+// The artist names a product points at: its vendor, or its artist tags
+function artistNamesFor(product) {
+  if (config.by === "vendor") {
+    return product.vendor ? [product.vendor] : [];
+  }
+  const prefix = config.tagPrefix.toLowerCase();
+  return product.tags
+    .filter((tag) => tag.toLowerCase().startsWith(prefix))
+    .map((tag) => tag.slice(prefix.length).trim())
+    .filter(Boolean);
+}
+
+// Check the product metafield's definition; returns its type
+async function checkMetafieldDefinition() {
+  const definitions = await fetchMetafieldDefinitions(
+    makeGraphQLRequest,
+    "PRODUCT"
+  );
+  const definition = definitions.find(
+    (d) => d.namespace === config.namespace && d.key === config.key
+  );
+  if (!definition) {
+    console.warn(
+      `⚠️  No product metafield definition for ${config.metafield}; the theme may not show the links until one is added.`
+    );
+    return "metaobject_reference";
+  }
+  if (definition.type.name !== "metaobject_reference") {
+    throw new Error(
+      `${config.metafield} is a ${definition.type.name} metafield, not a metaobject reference`
+    );
+  }
+  return definition.type.name;
+}
+
+// Fetch the products in scope with their current link
+async function fetchProducts() {
+  const query = `
+    query getProducts($first: Int!, $after: String, $query: String, $namespace: String!, $key: String!) {
+      products(first: $first, after: $after, query: $query) {
+        edges {
+          node {
+            id
+            title
+            vendor
+            tags
+            metafield(namespace: $namespace, key: $key) {
+              value
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const search = allOf([
+    config.filterTag && term("tag", config.filterTag),
+    config.filterVendor && term("vendor", config.filterVendor),
+    config.filterType && term("product_type", config.filterType),
+    config.query && config.query.trim(),
+  ]);
+  if (search) console.log(`Fetching products matching: ${search}`);
+
+  const products = [];
+  let after = null;
+
+  do {
+    const response = await makeGraphQLRequest(query, {
+      first: PRODUCT_PAGE_SIZE,
+      after,
+      query: search || null,
+      namespace: config.namespace,
+      key: config.key,
+    });
+    const connection = response.products;
+    connection.edges.forEach(({ node }) =>
+      products.push({
+        ...node,
+        current: node.metafield ? node.metafield.value : "",
+      })
+    );
+    after = connection.pageInfo.hasNextPage
+      ? connection.pageInfo.endCursor
+      : null;
+  } while (after);
+
+  return products;
+}
+
+// Work out the link for every product
+// Returns { changes, linked, kept, unmatched, conflicts, noName }
+function planLinks(products, index, artistsById, nameField) {
+  const plan = {
+    changes: [],
+    linked: [],
+    kept: [],
+    unmatched: [],
+    conflicts: [],
+    noName: [],
+  };
+
+  products.forEach((product) => {
+    const names = artistNamesFor(product);
+    if (names.length === 0) {
+      plan.noName.push(product);
+      return;
+    }
+
+    const artists = [
+      ...new Set(
+        names.map((name) => index.get(normaliseName(name))).filter(Boolean)
+      ),
+    ];
+    if (artists.length === 0) {
+      plan.unmatched.push({ product, names });
+      return;
+    }
+    if (artists.length > 1) {
+      plan.conflicts.push({ product, artists });
+      return;
+    }
+
+    const [artist] = artists;
+    if (product.current === artist.id) {
+      plan.linked.push(product);
+      return;
+    }
+    if (product.current && !config.overwrite) {
+      const other = artistsById.get(product.current);
+      plan.kept.push({
+        product,
+        artist,
+        current: other ? other.fields[nameField] : product.current,
+      });
+      return;
+    }
+    plan.changes.push({ product, artist });
+  });
+
+  return plan;
+}
+
+// Set the artist metafield on a batch of products
+async function setArtistLinks(changes, type) {
+  const mutation = `
+    mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        metafields {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  await getClient().mutate(
+    mutation,
+    {
+      metafields: changes.map(({ product, artist }) => ({
+        ownerId: product.id,
+        namespace: config.namespace,
+        key: config.key,
+        type,
+        value: artist.id,
+      })),
+    },
+    "metafieldsSet"
+  );
+}
+
+// Print up to ten lines of a list, then how many more there are
+function printSome(items, format) {
+  items.slice(0, 10).forEach((item) => console.log(`  ${format(item)}`));
+  if (items.length > 10) {
+    console.log(`  ... and ${items.length - 10} more`);
+  }
+}
+
+// Main linking function
+async function linkArtists() {
+  try {
+    console.log(
+      `Linking products to ${config.type} entries by ${config.by}...`
+    );
+
+    if (config.dryRun) {
+      console.log("🔍 DRY RUN MODE - No changes will be applied");
+    }
+
+    const definition = await fetchMetaobjectDefinition(
+      makeGraphQLRequest,
+      config.type
+    );
+    const nameField = config.nameField || definition.displayNameKey;
+    if (!definition.fieldDefinitions.some((field) => field.key === nameField)) {
+      throw new Error(
+        `${
+          config.type
+        } has no "${nameField}" field. Use --name-field with one of: ${definition.fieldDefinitions
+          .map((field) => field.key)
+          .join(", ")}`
+      );
+    }
+
+    const artists = await fetchMetaobjects(makeGraphQLRequest, config.type);
+    console.log(`Found ${artists.length} ${config.type} entries`);
+    const metafieldType = await checkMetafieldDefinition();
+
+    const products = await fetchProducts();
+    console.log(`Found ${products.length} products`);
+
+    const plan = planLinks(
+      products,
+      indexArtists(artists, nameField),
+      new Map(artists.map((artist) => [artist.id, artist])),
+      nameField
+    );
+
+    if (plan.changes.length > 0) {
+      console.log(`\nProducts to link (${plan.changes.length}):`);
+      printSome(
+        plan.changes,
+        ({ product, artist }) =>
+          `${product.title} → ${artist.fields[nameField]}${
+            product.current ? " (replacing another artist)" : ""
+          }`
+      );
+    }
+    if (plan.kept.length > 0) {
+      console.log(
+        `\n⚠️  Linked to a different artist, left alone (${plan.kept.length}; use --overwrite to replace):`
+      );
+      printSome(
+        plan.kept,
+        ({ product, artist, current }) =>
+          `${product.title}: ${current} (matches ${artist.fields[nameField]})`
+      );
+    }
+    if (plan.conflicts.length > 0) {
+      console.log(
+        `\n⚠️  Tagged with more than one artist, left alone (${plan.conflicts.length}):`
+      );
+      printSome(
+        plan.conflicts,
+        ({ product, artists: matches }) =>
+          `${product.title}: ${matches
+            .map((artist) => artist.fields[nameField])
+            .join(", ")}`
+      );
+    }
+    if (plan.unmatched.length > 0) {
+      // Group by name, so a missing artist entry shows up once
+      const missing = new Map();
+      plan.unmatched.forEach(({ names }) => {
+        const key = names.join(", ");
+        missing.set(key, (missing.get(key) || 0) + 1);
+      });
+      console.log(
+        `\n⚠️  No ${config.type} entry found for ${plan.unmatched.length} products:`
+      );
+      printSome(
+        [...missing.entries()],
+        ([name, count]) => `${name} (${count} products)`
+      );
+    }
+
+    if (plan.changes.length > 0 && !config.force && !config.dryRun) {
+      const confirmed = await cli.askConfirmation(
+        `\nDo you want to link ${plan.changes.length} products? (y/N): `
+      );
+      if (!confirmed) {
+        console.log("Linking cancelled.");
+        return;
+      }
+    }
+
+    const results = { success: 0, failed: 0 };
+
+    if (!config.dryRun && plan.changes.length > 0) {
+      journal = createJournal(config.journal, {
+        script: "link-artists",
+        shop: config.shop,
+      });
+
+      for (let i = 0; i < plan.changes.length; i += METAFIELDS_SET_LIMIT) {
+        const batch = plan.changes.slice(i, i + METAFIELDS_SET_LIMIT);
+        try {
+          await setArtistLinks(batch, metafieldType);
+          batch.forEach(({ product, artist }) => {
+            journal.record({
+              kind: "metafield",
+              ownerType: "PRODUCT",
+              target: product.id,
+              productId: product.id,
+              title: product.title,
+              field: config.metafield,
+              namespace: config.namespace,
+              key: config.key,
+              type: metafieldType,
+              before: product.current,
+              after: artist.id,
+            });
+          });
+          results.success += batch.length;
+          console.log(
+            `  ✓ Linked ${Math.min(i + batch.length, plan.changes.length)}/${
+              plan.changes.length
+            } products`
+          );
+        } catch (error) {
+          results.failed += batch.length;
+          console.error(
+            `  ✗ Products ${i + 1}-${i + batch.length}: ${error.message}`
+          );
+        }
+      }
+    }
+
+    // Print summary
+    console.log("\n" + "=".repeat(50));
+    console.log("ARTIST LINK SUMMARY");
+    console.log("=".repeat(50));
+    console.log(`Products checked: ${products.length}`);
+    console.log(
+      `${config.dryRun ? "To link" : "Linked"}: ${
+        config.dryRun ? plan.changes.length : results.success
+      }`
+    );
+    if (results.failed > 0) console.log(`Failed: ${results.failed}`);
+    console.log(`Already linked: ${plan.linked.length}`);
+    console.log(`Linked to a different artist: ${plan.kept.length}`);
+    console.log(`More than one artist: ${plan.conflicts.length}`);
+    console.log(`No matching ${config.type}: ${plan.unmatched.length}`);
+    console.log(
+      `No ${config.by === "vendor" ? "vendor" : "artist tag"}: ${
+        plan.noName.length
+      }`
+    );
+
+    if (config.dryRun) {
+      console.log("\n🔍 This was a dry run. No actual changes were made.");
+      console.log("Run without --dry-run to apply the changes.");
+    }
+
+    if (journal && journal.count > 0) {
+      console.log(
+        `\n${journal.count} changes journalled to ${config.journal}. To undo this run:`
+      );
+      console.log(
+        `  node rollback.js --journal ${config.journal} --run ${journal.runId}`
+      );
+    }
+
+    if (results.failed > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error("Linking failed:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  parseArgs();
+  validateConfig();
+  linkArtists();
+}
+
+module.exports = {
+  linkArtists,
+  normaliseName,
+  indexArtists,
+  planLinks,
+};
@@ -0,0 +1,463 @@
+/**
+ * Product Media, Alt Text and Variant Images
+ * Shared by the media export/import scripts and rollback.js
+ *
+ * Media are written one row per image (or video), in the product's order:
+ *   product_id,product_title,product_handle,product_vendor,product_type,
+ *   media_id,media_type,media_position,media_alt,media_variants,media_url
+ *
+ * media_position is 1-based. media_variants lists the variants showing the
+ * image, one per line, by title (an ID or SKU works too). A variant shows one
+ * image at most, so listing it under another image moves it there.
+ *
+ * Alt text templates fill {placeholders} from the row and the first variant
+ * the image is attached to: product_title, product_vendor, product_type,
+ * product_handle, media_position, variant_title, variant_sku and
+ * variant_label (custom.variant_label, or the variant title without one).
+ * Text in [brackets] is left out when a placeholder inside it is empty, e.g.
+ *   "{product_title}[ – {variant_label} frame]"
+ *
+ * Usage:
+ *   const { fetchProductsMedia, mediaRows } = require("./media");
+ *   const media = await fetchProductsMedia(request, [product.id]);
+ *   const rows = mediaRows(product, media.get(product.id));
+ */
+
+// Columns of a media file, in order
+const MEDIA_COLUMNS = [
+  "product_id",
+  "product_title",
+  "product_handle",
+  "product_vendor",
+  "product_type",
+  "media_id",
+  "media_type",
+  "media_position",
+  "media_alt",
+  "media_variants",
+  "media_url",
+];
+
+// Shopify's limit on alt text
+const MAX_ALT_LENGTH = 512;
+
+// Page sizes chosen to keep each query under Shopify's 1000-point cost limit,
+// counted the way Shopify does: an object costs 1 and a connection 2 plus its
+// page size times the cost of each node
+const MAX_QUERY_COST = 1000;
+// The media item, its preview and the preview's image
+const MEDIA_COST = 3;
+// The variant, its label metafield and media(first: 1)
+const VARIANT_COST = 1 + 1 + (2 + 1);
+
+// Media and variants fetched with their products. Kept small so several
+// products fit in one query; the rest are paged per product only when there
+// are more
+const NESTED_MEDIA_PAGE_SIZE = 20;
+const NESTED_VARIANT_PAGE_SIZE = 20;
+const PRODUCTS_PER_QUERY = Math.floor(
+  MAX_QUERY_COST /
+    (1 +
+      (2 + NESTED_MEDIA_PAGE_SIZE * MEDIA_COST) +
+      (2 + NESTED_VARIANT_PAGE_SIZE * VARIANT_COST))
+);
+
+// Pages of one product's media or variants: the product and the connection,
+// and as many nodes as fit, up to the API's 250
+const MEDIA_PAGE_SIZE = Math.min(
+  250,
+  Math.floor((MAX_QUERY_COST - 3) / MEDIA_COST)
+);
+const VARIANT_PAGE_SIZE = Math.min(
+  250,
+  Math.floor((MAX_QUERY_COST - 3) / VARIANT_COST)
+);
+
+const MEDIA_CONNECTION_FIELDS = `
+  edges {
+    node {
+      id
+      alt
+      mediaContentType
+      preview {
+        image {
+          url
+        }
+      }
+    }
+  }
+  pageInfo {
+    hasNextPage
+    endCursor
+  }
+`;
+
+const VARIANT_CONNECTION_FIELDS = `
+  edges {
+    node {
+      id
+      title
+      sku
+      label: metafield(namespace: "custom", key: "variant_label") {
+        value
+      }
+      media(first: 1) {
+        edges {
+          node {
+            id
+          }
+        }
+      }
+    }
+  }
+  pageInfo {
+    hasNextPage
+    endCursor
+  }
+`;
+
+const ALT_PLACEHOLDER = /\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+const ALT_OPTIONAL = /\[([^\[\]]*)\]/g;
+
+// Placeholders an alt text template may use
+const ALT_PLACEHOLDERS = [
+  "product_title",
+  "product_vendor",
+  "product_type",
+  "product_handle",
+  "media_position",
+  "variant_title",
+  "variant_sku",
+  "variant_label",
+];
+
+// Raised when an alt text template cannot be used
+class AltTemplateError extends Error {
+  constructor(template, message) {
+    super(`Alt text template "${template}": ${message}`);
+    this.name = "AltTemplateError";
+    this.template = template;
+  }
+}
+
+// A media node as { id, type, alt, url }
+function mediaItem({ node }) {
+  return {
+    id: node.id,
+    type: node.mediaContentType || "",
+    alt: node.alt || "",
+    url: node.preview?.image?.url || "",
+  };
+}
+
+// A variant node as { id, title, sku, label, mediaId }
+function variantItem({ node }) {
+  const attached = node.media.edges[0];
+  return {
+    id: node.id,
+    title: node.title,
+    sku: node.sku || "",
+    label: node.label ? node.label.value : "",
+    mediaId: attached ? attached.node.id : "",
+  };
+}
+
+// The rest of a product's media or variants, after the first page
+async function fetchRemaining(request, productId, connection, after) {
+  const pageSize = connection === "media" ? MEDIA_PAGE_SIZE : VARIANT_PAGE_SIZE;
+  const query = `
+    query getProductMediaPage($id: ID!, $first: Int!, $after: String) {
+      product(id: $id) {
+        ${connection}(first: $first, after: $after) {
+          ${
+            connection === "media"
+              ? MEDIA_CONNECTION_FIELDS
+              : VARIANT_CONNECTION_FIELDS
+          }
+        }
+      }
+    }
+  `;
+
+  const items = [];
+  do {
+    const response = await request(query, {
+      id: productId,
+      first: pageSize,
+      after,
+    });
+    if (!response.product) {
+      throw new Error(`Product ${productId} not found`);
+    }
+    const page = response.product[connection];
+    items.push(
+      ...page.edges.map(connection === "media" ? mediaItem : variantItem)
+    );
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+
+  return items;
+}
+
+// Fetch the media of several products, a few products per query
+// Returns a Map of product ID to { media, variants } (see fetchProductMedia);
+// products that were not found are left out
+async function fetchProductsMedia(request, productIds) {
+  const query = `
+    query getProductsMedia($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          id
+          media(first: ${NESTED_MEDIA_PAGE_SIZE}) {
+            ${MEDIA_CONNECTION_FIELDS}
+          }
+          variants(first: ${NESTED_VARIANT_PAGE_SIZE}) {
+            ${VARIANT_CONNECTION_FIELDS}
+          }
+        }
+      }
+    }
+  `;
+
+  const found = new Map();
+  for (let i = 0; i < productIds.length; i += PRODUCTS_PER_QUERY) {
+    const ids = productIds.slice(i, i + PRODUCTS_PER_QUERY);
+    const response = await request(query, { ids });
+
+    for (const node of response.nodes) {
+      if (!node || !node.id) continue;
+      const media = node.media.edges.map(mediaItem);
+      const variants = node.variants.edges.map(variantItem);
+      if (node.media.pageInfo.hasNextPage) {
+        media.push(
+          ...(await fetchRemaining(
+            request,
+            node.id,
+            "media",
+            node.media.pageInfo.endCursor
+          ))
+        );
+      }
+      if (node.variants.pageInfo.hasNextPage) {
+        variants.push(
+          ...(await fetchRemaining(
+            request,
+            node.id,
+            "variants",
+            node.variants.pageInfo.endCursor
+          ))
+        );
+      }
+      found.set(node.id, { media, variants });
+    }
+  }
+
+  return found;
+}
+
+// Fetch a product's media in order, and its variants with the media each shows
+// Returns { media: [{ id, type, alt, url }], variants: [{ id, title, sku, label, mediaId }] }
+async function fetchProductMedia(request, productId) {
+  const details = (await fetchProductsMedia(request, [productId])).get(
+    productId
+  );
+  if (!details) {
+    throw new Error(`Product ${productId} not found`);
+  }
+  return details;
+}
+
+// Variants showing a media item
+function attachedVariants(details, mediaId) {
+  return details.variants.filter((variant) => variant.mediaId === mediaId);
+}
+
+// One row per media item of a product, in order
+function mediaRows(product, details) {
+  return details.media.map((item, index) => ({
+    product_id: product.id,
+    product_title: product.title,
+    product_handle: product.handle,
+    product_vendor: product.vendor || "",
+    product_type: product.productType || "",
+    media_id: item.id,
+    media_type: item.type,
+    media_position: String(index + 1),
+    media_alt: item.alt,
+    media_variants: attachedVariants(details, item.id)
+      .map((variant) => variant.title)
+      .join("\n"),
+    media_url: item.url,
+  }));
+}
+
+// Find a variant of a product from a line of media_variants
+function findVariant(variants, text) {
+  const wanted = text.trim();
+  const lower = wanted.toLowerCase();
+  return (
+    variants.find(
+      (variant) =>
+        variant.id === wanted ||
+        variant.id.endsWith(`/${wanted}`) ||
+        variant.title.toLowerCase() === lower
+    ) ||
+    variants.find((variant) => variant.sku && variant.sku === wanted) ||
+    null
+  );
+}
+
+// Check an alt text template's placeholders and brackets
+function checkAltTemplate(template) {
+  if (!template || !template.trim()) {
+    throw new AltTemplateError(template, "is empty");
+  }
+  const unbalanced = template.replace(ALT_OPTIONAL, "");
+  if (/[[\]]/.test(unbalanced)) {
+    throw new AltTemplateError(
+      template,
+      "has an unmatched or nested [ ] section"
+    );
+  }
+  [...template.matchAll(ALT_PLACEHOLDER)].forEach(([, name]) => {
+    if (!ALT_PLACEHOLDERS.includes(name)) {
+      throw new AltTemplateError(
+        template,
+        `unknown placeholder {${name}} (use ${ALT_PLACEHOLDERS.map(
+          (placeholder) => `{${placeholder}}`
+        ).join(", ")})`
+      );
+    }
+  });
+  return template;
+}
+
+// Fill an alt text template for one row
+// `variant` is the first variant the media is attached to, or null
+function fillAltTemplate(template, row, variant) {
+  const values = {
+    ...row,
+    variant_title: variant ? variant.title : "",
+    variant_sku: variant ? variant.sku : "",
+    variant_label: variant ? variant.label || variant.title : "",
+  };
+  const fill = (text) =>
+    text.replace(ALT_PLACEHOLDER, (_, name) =>
+      String(values[name] ?? "").trim()
+    );
+
+  const sections = template.replace(ALT_OPTIONAL, (_, section) => {
+    const names = [...section.matchAll(ALT_PLACEHOLDER)].map(
+      (match) => match[1]
+    );
+    return names.every((name) => String(values[name] ?? "").trim() !== "")
+      ? section
+      : "";
+  });
+
+  return fill(sections).replace(/\s+/g, " ").trim().slice(0, MAX_ALT_LENGTH);
+}
+
+// Set the alt text of media; each item is { id, alt }
+async function updateMediaAlt(client, productId, media) {
+  const mutation = `
+    mutation productUpdateMedia($productId: ID!, $media: [UpdateMediaInput!]!) {
+      productUpdateMedia(productId: $productId, media: $media) {
+        media {
+          id
+          alt
+        }
+        userErrors: mediaUserErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  return client.mutate(mutation, { productId, media }, "productUpdateMedia");
+}
+
+// Put a product's media in the given order (a list of media IDs)
+// Every item is moved, in order, so the result does not depend on where
+// the others were
+async function reorderMedia(client, productId, order) {
+  const mutation = `
+    mutation productReorderMedia($id: ID!, $moves: [MoveInput!]!) {
+      productReorderMedia(id: $id, moves: $moves) {
+        job {
+          id
+        }
+        userErrors: mediaUserErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const moves = order.map((id, index) => ({ id, newPosition: String(index) }));
+  return client.mutate(
+    mutation,
+    { id: productId, moves },
+    "productReorderMedia"
+  );
+}
+
+// Attach media to variants, or detach them
+// Each item is { variantId, mediaIds: [mediaId] }
+async function changeVariantMedia(client, operation, productId, variantMedia) {
+  const mutation = `
+    mutation ${operation}($productId: ID!, $variantMedia: [ProductVariant${
+    operation === "productVariantAppendMedia" ? "Append" : "Detach"
+  }MediaInput!]!) {
+      ${operation}(productId: $productId, variantMedia: $variantMedia) {
+        productVariants {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  return client.mutate(mutation, { productId, variantMedia }, operation);
+}
+
+function attachVariantMedia(client, productId, variantMedia) {
+  return changeVariantMedia(
+    client,
+    "productVariantAppendMedia",
+    productId,
+    variantMedia
+  );
+}
+
+function detachVariantMedia(client, productId, variantMedia) {
+  return changeVariantMedia(
+    client,
+    "productVariantDetachMedia",
+    productId,
+    variantMedia
+  );
+}
+
+module.exports = {
+  MEDIA_COLUMNS,
+  MAX_ALT_LENGTH,
+  ALT_PLACEHOLDERS,
+  AltTemplateError,
+  fetchProductsMedia,
+  fetchProductMedia,
+  attachedVariants,
+  mediaRows,
+  findVariant,
+  checkAltTemplate,
+  fillAltTemplate,
+  updateMediaAlt,
+  reorderMedia,
+  attachVariantMedia,
+  detachVariantMedia,
+};
@@ -0,0 +1,393 @@
+/**
+ * Metafield Definitions, Columns and Values
+ * Shared by the export and import scripts
+ *
+ * Columns are named `metafield:<namespace>.<key>` (e.g. `metafield:custom.nielsen_sku`).
+ * The older `metafield_<namespace>_<key>` form is still read; it is matched
+ * against the definitions so namespaces and keys containing "_" resolve correctly.
+ *
+ * Values are validated and coerced to the format Shopify expects for the
+ * definition's type before anything is sent, e.g. "yes" → "true" for a boolean.
+ * A cell containing __CLEAR__ asks the import to delete the metafield.
+ */
+
+const METAFIELD_COLUMN_PREFIX = "metafield:";
+
+// Cell value that asks the import to delete the metafield
+const CLEAR_MARKER = "__CLEAR__";
+const LEGACY_METAFIELD_COLUMN_PREFIX = "metafield_";
+
+const BOOLEAN_VALUES = {
+  true: true,
+  yes: true,
+  y: true,
+  1: true,
+  on: true,
+  false: false,
+  no: false,
+  n: false,
+  0: false,
+  off: false,
+};
+
+const REFERENCE_TYPES = {
+  collection_reference: "Collection",
+  file_reference: ["MediaImage", "Video", "GenericFile"],
+  metaobject_reference: "Metaobject",
+  mixed_reference: "Metaobject",
+  page_reference: "OnlineStorePage",
+  product_reference: "Product",
+  variant_reference: "ProductVariant",
+};
+
+// Types whose values are JSON objects rather than plain strings
+const JSON_OBJECT_TYPES = [
+  "dimension",
+  "volume",
+  "weight",
+  "money",
+  "rating",
+  "link",
+];
+
+// Raised when a cell cannot be converted to its metafield type
+class MetafieldValueError extends Error {
+  constructor(column, value, message) {
+    super(`${column}: ${message} (got ${JSON.stringify(value)})`);
+    this.name = "MetafieldValueError";
+    this.column = column;
+    this.value = value;
+  }
+}
+
+function isClearMarker(value) {
+  return (
+    typeof value === "string" && value.trim().toUpperCase() === CLEAR_MARKER
+  );
+}
+
+// Column header for a metafield
+function metafieldColumn(namespace, key) {
+  return `${METAFIELD_COLUMN_PREFIX}${namespace}.${key}`;
+}
+
+function isMetafieldColumn(header) {
+  return (
+    header.startsWith(METAFIELD_COLUMN_PREFIX) ||
+    header.startsWith(LEGACY_METAFIELD_COLUMN_PREFIX)
+  );
+}
+
+// Parse a column header into { namespace, key }, or null if it is not a metafield
+function parseMetafieldColumn(header, definitions = []) {
+  if (header.startsWith(METAFIELD_COLUMN_PREFIX)) {
+    const rest = header.slice(METAFIELD_COLUMN_PREFIX.length);
+    const dot = rest.indexOf(".");
+    if (dot <= 0 || dot === rest.length - 1) return null;
+    return { namespace: rest.slice(0, dot), key: rest.slice(dot + 1) };
+  }
+
+  if (header.startsWith(LEGACY_METAFIELD_COLUMN_PREFIX)) {
+    const rest = header.slice(LEGACY_METAFIELD_COLUMN_PREFIX.length);
+    const definition = definitions.find(
+      (d) => `${d.namespace}_${d.key}` === rest
+    );
+    if (definition) {
+      return { namespace: definition.namespace, key: definition.key };
+    }
+
+    // No definition to disambiguate: assume the namespace has no underscore
+    const underscore = rest.indexOf("_");
+    if (underscore <= 0 || underscore === rest.length - 1) return null;
+    return {
+      namespace: rest.slice(0, underscore),
+      key: rest.slice(underscore + 1),
+    };
+  }
+
+  return null;
+}
+
+// Find the column holding a metafield in a header row, in either encoding
+function findMetafieldColumn(headers, namespace, key) {
+  return (
+    headers.find((h) => h === metafieldColumn(namespace, key)) ||
+    headers.find(
+      (h) => h === `${LEGACY_METAFIELD_COLUMN_PREFIX}${namespace}_${key}`
+    ) ||
+    null
+  );
+}
+
+// Fetch every metafield definition for an owner type (e.g. PRODUCTVARIANT)
+async function fetchMetafieldDefinitions(request, ownerType) {
+  const query = `
+    query getMetafieldDefinitions($ownerType: MetafieldOwnerType!, $first: Int!, $after: String) {
+      metafieldDefinitions(ownerType: $ownerType, first: $first, after: $after) {
+        edges {
+          node {
+            id
+            namespace
+            key
+            name
+            type {
+              name
+            }
+            validations {
+              name
+              value
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const definitions = [];
+  let after = null;
+
+  do {
+    const response = await request(query, { ownerType, first: 250, after });
+    const connection = response.metafieldDefinitions;
+    definitions.push(...connection.edges.map((edge) => edge.node));
+    after = connection.pageInfo.hasNextPage
+      ? connection.pageInfo.endCursor
+      : null;
+  } while (after);
+
+  return definitions;
+}
+
+// Index definitions by "namespace.key"
+function indexDefinitions(definitions) {
+  const index = new Map();
+  definitions.forEach((definition) => {
+    index.set(`${definition.namespace}.${definition.key}`, definition);
+  });
+  return index;
+}
+
+// Allowed values from a definition's "choices" validation, if it has one
+function getChoices(definition) {
+  const validation = (definition.validations || []).find(
+    (v) => v.name === "choices"
+  );
+  if (!validation) return null;
+  try {
+    return JSON.parse(validation.value);
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseJSON(column, value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new MetafieldValueError(column, value, "expected valid JSON");
+  }
+}
+
+// Coerce one scalar value; returns a string, number or object depending on type
+function coerceScalar(column, value, type) {
+  const text = typeof value === "string" ? value.trim() : value;
+
+  switch (type) {
+    case "boolean": {
+      const normalised = String(text).toLowerCase();
+      if (!(normalised in BOOLEAN_VALUES)) {
+        throw new MetafieldValueError(
+          column,
+          value,
+          "expected true/false, yes/no or 1/0"
+        );
+      }
+      return BOOLEAN_VALUES[normalised];
+    }
+
+    case "number_integer":
+      if (!/^[+-]?\d+$/.test(String(text))) {
+        throw new MetafieldValueError(column, value, "expected a whole number");
+      }
+      return parseInt(text, 10);
+
+    case "number_decimal":
+      if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(String(text))) {
+        throw new MetafieldValueError(column, value, "expected a number");
+      }
+      return String(text);
+
+    case "single_line_text_field":
+      if (/[\r\n]/.test(value)) {
+        throw new MetafieldValueError(
+          column,
+          value,
+          "single line text cannot contain line breaks"
+        );
+      }
+      return value;
+
+    case "multi_line_text_field":
+      return value;
+
+    case "url":
+      if (!/^(https?:\/\/|mailto:|sms:|tel:|\/)/.test(text)) {
+        throw new MetafieldValueError(
+          column,
+          value,
+          "expected a URL starting with https://, http://, mailto:, sms:, tel: or /"
+        );
+      }
+      return text;
+
+    case "color":
+      if (!/^#[0-9a-fA-F]{6}$/.test(text)) {
+        throw new MetafieldValueError(column, value, "expected #RRGGBB");
+      }
+      return text;
+
+    case "date":
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(Date.parse(text))) {
+        throw new MetafieldValueError(column, value, "expected YYYY-MM-DD");
+      }
+      return text;
+
+    case "date_time":
+      if (isNaN(Date.parse(text))) {
+        throw new MetafieldValueError(
+          column,
+          value,
+          "expected an ISO 8601 date and time"
+        );
+      }
+      return text;
+
+    case "json":
+      return parseJSON(column, text);
+
+    case "rich_text_field": {
+      const parsed = parseJSON(column, text);
+      if (!parsed || parsed.type !== "root") {
+        throw new MetafieldValueError(
+          column,
+          value,
+          'expected rich text JSON with "type": "root"'
+        );
+      }
+      return parsed;
+    }
+
+    default:
+      if (REFERENCE_TYPES[type]) {
+        const allowed = [].concat(REFERENCE_TYPES[type]);
+        const match = String(text).match(/^gid:\/\/shopify\/(\w+)\/\S+$/);
+        if (
+          !match ||
+          (type !== "mixed_reference" && !allowed.includes(match[1]))
+        ) {
+          throw new MetafieldValueError(
+            column,
+            value,
+            `expected a gid://shopify/${allowed[0]}/... ID`
+          );
+        }
+        return text;
+      }
+
+      if (JSON_OBJECT_TYPES.includes(type)) {
+        const parsed = parseJSON(column, text);
+        if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+          throw new MetafieldValueError(
+            column,
+            value,
+            "expected a JSON object"
+          );
+        }
+        return parsed;
+      }
+
+      // Types we do not know how to check are passed through unchanged
+      return value;
+  }
+}
+
+// Split a list cell: a JSON array, or one value per line
+function splitListValue(column, value) {
+  const text = value.trim();
+  if (text.startsWith("[")) {
+    const parsed = parseJSON(column, text);
+    if (!Array.isArray(parsed)) {
+      throw new MetafieldValueError(column, value, "expected a JSON array");
+    }
+    return parsed;
+  }
+  return text
+    .split(/\r\n|\n|\r/)
+    .map((item) => item.trim())
+    .filter((item) => item !== "");
+}
+
+// Serialise a coerced scalar the way the Admin API expects it in `value`
+function serialiseScalar(coerced) {
+  if (typeof coerced === "string") return coerced;
+  if (typeof coerced === "object") return JSON.stringify(coerced);
+  return String(coerced);
+}
+
+// Validate and coerce a cell for a definition; returns the string to send
+function coerceMetafieldValue(column, value, definition) {
+  const type = definition.type.name;
+  const choices = getChoices(definition);
+
+  if (type.startsWith("list.")) {
+    const itemType = type.slice("list.".length);
+    const items = splitListValue(column, value).map((item) =>
+      coerceScalar(
+        column,
+        typeof item === "object" ? JSON.stringify(item) : String(item),
+        itemType
+      )
+    );
+    if (choices) {
+      items.forEach((item) => {
+        if (!choices.includes(item)) {
+          throw new MetafieldValueError(
+            column,
+            item,
+            `must be one of: ${choices.join(", ")}`
+          );
+        }
+      });
+    }
+    return JSON.stringify(items);
+  }
+
+  const coerced = coerceScalar(column, value, type);
+  if (choices && !choices.includes(coerced)) {
+    throw new MetafieldValueError(
+      column,
+      value,
+      `must be one of: ${choices.join(", ")}`
+    );
+  }
+  return serialiseScalar(coerced);
+}
+
+module.exports = {
+  METAFIELD_COLUMN_PREFIX,
+  CLEAR_MARKER,
+  isClearMarker,
+  MetafieldValueError,
+  metafieldColumn,
+  isMetafieldColumn,
+  parseMetafieldColumn,
+  findMetafieldColumn,
+  fetchMetafieldDefinitions,
+  indexDefinitions,
+  getChoices,
+  coerceMetafieldValue,
+};
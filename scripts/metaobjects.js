@@ -0,0 +1,243 @@
+/**
+ * Metaobject Entries, Files and Values
+ * Shared by the metaobject export/import scripts and link-artists.js
+ *
+ * Entries are written one per row (CSV) or one per item (JSON):
+ *   CSV:  id,handle,name,bio,website,instagram
+ *   JSON: { "type": "artist", "fields": [...], "metaobjects": [
+ *           { "id": "gid://...", "handle": "ada-lowe", "fields": { "name": "Ada Lowe", "bio": { "type": "root", ... } } }
+ *         ] }
+ *
+ * Values are written exactly as Shopify stores them, so every field
+ * round-trips. Fields holding JSON, such as a rich-text bio, are a JSON string
+ * in a CSV cell and a JSON value in a JSON file.
+ *
+ * Usage:
+ *   const { fetchMetaobjectDefinition, fetchMetaobjects } = require("./metaobjects");
+ *   const definition = await fetchMetaobjectDefinition(request, "artist");
+ *   const entries = await fetchMetaobjects(request, "artist");
+ */
+
+const fs = require("fs");
+const { readCSVFile, toCSV } = require("./csv");
+const { JSON_TYPES } = require("./diff");
+
+// Columns every file has before the field columns
+const ENTRY_COLUMNS = ["id", "handle"];
+
+const METAOBJECT_PAGE_SIZE = 100;
+
+// Raised when a metaobject type or file cannot be used
+class MetaobjectError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MetaobjectError";
+  }
+}
+
+// Whether a field type holds JSON (rich text, lists, ...)
+function isJSONType(type) {
+  return JSON_TYPES.includes(type) || type.startsWith("list.");
+}
+
+// File format from an explicit --format or the file's extension
+function formatFor(file, format) {
+  if (format) return format;
+  return /\.json$/i.test(file) ? "json" : "csv";
+}
+
+// Fetch the definition of a metaobject type with its field definitions
+async function fetchMetaobjectDefinition(request, type) {
+  const query = `
+    query getMetaobjectDefinition($type: String!) {
+      metaobjectDefinitionByType(type: $type) {
+        id
+        type
+        name
+        displayNameKey
+        fieldDefinitions {
+          key
+          name
+          required
+          type {
+            name
+          }
+          validations {
+            name
+            value
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await request(query, { type });
+  if (!response.metaobjectDefinitionByType) {
+    throw new MetaobjectError(
+      `No metaobject definition for type "${type}". Check the type under Settings > Custom data > Metaobjects.`
+    );
+  }
+  return response.metaobjectDefinitionByType;
+}
+
+// Fetch every entry of a metaobject type
+// Returns [{ id, handle, displayName, updatedAt, fields: { key: value } }]
+async function fetchMetaobjects(request, type) {
+  const query = `
+    query getMetaobjects($type: String!, $first: Int!, $after: String) {
+      metaobjects(type: $type, first: $first, after: $after) {
+        edges {
+          node {
+            id
+            handle
+            displayName
+            updatedAt
+            fields {
+              key
+              value
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const entries = [];
+  let after = null;
+
+  do {
+    const response = await request(query, {
+      type,
+      first: METAOBJECT_PAGE_SIZE,
+      after,
+    });
+    const connection = response.metaobjects;
+    connection.edges.forEach(({ node }) => {
+      const fields = {};
+      node.fields.forEach((field) => {
+        fields[field.key] = field.value ?? "";
+      });
+      entries.push({ ...node, fields });
+    });
+    after = connection.pageInfo.hasNextPage
+      ? connection.pageInfo.endCursor
+      : null;
+  } while (after);
+
+  return entries;
+}
+
+// Field value as written to a JSON file: parsed for JSON types, null when empty
+function toJSONValue(value, type) {
+  if (value === "" || value == null) return null;
+  if (!isJSONType(type)) return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Field value read from a JSON file, back to the string Shopify stores
+function fromJSONValue(value) {
+  if (value == null) return "";
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+// Write entries to a CSV or JSON file
+function writeMetaobjectFile(file, format, definition, entries) {
+  const keys = definition.fieldDefinitions.map((field) => field.key);
+
+  if (format === "json") {
+    const types = new Map(
+      definition.fieldDefinitions.map((field) => [field.key, field.type.name])
+    );
+    const document = {
+      type: definition.type,
+      exportedAt: new Date().toISOString(),
+      fields: definition.fieldDefinitions.map((field) => ({
+        key: field.key,
+        name: field.name,
+        type: field.type.name,
+        required: field.required,
+      })),
+      metaobjects: entries.map((entry) => {
+        const fields = {};
+        keys.forEach((key) => {
+          fields[key] = toJSONValue(entry.fields[key], types.get(key));
+        });
+        return { id: entry.id, handle: entry.handle, fields };
+      }),
+    };
+    fs.writeFileSync(file, JSON.stringify(document, null, 2) + "\n", "utf8");
+    return;
+  }
+
+  const rows = entries.map((entry) => {
+    const row = { id: entry.id, handle: entry.handle };
+    keys.forEach((key) => {
+      row[key] = entry.fields[key] ?? "";
+    });
+    return row;
+  });
+  fs.writeFileSync(file, toCSV([...ENTRY_COLUMNS, ...keys], rows), "utf8");
+}
+
+// Read entries from a CSV or JSON file
+// Returns { type, keys, entries: [{ id, handle, fields: { key: value } }], errors }
+// where type is only known for JSON files and values are strings ("" when empty)
+async function readMetaobjectFile(file, format) {
+  if (format === "json") {
+    let document;
+    try {
+      document = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      throw new MetaobjectError(`${file} could not be read (${error.message})`);
+    }
+    if (!document || !Array.isArray(document.metaobjects)) {
+      throw new MetaobjectError(`${file}: expected a "metaobjects" array`);
+    }
+
+    const keys = new Set();
+    const entries = document.metaobjects.map((item) => {
+      const fields = {};
+      Object.entries(item.fields || {}).forEach(([key, value]) => {
+        keys.add(key);
+        fields[key] = fromJSONValue(value);
+      });
+      return { id: item.id || "", handle: item.handle || "", fields };
+    });
+    return {
+      type: document.type || null,
+      keys: [...keys],
+      entries,
+      errors: [],
+    };
+  }
+
+  const { headers, rows, errors } = await readCSVFile(file);
+  const keys = headers.filter((header) => !ENTRY_COLUMNS.includes(header));
+  const entries = rows.map((row) => {
+    const fields = {};
+    keys.forEach((key) => {
+      fields[key] = row[key];
+    });
+    return { id: row.id || "", handle: row.handle || "", fields };
+  });
+  return { type: null, keys, entries, errors };
+}
+
+module.exports = {
+  ENTRY_COLUMNS,
+  MetaobjectError,
+  isJSONType,
+  formatFor,
+  fetchMetaobjectDefinition,
+  fetchMetaobjects,
+  writeMetaobjectFile,
+  readMetaobjectFile,
+};
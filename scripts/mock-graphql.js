@@ -0,0 +1,464 @@
+/**
+ * Minimal GraphQL Parser and Executor
+ * Just enough GraphQL for the local mock Admin API server (mock-shopify-server.js)
+ *
+ * Supports operations, variables (with defaults), aliases, arguments,
+ * inline fragments, named fragments and __typename. There is no schema:
+ * fields are read from plain JavaScript objects, and a field whose value is a
+ * function is called with its arguments (e.g. `variants(args)`).
+ * Objects are matched against `... on Type` by their `__typename`.
+ *
+ * Usage:
+ *   const { execute, estimateCost } = require("./mock-graphql");
+ *   const result = execute(queryText, variables, { query: rootQuery, mutation: rootMutation });
+ */
+
+// Error reported in the response's top-level `errors` array
+class GraphQLError extends Error {
+  constructor(message, extensions = {}) {
+    super(message);
+    this.name = "GraphQLError";
+    this.extensions = extensions;
+  }
+}
+
+const PUNCTUATORS = "!$():=@[]{}|";
+
+// Split a document into tokens: { type, value }
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/[\s,﻿]/.test(char)) {
+      i++;
+    } else if (char === "#") {
+      while (i < source.length && source[i] !== "\n") i++;
+    } else if (source.startsWith("...", i)) {
+      tokens.push({ type: "punct", value: "..." });
+      i += 3;
+    } else if (PUNCTUATORS.includes(char)) {
+      tokens.push({ type: "punct", value: char });
+      i++;
+    } else if (/[_A-Za-z]/.test(char)) {
+      const match = source.slice(i).match(/^[_A-Za-z][_0-9A-Za-z]*/);
+      tokens.push({ type: "name", value: match[0] });
+      i += match[0].length;
+    } else if (/[-0-9]/.test(char)) {
+      const match = source.slice(i).match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?/);
+      if (!match) throw new GraphQLError(`Unexpected character "${char}"`);
+      tokens.push({
+        type: match[1] || match[2] ? "float" : "int",
+        value: match[0],
+      });
+      i += match[0].length;
+    } else if (char === '"') {
+      let value = "";
+      i++;
+      while (source[i] !== '"') {
+        if (i >= source.length) throw new GraphQLError("Unterminated string");
+        if (source[i] === "\\") {
+          const next = source[i + 1];
+          if (next === "u") {
+            value += String.fromCharCode(
+              parseInt(source.slice(i + 2, i + 6), 16)
+            );
+            i += 6;
+            continue;
+          }
+          value +=
+            { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" }[next] ?? next;
+          i += 2;
+          continue;
+        }
+        value += source[i++];
+      }
+      i++;
+      tokens.push({ type: "string", value });
+    } else {
+      throw new GraphQLError(`Unexpected character "${char}"`);
+    }
+  }
+
+  return tokens;
+}
+
+// Parse a document into { operations, fragments }
+function parse(source) {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const isPunct = (value) =>
+    peek() && peek().type === "punct" && peek().value === value;
+  const expectPunct = (value) => {
+    const token = next();
+    if (!token || token.type !== "punct" || token.value !== value) {
+      throw new GraphQLError(
+        `Syntax error: expected "${value}" but found ${
+          token ? `"${token.value}"` : "end of document"
+        }`
+      );
+    }
+  };
+  const expectName = () => {
+    const token = next();
+    if (!token || token.type !== "name") {
+      throw new GraphQLError(
+        `Syntax error: expected a name but found ${
+          token ? `"${token.value}"` : "end of document"
+        }`
+      );
+    }
+    return token.value;
+  };
+
+  function parseValue() {
+    const token = next();
+    if (!token) throw new GraphQLError("Syntax error: expected a value");
+
+    if (token.type === "punct" && token.value === "$") {
+      return { kind: "Variable", name: expectName() };
+    }
+    if (token.type === "punct" && token.value === "[") {
+      const values = [];
+      while (!isPunct("]")) values.push(parseValue());
+      expectPunct("]");
+      return { kind: "List", values };
+    }
+    if (token.type === "punct" && token.value === "{") {
+      const fields = {};
+      while (!isPunct("}")) {
+        const name = expectName();
+        expectPunct(":");
+        fields[name] = parseValue();
+      }
+      expectPunct("}");
+      return { kind: "Object", fields };
+    }
+    if (token.type === "int")
+      return { kind: "Const", value: parseInt(token.value, 10) };
+    if (token.type === "float")
+      return { kind: "Const", value: parseFloat(token.value) };
+    if (token.type === "string") return { kind: "Const", value: token.value };
+    if (token.type === "name") {
+      if (token.value === "true") return { kind: "Const", value: true };
+      if (token.value === "false") return { kind: "Const", value: false };
+      if (token.value === "null") return { kind: "Const", value: null };
+      return { kind: "Const", value: token.value };
+    }
+    throw new GraphQLError(`Syntax error: unexpected "${token.value}"`);
+  }
+
+  function parseArguments() {
+    const args = {};
+    if (!isPunct("(")) return args;
+    next();
+    while (!isPunct(")")) {
+      const name = expectName();
+      expectPunct(":");
+      args[name] = parseValue();
+    }
+    expectPunct(")");
+    return args;
+  }
+
+  // Directives are accepted and ignored
+  function skipDirectives() {
+    while (isPunct("@")) {
+      next();
+      expectName();
+      parseArguments();
+    }
+  }
+
+  function skipType() {
+    if (isPunct("[")) {
+      next();
+      skipType();
+      expectPunct("]");
+    } else {
+      expectName();
+    }
+    if (isPunct("!")) next();
+  }
+
+  function parseSelectionSet() {
+    expectPunct("{");
+    const selections = [];
+
+    while (!isPunct("}")) {
+      if (isPunct("...")) {
+        next();
+        if (peek().type === "name" && peek().value === "on") {
+          next();
+          const typeCondition = expectName();
+          skipDirectives();
+          selections.push({
+            kind: "InlineFragment",
+            typeCondition,
+            selectionSet: parseSelectionSet(),
+          });
+        } else if (isPunct("{")) {
+          selections.push({
+            kind: "InlineFragment",
+            typeCondition: null,
+            selectionSet: parseSelectionSet(),
+          });
+        } else {
+          selections.push({ kind: "FragmentSpread", name: expectName() });
+          skipDirectives();
+        }
+        continue;
+      }
+
+      let alias = expectName();
+      let name = alias;
+      if (isPunct(":")) {
+        next();
+        name = expectName();
+      }
+      const args = parseArguments();
+      skipDirectives();
+      selections.push({
+        kind: "Field",
+        alias,
+        name,
+        arguments: args,
+        selectionSet: isPunct("{") ? parseSelectionSet() : null,
+      });
+    }
+
+    expectPunct("}");
+    return selections;
+  }
+
+  const operations = [];
+  const fragments = {};
+
+  while (position < tokens.length) {
+    if (isPunct("{")) {
+      operations.push({
+        type: "query",
+        name: null,
+        variables: {},
+        selectionSet: parseSelectionSet(),
+      });
+      continue;
+    }
+
+    const keyword = expectName();
+    if (keyword === "fragment") {
+      const name = expectName();
+      if (expectName() !== "on")
+        throw new GraphQLError('Syntax error: expected "on"');
+      const typeCondition = expectName();
+      skipDirectives();
+      fragments[name] = { typeCondition, selectionSet: parseSelectionSet() };
+      continue;
+    }
+    if (keyword !== "query" && keyword !== "mutation") {
+      throw new GraphQLError(`Syntax error: unexpected "${keyword}"`);
+    }
+
+    const name = peek().type === "name" ? expectName() : null;
+    const variables = {};
+    if (isPunct("(")) {
+      next();
+      while (!isPunct(")")) {
+        expectPunct("$");
+        const variable = expectName();
+        expectPunct(":");
+        skipType();
+        variables[variable] = isPunct("=")
+          ? (next(), parseValue())
+          : { kind: "Const", value: undefined };
+      }
+      expectPunct(")");
+    }
+    skipDirectives();
+    operations.push({
+      type: keyword,
+      name,
+      variables,
+      selectionSet: parseSelectionSet(),
+    });
+  }
+
+  return { operations, fragments };
+}
+
+// Resolve a value node against the request's variables
+function valueOf(node, variables) {
+  switch (node.kind) {
+    case "Variable":
+      return variables[node.name];
+    case "List":
+      return node.values.map((value) => valueOf(value, variables));
+    case "Object": {
+      const object = {};
+      Object.entries(node.fields).forEach(([name, value]) => {
+        object[name] = valueOf(value, variables);
+      });
+      return object;
+    }
+    default:
+      return node.value;
+  }
+}
+
+function argumentValues(field, variables) {
+  const args = {};
+  Object.entries(field.arguments).forEach(([name, value]) => {
+    args[name] = valueOf(value, variables);
+  });
+  return args;
+}
+
+// Flatten fragments that apply to an object into its list of fields
+function collectFields(selectionSet, object, context) {
+  const fields = [];
+  selectionSet.forEach((selection) => {
+    if (selection.kind === "Field") {
+      fields.push(selection);
+      return;
+    }
+    const fragment =
+      selection.kind === "FragmentSpread"
+        ? context.fragments[selection.name]
+        : selection;
+    if (!fragment) {
+      throw new GraphQLError(`Unknown fragment "${selection.name}"`);
+    }
+    if (
+      !fragment.typeCondition ||
+      fragment.typeCondition === object.__typename
+    ) {
+      fields.push(...collectFields(fragment.selectionSet, object, context));
+    }
+  });
+  return fields;
+}
+
+function completeValue(value, field, context) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) {
+    return value.map((item) => completeValue(item, field, context));
+  }
+  if (field.selectionSet) {
+    if (typeof value !== "object") {
+      throw new GraphQLError(`Field "${field.name}" is not an object`);
+    }
+    return executeSelectionSet(field.selectionSet, value, context);
+  }
+  return value;
+}
+
+function executeSelectionSet(selectionSet, object, context) {
+  const result = {};
+  collectFields(selectionSet, object, context).forEach((field) => {
+    if (field.name === "__typename") {
+      result[field.alias] = object.__typename || null;
+      return;
+    }
+    let value = object[field.name];
+    if (typeof value === "function") {
+      value = value.call(object, argumentValues(field, context.variables));
+    }
+    result[field.alias] = completeValue(value, field, context);
+  });
+  return result;
+}
+
+// Pick the operation to run and fill in variable defaults
+function prepare(document, variables, operationName) {
+  const operation = operationName
+    ? document.operations.find((op) => op.name === operationName)
+    : document.operations[0];
+  if (!operation) {
+    throw new GraphQLError(
+      operationName
+        ? `Unknown operation "${operationName}"`
+        : "Document has no operation"
+    );
+  }
+
+  const values = { ...variables };
+  Object.entries(operation.variables).forEach(([name, defaultValue]) => {
+    if (values[name] === undefined) {
+      const fallback = valueOf(defaultValue, {});
+      values[name] = fallback === undefined ? null : fallback;
+    }
+  });
+  return { operation, values };
+}
+
+// Run a query or mutation against root objects; returns { data } or { errors }
+function execute(source, variables = {}, roots = {}, operationName = null) {
+  try {
+    const document = parse(source);
+    const { operation, values } = prepare(document, variables, operationName);
+    const root = roots[operation.type];
+    if (!root) {
+      throw new GraphQLError(`${operation.type} is not supported`);
+    }
+
+    const context = { variables: values, fragments: document.fragments };
+    return { data: executeSelectionSet(operation.selectionSet, root, context) };
+  } catch (error) {
+    if (error instanceof GraphQLError) {
+      return {
+        errors: [{ message: error.message, extensions: error.extensions }],
+      };
+    }
+    throw error;
+  }
+}
+
+// Connection plumbing that Shopify does not charge for on its own
+const FREE_FIELDS = ["edges", "node", "nodes", "pageInfo"];
+
+// Rough query cost in the spirit of Shopify's calculation: objects cost 1,
+// connections cost 2 plus `first` (or `last`) times the cost of each node
+function estimateCost(source, variables = {}, operationName = null) {
+  const document = parse(source);
+  const { operation, values } = prepare(document, variables, operationName);
+
+  function costOf(selectionSet) {
+    let total = 0;
+    selectionSet.forEach((selection) => {
+      if (selection.kind !== "Field") {
+        const fragment =
+          selection.kind === "FragmentSpread"
+            ? document.fragments[selection.name]
+            : selection;
+        if (fragment) total += costOf(fragment.selectionSet);
+        return;
+      }
+      if (!selection.selectionSet) return;
+
+      const args = argumentValues(selection, values);
+      const pageSize = args.first || args.last;
+      const childCost = costOf(selection.selectionSet);
+      if (FREE_FIELDS.includes(selection.name)) {
+        total += childCost;
+        return;
+      }
+      total += pageSize ? 2 + pageSize * Math.max(childCost, 1) : 1 + childCost;
+    });
+    return total;
+  }
+
+  const cost = costOf(operation.selectionSet);
+  return operation.type === "mutation" ? cost + 10 : Math.max(cost, 1);
+}
+
+module.exports = {
+  GraphQLError,
+  parse,
+  execute,
+  estimateCost,
+};
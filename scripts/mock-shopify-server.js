@@ -0,0 +1,1790 @@
+#!/usr/bin/env node
+
+/**
+ * Local Mock Shopify Admin GraphQL Server
+ * Serves the queries and mutations these scripts use from fixture data, so
+ * they can be tried out (and broken) without touching a real shop
+ *
+ * - Products, variants, media, metafields, metafield definitions, metaobjects,
+ *   collections, pages, locations and inventory levels are loaded from a
+ *   fixture JSON file and changed in memory by mutations
+ * - Cursor pagination and the search syntax the scripts send (field:value,
+ *   quoted values, * wildcards, AND / OR / NOT and parentheses)
+ * - Query costs and a leaky bucket, answering THROTTLED like Shopify when it runs dry
+ * - userErrors for invalid input, plus any forced errors listed in the fixture
+ *
+ * Point a script at it with --endpoint (or SHOPIFY_ENDPOINT):
+ *   node mock-shopify-server.js --port 4000
+ *   node export-variants.js --shop mock --token x --endpoint http://localhost:4000
+ *
+ * Usage: node mock-shopify-server.js [options]
+ * Options:
+ *   --port <port>             Port to listen on (default: 4000)
+ *   --fixtures <file>         Fixture JSON to load (default: fixtures/mock-shop.json)
+ *   --bucket-size <points>    Leaky bucket size (default: 1000)
+ *   --restore-rate <points>   Points restored per second (default: 50)
+ *   --fail-every <n>          Answer every nth request with HTTP 429 (default: off)
+ *   --quiet                   Do not log each request
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { execute, estimateCost, GraphQLError } = require("./mock-graphql");
+
+// Configuration
+const config = {
+  port: 4000,
+  fixtures: path.join(__dirname, "fixtures", "mock-shop.json"),
+  bucketSize: 1000,
+  restoreRate: 50,
+  failEvery: 0,
+  quiet: false,
+};
+
+// Shopify refuses any single query above this cost, whatever is in the bucket
+const MAX_QUERY_COST = 1000;
+
+const MAX_PAGE_SIZE = 250;
+
+const GRAPHQL_PATH = /^\/admin\/api\/[^/]+\/graphql\.json$/;
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--port":
+        config.port = parseInt(args[++i], 10);
+        break;
+      case "--fixtures":
+        config.fixtures = path.resolve(args[++i]);
+        break;
+      case "--bucket-size":
+        config.bucketSize = parseInt(args[++i], 10);
+        break;
+      case "--restore-rate":
+        config.restoreRate = parseInt(args[++i], 10);
+        break;
+      case "--fail-every":
+        config.failEvery = parseInt(args[++i], 10);
+        break;
+      case "--quiet":
+        config.quiet = true;
+        break;
+      case "--help":
+        console.log(`
+Usage: node mock-shopify-server.js [options]
+
+Options:
+  --port <port>             Port to listen on (default: 4000)
+  --fixtures <file>         Fixture JSON to load (default: fixtures/mock-shop.json)
+  --bucket-size <points>    Leaky bucket size (default: 1000)
+  --restore-rate <points>   Points restored per second (default: 50)
+  --fail-every <n>          Answer every nth request with HTTP 429, to exercise
+                            the client's retries (default: off)
+  --quiet                   Do not log each request
+  --help                    Show this help message
+
+Endpoints:
+  POST /admin/api/<version>/graphql.json   Admin GraphQL API
+  GET  /__state                            Current shop data as JSON
+  POST /__reset                            Reload the fixtures and refill the bucket
+
+Examples:
+  # Start the server, then point a script at it
+  node mock-shopify-server.js --port 4000
+  node export-variants.js --shop mock --token x --endpoint http://localhost:4000
+
+  # A small, slow bucket to watch the scripts throttle themselves
+  node mock-shopify-server.js --bucket-size 200 --restore-rate 10
+        `);
+        process.exit(0);
+        break;
+    }
+  }
+}
+
+// Validate configuration
+function validateConfig() {
+  if (!Number.isInteger(config.port) || config.port < 0) {
+    console.error("Error: --port must be a number.");
+    process.exit(1);
+  }
+  if (!fs.existsSync(config.fixtures)) {
+    console.error(`Error: Fixture file not found: ${config.fixtures}`);
+    process.exit(1);
+  }
+  if (!(config.bucketSize > 0) || !(config.restoreRate > 0)) {
+    console.error("Error: --bucket-size and --restore-rate must be positive.");
+    process.exit(1);
+  }
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+function numericId(id) {
+  return String(id).replace(/^gid:\/\/shopify\/\w+\//, "");
+}
+
+// Opaque cursor for the item at an index
+function encodeCursor(index) {
+  return Buffer.from(JSON.stringify({ last_id: index })).toString("base64");
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(cursor, "base64").toString("utf8")).last_id;
+  } catch (error) {
+    throw new GraphQLError(`Invalid cursor: ${cursor}`, {
+      code: "BAD_REQUEST",
+    });
+  }
+}
+
+// A page of items as a connection: { edges, nodes, pageInfo }
+function connection(items, { first, last, after, before } = {}) {
+  if (first == null && last == null) {
+    throw new GraphQLError("you must provide one of first or last", {
+      code: "BAD_REQUEST",
+    });
+  }
+  if ((first || last) > MAX_PAGE_SIZE) {
+    throw new GraphQLError(
+      `The first or last argument cannot exceed ${MAX_PAGE_SIZE}`,
+      { code: "BAD_REQUEST" }
+    );
+  }
+
+  let start = after != null ? decodeCursor(after) + 1 : 0;
+  let end = before != null ? decodeCursor(before) : items.length;
+  if (first != null) end = Math.min(end, start + first);
+  if (last != null) start = Math.max(start, end - last);
+
+  const edges = items.slice(start, end).map((node, offset) => ({
+    cursor: encodeCursor(start + offset),
+    node,
+  }));
+
+  return {
+    edges,
+    nodes: edges.map((edge) => edge.node),
+    pageInfo: {
+      hasNextPage: end < items.length,
+      hasPreviousPage: start > 0,
+      startCursor: edges.length ? edges[0].cursor : null,
+      endCursor: edges.length ? edges[edges.length - 1].cursor : null,
+    },
+  };
+}
+
+// Split a search query into tokens: "(", ")", "OR", "AND", "NOT", "-" or a term
+function tokenizeSearch(query) {
+  const tokens = [];
+  const pattern = /\s*(?:([()])|(-)(?=\S)|((?:[^\s()"]|"(?:[^"\\]|\\.)*")+))/gy;
+  let match;
+
+  while (pattern.lastIndex < query.length && (match = pattern.exec(query))) {
+    if (match[1]) tokens.push(match[1]);
+    else if (match[2]) tokens.push("-");
+    else if (match[3]) tokens.push(match[3]);
+    else break;
+  }
+  return tokens;
+}
+
+// Values of a searchable field on a stored item
+const SEARCH_FIELDS = {
+  id: (item) => [numericId(item.id)],
+  title: (item) => [item.title],
+  handle: (item) => [item.handle],
+  vendor: (item) => [item.vendor],
+  product_type: (item) => [item.productType],
+  tag: (item) => item.tags || [],
+  status: (item) => [item.status],
+  sku: (item) => (item.variants || []).map((variant) => variant.sku),
+  collection_id: (item) => (item.collections || []).map(numericId),
+  created_at: (item) => [item.createdAt],
+  updated_at: (item) => [item.updatedAt],
+};
+
+// Test one field:value term against an item
+function matchesTerm(item, text) {
+  const match = text.match(/^([a-z_]+):(<=|>=|<|>)?(.*)$/);
+  if (!match) {
+    // Free text searches the title
+    return SEARCH_FIELDS.title(item).some((value) =>
+      String(value || "")
+        .toLowerCase()
+        .includes(text.replace(/"/g, "").toLowerCase())
+    );
+  }
+
+  const [, field, comparison, raw] = match;
+  const read = SEARCH_FIELDS[field];
+  if (!read) return false;
+
+  const quoted = /^".*"$/.test(raw);
+  const value = quoted ? raw.slice(1, -1).replace(/\\(.)/g, "$1") : raw;
+  const values = read(item)
+    .filter((v) => v != null)
+    .map(String);
+
+  if (comparison) {
+    return values.some((v) =>
+      comparison === ">"
+        ? v > value
+        : comparison === ">="
+        ? v >= value
+        : comparison === "<"
+        ? v < value
+        : v <= value
+    );
+  }
+
+  if (!quoted && value.includes("*")) {
+    const pattern = new RegExp(
+      `^${value
+        .split("*")
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*")}$`,
+      "i"
+    );
+    return values.some((v) => pattern.test(v));
+  }
+  return values.some((v) => v.toLowerCase() === value.toLowerCase());
+}
+
+// Whether an item matches a Shopify search query
+function matchesSearch(item, query) {
+  if (!query || !query.trim()) return true;
+  const tokens = tokenizeSearch(query);
+  let position = 0;
+
+  function parseOr() {
+    let result = parseAnd();
+    while (tokens[position] === "OR") {
+      position++;
+      const right = parseAnd();
+      result = result || right;
+    }
+    return result;
+  }
+
+  function parseAnd() {
+    let result = parseUnary();
+    while (
+      position < tokens.length &&
+      tokens[position] !== "OR" &&
+      tokens[position] !== ")"
+    ) {
+      if (tokens[position] === "AND") position++;
+      const right = parseUnary();
+      result = result && right;
+    }
+    return result;
+  }
+
+  function parseUnary() {
+    const token = tokens[position++];
+    if (token === "NOT" || token === "-") return !parseUnary();
+    if (token === "(") {
+      const result = parseOr();
+      if (tokens[position] === ")") position++;
+      return result;
+    }
+    return token == null ? true : matchesTerm(item, token);
+  }
+
+  return parseOr();
+}
+
+// Load the fixture file into the in-memory store
+function loadStore(file) {
+  const fixtures = JSON.parse(fs.readFileSync(file, "utf8"));
+  const store = {
+    shop: fixtures.shop || { name: "Mock Shop" },
+    products: fixtures.products || [],
+    collections: fixtures.collections || [],
+    pages: fixtures.pages || [],
+    metafieldDefinitions: fixtures.metafieldDefinitions || [],
+    metaobjectDefinitions: fixtures.metaobjectDefinitions || [],
+    metaobjects: fixtures.metaobjects || [],
+    locations: fixtures.locations || [],
+    mockErrors: fixtures.mockErrors || [],
+  };
+
+  // Variants without inventory levels keep their whole stock at the first location
+  const defaultLocation = store.locations[0];
+  store.products.forEach((product) => {
+    product.tags = product.tags || [];
+    product.collections = product.collections || [];
+    product.variants = product.variants || [];
+    product.metafields = product.metafields || [];
+    product.media = product.media || [];
+    product.variants.forEach((variant) => {
+      variant.metafields = variant.metafields || [];
+      variant.media = variant.media || [];
+      variant.inventoryLevels =
+        variant.inventoryLevels ||
+        (defaultLocation
+          ? [
+              {
+                locationId: defaultLocation.id,
+                available: variant.inventoryQuantity || 0,
+                on_hand: variant.inventoryQuantity || 0,
+                incoming: 0,
+              },
+            ]
+          : []);
+    });
+  });
+  return store;
+}
+
+// Build the query and mutation roots over a store
+function createRoots(store) {
+  const findProduct = (id) =>
+    store.products.find((product) => product.id === id) || null;
+
+  const findVariant = (id) => {
+    for (const product of store.products) {
+      const variant = product.variants.find((v) => v.id === id);
+      if (variant) return { product, variant };
+    }
+    return null;
+  };
+
+  const findCollection = (id) =>
+    store.collections.find((collection) => collection.id === id) || null;
+  const findPage = (id) => store.pages.find((page) => page.id === id) || null;
+  const findLocation = (id) =>
+    store.locations.find((location) => location.id === id) || null;
+  const findInventoryItem = (id) => {
+    for (const product of store.products) {
+      const variant = product.variants.find(
+        (v) => `gid://shopify/InventoryItem/${numericId(v.id)}` === id
+      );
+      if (variant) return variant;
+    }
+    return null;
+  };
+  const findMetaobject = (id) =>
+    store.metaobjects.find((metaobject) => metaobject.id === id) || null;
+  const findMetaobjectDefinition = (type) =>
+    store.metaobjectDefinitions.find(
+      (definition) => definition.type === type
+    ) || null;
+
+  const findDefinition = (ownerType, namespace, key) =>
+    store.metafieldDefinitions.find(
+      (definition) =>
+        definition.ownerType === ownerType &&
+        definition.namespace === namespace &&
+        definition.key === key
+    ) || null;
+
+  // Errors the fixture asks to be returned for an operation and ID
+  const forcedErrors = (operation, ids) =>
+    store.mockErrors
+      .filter(
+        (error) =>
+          error.operation === operation && (!error.id || ids.includes(error.id))
+      )
+      .map((error) => ({
+        field: error.field || null,
+        message: error.message,
+      }));
+
+  function metafieldView(ownerId, metafield, ownerType = "PRODUCTVARIANT") {
+    return {
+      __typename: "Metafield",
+      id: metafield.id,
+      namespace: metafield.namespace,
+      key: metafield.key,
+      value: metafield.value,
+      type: metafield.type,
+      ownerType,
+      owner: () => node(ownerId),
+      reference: () =>
+        metafield.type.endsWith("_reference") ? node(metafield.value) : null,
+    };
+  }
+
+  // Fields shared by the views of metafield owners
+  function metafieldFields(ownerId, metafields, ownerType) {
+    return {
+      metafields: (args) =>
+        connection(
+          metafields
+            .filter((m) => !args.namespace || m.namespace === args.namespace)
+            .map((m) => metafieldView(ownerId, m, ownerType)),
+          args
+        ),
+      metafield: ({ namespace, key }) => {
+        const metafield = metafields.find(
+          (m) => m.namespace === namespace && m.key === key
+        );
+        return metafield ? metafieldView(ownerId, metafield, ownerType) : null;
+      },
+    };
+  }
+
+  function locationView(location) {
+    return { __typename: "Location", isActive: true, ...location };
+  }
+
+  function inventoryLevelView(variant, level) {
+    return {
+      __typename: "InventoryLevel",
+      id: `gid://shopify/InventoryLevel/${numericId(
+        level.locationId
+      )}?inventory_item_id=${numericId(variant.id)}`,
+      location: () => locationView(findLocation(level.locationId)),
+      quantities: ({ names }) =>
+        names.map((name) => ({ name, quantity: level[name] ?? 0 })),
+    };
+  }
+
+  function inventoryItemView(variant) {
+    const levels = variant.inventoryLevels.filter((level) =>
+      findLocation(level.locationId)
+    );
+    return {
+      __typename: "InventoryItem",
+      id: `gid://shopify/InventoryItem/${numericId(variant.id)}`,
+      sku: variant.sku,
+      tracked: true,
+      inventoryLevel: ({ locationId }) => {
+        const level = levels.find((l) => l.locationId === locationId);
+        return level ? inventoryLevelView(variant, level) : null;
+      },
+      inventoryLevels: (args) =>
+        connection(
+          levels.map((level) => inventoryLevelView(variant, level)),
+          args
+        ),
+      variant: () => {
+        const found = findVariant(variant.id);
+        return variantView(found.product, variant);
+      },
+    };
+  }
+
+  // Media are stored on the product; variants list the IDs attached to them
+  function mediaView(media) {
+    return {
+      __typename: "MediaImage",
+      mediaContentType: "IMAGE",
+      status: "READY",
+      alt: null,
+      ...media,
+      preview: { image: media.image || null },
+    };
+  }
+
+  function variantView(product, variant) {
+    return {
+      __typename: "ProductVariant",
+      ...variant,
+      displayName: `${product.title} - ${variant.title}`,
+      media: (args) =>
+        connection(
+          variant.media
+            .map((id) => product.media.find((media) => media.id === id))
+            .filter(Boolean)
+            .map(mediaView),
+          args
+        ),
+      inventoryItem: () => inventoryItemView(variant),
+      product: () => productView(product),
+      ...metafieldFields(variant.id, variant.metafields, "PRODUCTVARIANT"),
+    };
+  }
+
+  function productView(product) {
+    return {
+      __typename: "Product",
+      ...product,
+      variants: (args) =>
+        connection(
+          product.variants.map((variant) => variantView(product, variant)),
+          args
+        ),
+      variantsCount: { count: product.variants.length, precision: "EXACT" },
+      media: (args) => connection(product.media.map(mediaView), args),
+      mediaCount: { count: product.media.length, precision: "EXACT" },
+      ...metafieldFields(product.id, product.metafields, "PRODUCT"),
+      collections: (args) =>
+        connection(
+          product.collections
+            .map(findCollection)
+            .filter(Boolean)
+            .map(collectionView),
+          args
+        ),
+    };
+  }
+
+  function collectionView(collection) {
+    return { __typename: "Collection", ...collection };
+  }
+
+  function pageView(page) {
+    return { __typename: "Page", ...page };
+  }
+
+  function metaobjectFieldView(definition, field) {
+    return {
+      __typename: "MetaobjectField",
+      key: field.key,
+      value: field.value ?? null,
+      type: definition ? definition.type : "single_line_text_field",
+      reference: () =>
+        definition && definition.type.endsWith("_reference") && field.value
+          ? node(field.value)
+          : null,
+    };
+  }
+
+  function metaobjectView(metaobject) {
+    const definition = findMetaobjectDefinition(metaobject.type);
+    const fieldDefinition = (key) =>
+      definition
+        ? definition.fieldDefinitions.find((f) => f.key === key) || null
+        : null;
+    const displayField = definition
+      ? metaobject.fields.find((f) => f.key === definition.displayNameKey)
+      : null;
+
+    return {
+      __typename: "Metaobject",
+      ...metaobject,
+      displayName: (displayField && displayField.value) || metaobject.handle,
+      fields: metaobject.fields
+        .filter((field) => field.value != null && field.value !== "")
+        .map((field) => metaobjectFieldView(fieldDefinition(field.key), field)),
+      field: ({ key }) => {
+        const field = metaobject.fields.find((f) => f.key === key);
+        return field ? metaobjectFieldView(fieldDefinition(key), field) : null;
+      },
+    };
+  }
+
+  function metaobjectDefinitionView(definition) {
+    return {
+      __typename: "MetaobjectDefinition",
+      ...definition,
+      fieldDefinitions: definition.fieldDefinitions.map((field) => ({
+        ...field,
+        required: field.required === true,
+        type: { name: field.type },
+        validations: field.validations || [],
+      })),
+      metaobjectsCount: store.metaobjects.filter(
+        (metaobject) => metaobject.type === definition.type
+      ).length,
+    };
+  }
+
+  function node(id) {
+    const product = findProduct(id);
+    if (product) return productView(product);
+    const found = findVariant(id);
+    if (found) return variantView(found.product, found.variant);
+    const collection = findCollection(id);
+    if (collection) return collectionView(collection);
+    const page = findPage(id);
+    if (page) return pageView(page);
+    const metaobject = findMetaobject(id);
+    return metaobject ? metaobjectView(metaobject) : null;
+  }
+
+  const query = {
+    shop: () => store.shop,
+    products: (args) =>
+      connection(
+        store.products
+          .filter((product) => matchesSearch(product, args.query))
+          .map(productView),
+        args
+      ),
+    productsCount: (args) => ({
+      count: store.products.filter((product) =>
+        matchesSearch(product, args.query)
+      ).length,
+      precision: "EXACT",
+    }),
+    product: ({ id }) => {
+      const product = findProduct(id);
+      return product ? productView(product) : null;
+    },
+    productVariant: ({ id }) => {
+      const found = findVariant(id);
+      return found ? variantView(found.product, found.variant) : null;
+    },
+    collections: (args) =>
+      connection(
+        store.collections
+          .filter((collection) => matchesSearch(collection, args.query))
+          .map(collectionView),
+        args
+      ),
+    collection: ({ id }) => {
+      const collection = findCollection(id);
+      return collection ? collectionView(collection) : null;
+    },
+    pages: (args) =>
+      connection(
+        store.pages
+          .filter((page) => matchesSearch(page, args.query))
+          .map(pageView),
+        args
+      ),
+    page: ({ id }) => {
+      const page = findPage(id);
+      return page ? pageView(page) : null;
+    },
+    metaobjectDefinitionByType: ({ type }) => {
+      const definition = findMetaobjectDefinition(type);
+      return definition ? metaobjectDefinitionView(definition) : null;
+    },
+    metaobjects: (args) =>
+      connection(
+        store.metaobjects
+          .filter(
+            (metaobject) =>
+              metaobject.type === args.type &&
+              matchesSearch(metaobject, args.query)
+          )
+          .map(metaobjectView),
+        args
+      ),
+    metaobject: ({ id }) => {
+      const metaobject = findMetaobject(id);
+      return metaobject ? metaobjectView(metaobject) : null;
+    },
+    metaobjectByHandle: ({ handle }) => {
+      const metaobject = store.metaobjects.find(
+        (m) => m.type === handle.type && m.handle === handle.handle
+      );
+      return metaobject ? metaobjectView(metaobject) : null;
+    },
+    locations: (args) => connection(store.locations.map(locationView), args),
+    location: ({ id }) => {
+      const location = findLocation(id);
+      return location ? locationView(location) : null;
+    },
+    inventoryItem: ({ id }) => {
+      const variant = findInventoryItem(id);
+      return variant ? inventoryItemView(variant) : null;
+    },
+    node: ({ id }) => node(id),
+    nodes: ({ ids }) => ids.map(node),
+    metafieldDefinitions: (args) =>
+      connection(
+        store.metafieldDefinitions
+          .filter((definition) => definition.ownerType === args.ownerType)
+          .map((definition) => ({
+            __typename: "MetafieldDefinition",
+            ...definition,
+            type: { name: definition.type },
+            validations: definition.validations || [],
+          })),
+        args
+      ),
+  };
+
+  // Check a value against a metafield type; returns an error message or null
+  function checkMetafieldValue(type, value) {
+    if (typeof value !== "string") return "Value must be a string";
+    switch (type) {
+      case "boolean":
+        return ["true", "false"].includes(value)
+          ? null
+          : "Value must be true or false";
+      case "number_integer":
+        return /^-?\d+$/.test(value) ? null : "Value must be an integer";
+      case "number_decimal":
+        return /^-?\d+(\.\d+)?$/.test(value) ? null : "Value must be a decimal";
+      case "json":
+        try {
+          JSON.parse(value);
+          return null;
+        } catch (error) {
+          return "Value must be valid JSON";
+        }
+      case "rich_text_field":
+        try {
+          return JSON.parse(value).type === "root"
+            ? null
+            : "Value must be a rich text root node";
+        } catch (error) {
+          return "Value must be valid JSON";
+        }
+      case "url":
+        return /^(https?:\/\/|mailto:|sms:|tel:|\/)/.test(value)
+          ? null
+          : "Value must be a URL";
+      case "metaobject_reference":
+        return findMetaobject(value) ? null : "Value must be a metaobject ID";
+      default:
+        return null;
+    }
+  }
+
+  function isMoney(value) {
+    return /^\d+(\.\d+)?$/.test(String(value));
+  }
+
+  // Validate one ProductVariantsBulkInput; returns userErrors
+  function checkVariantInput(product, input, index) {
+    const errors = [];
+    const field = (...rest) => ["variants", String(index), ...rest];
+
+    if (!product.variants.some((variant) => variant.id === input.id)) {
+      errors.push({
+        field: field("id"),
+        message: findVariant(input.id)
+          ? "Product variant does not belong to the product"
+          : "Product variant does not exist",
+      });
+      return errors;
+    }
+    if ("price" in input && (input.price == null || !isMoney(input.price))) {
+      errors.push({ field: field("price"), message: "Price is invalid" });
+    }
+    if (input.compareAtPrice != null && !isMoney(input.compareAtPrice)) {
+      errors.push({
+        field: field("compareAtPrice"),
+        message: "Compare at price is invalid",
+      });
+    }
+    if (
+      "inventoryPolicy" in input &&
+      !["DENY", "CONTINUE"].includes(input.inventoryPolicy)
+    ) {
+      errors.push({
+        field: field("inventoryPolicy"),
+        message: "Inventory policy is not included in the list",
+      });
+    }
+    (input.metafields || []).forEach((metafield, position) => {
+      const definition = findDefinition(
+        "PRODUCTVARIANT",
+        metafield.namespace,
+        metafield.key
+      );
+      const where = field("metafields", String(position), "value");
+      if (definition && metafield.type && metafield.type !== definition.type) {
+        errors.push({
+          field: field("metafields", String(position), "type"),
+          message: `Type must be ${definition.type} to match the definition`,
+        });
+        return;
+      }
+      const type = (definition && definition.type) || metafield.type;
+      if (!type) {
+        errors.push({
+          field: field("metafields", String(position), "type"),
+          message: "Type can't be blank",
+        });
+        return;
+      }
+      const problem = checkMetafieldValue(type, metafield.value);
+      if (problem) errors.push({ field: where, message: problem });
+    });
+
+    return errors;
+  }
+
+  function applyVariantInput(variant, input) {
+    ["price", "compareAtPrice", "barcode", "inventoryPolicy", "taxable"]
+      .filter((key) => key in input)
+      .forEach((key) => {
+        variant[key] =
+          (key === "price" || key === "compareAtPrice") && input[key] != null
+            ? Number(input[key]).toFixed(2)
+            : input[key];
+      });
+    if (input.inventoryItem && "sku" in input.inventoryItem) {
+      variant.sku = input.inventoryItem.sku;
+    }
+
+    (input.metafields || []).forEach((metafield) => {
+      const definition = findDefinition(
+        "PRODUCTVARIANT",
+        metafield.namespace,
+        metafield.key
+      );
+      const existing = variant.metafields.find(
+        (m) => m.namespace === metafield.namespace && m.key === metafield.key
+      );
+      if (existing) {
+        existing.value = metafield.value;
+      } else {
+        variant.metafields.push({
+          id: `gid://shopify/Metafield/${Date.now()}${
+            variant.metafields.length
+          }`,
+          namespace: metafield.namespace,
+          key: metafield.key,
+          type: (definition && definition.type) || metafield.type,
+          value: metafield.value,
+        });
+      }
+    });
+    variant.updatedAt = now();
+  }
+
+  // Validate the fields of a MetaobjectCreateInput or MetaobjectUpdateInput
+  function checkMetaobjectInput(definition, input, existing) {
+    const errors = [];
+    const fields = input.fields || [];
+
+    if (input.handle != null) {
+      const taken = store.metaobjects.some(
+        (m) =>
+          m.type === definition.type &&
+          m.handle === input.handle &&
+          m !== existing
+      );
+      if (taken) {
+        errors.push({
+          field: ["metaobject", "handle"],
+          message: "Handle has already been taken",
+          code: "TAKEN",
+        });
+      }
+    }
+
+    fields.forEach((field, index) => {
+      const where = ["metaobject", "fields", String(index)];
+      const fieldDefinition = definition.fieldDefinitions.find(
+        (f) => f.key === field.key
+      );
+      if (!fieldDefinition) {
+        errors.push({
+          field: where,
+          message: `Field definition "${field.key}" does not exist`,
+          code: "UNDEFINED_OBJECT_FIELD",
+        });
+        return;
+      }
+      if (field.value === "" || field.value == null) {
+        if (fieldDefinition.required) {
+          errors.push({
+            field: where,
+            message: `${fieldDefinition.name} can't be blank`,
+            code: "OBJECT_FIELD_REQUIRED",
+          });
+        }
+        return;
+      }
+      const problem = checkMetafieldValue(fieldDefinition.type, field.value);
+      if (problem) {
+        errors.push({ field: where, message: problem, code: "INVALID_VALUE" });
+      }
+    });
+
+    if (!existing) {
+      definition.fieldDefinitions
+        .filter((f) => f.required)
+        .filter(
+          (f) => !fields.some((field) => field.key === f.key && field.value)
+        )
+        .forEach((f) => {
+          errors.push({
+            field: ["metaobject", "fields"],
+            message: `${f.name} can't be blank`,
+            code: "OBJECT_FIELD_REQUIRED",
+          });
+        });
+    }
+
+    return errors;
+  }
+
+  function applyMetaobjectFields(metaobject, fields) {
+    fields.forEach(({ key, value }) => {
+      const existing = metaobject.fields.find((field) => field.key === key);
+      if (existing) {
+        existing.value = value;
+      } else {
+        metaobject.fields.push({ key, value });
+      }
+    });
+    metaobject.fields = metaobject.fields.filter(
+      (field) => field.value != null && field.value !== ""
+    );
+    metaobject.updatedAt = now();
+  }
+
+  // Find the owner of a metafield and its metafields list
+  function findMetafieldOwner(ownerId) {
+    const product = findProduct(ownerId);
+    if (product) {
+      return { ownerType: "PRODUCT", metafields: product.metafields };
+    }
+    const found = findVariant(ownerId);
+    return found
+      ? { ownerType: "PRODUCTVARIANT", metafields: found.variant.metafields }
+      : null;
+  }
+
+  // Apply the fields of an update input that the mock stores
+  function applyInput(target, input, fields) {
+    fields
+      .filter((key) => key in input)
+      .forEach((key) => {
+        target[key] = input[key];
+      });
+    target.updatedAt = now();
+  }
+
+  const PRODUCT_INPUT_FIELDS = [
+    "title",
+    "handle",
+    "vendor",
+    "productType",
+    "tags",
+    "status",
+    "templateSuffix",
+  ];
+  const ONLINE_STORE_INPUT_FIELDS = ["title", "handle", "templateSuffix"];
+
+  const INVENTORY_REASONS = [
+    "correction",
+    "cycle_count_available",
+    "damaged",
+    "movement_created",
+    "movement_updated",
+    "movement_received",
+    "movement_canceled",
+    "other",
+    "promotion",
+    "quality_control",
+    "received",
+    "reservation_created",
+    "reservation_deleted",
+    "reservation_updated",
+    "restock",
+    "safety_stock",
+    "shrinkage",
+  ];
+
+  // Find the level of an inventory item at a location, with userErrors if missing
+  function findInventoryLevel(item, where) {
+    const variant = findInventoryItem(item.inventoryItemId);
+    if (!variant) {
+      return {
+        error: {
+          field: where("inventoryItemId"),
+          message: "The specified inventory item could not be found.",
+          code: "INVALID_INVENTORY_ITEM",
+        },
+      };
+    }
+    if (!findLocation(item.locationId)) {
+      return {
+        error: {
+          field: where("locationId"),
+          message: "The specified location could not be found.",
+          code: "INVALID_LOCATION",
+        },
+      };
+    }
+    const level = variant.inventoryLevels.find(
+      (l) => l.locationId === item.locationId
+    );
+    if (!level) {
+      return {
+        error: {
+          field: where("locationId"),
+          message:
+            "The specified inventory item is not stocked at the location.",
+          code: "ITEM_NOT_STOCKED_AT_LOCATION",
+        },
+      };
+    }
+    return { variant, level };
+  }
+
+  // Change one quantity of a level; available and on_hand move together, as
+  // stock made available is also on hand
+  function changeQuantity(variant, level, name, delta) {
+    level[name] = (level[name] || 0) + delta;
+    if (name === "available") level.on_hand = (level.on_hand || 0) + delta;
+    if (name === "on_hand") level.available = (level.available || 0) + delta;
+    variant.inventoryQuantity = variant.inventoryLevels.reduce(
+      (sum, l) => sum + (l.available || 0),
+      0
+    );
+    variant.updatedAt = now();
+  }
+
+  // Check the name and reason shared by both inventory mutations
+  function checkInventoryInput(input, names) {
+    const userErrors = [];
+    if (!names.includes(input.name)) {
+      userErrors.push({
+        field: ["input", "name"],
+        message: `The quantity name must be one of: ${names.join(", ")}.`,
+        code: "INVALID_NAME",
+      });
+    }
+    if (!INVENTORY_REASONS.includes(input.reason)) {
+      userErrors.push({
+        field: ["input", "reason"],
+        message: "The specified reason is invalid.",
+        code: "INVALID_REASON",
+      });
+    }
+    return userErrors;
+  }
+
+  // Attach media to variants, or detach them; a variant holds one media at most
+  function changeVariantMedia(operation, productId, variantMedia) {
+    const product = findProduct(productId);
+    if (!product) {
+      return {
+        product: null,
+        productVariants: null,
+        userErrors: [
+          { field: ["productId"], message: "Product does not exist" },
+        ],
+      };
+    }
+
+    const attach = operation === "productVariantAppendMedia";
+    const userErrors = forcedErrors(
+      operation,
+      [productId].concat(variantMedia.map((input) => input.variantId))
+    );
+    variantMedia.forEach((input, index) => {
+      const where = (name) => ["variantMedia", String(index), name];
+      const variant = product.variants.find((v) => v.id === input.variantId);
+      if (!variant) {
+        userErrors.push({
+          field: where("variantId"),
+          message: `Variant ${input.variantId} does not exist on this product`,
+        });
+        return;
+      }
+      if (input.mediaIds.length !== 1) {
+        userErrors.push({
+          field: where("mediaIds"),
+          message: "Only one mediaId is allowed per variant-media input pair",
+        });
+        return;
+      }
+      const [mediaId] = input.mediaIds;
+      if (!product.media.some((item) => item.id === mediaId)) {
+        userErrors.push({
+          field: where("mediaIds"),
+          message: `Media id ${mediaId} does not exist`,
+        });
+      } else if (attach && variant.media.length > 0) {
+        userErrors.push({
+          field: where("variantId"),
+          message: "Variant already has attached media",
+        });
+      } else if (!attach && !variant.media.includes(mediaId)) {
+        userErrors.push({
+          field: where("mediaIds"),
+          message: `Media id ${mediaId} is not attached to variant ${input.variantId}`,
+        });
+      }
+    });
+    if (userErrors.length > 0) {
+      return { product: null, productVariants: null, userErrors };
+    }
+
+    const variants = variantMedia.map((input) => {
+      const variant = product.variants.find((v) => v.id === input.variantId);
+      variant.media = attach
+        ? [...input.mediaIds]
+        : variant.media.filter((id) => !input.mediaIds.includes(id));
+      variant.updatedAt = now();
+      return variantView(product, variant);
+    });
+    return {
+      product: productView(product),
+      productVariants: variants,
+      userErrors: [],
+    };
+  }
+
+  const mutation = {
+    productVariantsBulkUpdate: ({ productId, variants }) => {
+      const product = findProduct(productId);
+      if (!product) {
+        return {
+          product: null,
+          productVariants: null,
+          userErrors: [
+            { field: ["productId"], message: "Product does not exist" },
+          ],
+        };
+      }
+
+      const userErrors = [
+        ...forcedErrors(
+          "productVariantsBulkUpdate",
+          [productId].concat(variants.map((input) => input.id))
+        ),
+        ...variants.flatMap((input, index) =>
+          checkVariantInput(product, input, index)
+        ),
+      ];
+      if (userErrors.length > 0) {
+        return { product: null, productVariants: null, userErrors };
+      }
+
+      variants.forEach((input) => {
+        applyVariantInput(
+          product.variants.find((variant) => variant.id === input.id),
+          input
+        );
+      });
+      product.updatedAt = now();
+
+      return {
+        product: productView(product),
+        productVariants: variants.map((input) =>
+          variantView(
+            product,
+            product.variants.find((variant) => variant.id === input.id)
+          )
+        ),
+        userErrors: [],
+      };
+    },
+
+    productUpdate: ({ input }) => {
+      const product = findProduct(input.id);
+      const userErrors = product
+        ? forcedErrors("productUpdate", [input.id])
+        : [{ field: ["id"], message: "Product does not exist" }];
+      if (userErrors.length > 0) return { product: null, userErrors };
+
+      applyInput(product, input, PRODUCT_INPUT_FIELDS);
+      return { product: productView(product), userErrors: [] };
+    },
+
+    collectionUpdate: ({ input }) => {
+      const collection = findCollection(input.id);
+      const userErrors = collection
+        ? forcedErrors("collectionUpdate", [input.id])
+        : [{ field: ["id"], message: "Collection does not exist" }];
+      if (userErrors.length > 0) return { collection: null, userErrors };
+
+      applyInput(collection, input, ONLINE_STORE_INPUT_FIELDS);
+      return { collection: collectionView(collection), userErrors: [] };
+    },
+
+    pageUpdate: ({ id, page: input }) => {
+      const page = findPage(id);
+      const userErrors = page
+        ? forcedErrors("pageUpdate", [id])
+        : [{ field: ["id"], message: "Page does not exist" }];
+      if (userErrors.length > 0) return { page: null, userErrors };
+
+      applyInput(page, input, ONLINE_STORE_INPUT_FIELDS);
+      return { page: pageView(page), userErrors: [] };
+    },
+
+    metafieldsSet: ({ metafields }) => {
+      const userErrors = forcedErrors(
+        "metafieldsSet",
+        metafields.map((metafield) => metafield.ownerId)
+      );
+      if (metafields.length > 25) {
+        userErrors.push({
+          field: ["metafields"],
+          message: "Exceeded the maximum metafields input limit of 25.",
+          code: "LESS_THAN_OR_EQUAL_TO",
+        });
+      }
+      metafields.forEach((metafield, index) => {
+        const where = (name) => ["metafields", String(index), name];
+        const owner = findMetafieldOwner(metafield.ownerId);
+        if (!owner) {
+          userErrors.push({
+            field: where("ownerId"),
+            message: "Owner does not exist",
+            code: "INVALID",
+          });
+          return;
+        }
+        const definition = findDefinition(
+          owner.ownerType,
+          metafield.namespace,
+          metafield.key
+        );
+        const type = (definition && definition.type) || metafield.type;
+        if (definition && metafield.type && metafield.type !== type) {
+          userErrors.push({
+            field: where("type"),
+            message: `Type must be ${type} to match the definition`,
+            code: "INVALID_TYPE",
+          });
+          return;
+        }
+        if (!type) {
+          userErrors.push({
+            field: where("type"),
+            message: "Type can't be blank",
+            code: "BLANK",
+          });
+          return;
+        }
+        const problem = checkMetafieldValue(type, metafield.value);
+        if (problem) {
+          userErrors.push({
+            field: where("value"),
+            message: problem,
+            code: "INVALID_VALUE",
+          });
+        }
+      });
+      if (userErrors.length > 0) return { metafields: null, userErrors };
+
+      const set = metafields.map((metafield) => {
+        const owner = findMetafieldOwner(metafield.ownerId);
+        const definition = findDefinition(
+          owner.ownerType,
+          metafield.namespace,
+          metafield.key
+        );
+        let existing = owner.metafields.find(
+          (m) => m.namespace === metafield.namespace && m.key === metafield.key
+        );
+        if (existing) {
+          existing.value = metafield.value;
+        } else {
+          existing = {
+            id: `gid://shopify/Metafield/${Date.now()}${
+              owner.metafields.length
+            }`,
+            namespace: metafield.namespace,
+            key: metafield.key,
+            type: (definition && definition.type) || metafield.type,
+            value: metafield.value,
+          };
+          owner.metafields.push(existing);
+        }
+        return metafieldView(metafield.ownerId, existing, owner.ownerType);
+      });
+      return { metafields: set, userErrors: [] };
+    },
+
+    metaobjectCreate: ({ metaobject: input }) => {
+      const definition = findMetaobjectDefinition(input.type);
+      if (!definition) {
+        return {
+          metaobject: null,
+          userErrors: [
+            {
+              field: ["metaobject", "type"],
+              message: "No metaobject definition exists for type",
+              code: "UNDEFINED_OBJECT_TYPE",
+            },
+          ],
+        };
+      }
+      const userErrors = checkMetaobjectInput(definition, input, null);
+      if (userErrors.length > 0) return { metaobject: null, userErrors };
+
+      const fields = input.fields || [];
+      const name = fields.find((f) => f.key === definition.displayNameKey);
+      const metaobject = {
+        id: `gid://shopify/Metaobject/${Date.now()}${store.metaobjects.length}`,
+        type: input.type,
+        handle:
+          input.handle ||
+          String((name && name.value) || input.type)
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, "-")
+            .replace(/^-|-$/g, ""),
+        fields: [],
+      };
+      applyMetaobjectFields(metaobject, fields);
+      store.metaobjects.push(metaobject);
+      return { metaobject: metaobjectView(metaobject), userErrors: [] };
+    },
+
+    metaobjectUpdate: ({ id, metaobject: input }) => {
+      const metaobject = findMetaobject(id);
+      if (!metaobject) {
+        return {
+          metaobject: null,
+          userErrors: [
+            {
+              field: ["id"],
+              message: "Record not found",
+              code: "RECORD_NOT_FOUND",
+            },
+          ],
+        };
+      }
+      const definition = findMetaobjectDefinition(metaobject.type);
+      const userErrors = [
+        ...forcedErrors("metaobjectUpdate", [id]),
+        ...checkMetaobjectInput(definition, input, metaobject),
+      ];
+      if (userErrors.length > 0) return { metaobject: null, userErrors };
+
+      if (input.handle != null) metaobject.handle = input.handle;
+      applyMetaobjectFields(metaobject, input.fields || []);
+      return { metaobject: metaobjectView(metaobject), userErrors: [] };
+    },
+
+    metaobjectDelete: ({ id }) => {
+      const metaobject = findMetaobject(id);
+      if (!metaobject) {
+        return {
+          deletedId: null,
+          userErrors: [
+            {
+              field: ["id"],
+              message: "Record not found",
+              code: "RECORD_NOT_FOUND",
+            },
+          ],
+        };
+      }
+      const userErrors = forcedErrors("metaobjectDelete", [id]);
+      if (userErrors.length > 0) return { deletedId: null, userErrors };
+
+      store.metaobjects.splice(store.metaobjects.indexOf(metaobject), 1);
+      return { deletedId: id, userErrors: [] };
+    },
+
+    metafieldsDelete: ({ metafields }) => {
+      const userErrors = forcedErrors(
+        "metafieldsDelete",
+        metafields.map((identifier) => identifier.ownerId)
+      );
+      if (userErrors.length > 0) return { deletedMetafields: null, userErrors };
+
+      const deletedMetafields = metafields.map((identifier) => {
+        const owner = findMetafieldOwner(identifier.ownerId);
+        if (!owner) return null;
+        const metafields = owner.metafields;
+        const index = metafields.findIndex(
+          (m) =>
+            m.namespace === identifier.namespace && m.key === identifier.key
+        );
+        if (index === -1) return null;
+        metafields.splice(index, 1);
+        return { ...identifier };
+      });
+      return { deletedMetafields, userErrors: [] };
+    },
+
+    inventorySetQuantities: ({ input }) => {
+      const userErrors = [
+        ...forcedErrors(
+          "inventorySetQuantities",
+          input.quantities.map((item) => item.inventoryItemId)
+        ),
+        ...checkInventoryInput(input, ["available", "on_hand"]),
+      ];
+      const found = input.quantities.map((item, index) => {
+        const where = (name) => ["input", "quantities", String(index), name];
+        const result = findInventoryLevel(item, where);
+        if (result.error) {
+          userErrors.push(result.error);
+          return null;
+        }
+        const current = result.level[input.name] || 0;
+        if (!input.ignoreCompareQuantity && item.compareQuantity == null) {
+          userErrors.push({
+            field: where("compareQuantity"),
+            message: "The compareQuantity argument must be given.",
+            code: "COMPARE_QUANTITY_REQUIRED",
+          });
+        } else if (
+          !input.ignoreCompareQuantity &&
+          item.compareQuantity !== current
+        ) {
+          userErrors.push({
+            field: where("compareQuantity"),
+            message:
+              "The compareQuantity argument no longer matches the persisted quantity.",
+            code: "COMPARE_QUANTITY_STALE",
+          });
+        }
+        return { ...result, delta: item.quantity - current };
+      });
+      if (userErrors.length > 0) {
+        return { inventoryAdjustmentGroup: null, userErrors };
+      }
+
+      const changes = found.map(({ variant, level, delta }) => {
+        changeQuantity(variant, level, input.name, delta);
+        return {
+          name: input.name,
+          delta,
+          quantityAfterChange: level[input.name],
+        };
+      });
+      return {
+        inventoryAdjustmentGroup: { reason: input.reason, changes },
+        userErrors: [],
+      };
+    },
+
+    inventoryAdjustQuantities: ({ input }) => {
+      const userErrors = [
+        ...forcedErrors(
+          "inventoryAdjustQuantities",
+          input.changes.map((item) => item.inventoryItemId)
+        ),
+        ...checkInventoryInput(input, ["available"]),
+      ];
+      const found = input.changes.map((item, index) => {
+        const result = findInventoryLevel(item, (name) => [
+          "input",
+          "changes",
+          String(index),
+          name,
+        ]);
+        if (result.error) userErrors.push(result.error);
+        return result;
+      });
+      if (userErrors.length > 0) {
+        return { inventoryAdjustmentGroup: null, userErrors };
+      }
+
+      const changes = found.map(({ variant, level }, index) => {
+        const { delta } = input.changes[index];
+        changeQuantity(variant, level, input.name, delta);
+        return {
+          name: input.name,
+          delta,
+          quantityAfterChange: level[input.name],
+        };
+      });
+      return {
+        inventoryAdjustmentGroup: { reason: input.reason, changes },
+        userErrors: [],
+      };
+    },
+
+    productUpdateMedia: ({ productId, media }) => {
+      const product = findProduct(productId);
+      if (!product) {
+        return {
+          media: null,
+          mediaUserErrors: [
+            { field: ["productId"], message: "Product does not exist" },
+          ],
+        };
+      }
+
+      const mediaUserErrors = forcedErrors(
+        "productUpdateMedia",
+        [productId].concat(media.map((input) => input.id))
+      );
+      media.forEach((input, index) => {
+        if (!product.media.some((item) => item.id === input.id)) {
+          mediaUserErrors.push({
+            field: ["media", String(index), "id"],
+            message: `Media id ${input.id} does not exist`,
+          });
+        } else if (input.alt != null && String(input.alt).length > 512) {
+          mediaUserErrors.push({
+            field: ["media", String(index), "alt"],
+            message: "Alt is too long (maximum is 512 characters)",
+          });
+        }
+      });
+      if (mediaUserErrors.length > 0) return { media: null, mediaUserErrors };
+
+      const updated = media.map((input) => {
+        const item = product.media.find((m) => m.id === input.id);
+        if (input.alt !== undefined) item.alt = input.alt;
+        return mediaView(item);
+      });
+      product.updatedAt = now();
+      return { media: updated, product: productView(product), mediaUserErrors };
+    },
+
+    // Moves are applied in the order given, each to a 0-based position
+    productReorderMedia: ({ id, moves }) => {
+      const product = findProduct(id);
+      if (!product) {
+        return {
+          job: null,
+          mediaUserErrors: [
+            { field: ["id"], message: "Product does not exist" },
+          ],
+        };
+      }
+
+      const mediaUserErrors = forcedErrors("productReorderMedia", [id]);
+      moves.forEach((move, index) => {
+        if (!product.media.some((item) => item.id === move.id)) {
+          mediaUserErrors.push({
+            field: ["moves", String(index), "id"],
+            message: `Media id ${move.id} does not exist`,
+          });
+        } else if (!/^\d+$/.test(String(move.newPosition))) {
+          mediaUserErrors.push({
+            field: ["moves", String(index), "newPosition"],
+            message: "New position must be a positive integer",
+          });
+        }
+      });
+      if (mediaUserErrors.length > 0) return { job: null, mediaUserErrors };
+
+      moves.forEach((move) => {
+        const from = product.media.findIndex((item) => item.id === move.id);
+        const [item] = product.media.splice(from, 1);
+        const to = Math.min(Number(move.newPosition), product.media.length);
+        product.media.splice(to, 0, item);
+      });
+      product.updatedAt = now();
+      return {
+        job: { id: `gid://shopify/Job/${Date.now()}`, done: true },
+        mediaUserErrors,
+      };
+    },
+
+    productVariantAppendMedia: ({ productId, variantMedia }) =>
+      changeVariantMedia("productVariantAppendMedia", productId, variantMedia),
+
+    productVariantDetachMedia: ({ productId, variantMedia }) =>
+      changeVariantMedia("productVariantDetachMedia", productId, variantMedia),
+
+    bulkOperationRunQuery: () => ({
+      bulkOperation: null,
+      userErrors: [
+        {
+          field: null,
+          message: "Bulk operations are not supported by the mock server",
+        },
+      ],
+    }),
+  };
+
+  return { query, mutation };
+}
+
+// Create the mock server; call listen() to start it
+function createMockServer(options = {}) {
+  const settings = { ...config, ...options };
+  const log = settings.quiet ? () => {} : console.log;
+
+  let store = loadStore(settings.fixtures);
+  let roots = createRoots(store);
+  let requestCount = 0;
+
+  // Leaky bucket, as Shopify reports it in extensions.cost.throttleStatus
+  const bucket = { available: settings.bucketSize, updatedAt: Date.now() };
+
+  function throttleStatus() {
+    const elapsed = (Date.now() - bucket.updatedAt) / 1000;
+    bucket.available = Math.min(
+      settings.bucketSize,
+      bucket.available + elapsed * settings.restoreRate
+    );
+    bucket.updatedAt = Date.now();
+    return {
+      maximumAvailable: settings.bucketSize,
+      currentlyAvailable: Math.floor(bucket.available),
+      restoreRate: settings.restoreRate,
+    };
+  }
+
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  // Answer one GraphQL request, charging its cost to the bucket
+  function handleGraphQL(body) {
+    let request;
+    try {
+      request = JSON.parse(body);
+    } catch (error) {
+      return { errors: [{ message: "Invalid JSON in request body" }] };
+    }
+
+    const { query, variables = {}, operationName = null } = request;
+    let cost;
+    try {
+      cost = estimateCost(query || "", variables, operationName);
+    } catch (error) {
+      if (error instanceof GraphQLError) {
+        return { errors: [{ message: error.message }] };
+      }
+      throw error;
+    }
+
+    const status = throttleStatus();
+    const costExtension = (actualQueryCost) => ({
+      cost: {
+        requestedQueryCost: cost,
+        actualQueryCost,
+        throttleStatus: throttleStatus(),
+      },
+    });
+
+    if (cost > MAX_QUERY_COST) {
+      return {
+        errors: [
+          {
+            message: `Query cost is ${cost}, which exceeds the single query max cost limit (${MAX_QUERY_COST}).`,
+            extensions: {
+              code: "MAX_COST_EXCEEDED",
+              cost,
+              maxCost: MAX_QUERY_COST,
+            },
+          },
+        ],
+        extensions: costExtension(null),
+      };
+    }
+    if (cost > status.currentlyAvailable) {
+      log(
+        `  ⚠️  Throttled (cost ${cost}, ${status.currentlyAvailable} available)`
+      );
+      return {
+        errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+        extensions: costExtension(null),
+      };
+    }
+
+    bucket.available -= cost;
+    const result = execute(query, variables, roots, operationName);
+    return { ...result, extensions: costExtension(cost) };
+  }
+
+  function handle(req, res, body) {
+    const url = new URL(req.url, "http://localhost");
+
+    if (req.method === "GET" && url.pathname === "/__state") {
+      return send(res, 200, store);
+    }
+    if (req.method === "POST" && url.pathname === "/__reset") {
+      store = loadStore(settings.fixtures);
+      roots = createRoots(store);
+      bucket.available = settings.bucketSize;
+      bucket.updatedAt = Date.now();
+      return send(res, 200, { reset: true });
+    }
+    if (req.method !== "POST" || !GRAPHQL_PATH.test(url.pathname)) {
+      return send(res, 404, { errors: "Not Found" });
+    }
+    if (!req.headers["x-shopify-access-token"]) {
+      return send(res, 401, {
+        errors:
+          "[API] Invalid API key or access token (unrecognized login or wrong password)",
+      });
+    }
+
+    requestCount++;
+    if (settings.failEvery && requestCount % settings.failEvery === 0) {
+      log(`  ⚠️  Request ${requestCount}: simulated HTTP 429`);
+      return send(
+        res,
+        429,
+        {
+          errors:
+            "Exceeded 2 calls per second for api client. Reduce request rates to resume uninterrupted service.",
+        },
+        { "Retry-After": "1" }
+      );
+    }
+
+    const result = handleGraphQL(body);
+    const cost = result.extensions && result.extensions.cost;
+    log(
+      `  ${result.errors ? "❌" : "✅"} Request ${requestCount}: cost ${
+        cost ? cost.requestedQueryCost : "-"
+      }, ${cost ? cost.throttleStatus.currentlyAvailable : "-"}/${
+        settings.bucketSize
+      } available`
+    );
+    return send(res, 200, result);
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      try {
+        handle(req, res, body);
+      } catch (error) {
+        send(res, 500, { errors: [{ message: error.message }] });
+      }
+    });
+  });
+
+  return {
+    server,
+    store: () => store,
+    // Start listening; resolves with the server's base URL
+    listen(port = settings.port) {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, "127.0.0.1", () =>
+          resolve(`http://localhost:${server.address().port}`)
+        );
+      });
+    },
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+// Start the server from the command line
+async function main() {
+  try {
+    const mock = createMockServer();
+    const url = await mock.listen();
+    const store = mock.store();
+    const variantCount = store.products.reduce(
+      (sum, product) => sum + product.variants.length,
+      0
+    );
+
+    console.log("🧪 Mock Shopify Admin API running");
+    console.log(`   Endpoint: ${url}`);
+    console.log(`   Fixtures: ${config.fixtures}`);
+    console.log(
+      `   ${store.products.length} products, ${variantCount} variants, ${store.collections.length} collections, ${store.pages.length} pages, ${store.metaobjects.length} metaobjects, ${store.locations.length} locations`
+    );
+    console.log(
+      `   Bucket: ${config.bucketSize} points, restoring ${config.restoreRate}/s`
+    );
+    console.log(
+      `\nTry: node export-variants.js --shop mock --token x --endpoint ${url}\n`
+    );
+  } catch (error) {
+    console.error("Failed to start mock server:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  parseArgs();
+  validateConfig();
+  main();
+}
+
+module.exports = {
+  createMockServer,
+  createRoots,
+  loadStore,
+  matchesSearch,
+  connection,
+};
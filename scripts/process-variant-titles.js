@@ -2,11 +2,22 @@
 
 const fs = require("fs");
 const path = require("path");
+const { parseCSV, toCSV } = require("./csv");
+const { metafieldColumn, findMetafieldColumn } = require("./metafields");
+const {
+  DEFAULT_TITLE_RULES,
+  buildRuleSet,
+  loadTitleRules,
+  targetMetafields,
+  missingScopeColumns,
+  matchTitle,
+} = require("./title-rules");
 
 // Configuration
 const config = {
   inputFile: "variants-export.copy.csv",
   outputFile: "variants-export.processed.csv",
+  rulesFile: null,
   dryRun: false,
 };
 
@@ -22,6 +33,9 @@ function parseArgs() {
       case "--output":
         config.outputFile = args[++i];
         break;
+      case "--rules":
+        config.rulesFile = args[++i];
+        break;
       case "--dry-run":
         config.dryRun = true;
         break;
@@ -32,19 +46,25 @@ Usage: node process-variant-titles.js [options]
 Options:
   --input <file>     Input CSV file (default: variants-export.copy.csv)
   --output <file>    Output CSV file (default: variants-export.processed.csv)
+  --rules <file>     Title-splitting rules (default: built-in Nielsen rule)
   --dry-run          Show what would be changed without writing files
   --help             Show this help message
 
-This script processes variant titles that contain both title and SKU in the format "{title} {sku}":
-- Splits the variant_title into title and SKU parts
-- Sets metafield_custom_nielsen_sku to the SKU part
-- Sets metafield_custom_variant_label to the title part
-- Updates variant_title to just the title part
+This script splits variant titles into metafield values using a rules file
+(see title-rules.example.json). Each rule has a regular expression with named
+groups, the metafields to fill from them, and an optional vendor or product
+type scope. Titles matched by more than one rule are reported as conflicts
+and left alone. variant_title itself is never changed.
+
+Without --rules, titles in the format "{title} {sku}" (SKU starting with R):
+- Set metafield:custom.nielsen_sku to the SKU part
+- Set metafield:custom.variant_label to the title part
+Other titles set metafield:custom.variant_label to the whole title.
 
 Examples:
   node process-variant-titles.js
   node process-variant-titles.js --input my-file.csv --output processed.csv
-  node process-variant-titles.js --dry-run
+  node process-variant-titles.js --rules title-rules.json --dry-run
         `);
         process.exit(0);
         break;
@@ -52,87 +72,39 @@ Examples:
   }
 }
 
-// Parse CSV content
-function parseCSV(content) {
-  const lines = content.trim().split("\n");
-  const headers = lines[0].split(",");
-  const rows = [];
-
-  for (let i = 1; i < lines.length; i++) {
-    const values = lines[i].split(",");
-    const row = {};
-    headers.forEach((header, index) => {
-      row[header] = values[index] || "";
-    });
-    rows.push(row);
-  }
-
-  return { headers, rows };
-}
-
-// Convert back to CSV
-function toCSV(headers, rows) {
-  const csvRows = [headers.join(",")];
-
-  for (const row of rows) {
-    const values = headers.map((header) => row[header] || "");
-    csvRows.push(values.join(","));
-  }
-
-  return csvRows.join("\n");
+// Find the column of every metafield the rules write, in whichever encoding the file uses
+function resolveColumns(headers, ruleSet) {
+  const columns = new Map();
+  targetMetafields(ruleSet).forEach(({ namespace, key }) => {
+    columns.set(
+      `${namespace}.${key}`,
+      findMetafieldColumn(headers, namespace, key) ||
+        metafieldColumn(namespace, key)
+    );
+  });
+  return columns;
 }
 
-// Check if a variant title contains both title and SKU
-function hasTitleAndSku(variantTitle) {
-  if (!variantTitle || typeof variantTitle !== "string") {
-    return false;
+// Set a cell and record the change if the value differs
+function setCell(result, column, value, changes) {
+  if ((result[column] ?? "") !== value) {
+    changes.push(`${column}: "${result[column] ?? ""}" → "${value}"`);
+    result[column] = value;
   }
-
-  // Look for pattern: title followed by space and SKU (SKU typically starts with R and has numbers)
-  const match = variantTitle.match(/^(.+?)\s+(R[A-Z0-9]+)$/);
-  return match ? { title: match[1].trim(), sku: match[2] } : null;
 }
 
 // Process a single row
-function processRow(row) {
+function processRow(row, ruleSet, columns) {
   const changes = [];
   const result = { ...row };
+  const match = matchTitle(ruleSet, row);
 
-  // Check if variant_title contains both title and SKU
-  const titleSkuMatch = hasTitleAndSku(row.variant_title);
-
-  if (titleSkuMatch) {
-    const { title, sku } = titleSkuMatch;
-
-    // Keep variant_title unchanged - don't modify it
-    // result.variant_title remains as is
-
-    // Set metafield_custom_nielsen_sku with the extracted SKU
-    if (result.metafield_custom_nielsen_sku !== sku) {
-      changes.push(
-        `metafield_custom_nielsen_sku: "${result.metafield_custom_nielsen_sku}" → "${sku}"`
-      );
-      result.metafield_custom_nielsen_sku = sku;
-    }
-
-    // Set metafield_custom_variant_label to the title part (without SKU)
-    if (result.metafield_custom_variant_label !== title) {
-      changes.push(
-        `metafield_custom_variant_label: "${result.metafield_custom_variant_label}" → "${title}"`
-      );
-      result.metafield_custom_variant_label = title;
-    }
-  } else {
-    // If no SKU found in title, set variant_label to the full title
-    if (result.metafield_custom_variant_label !== row.variant_title) {
-      changes.push(
-        `metafield_custom_variant_label: "${result.metafield_custom_variant_label}" → "${row.variant_title}"`
-      );
-      result.metafield_custom_variant_label = row.variant_title;
-    }
-  }
+  // variant_title is left unchanged; only the metafield columns are set
+  match.values.forEach(({ namespace, key, value }) => {
+    setCell(result, columns.get(`${namespace}.${key}`), value, changes);
+  });
 
-  return { result, changes };
+  return { result, changes, match };
 }
 
 // Main processing function
@@ -142,6 +114,15 @@ async function processVariantTitles() {
     console.log(`📁 Input file: ${config.inputFile}`);
     console.log(`📁 Output file: ${config.outputFile}`);
 
+    const ruleSet = config.rulesFile
+      ? loadTitleRules(config.rulesFile)
+      : buildRuleSet(DEFAULT_TITLE_RULES, "built-in rules");
+    console.log(
+      `📏 Rules: ${config.rulesFile || "built-in"} (${
+        ruleSet.rules.length
+      } rules)`
+    );
+
     if (config.dryRun) {
       console.log("🧪 DRY RUN MODE - No files will be written");
     }
@@ -154,24 +135,58 @@ async function processVariantTitles() {
     // Read and parse CSV
     console.log("📖 Reading CSV file...");
     const content = fs.readFileSync(config.inputFile, "utf8");
-    const { headers, rows } = parseCSV(content);
+    const { headers, rows, errors } = parseCSV(content);
+
+    errors.forEach((error) => {
+      console.warn(`⚠️  ${error.message}`);
+    });
 
     console.log(`📊 Found ${rows.length} rows to process`);
 
+    missingScopeColumns(ruleSet, headers).forEach((column) => {
+      console.warn(
+        `⚠️  Some rules are scoped by ${column}, but the CSV has no ${column} column, so they will not match. Re-export to include it.`
+      );
+    });
+
+    // Add the target columns if the export did not include them
+    const columns = resolveColumns(headers, ruleSet);
+    columns.forEach((column) => {
+      if (!headers.includes(column)) headers.push(column);
+    });
+
     // Process each row
     let processedCount = 0;
     let totalChanges = 0;
     const processedRows = [];
+    const ruleCounts = new Map(ruleSet.rules.map((rule) => [rule.name, 0]));
+    const conflicts = [];
+    let unmatchedCount = 0;
 
     for (let i = 0; i < rows.length; i++) {
       const row = rows[i];
-      const { result, changes } = processRow(row);
+      const { result, changes, match } = processRow(row, ruleSet, columns);
+
+      if (match.status === "matched") {
+        ruleCounts.set(
+          match.rules[0].name,
+          ruleCounts.get(match.rules[0].name) + 1
+        );
+      } else if (match.status === "conflict") {
+        conflicts.push({ index: i, row, rules: match.rules });
+      } else {
+        unmatchedCount++;
+      }
 
       if (changes.length > 0) {
         processedCount++;
         totalChanges += changes.length;
 
-        console.log(`\n📝 Row ${i + 1} (${row.variant_id}):`);
+        const source =
+          match.status === "matched"
+            ? `rule "${match.rules[0].name}"`
+            : "no rule matched";
+        console.log(`\n📝 Row ${i + 1} (${row.variant_id}) - ${source}:`);
         changes.forEach((change) => {
           console.log(`   ${change}`);
         });
@@ -180,10 +195,31 @@ async function processVariantTitles() {
       processedRows.push(result);
     }
 
+    if (conflicts.length > 0) {
+      console.log(
+        `\n⚠️  ${conflicts.length} rows matched more than one rule and were left unchanged:`
+      );
+      conflicts.forEach(({ index, row, rules }) => {
+        console.log(
+          `   Row ${index + 1} (${row.variant_id}) "${
+            row.variant_title
+          }": ${rules.map((rule) => `"${rule.name}"`).join(", ")}`
+        );
+      });
+    }
+
     console.log(`\n✅ Processing complete!`);
     console.log(`📈 Summary:`);
     console.log(`   - Rows processed: ${processedCount}/${rows.length}`);
     console.log(`   - Total changes: ${totalChanges}`);
+    console.log(`   - Rows by rule:`);
+    ruleCounts.forEach((count, name) => {
+      console.log(`       ${name}: ${count}`);
+    });
+    console.log(`       (no rule matched): ${unmatchedCount}`);
+    if (conflicts.length > 0) {
+      console.log(`       (conflicts): ${conflicts.length}`);
+    }
 
     if (!config.dryRun && processedCount > 0) {
       // Write output file
@@ -212,6 +248,6 @@ module.exports = {
   processVariantTitles,
   parseCSV,
   toCSV,
-  hasTitleAndSku,
+  resolveColumns,
   processRow,
 };
@@ -0,0 +1,172 @@
+/**
+ * Store Profiles
+ * Named connection settings for the stores the scripts work against, so
+ * switching between the dev store and production is one flag (--profile)
+ *
+ * Profiles file (JSON), looked up in this order:
+ *   1. $SOUTHBANK_PROFILES
+ *   2. ./southbank.profiles.json
+ *   3. ~/.southbank/profiles.json
+ *
+ *   {
+ *     "default": "dev",
+ *     "profiles": {
+ *       "dev": { "shop": "southbank-art-dev", "token": "shpat_..." },
+ *       "production": {
+ *         "shop": "southbank-art",
+ *         "tokenEnv": "SOUTHBANK_PRODUCTION_TOKEN",
+ *         "production": true
+ *       }
+ *     }
+ *   }
+ *
+ * `tokenEnv` names an environment variable to read the token from, so tokens
+ * can stay out of the file. Profiles marked `"production": true` are only
+ * written to when the command is confirmed with --yes, and so is their shop
+ * when it is given with --shop or SHOPIFY_SHOP instead of the profile.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const PROFILE_FIELDS = [
+  "shop",
+  "token",
+  "tokenEnv",
+  "apiVersion",
+  "endpoint",
+  "production",
+];
+
+// Raised when a profile cannot be loaded or used
+class ProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ProfileError";
+  }
+}
+
+// Where to look for the profiles file when SOUTHBANK_PROFILES is not set
+function profileFileCandidates() {
+  return [
+    path.resolve("southbank.profiles.json"),
+    path.join(os.homedir(), ".southbank", "profiles.json"),
+  ];
+}
+
+// Path of the profiles file in use, or null if there is none
+function findProfilesFile() {
+  if (process.env.SOUTHBANK_PROFILES) {
+    if (!fs.existsSync(process.env.SOUTHBANK_PROFILES)) {
+      throw new ProfileError(
+        `Profiles file not found: ${process.env.SOUTHBANK_PROFILES} (from SOUTHBANK_PROFILES)`
+      );
+    }
+    return process.env.SOUTHBANK_PROFILES;
+  }
+  return profileFileCandidates().find((file) => fs.existsSync(file)) || null;
+}
+
+// Read and check a profiles file
+function loadProfiles(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new ProfileError(`${file} could not be read (${error.message})`);
+  }
+  if (!parsed || typeof parsed.profiles !== "object" || !parsed.profiles) {
+    throw new ProfileError(`${file}: expected a "profiles" object`);
+  }
+
+  Object.entries(parsed.profiles).forEach(([name, profile]) => {
+    if (!profile || !profile.shop) {
+      throw new ProfileError(`${file}: profile "${name}" needs a "shop"`);
+    }
+    const unknown = Object.keys(profile).filter(
+      (key) => !PROFILE_FIELDS.includes(key)
+    );
+    if (unknown.length > 0) {
+      throw new ProfileError(
+        `${file}: profile "${name}" has unknown settings: ${unknown.join(", ")}`
+      );
+    }
+  });
+  if (parsed.default && !parsed.profiles[parsed.default]) {
+    throw new ProfileError(
+      `${file}: default profile "${parsed.default}" is not defined`
+    );
+  }
+
+  return {
+    file,
+    defaultProfile: parsed.default || null,
+    profiles: parsed.profiles,
+  };
+}
+
+// Resolve a profile by name (or the file's default) into connection settings
+// Returns null when no name is given and there is no default
+function resolveProfile({ file, defaultProfile, profiles }, name) {
+  const profileName = name || defaultProfile;
+  if (!profileName) return null;
+
+  const profile = profiles[profileName];
+  if (!profile) {
+    throw new ProfileError(
+      `Unknown profile "${profileName}" in ${file}. Available: ${Object.keys(
+        profiles
+      ).join(", ")}`
+    );
+  }
+
+  let token = profile.token || "";
+  if (profile.tokenEnv) {
+    token = process.env[profile.tokenEnv] || "";
+    if (!token) {
+      throw new ProfileError(
+        `Profile "${profileName}" reads its token from ${profile.tokenEnv}, which is not set`
+      );
+    }
+  }
+
+  return {
+    name: profileName,
+    shop: profile.shop,
+    token,
+    apiVersion: profile.apiVersion || null,
+    endpoint: profile.endpoint || null,
+    production: profile.production === true,
+  };
+}
+
+// Shop name without the domain, for comparing "southbank-art" with
+// "southbank-art.myshopify.com"
+function shopKey(shop) {
+  return String(shop || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, "")
+    .replace(/\.myshopify\.com\/?$/, "");
+}
+
+// Whether any profile marked production connects to this shop
+function isProductionShop({ profiles }, shop) {
+  const key = shopKey(shop);
+  return (
+    key !== "" &&
+    Object.values(profiles).some(
+      (profile) => profile.production === true && shopKey(profile.shop) === key
+    )
+  );
+}
+
+module.exports = {
+  ProfileError,
+  profileFileCandidates,
+  findProfilesFile,
+  loadProfiles,
+  resolveProfile,
+  isProductionShop,
+};
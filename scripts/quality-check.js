@@ -0,0 +1,695 @@
+#!/usr/bin/env node
+
+/**
+ * Shopify Catalogue Quality Check Script
+ * Scores every product against data-quality rules for the template it uses
+ *
+ * Products and variants are read into the same records the variant export
+ * writes (product_*, variant_* and metafield:* columns), plus the product's
+ * template, tags, status and media, and checked against the rules for their
+ * template (see quality-rules.js). Each product gets a score from 0 to 100 and
+ * a list of issues, with links to the product and variant in the Shopify admin.
+ *
+ * Exits with status 2 when there are more issues of a severity than its
+ * threshold allows, so the check can gate a scheduled job or CI run.
+ *
+ * Usage: node quality-check.js [options]
+ * Options:
+ *   --shop <shop-name>        Shopify shop name (required)
+ *   --token <access-token>    Admin API access token (required)
+ *   --api-version <ver>       Admin API version (default: 2024-10)
+ *   --endpoint <url>          Send requests here instead of the shop (e.g. a mock server)
+ *   --rules <file>            Quality rules (default: built-in frame and artwork rules)
+ *   --filter-tag <tag>        Only products with this tag
+ *   --filter-vendor <vendor>  Only products from this vendor
+ *   --filter-type <type>      Only products of this product type
+ *   --query <query>           Raw Shopify search syntax, combined with the filters
+ *   --max-errors <n>          Fail when there are more errors (default: from the rules)
+ *   --max-warnings <n>        Fail when there are more warnings (default: from the rules)
+ *   --output <filename>       Report filename (default: quality-report.html)
+ *   --format <html|csv>       Report format (default: from the output extension)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const cli = require("./cli");
+const { toCSV } = require("./csv");
+const { term, allOf } = require("./search-query");
+const { metafieldColumn } = require("./metafields");
+const { fetchMetaobjects } = require("./metaobjects");
+const { templateName } = require("./theme-templates");
+const { escapeHTML, adminUrl, variantAdminUrl } = require("./reports");
+const { buildProductRecord, buildVariantRecord } = require("./export-variants");
+const {
+  SEVERITIES,
+  DEFAULT_QUALITY_RULES,
+  buildQualityRules,
+  loadQualityRules,
+  ruleMetafields,
+  ruleMetaobjectTypes,
+  checkProduct,
+  countIssues,
+  exceededThresholds,
+} = require("./quality-rules");
+
+// Configuration
+const config = {
+  ...cli.connectionConfig(),
+  rulesFile: null,
+  filterTag: null,
+  filterVendor: null,
+  filterType: null,
+  query: null,
+  maxErrors: null,
+  maxWarnings: null,
+  output: "quality-report.html",
+  format: null,
+};
+
+// Page sizes chosen to keep each query under Shopify's 1000-point cost limit
+const PRODUCT_PAGE_SIZE = 50;
+const VARIANT_PAGE_SIZE = 50;
+
+// Exit status when the report was written but a threshold was exceeded
+const THRESHOLD_EXIT_CODE = 2;
+
+// Text printed by --help
+function helpText() {
+  return `
+Usage: node quality-check.js [options]
+
+Options:
+${cli.connectionOptionsHelp(26)}
+  --rules <file>            Quality rules per template (default: built-in rules
+                            for Nielsen frames and framed artwork)
+  --filter-tag <tag>        Only products with this tag
+  --filter-vendor <vendor>  Only products from this vendor
+  --filter-type <type>      Only products of this product type
+  --query <query>           Raw Shopify search syntax, combined with the filters
+  --max-errors <n>          Fail when there are more than n errors (default:
+                            the rules' thresholds)
+  --max-warnings <n>        Fail when there are more than n warnings (default:
+                            the rules' thresholds)
+  --output <filename>       Report filename (default: quality-report.html)
+  --format <html|csv>       Report format (default: from the output extension)
+  --help                    Show this help message
+
+Exit status is 0 when every threshold is met, 1 when the check could not run
+and 2 when the report was written but a threshold was exceeded.
+
+${cli.ENVIRONMENT_HELP}
+
+Examples:
+  # HTML report of every product, using a rules file
+  node quality-check.js --rules quality-rules.json
+
+  # One CSV row per issue for the Nielsen range, failing on any warning
+  node quality-check.js --rules quality-rules.json --filter-vendor "Nielsen Bainbridge" --max-warnings 0 --output nielsen-quality.csv
+`;
+}
+
+// Parse command line arguments
+function parseArgs() {
+  cli.parseArgs(config, {
+    help: helpText,
+    option(arg, next) {
+      switch (arg) {
+        case "--rules":
+          config.rulesFile = next();
+          break;
+        case "--filter-tag":
+          config.filterTag = next();
+          break;
+        case "--filter-vendor":
+          config.filterVendor = next();
+          break;
+        case "--filter-type":
+          config.filterType = next();
+          break;
+        case "--query":
+          config.query = next();
+          break;
+        case "--max-errors":
+          config.maxErrors = parseInt(next(), 10);
+          break;
+        case "--max-warnings":
+          config.maxWarnings = parseInt(next(), 10);
+          break;
+        case "--output":
+          config.output = next();
+          break;
+        case "--format":
+          config.format = next();
+          break;
+      }
+    },
+  });
+}
+
+// Validate configuration
+function validateConfig() {
+  cli.requireConnection(config);
+  if (config.rulesFile && !fs.existsSync(config.rulesFile)) {
+    console.error(`Error: Rules file '${config.rulesFile}' does not exist.`);
+    process.exit(1);
+  }
+  [
+    ["--max-errors", config.maxErrors],
+    ["--max-warnings", config.maxWarnings],
+  ].forEach(([option, value]) => {
+    if (value !== null && (!Number.isInteger(value) || value < 0)) {
+      console.error(`Error: ${option} must be a whole number of issues.`);
+      process.exit(1);
+    }
+  });
+  config.format =
+    config.format || (path.extname(config.output) === ".csv" ? "csv" : "html");
+  if (!["html", "csv"].includes(config.format)) {
+    console.error("Error: --format must be html or csv.");
+    process.exit(1);
+  }
+}
+
+// Shared Admin API client, created on first use from config
+const { makeGraphQLRequest } = cli.lazyClient(config);
+
+// Fields looking up each metafield the rules read as an alias: m0, m1, ...
+function metafieldFields(metafields) {
+  return metafields
+    .map(
+      ({ namespace, key }, index) =>
+        `m${index}: metafield(namespace: ${JSON.stringify(
+          namespace
+        )}, key: ${JSON.stringify(key)}) { value }`
+    )
+    .join("\n");
+}
+
+// Turn the aliased metafields of a product or variant back into a list of
+// { namespace, key, value } like the export reads
+function aliasedMetafields(owner, metafields) {
+  return metafields
+    .map((metafield, index) => {
+      const found = owner[`m${index}`];
+      return found ? { ...metafield, value: found.value } : null;
+    })
+    .filter(Boolean);
+}
+
+// Fetch every variant of a product with the metafields the rules read
+async function fetchVariants(productId, metafields) {
+  const query = `
+    query getProductVariants($id: ID!, $first: Int!, $after: String) {
+      product(id: $id) {
+        variants(first: $first, after: $after) {
+          edges {
+            node {
+              id
+              title
+              sku
+              barcode
+              price
+              compareAtPrice
+              inventoryQuantity
+              inventoryPolicy
+              taxable
+              createdAt
+              updatedAt
+              selectedOptions {
+                name
+                value
+              }
+              media(first: 1) {
+                edges {
+                  node {
+                    id
+                    ... on MediaImage {
+                      image {
+                        url
+                      }
+                    }
+                  }
+                }
+              }
+              ${metafieldFields(metafields)}
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  const variants = [];
+  let after = null;
+
+  do {
+    const response = await makeGraphQLRequest(query, {
+      id: productId,
+      first: VARIANT_PAGE_SIZE,
+      after,
+    });
+    const connection = response.product.variants;
+    variants.push(...connection.edges.map((edge) => edge.node));
+    after = connection.pageInfo.hasNextPage
+      ? connection.pageInfo.endCursor
+      : null;
+  } while (after);
+
+  return variants;
+}
+
+// Fetch the products in scope with the product metafields the rules read
+async function fetchProducts(metafields) {
+  const query = `
+    query getProducts($first: Int!, $after: String, $query: String) {
+      products(first: $first, after: $after, query: $query) {
+        edges {
+          node {
+            id
+            title
+            handle
+            vendor
+            productType
+            status
+            tags
+            templateSuffix
+            mediaCount {
+              count
+            }
+            ${metafieldFields(metafields)}
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const search = allOf([
+    config.filterTag && term("tag", config.filterTag),
+    config.filterVendor && term("vendor", config.filterVendor),
+    config.filterType && term("product_type", config.filterType),
+    config.query && config.query.trim(),
+  ]);
+  if (search) console.log(`Fetching products matching: ${search}`);
+
+  const products = [];
+  let after = null;
+
+  do {
+    const response = await makeGraphQLRequest(query, {
+      first: PRODUCT_PAGE_SIZE,
+      after,
+      query: search || null,
+    });
+    const connection = response.products;
+    products.push(...connection.edges.map((edge) => edge.node));
+    after = connection.pageInfo.hasNextPage
+      ? connection.pageInfo.endCursor
+      : null;
+    console.log(`  Fetched ${products.length} products...`);
+  } while (after);
+
+  return products;
+}
+
+// The IDs of every entry of each metaobject type the rules link to
+async function fetchMetaobjectIds(types) {
+  const ids = new Map();
+  for (const type of types) {
+    const entries = await fetchMetaobjects(makeGraphQLRequest, type);
+    ids.set(type, new Set(entries.map((entry) => entry.id)));
+    console.log(`Found ${entries.length} ${type} entries`);
+  }
+  return ids;
+}
+
+// Build the export's records for a product and its variants, with the
+// extra columns the rules can read
+function buildRecords(product, variants, metafields) {
+  const productKeys = metafields.product.map(({ namespace, key }) =>
+    metafieldColumn(namespace, key)
+  );
+  const variantKeys = metafields.variant.map(({ namespace, key }) =>
+    metafieldColumn(namespace, key)
+  );
+
+  const record = {
+    ...buildProductRecord(
+      product,
+      aliasedMetafields(product, metafields.product),
+      productKeys
+    ),
+    product_status: product.status || "",
+    product_tags: (product.tags || []).join(", "),
+    product_template: templateName("product", product.templateSuffix),
+    product_media_count: product.mediaCount ? product.mediaCount.count : 0,
+  };
+
+  return {
+    record,
+    variants: variants.map((variant) => {
+      const media = variant.media.edges.map((edge) => edge.node)[0];
+      return {
+        ...buildVariantRecord(
+          product,
+          variant,
+          aliasedMetafields(variant, metafields.variant),
+          variantKeys
+        ),
+        variant_image: media
+          ? (media.image && media.image.url) || media.id
+          : "",
+      };
+    }),
+  };
+}
+
+// Thresholds from the rules, with --max-errors and --max-warnings on top
+function getThresholds(ruleSet) {
+  const thresholds = { ...ruleSet.thresholds };
+  if (config.maxErrors !== null) thresholds.error = config.maxErrors;
+  if (config.maxWarnings !== null) thresholds.warning = config.maxWarnings;
+  return thresholds;
+}
+
+// Issue counts for the console, e.g. "2 errors, 1 warning"
+function describeCounts(counts) {
+  return SEVERITIES.filter((severity) => counts[severity] > 0)
+    .map((severity) => {
+      const count = counts[severity];
+      return `${count} ${severity}${count === 1 ? "" : "s"}`;
+    })
+    .join(", ");
+}
+
+// One CSV row per issue, plus a row for each product without issues
+function buildCSVReport(results) {
+  const headers = [
+    "product_id",
+    "product_title",
+    "product_handle",
+    "template",
+    "score",
+    ...SEVERITIES.map((severity) => `${severity}s`),
+    "severity",
+    "rule",
+    "variant_id",
+    "variant_title",
+    "field",
+    "value",
+    "message",
+    "admin_url",
+  ];
+  const records = results.flatMap((result) => {
+    const product = {
+      product_id: result.record.product_id,
+      product_title: result.record.product_title,
+      product_handle: result.record.product_handle,
+      template: result.record.product_template,
+      score: result.score,
+      ...Object.fromEntries(
+        SEVERITIES.map((severity) => [`${severity}s`, result.counts[severity]])
+      ),
+    };
+    if (result.issues.length === 0) {
+      return [
+        {
+          ...product,
+          admin_url: adminUrl(config.shop, "product", product.product_id),
+        },
+      ];
+    }
+    return result.issues.map((issue) => ({
+      ...product,
+      severity: issue.severity,
+      rule: issue.rule,
+      variant_id: issue.variantId || "",
+      variant_title: issue.variantTitle || "",
+      field: issue.field,
+      value: issue.value,
+      message: issue.message,
+      admin_url: issue.variantId
+        ? variantAdminUrl(config.shop, product.product_id, issue.variantId)
+        : adminUrl(config.shop, "product", product.product_id),
+    }));
+  });
+  return toCSV(headers, records);
+}
+
+// Score class for colouring the HTML report
+function scoreClass(score) {
+  if (score === 100) return "good";
+  return score >= 80 ? "fair" : "poor";
+}
+
+// Summary, then one table of issues per product (lowest score first)
+function buildHTMLReport(results, totals, exceeded, generatedAt) {
+  const summary = results
+    .map(
+      (result) => `
+        <tr>
+          <td class="score ${scoreClass(result.score)}">${result.score}</td>
+          <td><a href="#${escapeHTML(
+            result.record.product_handle
+          )}">${escapeHTML(result.record.product_title)}</a></td>
+          <td><code>${escapeHTML(result.record.product_template)}</code></td>
+          ${SEVERITIES.map(
+            (severity) =>
+              `<td class="count">${result.counts[severity] || ""}</td>`
+          ).join("")}
+        </tr>`
+    )
+    .join("");
+
+  const details = results
+    .filter((result) => result.issues.length > 0)
+    .map(
+      (result) => `
+    <h3 id="${escapeHTML(result.record.product_handle)}"><a href="${escapeHTML(
+        adminUrl(config.shop, "product", result.record.product_id)
+      )}">${escapeHTML(result.record.product_title)}</a> · ${result.score}</h3>
+    <table>
+      <thead>
+        <tr><th>Severity</th><th>Rule</th><th>Variant</th><th>Problem</th></tr>
+      </thead>
+      <tbody>${result.issues
+        .map(
+          (issue) => `
+        <tr class="${issue.severity}">
+          <td>${escapeHTML(issue.severity)}</td>
+          <td>${escapeHTML(issue.rule)}</td>
+          <td>${
+            issue.variantId
+              ? `<a href="${escapeHTML(
+                  variantAdminUrl(
+                    config.shop,
+                    result.record.product_id,
+                    issue.variantId
+                  )
+                )}">${escapeHTML(issue.variantTitle)}</a>`
+              : ""
+          }</td>
+          <td>${escapeHTML(issue.message)}${
+            issue.value ? ` <code>${escapeHTML(issue.value)}</code>` : ""
+          }</td>
+        </tr>`
+        )
+        .join("")}
+      </tbody>
+    </table>`
+    )
+    .join("");
+
+  const status =
+    exceeded.length === 0
+      ? "All thresholds met"
+      : `Thresholds exceeded: ${exceeded
+          .map(
+            ({ severity, count, max }) => `${count} ${severity}s (max ${max})`
+          )
+          .join(", ")}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Catalogue quality - ${escapeHTML(config.shop)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; margin-bottom: 1rem; }
+    th, td { padding: 0.35rem 0.75rem; border-bottom: 1px solid #ddd; text-align: left; }
+    td.count, td.score { text-align: right; }
+    td.good { color: #1a7f37; }
+    td.fair { color: #9a6700; }
+    td.poor { color: #cf222e; font-weight: bold; }
+    tr.error { background: #fde8e8; }
+    tr.warning { background: #fff6dd; }
+    p.failed { color: #cf222e; font-weight: bold; }
+    code { color: #666; }
+  </style>
+</head>
+<body>
+  <h1>Catalogue quality</h1>
+  <p>${escapeHTML(config.shop)} · ${escapeHTML(
+    config.rulesFile || "built-in rules"
+  )} · ${escapeHTML(generatedAt)}</p>
+  <p>${results.length} products checked · average score ${
+    totals.averageScore ?? "-"
+  } · ${SEVERITIES.map(
+    (severity) => `${totals.counts[severity]} ${severity}s`
+  ).join(" · ")}</p>
+  <p class="${exceeded.length === 0 ? "passed" : "failed"}">${escapeHTML(
+    status
+  )}</p>
+
+  <h2>Products</h2>
+  <table>
+    <thead>
+      <tr><th>Score</th><th>Product</th><th>Template</th>${SEVERITIES.map(
+        (severity) => `<th>${severity}s</th>`
+      ).join("")}</tr>
+    </thead>
+    <tbody>${summary}
+    </tbody>
+  </table>
+
+  <h2>Issues</h2>${details || "\n  <p>No issues found.</p>"}
+</body>
+</html>
+`;
+}
+
+// Main quality check function
+async function qualityCheck() {
+  let exceeded = [];
+
+  try {
+    console.log("Starting catalogue quality check...");
+
+    const ruleSet = config.rulesFile
+      ? loadQualityRules(config.rulesFile)
+      : buildQualityRules(DEFAULT_QUALITY_RULES, "built-in rules");
+    console.log(
+      `Rules: ${config.rulesFile || "built-in"} (${ruleSet.templates
+        .map(({ key, rules }) => `${key}: ${rules.length}`)
+        .join(", ")})`
+    );
+
+    const metafields = ruleMetafields(ruleSet);
+    const metaobjects = await fetchMetaobjectIds(ruleMetaobjectTypes(ruleSet));
+
+    console.log("\nFetching products...");
+    const products = await fetchProducts(metafields.product);
+
+    const results = [];
+    let unchecked = 0;
+    for (const product of products) {
+      const variants = await fetchVariants(product.id, metafields.variant);
+      const records = buildRecords(product, variants, metafields);
+      const result = checkProduct(ruleSet, records, metaobjects);
+      if (result.checks === 0) {
+        unchecked++;
+        continue;
+      }
+      results.push({
+        ...result,
+        record: records.record,
+        counts: countIssues(result.issues),
+      });
+    }
+    results.sort((a, b) => a.score - b.score);
+
+    const allIssues = results.flatMap((result) => result.issues);
+    const totals = {
+      counts: countIssues(allIssues),
+      averageScore:
+        results.length > 0
+          ? Math.round(
+              results.reduce((sum, result) => sum + result.score, 0) /
+                results.length
+            )
+          : null,
+    };
+    const thresholds = getThresholds(ruleSet);
+    exceeded = exceededThresholds(thresholds, totals.counts);
+
+    // Print summary
+    console.log("\n" + "=".repeat(50));
+    console.log("QUALITY CHECK SUMMARY");
+    console.log("=".repeat(50));
+    console.log(`Products checked: ${results.length}`);
+    if (unchecked > 0) {
+      console.log(`Products with no rules for their template: ${unchecked}`);
+    }
+    console.log(`Average score: ${totals.averageScore ?? "-"}`);
+    SEVERITIES.forEach((severity) => {
+      const max =
+        thresholds[severity] !== undefined
+          ? ` (max ${thresholds[severity]})`
+          : "";
+      const flag = exceeded.some((e) => e.severity === severity) ? "  ❌" : "";
+      console.log(
+        `${`${severity[0].toUpperCase()}${severity.slice(1)}s`}: ${
+          totals.counts[severity]
+        }${max}${flag}`
+      );
+    });
+
+    const lowest = results.filter((result) => result.issues.length > 0);
+    if (lowest.length > 0) {
+      console.log("\nLowest scores:");
+      lowest.slice(0, 10).forEach((result) => {
+        console.log(
+          `  ${String(result.score).padStart(3)}  ${
+            result.record.product_title
+          } (${describeCounts(result.counts)})`
+        );
+      });
+      if (lowest.length > 10) {
+        console.log(`  ... and ${lowest.length - 10} more`);
+      }
+    }
+
+    const report =
+      config.format === "csv"
+        ? buildCSVReport(results)
+        : buildHTMLReport(results, totals, exceeded, new Date().toISOString());
+    fs.writeFileSync(config.output, report, "utf8");
+    console.log(`\nReport saved to: ${config.output}`);
+  } catch (error) {
+    console.error("Quality check failed:", error.message);
+    process.exit(1);
+  }
+
+  if (exceeded.length > 0) {
+    console.error(
+      `\n❌ Quality thresholds exceeded: ${exceeded
+        .map(({ severity, count, max }) => `${count} ${severity}s (max ${max})`)
+        .join(", ")}`
+    );
+    process.exit(THRESHOLD_EXIT_CODE);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  parseArgs();
+  validateConfig();
+  qualityCheck();
+}
+
+module.exports = {
+  qualityCheck,
+  fetchProducts,
+  fetchVariants,
+  buildRecords,
+  buildCSVReport,
+  buildHTMLReport,
+};
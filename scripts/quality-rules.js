@@ -0,0 +1,425 @@
+/**
+ * Catalogue Quality Rules
+ * Checks products and their variants against a declarative rules file, per template
+ *
+ * Rules file (JSON):
+ *   {
+ *     "templates": {
+ *       "product.nielsen-ready-made-frames": [
+ *         { "name": "Nielsen SKU", "field": "metafield:custom.nielsen_sku", "check": "required", "severity": "error" }
+ *       ],
+ *       "product.framed-artwork": [
+ *         { "name": "Artist linked", "owner": "product", "field": "metafield:custom.artist",
+ *           "check": "metaobject", "type": "artist", "severity": "error" }
+ *       ],
+ *       "*": [
+ *         { "name": "Price above zero", "field": "variant_price", "check": "positive", "severity": "error" }
+ *       ]
+ *     },
+ *     "thresholds": { "error": 0, "warning": 25 }
+ *   }
+ *
+ * Templates are keyed by name ("product" is the default template) and may use
+ * * as a wildcard; a product gets the rules of every key its template matches.
+ * `field` is a column of the variant export: product_ columns and product
+ * metafields (`"owner": "product"`) are checked once per product, variant_
+ * columns and variant metafields once per variant.
+ *
+ * Checks, each of which fails on an empty value:
+ *   required    the value is not empty
+ *   positive    the value is a number above zero
+ *   pattern     the value matches `pattern` (a regular expression, with optional `flags`)
+ *   metaobject  the value links an existing metaobject entry of `type`
+ *
+ * `thresholds` is the most issues of each severity a check may find before it
+ * fails; severities without one never fail it.
+ */
+
+const fs = require("fs");
+const { toPattern } = require("./template-rules");
+const { parseMetafieldColumn } = require("./metafields");
+
+// Severities, most serious first, and how much each weighs in a product's score
+const SEVERITY_WEIGHTS = {
+  error: 5,
+  warning: 2,
+  notice: 1,
+};
+const SEVERITIES = Object.keys(SEVERITY_WEIGHTS);
+const DEFAULT_SEVERITY = "warning";
+
+// Columns a rule can read, as built by quality-check.js from the export's records
+const PRODUCT_COLUMNS = [
+  "product_id",
+  "product_title",
+  "product_handle",
+  "product_vendor",
+  "product_type",
+  "product_status",
+  "product_tags",
+  "product_template",
+  "product_media_count",
+];
+const VARIANT_COLUMNS = [
+  "variant_id",
+  "variant_title",
+  "variant_sku",
+  "variant_barcode",
+  "variant_price",
+  "variant_compare_at_price",
+  "variant_inventory_quantity",
+  "variant_inventory_policy",
+  "variant_taxable",
+  "variant_image",
+];
+
+// Rules used when no rules file is given
+const DEFAULT_QUALITY_RULES = {
+  templates: {
+    "*": [
+      {
+        name: "Price above zero",
+        field: "variant_price",
+        check: "positive",
+        severity: "error",
+      },
+    ],
+    "product.nielsen-*": [
+      {
+        name: "Nielsen SKU",
+        field: "metafield:custom.nielsen_sku",
+        check: "required",
+        severity: "error",
+      },
+      {
+        name: "Variant label",
+        field: "metafield:custom.variant_label",
+        check: "required",
+        severity: "error",
+      },
+      {
+        name: "Subtitle",
+        field: "metafield:custom.nielsen_variant_subtitle",
+        check: "required",
+        severity: "warning",
+      },
+      {
+        name: "Variant image",
+        field: "variant_image",
+        check: "required",
+        severity: "warning",
+      },
+    ],
+    "product.framed-artwork": [
+      {
+        name: "Artist linked",
+        owner: "product",
+        field: "metafield:custom.artist",
+        check: "metaobject",
+        type: "artist",
+        severity: "error",
+      },
+    ],
+  },
+  thresholds: { error: 0 },
+};
+
+// Raised when a rules file cannot be used
+class QualityRulesError extends Error {
+  constructor(source, message) {
+    super(`${source}: ${message}`);
+    this.name = "QualityRulesError";
+    this.source = source;
+  }
+}
+
+// Each check returns null when the value passes, or what is wrong with it
+const CHECKS = {
+  required: (value) => (value === "" ? "is empty" : null),
+  positive: (value) => {
+    if (value === "") return "is empty";
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? null : "is not above zero";
+  },
+  pattern: (value, rule) =>
+    rule.pattern.test(value) ? null : `does not match ${rule.pattern}`,
+  metaobject: (value, rule, metaobjects) => {
+    if (value === "") return "is empty";
+    const entries = metaobjects.get(rule.type);
+    return entries && entries.has(value)
+      ? null
+      : `does not link an existing ${rule.type} entry`;
+  },
+};
+
+// Check one rule from the file and compile what it needs
+function buildRule(source, where, rule) {
+  if (!rule || typeof rule !== "object") {
+    throw new QualityRulesError(source, `${where}: expected an object`);
+  }
+  const name = rule.name ? `${where} (${rule.name})` : where;
+
+  if (!CHECKS[rule.check]) {
+    throw new QualityRulesError(
+      source,
+      `${name}: unknown check "${rule.check}" (use ${Object.keys(CHECKS).join(
+        ", "
+      )})`
+    );
+  }
+
+  const severity = rule.severity || DEFAULT_SEVERITY;
+  if (!SEVERITIES.includes(severity)) {
+    throw new QualityRulesError(
+      source,
+      `${name}: unknown severity "${severity}" (use ${SEVERITIES.join(", ")})`
+    );
+  }
+
+  const field = String(rule.field || "");
+  const metafield = parseMetafieldColumn(field);
+  let owner;
+  if (metafield) {
+    owner = rule.owner || "variant";
+    if (!["product", "variant"].includes(owner)) {
+      throw new QualityRulesError(
+        source,
+        `${name}: "owner" must be product or variant`
+      );
+    }
+  } else if (PRODUCT_COLUMNS.includes(field)) {
+    owner = "product";
+  } else if (VARIANT_COLUMNS.includes(field)) {
+    owner = "variant";
+  } else {
+    throw new QualityRulesError(
+      source,
+      `${name}: unknown field "${field}" (use a product_ or variant_ column, or metafield:namespace.key)`
+    );
+  }
+
+  const compiled = {
+    name: rule.name || `${field} ${rule.check}`,
+    field,
+    owner,
+    metafield,
+    check: rule.check,
+    severity,
+    weight: SEVERITY_WEIGHTS[severity],
+  };
+
+  if (rule.check === "pattern") {
+    if (!rule.pattern) {
+      throw new QualityRulesError(source, `${name}: "pattern" is required`);
+    }
+    try {
+      compiled.pattern = new RegExp(rule.pattern, rule.flags || "");
+    } catch (error) {
+      throw new QualityRulesError(
+        source,
+        `${name}: invalid pattern (${error.message})`
+      );
+    }
+  }
+
+  if (rule.check === "metaobject") {
+    if (!rule.type) {
+      throw new QualityRulesError(
+        source,
+        `${name}: "type" is required, e.g. artist`
+      );
+    }
+    compiled.type = rule.type;
+  }
+
+  return compiled;
+}
+
+// Check parsed rules and compile their template patterns
+function buildQualityRules(parsed, source) {
+  if (
+    !parsed ||
+    !parsed.templates ||
+    typeof parsed.templates !== "object" ||
+    Object.keys(parsed.templates).length === 0
+  ) {
+    throw new QualityRulesError(
+      source,
+      'expected a "templates" object with rules for at least one template'
+    );
+  }
+
+  const templates = Object.entries(parsed.templates).map(([key, rules]) => {
+    if (!Array.isArray(rules) || rules.length === 0) {
+      throw new QualityRulesError(
+        source,
+        `template "${key}": expected a non-empty list of rules`
+      );
+    }
+    return {
+      key,
+      pattern: toPattern(key),
+      rules: rules.map((rule, index) =>
+        buildRule(source, `${key} rule ${index + 1}`, rule)
+      ),
+    };
+  });
+
+  const thresholds = {};
+  Object.entries(parsed.thresholds || {}).forEach(([severity, max]) => {
+    if (!SEVERITIES.includes(severity)) {
+      throw new QualityRulesError(
+        source,
+        `thresholds: unknown severity "${severity}" (use ${SEVERITIES.join(
+          ", "
+        )})`
+      );
+    }
+    if (!Number.isInteger(max) || max < 0) {
+      throw new QualityRulesError(
+        source,
+        `thresholds: ${severity} must be a whole number of issues`
+      );
+    }
+    thresholds[severity] = max;
+  });
+
+  return { templates, thresholds };
+}
+
+// Read and check a rules file
+function loadQualityRules(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new QualityRulesError(file, `could not be read (${error.message})`);
+  }
+  return buildQualityRules(parsed, file);
+}
+
+// Rules that apply to a product using a template
+function rulesForTemplate({ templates }, template) {
+  return templates
+    .filter(({ pattern }) => pattern.test(template))
+    .flatMap(({ rules }) => rules);
+}
+
+// Metafields the rules read, by owner: { product: [{ namespace, key }], variant: [...] }
+function ruleMetafields({ templates }) {
+  const seen = { product: new Map(), variant: new Map() };
+  templates
+    .flatMap(({ rules }) => rules)
+    .filter((rule) => rule.metafield)
+    .forEach(({ owner, field, metafield }) => {
+      seen[owner].set(field, metafield);
+    });
+  return {
+    product: [...seen.product.values()],
+    variant: [...seen.variant.values()],
+  };
+}
+
+// Metaobject types the rules link to
+function ruleMetaobjectTypes({ templates }) {
+  return [
+    ...new Set(
+      templates
+        .flatMap(({ rules }) => rules)
+        .filter((rule) => rule.check === "metaobject")
+        .map((rule) => rule.type)
+    ),
+  ];
+}
+
+// Check a product and its variants against the rules for its template
+// `product` is { record, variants: [record] } with records keyed by column;
+// `metaobjects` maps each type to a Set of the IDs of its entries
+// Returns { checks, issues, score }, where score is the weighted share of
+// checks passed (0-100), or null when no rule applies
+function checkProduct(ruleSet, product, metaobjects = new Map()) {
+  const rules = rulesForTemplate(ruleSet, product.record.product_template);
+  const issues = [];
+  let checks = 0;
+  let total = 0;
+  let passed = 0;
+
+  const apply = (rule, record, variant) => {
+    const value = String(record[rule.field] ?? "").trim();
+    const problem = CHECKS[rule.check](value, rule, metaobjects);
+    checks++;
+    total += rule.weight;
+    if (!problem) {
+      passed += rule.weight;
+      return;
+    }
+    issues.push({
+      severity: rule.severity,
+      rule: rule.name,
+      field: rule.field,
+      variantId: variant ? variant.variant_id : null,
+      variantTitle: variant ? variant.variant_title : null,
+      value,
+      message: `${rule.field} ${problem}`,
+    });
+  };
+
+  rules.forEach((rule) => {
+    if (rule.owner === "product") {
+      apply(rule, product.record, null);
+    } else {
+      product.variants.forEach((variant) => apply(rule, variant, variant));
+    }
+  });
+
+  issues.sort(
+    (a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+  );
+
+  return {
+    checks,
+    issues,
+    score: total > 0 ? Math.round((100 * passed) / total) : null,
+  };
+}
+
+// Count issues by severity
+function countIssues(issues) {
+  const counts = Object.fromEntries(
+    SEVERITIES.map((severity) => [severity, 0])
+  );
+  issues.forEach((issue) => counts[issue.severity]++);
+  return counts;
+}
+
+// Severities with more issues than their threshold allows
+// Returns [{ severity, count, max }]
+function exceededThresholds(thresholds, counts) {
+  return SEVERITIES.filter(
+    (severity) =>
+      thresholds[severity] !== undefined &&
+      counts[severity] > thresholds[severity]
+  ).map((severity) => ({
+    severity,
+    count: counts[severity],
+    max: thresholds[severity],
+  }));
+}
+
+module.exports = {
+  SEVERITIES,
+  SEVERITY_WEIGHTS,
+  PRODUCT_COLUMNS,
+  VARIANT_COLUMNS,
+  DEFAULT_QUALITY_RULES,
+  QualityRulesError,
+  CHECKS,
+  buildQualityRules,
+  loadQualityRules,
+  rulesForTemplate,
+  ruleMetafields,
+  ruleMetaobjectTypes,
+  checkProduct,
+  countIssues,
+  exceededThresholds,
+};
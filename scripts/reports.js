@@ -0,0 +1,47 @@
+/**
+ * Report Helpers
+ * Shared by the scripts that write HTML/CSV reports (audit-templates.js, quality-check.js)
+ *
+ * Usage:
+ *   const { escapeHTML, adminUrl } = require("./reports");
+ *   `<a href="${escapeHTML(adminUrl(shop, "product", product.id))}">...</a>`
+ */
+
+const { numericId } = require("./search-query");
+
+// Admin paths for linking items from a report
+const ADMIN_PATHS = {
+  product: "products",
+  collection: "collections",
+  page: "content/pages",
+};
+
+function escapeHTML(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Link to an item in the Shopify admin
+function adminUrl(shop, resource, id) {
+  const store = shop.replace(/\.myshopify\.com$/, "");
+  return `https://admin.shopify.com/store/${store}/${
+    ADMIN_PATHS[resource]
+  }/${numericId(id)}`;
+}
+
+// Link to a variant, which the admin shows under its product
+function variantAdminUrl(shop, productId, variantId) {
+  return `${adminUrl(shop, "product", productId)}/variants/${numericId(
+    variantId
+  )}`;
+}
+
+module.exports = {
+  ADMIN_PATHS,
+  escapeHTML,
+  adminUrl,
+  variantAdminUrl,
+};
@@ -0,0 +1,802 @@
+#!/usr/bin/env node
+
+/**
+ * Shopify Change Rollback Script
+ * Replays an undo journal in reverse, restoring the values from before each change
+ *
+ * Journals are written by import-variants.js, update-product-templates.js,
+ * import-metaobjects.js, link-artists.js and import-media.js.
+ * A value that has changed again since it was journalled is skipped unless
+ * --overwrite is given, so later edits made in the admin are not lost.
+ * Inventory adjusted by a delta is undone by the opposite delta, which keeps
+ * any stock movement since, so it is never skipped.
+ * Metaobject entries the run created are deleted; the rollback journals their
+ * fields, so undoing the rollback creates them again.
+ *
+ * Usage: node rollback.js [options]
+ * Options:
+ *   --shop <shop-name>     Shopify shop name (required)
+ *   --token <access-token> Admin API access token (required)
+ *   --api-version <ver>    Admin API version (default: 2024-10)
+ *   --endpoint <url>       Send requests here instead of the shop (e.g. a mock server)
+ *   --journal <file>       Journal to replay (default: changes.journal.jsonl)
+ *   --run <run-id>         Only roll back this run
+ *   --product <id>         Only roll back changes to this product
+ *   --all                  Roll back every change in the journal
+ *   --list                 List the runs in the journal and exit
+ *   --overwrite            Roll back values that have changed since the run
+ *   --dry-run              Preview changes without applying them
+ *   --force                Skip confirmation prompt
+ */
+
+const fs = require("fs");
+const cli = require("./cli");
+const { valuesEqual, formatDiffTable } = require("./diff");
+const {
+  createJournal,
+  readJournal,
+  filterEntries,
+  listRuns,
+  DEFAULT_JOURNAL_FILE,
+} = require("./journal");
+const { updateTemplateSuffix } = require("./theme-templates");
+const {
+  DEFAULT_INVENTORY_REASON,
+  setQuantities,
+  adjustQuantities,
+} = require("./inventory");
+const {
+  fetchProductMedia,
+  updateMediaAlt,
+  reorderMedia,
+  attachVariantMedia,
+  detachVariantMedia,
+} = require("./media");
+
+// Configuration
+const config = {
+  ...cli.connectionConfig(),
+  journal: DEFAULT_JOURNAL_FILE,
+  runId: null,
+  productId: null,
+  all: false,
+  list: false,
+  overwrite: false,
+  dryRun: false,
+  force: false,
+};
+
+// Core variant fields compared as amounts rather than text
+const MONEY_FIELDS = ["price", "compareAtPrice"];
+
+// Text printed by --help
+function helpText() {
+  return `
+Usage: node rollback.js [options]
+
+Options:
+${cli.connectionOptionsHelp()}
+  --journal <file>       Journal to replay (default: ${DEFAULT_JOURNAL_FILE})
+  --run <run-id>         Only roll back this run (see --list)
+  --product <id>         Only roll back changes to this product (ID or gid)
+  --all                  Roll back every change in the journal
+  --list                 List the runs in the journal and exit
+  --overwrite            Also roll back values that have changed again since
+                         the run (by default they are skipped)
+  --dry-run              Preview changes without applying them
+  --force                Skip confirmation prompt
+  --help                 Show this help message
+
+${cli.ENVIRONMENT_HELP}
+
+Examples:
+  # See which runs can be rolled back
+  node rollback.js --list
+
+  # Preview undoing one template update run
+  node rollback.js --run 20241015T093012-3fa2 --dry-run
+
+  # Undo everything journalled for one product
+  node rollback.js --product 1234567890
+`;
+}
+
+// Parse command line arguments
+function parseArgs() {
+  cli.parseArgs(config, {
+    help: helpText,
+    option(arg, next) {
+      switch (arg) {
+        case "--journal":
+          config.journal = next();
+          break;
+        case "--run":
+          config.runId = next();
+          break;
+        case "--product":
+          config.productId = next();
+          break;
+        case "--all":
+          config.all = true;
+          break;
+        case "--list":
+          config.list = true;
+          break;
+        case "--overwrite":
+          config.overwrite = true;
+          break;
+        case "--dry-run":
+          config.dryRun = true;
+          break;
+        case "--force":
+          config.force = true;
+          break;
+      }
+    },
+  });
+}
+
+// Validate configuration
+function validateConfig() {
+  if (!fs.existsSync(config.journal)) {
+    console.error(`Error: Journal file '${config.journal}' does not exist.`);
+    process.exit(1);
+  }
+  if (config.list) return;
+
+  cli.requireConnection(config, { writes: !config.dryRun });
+  if (!config.runId && !config.productId && !config.all) {
+    console.error(
+      "Error: Use --run or --product to choose what to roll back, or --all to roll back the whole journal."
+    );
+    process.exit(1);
+  }
+}
+
+// Shared Admin API client, created on first use from config
+const { getClient, makeGraphQLRequest } = cli.lazyClient(config);
+
+// Key identifying the value a journal entry changed
+function entryKey(entry) {
+  return `${entry.target}|${entry.kind}|${entry.field}`;
+}
+
+// Fetch the quantity an inventory entry changed, as it is in Shopify now
+async function fetchCurrentQuantity(entry) {
+  const query = `
+    query getCurrentQuantity($id: ID!, $locationId: ID!, $names: [String!]!) {
+      inventoryItem(id: $id) {
+        inventoryLevel(locationId: $locationId) {
+          quantities(names: $names) {
+            name
+            quantity
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await makeGraphQLRequest(query, {
+    id: entry.inventoryItemId,
+    locationId: entry.locationId,
+    names: [entry.name],
+  });
+  const level = response.inventoryItem?.inventoryLevel;
+  if (!level) {
+    throw new Error(
+      `${entry.target} is no longer stocked at ${entry.location}`
+    );
+  }
+  return String(level.quantities[0].quantity);
+}
+
+// Fetch the alt text, media order or variant image a media entry changed
+async function fetchCurrentMedia(entry) {
+  const details = await fetchProductMedia(makeGraphQLRequest, entry.productId);
+
+  if (entry.field === "mediaOrder") {
+    return details.media.map((item) => item.id).join("\n");
+  }
+  const found =
+    entry.field === "alt"
+      ? details.media.find((item) => item.id === entry.target)
+      : details.variants.find((variant) => variant.id === entry.target);
+  if (!found) {
+    throw new Error(`${entry.target} no longer exists`);
+  }
+  return entry.field === "alt" ? found.alt : found.mediaId;
+}
+
+// Fetch the value a journal entry's field has in Shopify now
+async function fetchCurrentValue(entry) {
+  if (entry.kind === "inventory") {
+    return fetchCurrentQuantity(entry);
+  }
+  if (entry.kind === "media") {
+    return fetchCurrentMedia(entry);
+  }
+
+  const query = `
+    query getCurrentValue($id: ID!, $namespace: String!, $key: String!) {
+      node(id: $id) {
+        ... on Product {
+          templateSuffix
+          metafield(namespace: $namespace, key: $key) {
+            value
+          }
+        }
+        ... on Collection {
+          templateSuffix
+        }
+        ... on Page {
+          templateSuffix
+        }
+        ... on ProductVariant {
+          price
+          compareAtPrice
+          sku
+          barcode
+          inventoryPolicy
+          taxable
+          metafield(namespace: $namespace, key: $key) {
+            value
+          }
+        }
+        ... on Metaobject {
+          id
+          handle
+          field(key: $key) {
+            value
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await makeGraphQLRequest(query, {
+    id: entry.target,
+    namespace: entry.namespace || "",
+    key: entry.key || "",
+  });
+  const node = response.node;
+  // A created metaobject entry is journalled as its ID, empty once deleted
+  if (entry.kind === "metaobject" && entry.field === "entry") {
+    return node ? node.id : "";
+  }
+  if (!node) {
+    throw new Error(`${entry.target} no longer exists`);
+  }
+
+  switch (entry.kind) {
+    case "template":
+      return node.templateSuffix || null;
+    case "metafield":
+      return node.metafield ? node.metafield.value : "";
+    case "metaobject":
+      if (entry.field === "handle") return node.handle;
+      return node.field ? node.field.value ?? "" : "";
+    default:
+      return entry.field === "taxable"
+        ? String(node.taxable)
+        : node[entry.field] ?? "";
+  }
+}
+
+// Whether a current value still matches what the run wrote
+function matchesJournalled(entry, current) {
+  if (entry.kind === "template") {
+    return (current || null) === (entry.after || null);
+  }
+  if (entry.kind === "inventory") {
+    return (
+      entry.delta != null || valuesEqual(current, entry.after, "number_integer")
+    );
+  }
+  const type =
+    entry.kind === "metafield" || entry.kind === "metaobject"
+      ? entry.type || ""
+      : MONEY_FIELDS.includes(entry.field)
+      ? "money_amount"
+      : "";
+  return valuesEqual(current, entry.after, type);
+}
+
+// Restore the template suffix of a product, collection or page
+async function restoreTemplate(entry) {
+  await updateTemplateSuffix(
+    getClient(),
+    entry.resource || "product",
+    entry.target,
+    entry.before
+  );
+}
+
+// The value a field will have once an entry is rolled back
+function restoredValue(entry, current) {
+  if (entry.kind === "inventory" && entry.delta != null) {
+    return String(Number(current) - entry.delta);
+  }
+  return entry.before;
+}
+
+// Restore an inventory quantity: an adjustment is reversed by the opposite
+// delta; anything else is set back, provided it is still `current`
+async function restoreInventory(entry, current) {
+  if (entry.delta != null && entry.name === "available") {
+    await adjustQuantities(getClient(), entry.name, DEFAULT_INVENTORY_REASON, [
+      {
+        inventoryItemId: entry.inventoryItemId,
+        locationId: entry.locationId,
+        delta: -entry.delta,
+      },
+    ]);
+    return;
+  }
+
+  await setQuantities(getClient(), entry.name, DEFAULT_INVENTORY_REASON, [
+    {
+      inventoryItemId: entry.inventoryItemId,
+      locationId: entry.locationId,
+      quantity: Number(restoredValue(entry, current)),
+      compareQuantity: Number(current),
+    },
+  ]);
+}
+
+// Restore a core variant field or a metafield value on a variant
+async function restoreVariant(entry) {
+  const mutation = `
+    mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+        productVariants {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const input = { id: entry.target };
+  const value = entry.before === "" ? null : entry.before;
+
+  if (entry.kind === "metafield") {
+    input.metafields = [
+      {
+        namespace: entry.namespace,
+        key: entry.key,
+        value: entry.before,
+        type: entry.type,
+      },
+    ];
+  } else if (entry.field === "sku") {
+    input.inventoryItem = { sku: value };
+  } else if (entry.field === "taxable") {
+    input.taxable = value === "true";
+  } else {
+    input[entry.field] = value;
+  }
+
+  await getClient().mutate(
+    mutation,
+    { productId: entry.productId, variants: [input] },
+    "productVariantsBulkUpdate"
+  );
+}
+
+// Restore a product metafield value
+async function restoreProductMetafield(entry) {
+  const mutation = `
+    mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        metafields {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  await getClient().mutate(
+    mutation,
+    {
+      metafields: [
+        {
+          ownerId: entry.target,
+          namespace: entry.namespace,
+          key: entry.key,
+          type: entry.type,
+          value: entry.before,
+        },
+      ],
+    },
+    "metafieldsSet"
+  );
+}
+
+// Restore a field or the handle of a metaobject entry, or delete or re-create
+// an entry the run created or deleted
+async function restoreMetaobject(entry) {
+  if (entry.field === "entry") {
+    return entry.before ? recreateMetaobject(entry) : deleteMetaobject(entry);
+  }
+
+  const mutation = `
+    mutation metaobjectUpdate($id: ID!, $metaobject: MetaobjectUpdateInput!) {
+      metaobjectUpdate(id: $id, metaobject: $metaobject) {
+        metaobject {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const input =
+    entry.field === "handle"
+      ? { handle: entry.before }
+      : { fields: [{ key: entry.key, value: entry.before ?? "" }] };
+
+  await getClient().mutate(
+    mutation,
+    { id: entry.target, metaobject: input },
+    "metaobjectUpdate"
+  );
+}
+
+// Delete a metaobject entry created by the run
+// Resolves to its handle and fields, journalled so the delete can be undone
+async function deleteMetaobject(entry) {
+  const query = `
+    query getMetaobjectSnapshot($id: ID!) {
+      metaobject(id: $id) {
+        handle
+        fields {
+          key
+          value
+        }
+      }
+    }
+  `;
+  const mutation = `
+    mutation metaobjectDelete($id: ID!) {
+      metaobjectDelete(id: $id) {
+        deletedId
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const { metaobject } = await makeGraphQLRequest(query, { id: entry.target });
+  await getClient().mutate(mutation, { id: entry.target }, "metaobjectDelete");
+  return {
+    snapshot: {
+      handle: metaobject.handle,
+      fields: metaobject.fields
+        .filter((field) => field.value != null)
+        .map(({ key, value }) => ({ key, value })),
+    },
+  };
+}
+
+// Re-create a metaobject entry deleted by a rollback, from its snapshot
+// The entry gets a new ID, which becomes the journalled target. Like any
+// create, it is not retried after a 5xx or network error
+async function recreateMetaobject(entry) {
+  const mutation = `
+    mutation metaobjectCreate($metaobject: MetaobjectCreateInput!) {
+      metaobjectCreate(metaobject: $metaobject) {
+        metaobject {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const payload = await getClient().mutate(
+    mutation,
+    {
+      metaobject: {
+        type: entry.metaobjectType,
+        handle: entry.snapshot.handle,
+        fields: entry.snapshot.fields,
+      },
+    },
+    "metaobjectCreate",
+    { idempotent: false }
+  );
+  const { id } = payload.metaobject;
+  return { target: id, after: id };
+}
+
+// Delete a metafield that did not exist before the run
+async function deleteMetafield(entry) {
+  const mutation = `
+    mutation metafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+      metafieldsDelete(metafields: $metafields) {
+        deletedMetafields {
+          key
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  await getClient().mutate(
+    mutation,
+    {
+      metafields: [
+        { ownerId: entry.target, namespace: entry.namespace, key: entry.key },
+      ],
+    },
+    "metafieldsDelete"
+  );
+}
+
+// Restore alt text, media order or a variant's image
+// Media added since the run keep their order after the restored ones
+async function restoreMedia(entry, current) {
+  if (entry.field === "alt") {
+    await updateMediaAlt(getClient(), entry.productId, [
+      { id: entry.target, alt: entry.before },
+    ]);
+    return;
+  }
+
+  if (entry.field === "mediaOrder") {
+    const now = current.split("\n").filter(Boolean);
+    const before = entry.before.split("\n").filter((id) => now.includes(id));
+    await reorderMedia(getClient(), entry.productId, [
+      ...before,
+      ...now.filter((id) => !before.includes(id)),
+    ]);
+    return;
+  }
+
+  if (current) {
+    await detachVariantMedia(getClient(), entry.productId, [
+      { variantId: entry.target, mediaIds: [current] },
+    ]);
+  }
+  if (entry.before) {
+    await attachVariantMedia(getClient(), entry.productId, [
+      { variantId: entry.target, mediaIds: [entry.before] },
+    ]);
+  }
+}
+
+// Put back the value from before a journalled change
+// `current` is the value now, which inventory changes are made against.
+// Resolves to any journal fields the restore sets, e.g. a re-created entry's ID
+async function restoreEntry(entry, current) {
+  if (entry.kind === "template") {
+    return restoreTemplate(entry);
+  }
+  if (entry.kind === "inventory") {
+    return restoreInventory(entry, current);
+  }
+  if (entry.kind === "metaobject") {
+    return restoreMetaobject(entry);
+  }
+  if (entry.kind === "media") {
+    return restoreMedia(entry, current);
+  }
+  if (entry.kind === "metafield" && (entry.before ?? "") === "") {
+    return deleteMetafield(entry);
+  }
+  if (entry.kind === "metafield" && entry.ownerType === "PRODUCT") {
+    return restoreProductMetafield(entry);
+  }
+  return restoreVariant(entry);
+}
+
+// Print the runs recorded in the journal
+function printRuns(entries) {
+  const runs = listRuns(entries);
+  if (runs.length === 0) {
+    console.log("The journal is empty.");
+    return;
+  }
+
+  console.log(`Runs in ${config.journal}:`);
+  runs.forEach((run) => {
+    console.log(
+      `  ${run.runId}  ${run.startedAt}  ${run.script} on ${run.shop} (${run.changes} changes)`
+    );
+  });
+}
+
+// Main rollback function
+async function rollback() {
+  try {
+    const entries = await readJournal(config.journal);
+
+    if (config.list) {
+      printRuns(entries);
+      return;
+    }
+
+    const selected = filterEntries(entries, {
+      runId: config.runId,
+      productId: config.productId,
+    }).filter((entry) => !entry.shop || entry.shop === config.shop);
+
+    console.log(
+      `Found ${selected.length} journalled changes to roll back (${entries.length} in journal)`
+    );
+    if (selected.length === 0) {
+      console.log("Nothing to roll back.");
+      return;
+    }
+
+    if (config.dryRun) {
+      console.log("🔍 DRY RUN MODE - No changes will be made");
+    }
+
+    // Newest first, tracking what each value will be once later entries are undone
+    const replay = [...selected].reverse();
+    const expected = new Map();
+    const planned = [];
+    const skipped = [];
+
+    console.log("\nChecking current values...");
+    for (const entry of replay) {
+      const key = entryKey(entry);
+      let current;
+      try {
+        current = expected.has(key)
+          ? expected.get(key)
+          : await fetchCurrentValue(entry);
+      } catch (error) {
+        skipped.push({ entry, reason: error.message });
+        continue;
+      }
+
+      if (!matchesJournalled(entry, current) && !config.overwrite) {
+        skipped.push({
+          entry,
+          reason: `changed since the run (now ${JSON.stringify(current)})`,
+        });
+        continue;
+      }
+
+      expected.set(key, restoredValue(entry, current));
+      planned.push({ entry, current });
+    }
+
+    if (planned.length > 0) {
+      console.log(
+        "\n" +
+          formatDiffTable(
+            planned.map(({ entry, current }) => ({
+              target: entry.title || entry.target,
+              field: entry.field,
+              before: current,
+              after: restoredValue(entry, current) ?? "(default)",
+            }))
+          )
+      );
+    }
+
+    if (skipped.length > 0) {
+      console.log(`\n⚠️  Skipping ${skipped.length} changes:`);
+      skipped.forEach(({ entry, reason }) => {
+        console.log(`  • ${entry.target} ${entry.field}: ${reason}`);
+      });
+      if (!config.overwrite) {
+        console.log("  Use --overwrite to roll these back anyway.");
+      }
+    }
+
+    if (planned.length === 0) {
+      console.log("\nNothing to roll back.");
+      return;
+    }
+
+    if (!config.force && !config.dryRun) {
+      const confirmed = await cli.askConfirmation(
+        `\nDo you want to roll back ${planned.length} changes? (y/N): `
+      );
+
+      if (!confirmed) {
+        console.log("Rollback cancelled.");
+        return;
+      }
+    }
+
+    // The rollback is journalled too, so it can itself be undone
+    const journal = config.dryRun
+      ? null
+      : createJournal(config.journal, {
+          script: "rollback",
+          shop: config.shop,
+        });
+
+    const results = { success: 0, failed: 0, errors: [] };
+
+    console.log(`\n${config.dryRun ? "Simulating" : "Rolling back"}...`);
+    for (let i = 0; i < planned.length; i++) {
+      const { entry, current } = planned[i];
+      const progress = `[${i + 1}/${planned.length}]`;
+
+      try {
+        if (!config.dryRun) {
+          const restored = await restoreEntry(entry, current);
+          const { runId, timestamp, script, shop, ...change } = entry;
+          journal.record({
+            ...change,
+            before: current,
+            after: restoredValue(entry, current),
+            ...(entry.delta != null ? { delta: -entry.delta } : {}),
+            ...restored,
+            rollbackOf: runId,
+          });
+        }
+        console.log(
+          `${progress} ✅ ${config.dryRun ? "Would restore" : "Restored"}: ${
+            entry.title || entry.target
+          } ${entry.field}`
+        );
+        results.success++;
+      } catch (error) {
+        console.log(
+          `${progress} ❌ Failed: ${entry.title || entry.target} ${
+            entry.field
+          } - ${error.message}`
+        );
+        results.failed++;
+        results.errors.push({ entry, error: error.message });
+      }
+    }
+
+    console.log(`\n📊 Rollback Results:`);
+    console.log(`✅ Restored: ${results.success}`);
+    console.log(`❌ Failed: ${results.failed}`);
+    console.log(`⏭️  Skipped: ${skipped.length}`);
+
+    if (config.dryRun) {
+      console.log(
+        `\n🔍 This was a dry run. To apply changes, run the command without --dry-run`
+      );
+    } else if (journal.count > 0) {
+      console.log(
+        `\n📝 Rollback journalled as run ${journal.runId} in ${config.journal}`
+      );
+    }
+  } catch (error) {
+    console.error("Rollback failed:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  parseArgs();
+  validateConfig();
+  rollback();
+}
+
+module.exports = {
+  rollback,
+  fetchCurrentValue,
+  matchesJournalled,
+  restoreEntry,
+};
@@ -0,0 +1,77 @@
+/**
+ * Shopify Search Query Builder
+ * Builds `query` strings for the Admin API's search syntax from filter values
+ *
+ * - Values with spaces or special characters are quoted and escaped
+ * - Each clause is wrapped in parentheses before clauses are joined with AND,
+ *   so an OR inside one filter cannot change the meaning of the others
+ * - Raw Shopify search syntax can be passed through unchanged
+ *
+ * Usage:
+ *   const { term, anyOf, allOf } = require("./search-query");
+ *   allOf([term("vendor", "Southbank Art"), anyOf([term("tag", "a"), term("tag", "b")])]);
+ *   // → vendor:"Southbank Art" AND (tag:a OR tag:b)
+ */
+
+// Characters that end or change the meaning of an unquoted value
+const SPECIAL_CHARACTERS = /[\s:\\()"'<>=]/;
+
+// Quote a value if it needs it, escaping backslashes and double quotes
+function quoteValue(value) {
+  const text = String(value);
+  if (text !== "" && !SPECIAL_CHARACTERS.test(text)) return text;
+  return `"${text.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+// field:value, with the value quoted when needed
+function term(field, value) {
+  return `${field}:${quoteValue(value)}`;
+}
+
+// Substring match on a field. Wildcards only work on single words, so a value
+// with spaces becomes a quoted phrase instead
+function contains(field, value) {
+  const text = String(value).trim();
+  if (/\s/.test(text) || SPECIAL_CHARACTERS.test(text)) {
+    return term(field, text);
+  }
+  return `${field}:*${text}*`;
+}
+
+// Wrap a clause in parentheses unless it is a single term
+function group(clause) {
+  return /\s/.test(clause.replace(/"(?:[^"\\]|\\.)*"/g, ""))
+    ? `(${clause})`
+    : clause;
+}
+
+function join(clauses, operator) {
+  const present = clauses.filter(Boolean);
+  if (present.length === 0) return "";
+  if (present.length === 1) return present[0];
+  return present.map(group).join(` ${operator} `);
+}
+
+// Clauses that must all match
+function allOf(clauses) {
+  return join(clauses, "AND");
+}
+
+// Clauses of which any may match
+function anyOf(clauses) {
+  return join(clauses, "OR");
+}
+
+// Numeric ID of a gid (or the value itself if it is already numeric)
+function numericId(id) {
+  return String(id).replace(/^gid:\/\/shopify\/\w+\//, "");
+}
+
+module.exports = {
+  quoteValue,
+  term,
+  contains,
+  allOf,
+  anyOf,
+  numericId,
+};
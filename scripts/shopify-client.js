@@ -0,0 +1,390 @@
+/**
+ * Shopify Admin GraphQL Client
+ * Shared request layer for the scripts in this folder
+ *
+ * - Configurable Admin API version (default: 2024-10)
+ * - Cost-based throttling using the `extensions.cost` data Shopify returns
+ * - Retries with exponential backoff on 429, 5xx, THROTTLED and network errors,
+ *   including a connection that stalls for `timeout` ms (default: 60s);
+ *   mutations marked { idempotent: false } are only retried when throttled, as
+ *   a 5xx or network error may come after Shopify applied them
+ * - Typed errors so callers can tell HTTP, GraphQL and userErrors apart
+ * - Optional `endpoint` to send requests somewhere other than the shop, e.g. the
+ *   local mock server (mock-shopify-server.js)
+ *
+ * Usage:
+ *   const { createClient } = require("./shopify-client");
+ *   const client = createClient({ shop, token, apiVersion: "2024-10" });
+ *   const data = await client.request(query, variables);
+ *   const payload = await client.mutate(mutation, variables, "productUpdate");
+ *   await client.mutate(adjust, variables, "inventoryAdjustQuantities", {
+ *     idempotent: false,
+ *   });
+ */
+
+const http = require("http");
+const https = require("https");
+
+const DEFAULT_API_VERSION = "2024-10";
+
+// Cost used to pace the very first request, before Shopify has told us anything
+const DEFAULT_QUERY_COST = 50;
+
+// Base class for every error raised by the client
+class ShopifyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+// Non-2xx HTTP response (after retries have been exhausted)
+class ShopifyHttpError extends ShopifyError {
+  constructor(status, body) {
+    super(`HTTP ${status}: ${String(body).slice(0, 500)}`);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// Top-level `errors` array in a GraphQL response
+class ShopifyGraphQLError extends ShopifyError {
+  constructor(errors) {
+    super(`GraphQL errors: ${JSON.stringify(errors)}`);
+    this.errors = errors;
+  }
+}
+
+// Request was still throttled after all retries
+class ShopifyThrottledError extends ShopifyError {
+  constructor(message) {
+    super(message || "Request throttled by Shopify");
+  }
+}
+
+// `userErrors` returned by a mutation payload
+class ShopifyUserError extends ShopifyError {
+  constructor(operation, userErrors) {
+    super(
+      `${operation} failed: ${userErrors
+        .map((e) =>
+          e.field && e.field.length
+            ? `${[].concat(e.field).join(".")}: ${e.message}`
+            : e.message
+        )
+        .join(", ")}`
+    );
+    this.operation = operation;
+    this.userErrors = userErrors;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with jitter, capped at 30 seconds
+function backoffDelay(attempt, baseDelay) {
+  const delay = baseDelay * Math.pow(2, attempt);
+  return Math.min(delay + Math.random() * baseDelay, 30000);
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+function isThrottledResponse(json) {
+  return (
+    Array.isArray(json.errors) &&
+    json.errors.some((e) => e.extensions && e.extensions.code === "THROTTLED")
+  );
+}
+
+// Throw a ShopifyUserError if a mutation payload carries userErrors
+function assertNoUserErrors(payload, operation) {
+  if (payload && payload.userErrors && payload.userErrors.length > 0) {
+    throw new ShopifyUserError(operation, payload.userErrors);
+  }
+  return payload;
+}
+
+// Where requests go: the shop's own domain, or an `endpoint` URL override
+// An endpoint without a .json path gets the usual /admin/api/<version>/graphql.json
+function resolveEndpoint({ shop, endpoint, apiVersion }) {
+  const apiPath = `/admin/api/${apiVersion}/graphql.json`;
+
+  if (!endpoint) {
+    return {
+      transport: https,
+      hostname: shop.includes(".") ? shop : `${shop}.myshopify.com`,
+      port: 443,
+      path: apiPath,
+    };
+  }
+
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    throw new ShopifyError(`Invalid endpoint URL: ${endpoint}`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new ShopifyError(
+      `Endpoint must be an http or https URL: ${endpoint}`
+    );
+  }
+
+  const secure = url.protocol === "https:";
+  return {
+    transport: secure ? https : http,
+    hostname: url.hostname,
+    port: url.port || (secure ? 443 : 80),
+    path: url.pathname.endsWith(".json")
+      ? url.pathname
+      : `${url.pathname.replace(/\/$/, "")}${apiPath}`,
+  };
+}
+
+// Create a client bound to one shop
+function createClient(options = {}) {
+  const settings = {
+    shop: options.shop,
+    token: options.token,
+    apiVersion: options.apiVersion || DEFAULT_API_VERSION,
+    endpoint: options.endpoint || null,
+    maxRetries: options.maxRetries != null ? options.maxRetries : 5,
+    baseDelay: options.baseDelay != null ? options.baseDelay : 1000,
+    timeout: options.timeout != null ? options.timeout : 60000,
+    log: options.log || console,
+  };
+
+  if (!settings.shop) {
+    throw new ShopifyError("Shop name is required to create a client");
+  }
+  if (!settings.token) {
+    throw new ShopifyError("Access token is required to create a client");
+  }
+
+  const target = resolveEndpoint(settings);
+
+  // Last known state of the leaky bucket, from extensions.cost.throttleStatus
+  const bucket = {
+    maximumAvailable: null,
+    currentlyAvailable: null,
+    restoreRate: null,
+    updatedAt: 0,
+  };
+
+  // Requested cost of each query we have seen, keyed by query text
+  const queryCosts = new Map();
+
+  // Estimate what is in the bucket now, allowing for restore since the last response
+  function availableNow() {
+    if (bucket.currentlyAvailable == null) return null;
+    const elapsed = (Date.now() - bucket.updatedAt) / 1000;
+    return Math.min(
+      bucket.maximumAvailable,
+      bucket.currentlyAvailable + elapsed * bucket.restoreRate
+    );
+  }
+
+  // Wait until the bucket should hold enough points for this query
+  // The points are taken off the estimate before sending, so requests made side
+  // by side wait their turn instead of all counting on the same points; the
+  // next response's throttleStatus replaces the estimate
+  async function waitForCapacity(query) {
+    const available = availableNow();
+    if (available == null || !bucket.restoreRate) return;
+
+    const cost = Math.min(
+      queryCosts.get(query) || DEFAULT_QUERY_COST,
+      bucket.maximumAvailable
+    );
+    bucket.currentlyAvailable = available - cost;
+    bucket.updatedAt = Date.now();
+    if (available >= cost) return;
+
+    const waitMs = Math.ceil(((cost - available) / bucket.restoreRate) * 1000);
+    settings.log.log(
+      `  Throttling: waiting ${(waitMs / 1000).toFixed(
+        1
+      )}s for API capacity (${Math.floor(available)}/${
+        bucket.maximumAvailable
+      } available, need ${cost})`
+    );
+    await sleep(waitMs);
+  }
+
+  function recordCost(query, cost) {
+    if (!cost) return;
+    if (cost.requestedQueryCost != null) {
+      queryCosts.set(query, cost.requestedQueryCost);
+    }
+    if (cost.throttleStatus) {
+      bucket.maximumAvailable = cost.throttleStatus.maximumAvailable;
+      bucket.currentlyAvailable = cost.throttleStatus.currentlyAvailable;
+      bucket.restoreRate = cost.throttleStatus.restoreRate;
+      bucket.updatedAt = Date.now();
+    }
+  }
+
+  // Send one HTTP request and resolve with { status, headers, body }
+  function send(body) {
+    return new Promise((resolve, reject) => {
+      const req = target.transport.request(
+        {
+          hostname: target.hostname,
+          port: target.port,
+          path: target.path,
+          method: "POST",
+          headers: {
+            "X-Shopify-Access-Token": settings.token,
+            "Content-Type": "application/json",
+            "Content-Length": Buffer.byteLength(body),
+          },
+        },
+        (res) => {
+          let data = "";
+          res.setEncoding("utf8");
+          res.on("error", reject);
+          res.on("aborted", () => {
+            const error = new Error("Connection closed mid-response");
+            error.code = "ECONNRESET";
+            reject(error);
+          });
+          res.on("data", (chunk) => (data += chunk));
+          res.on("end", () =>
+            resolve({
+              status: res.statusCode,
+              headers: res.headers,
+              body: data,
+            })
+          );
+        }
+      );
+
+      // A stalled connection is destroyed with a network error, so it is retried
+      req.setTimeout(settings.timeout, () => {
+        const error = new Error(`No response for ${settings.timeout / 1000}s`);
+        error.code = "ETIMEDOUT";
+        req.destroy(error);
+      });
+      req.on("error", reject);
+      req.write(body);
+      req.end();
+    });
+  }
+
+  // Run a query and resolve with its `data`, retrying transient failures
+  // With { idempotent: false }, 5xx and network errors are thrown rather than
+  // retried: the request may have been applied before it failed
+  async function request(query, variables = {}, { idempotent = true } = {}) {
+    const body = JSON.stringify({ query, variables });
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= settings.maxRetries; attempt++) {
+      await waitForCapacity(query);
+
+      let response;
+      try {
+        response = await send(body);
+      } catch (error) {
+        lastError = error;
+        if (idempotent && attempt < settings.maxRetries) {
+          const delay = backoffDelay(attempt, settings.baseDelay);
+          settings.log.warn(
+            `  Network error (${error.code || error.message}), retrying in ${(
+              delay / 1000
+            ).toFixed(1)}s...`
+          );
+          await sleep(delay);
+          continue;
+        }
+        throw error;
+      }
+
+      if (isRetryableStatus(response.status)) {
+        lastError =
+          response.status === 429
+            ? new ShopifyThrottledError(`HTTP 429: ${response.body}`)
+            : new ShopifyHttpError(response.status, response.body);
+
+        const retryable = idempotent || response.status === 429;
+        if (retryable && attempt < settings.maxRetries) {
+          const retryAfter = parseFloat(response.headers["retry-after"]);
+          const delay = retryAfter
+            ? retryAfter * 1000
+            : backoffDelay(attempt, settings.baseDelay);
+          settings.log.warn(
+            `  HTTP ${response.status} from Shopify, retrying in ${(
+              delay / 1000
+            ).toFixed(1)}s (attempt ${attempt + 1}/${settings.maxRetries})...`
+          );
+          await sleep(delay);
+          continue;
+        }
+        throw lastError;
+      }
+
+      if (response.status < 200 || response.status >= 300) {
+        throw new ShopifyHttpError(response.status, response.body);
+      }
+
+      let json;
+      try {
+        json = JSON.parse(response.body);
+      } catch (error) {
+        throw new ShopifyError(`Failed to parse JSON: ${error.message}`);
+      }
+
+      recordCost(query, json.extensions && json.extensions.cost);
+
+      if (isThrottledResponse(json)) {
+        lastError = new ShopifyThrottledError();
+        if (attempt < settings.maxRetries) {
+          // The bucket state has just been refreshed, so waitForCapacity() on the
+          // next attempt will sleep for as long as the restore rate requires
+          if (bucket.currentlyAvailable == null) {
+            await sleep(backoffDelay(attempt, settings.baseDelay));
+          }
+          continue;
+        }
+        throw lastError;
+      }
+
+      if (json.errors) {
+        throw new ShopifyGraphQLError(json.errors);
+      }
+
+      return json.data;
+    }
+
+    throw lastError;
+  }
+
+  // Run a mutation and resolve with its payload, throwing on userErrors
+  // `options` go to request(), e.g. { idempotent: false }
+  async function mutate(mutation, variables, operation, options) {
+    const data = await request(mutation, variables, options);
+    return assertNoUserErrors(data[operation], operation);
+  }
+
+  return {
+    request,
+    mutate,
+    apiVersion: settings.apiVersion,
+    endpoint: settings.endpoint,
+    throttleStatus: () => ({ ...bucket, currentlyAvailable: availableNow() }),
+  };
+}
+
+module.exports = {
+  createClient,
+  assertNoUserErrors,
+  DEFAULT_API_VERSION,
+  ShopifyError,
+  ShopifyHttpError,
+  ShopifyGraphQLError,
+  ShopifyThrottledError,
+  ShopifyUserError,
+};
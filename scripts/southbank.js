@@ -0,0 +1,501 @@
+#!/usr/bin/env node
+
+/**
+ * Southbank CLI
+ * One entry point for the scripts in this folder, with named store profiles
+ *
+ * Connection options are parsed here, the same way for every command, and
+ * handed to the script through the SHOPIFY_* environment variables. Every
+ * other option is passed through to the script unchanged.
+ *
+ * Usage: southbank <group> <command> [options]
+ * Commands:
+ *   variants export           Export variants and metafields to CSV
+ *   variants import           Import changes from an edited CSV
+ *   variants process-titles   Split "{title} {sku}" variant titles in a CSV
+ *   templates update          Change the template of products, collections or pages
+ *   templates audit           Report which templates are in use
+ *   journal rollback          Undo journalled changes
+ *   journal list              List the runs in a journal
+ *   metaobjects export        Export metaobject entries to CSV or JSON
+ *   metaobjects import        Import edited metaobject entries
+ *   artists link              Link products to artists by vendor or tag
+ *   supplier sync             Price variants from a supplier price list
+ *   catalogue quality-check   Score products against data-quality rules
+ *   media export              Export product media, alt text and variant images
+ *   media import              Import edited alt text, media order and variant images
+ *   profiles list             List the store profiles
+ * Options:
+ *   --profile <name>          Store profile to use (see profiles.js)
+ *   --shop <shop-name>        Shopify shop name, instead of a profile
+ *   --token <access-token>    Admin API access token
+ *   --api-version <ver>       Admin API version (default: 2024-10)
+ *   --endpoint <url>          Send requests here instead of the shop
+ *   --yes                     Confirm a command that writes to a production profile
+ */
+
+const path = require("path");
+const { spawn } = require("child_process");
+const {
+  ProfileError,
+  profileFileCandidates,
+  findProfilesFile,
+  loadProfiles,
+  resolveProfile,
+  isProductionShop,
+} = require("./profiles");
+
+// Commands by group. `store` is what the command does to the store:
+// "read", "write", or null when it does not connect at all. `writesWith`
+// names the option a "write" command needs before it changes anything
+const COMMANDS = {
+  variants: {
+    description: "Export, edit and import product variants",
+    commands: {
+      export: {
+        script: "export-variants.js",
+        description: "Export variants (or products) and metafields to CSV",
+        store: "read",
+      },
+      import: {
+        script: "import-variants.js",
+        description: "Import changes from an edited CSV",
+        store: "write",
+      },
+      "process-titles": {
+        script: "process-variant-titles.js",
+        description: 'Split "{title} {sku}" variant titles in a CSV',
+        store: null,
+      },
+    },
+  },
+  templates: {
+    description: "Theme templates of products, collections and pages",
+    commands: {
+      update: {
+        script: "update-product-templates.js",
+        description: "Change the template of products, collections or pages",
+        store: "write",
+      },
+      audit: {
+        script: "audit-templates.js",
+        description: "Report which templates are in use",
+        store: "read",
+      },
+    },
+  },
+  journal: {
+    description: "The undo journal written by import and template updates",
+    commands: {
+      rollback: {
+        script: "rollback.js",
+        description: "Undo journalled changes",
+        store: "write",
+      },
+      list: {
+        script: "rollback.js",
+        args: ["--list"],
+        description: "List the runs in a journal",
+        store: null,
+      },
+    },
+  },
+  metaobjects: {
+    description: "Metaobject entries such as artists",
+    commands: {
+      export: {
+        script: "export-metaobjects.js",
+        description: "Export metaobject entries to CSV or JSON",
+        store: "read",
+      },
+      import: {
+        script: "import-metaobjects.js",
+        description: "Import edited metaobject entries",
+        store: "write",
+      },
+    },
+  },
+  artists: {
+    description: "Artists shown on product pages",
+    commands: {
+      link: {
+        script: "link-artists.js",
+        description: "Link products to artists by vendor or tag",
+        store: "write",
+      },
+    },
+  },
+  supplier: {
+    description: "Supplier price lists",
+    commands: {
+      sync: {
+        script: "supplier-sync.js",
+        description: "Price variants from a supplier price list",
+        store: "write",
+        writesWith: "--apply",
+      },
+    },
+  },
+  catalogue: {
+    description: "Catalogue data quality",
+    commands: {
+      "quality-check": {
+        script: "quality-check.js",
+        description: "Score products against data-quality rules",
+        store: "read",
+      },
+    },
+  },
+  media: {
+    description: "Product images and alt text",
+    commands: {
+      export: {
+        script: "export-media.js",
+        description: "Export product media, alt text and variant images",
+        store: "read",
+      },
+      import: {
+        script: "import-media.js",
+        description: "Import edited alt text, media order and variant images",
+        store: "write",
+      },
+    },
+  },
+  profiles: {
+    description: "Store profiles",
+    commands: {
+      list: {
+        run: listProfiles,
+        description: "List the store profiles",
+        store: null,
+      },
+    },
+  },
+};
+
+// Connection options handled here rather than by the scripts
+const CONNECTION_OPTIONS = {
+  "--profile": "profile",
+  "--shop": "shop",
+  "--token": "token",
+  "--api-version": "apiVersion",
+  "--endpoint": "endpoint",
+};
+
+// Options a script is run with that mean it will not change the store
+const NON_WRITING_OPTIONS = ["--dry-run", "--list", "--help"];
+
+// Parse the command line into { group, command, options, passThrough, help }
+function parseArgs(argv) {
+  const parsed = {
+    group: null,
+    command: null,
+    options: {},
+    passThrough: [],
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (CONNECTION_OPTIONS[arg]) {
+      const value = argv[++i];
+      if (value === undefined || value.startsWith("--")) {
+        throw new Error(`${arg} needs a value`);
+      }
+      parsed.options[CONNECTION_OPTIONS[arg]] = value;
+    } else if (arg === "--yes" || arg === "-y") {
+      parsed.options.yes = true;
+    } else if (!parsed.command && (arg === "--help" || arg === "-h")) {
+      parsed.help = true;
+    } else if (!parsed.group && !arg.startsWith("-")) {
+      parsed.group = arg;
+    } else if (parsed.group && !parsed.command && !arg.startsWith("-")) {
+      parsed.command = arg;
+    } else if (parsed.command) {
+      parsed.passThrough.push(arg);
+    } else {
+      throw new Error(`Unknown option ${arg} (options go after the command)`);
+    }
+  }
+
+  return parsed;
+}
+
+function showHelp() {
+  const commands = Object.entries(COMMANDS)
+    .map(([group, { commands }]) =>
+      Object.entries(commands)
+        .map(
+          ([name, { description }]) =>
+            `  ${`${group} ${name}`.padEnd(26)}${description}`
+        )
+        .join("\n")
+    )
+    .join("\n");
+
+  console.log(`
+Usage: southbank <group> <command> [options]
+
+Commands:
+${commands}
+
+Options:
+  --profile <name>          Store profile to use (default: the profiles file's
+                            "default", unless SHOPIFY_SHOP is set)
+  --shop <shop-name>        Shopify shop name, instead of a profile
+  --token <access-token>    Admin API access token
+  --api-version <ver>       Admin API version (default: 2024-10)
+  --endpoint <url>          Send requests here instead of the shop
+  --yes                     Confirm a command that writes to a production profile
+  --help                    Show this help message, or a command's own options
+                            when given after the command
+
+Any other option is passed to the command; run "southbank <group> <command> --help"
+to see them.
+
+Profiles are read from $SOUTHBANK_PROFILES, ./southbank.profiles.json or
+~/.southbank/profiles.json (see southbank.profiles.example.json).
+
+Environment Variables:
+  SOUTHBANK_PROFILES    Profiles file to use
+  SHOPIFY_SHOP          Shopify shop name, when no profile is given
+  SHOPIFY_ACCESS_TOKEN  Admin API access token, when no profile is given
+  SHOPIFY_API_VERSION   Admin API version (default: 2024-10)
+  SHOPIFY_ENDPOINT      Admin API endpoint override
+
+Examples:
+  # Export from the dev store
+  southbank variants export --profile dev --limit all
+
+  # Preview, then apply, an import to production
+  southbank variants import --profile production --input variants.csv --dry-run
+  southbank variants import --profile production --input variants.csv --yes
+  `);
+}
+
+function showGroupHelp(group) {
+  const { description, commands } = COMMANDS[group];
+  console.log(`
+${description}
+
+Usage: southbank ${group} <command> [options]
+
+Commands:
+${Object.entries(commands)
+  .map(([name, command]) => `  ${name.padEnd(18)}${command.description}`)
+  .join("\n")}
+
+Run "southbank ${group} <command> --help" for a command's options.
+  `);
+}
+
+// Work out which store to connect to: explicit options, then the environment,
+// then the profiles file's default profile
+// `production` is set for a production profile, and for its shop when that is
+// given with --shop or SHOPIFY_SHOP instead, so the guard cannot be sidestepped
+function resolveConnection(options) {
+  if (options.profile && options.shop) {
+    throw new ProfileError("Use either --profile or --shop, not both");
+  }
+
+  const file = findProfilesFile();
+  const profiles = file ? loadProfiles(file) : null;
+
+  let profile = null;
+  if (!options.shop && (options.profile || !process.env.SHOPIFY_SHOP)) {
+    if (profiles) {
+      profile = resolveProfile(profiles, options.profile);
+    } else if (options.profile) {
+      throw new ProfileError(
+        `--profile ${
+          options.profile
+        } was given but no profiles file was found (looked in ${profileFileCandidates().join(
+          ", "
+        )})`
+      );
+    }
+  }
+
+  const pick = (key, env) =>
+    options[key] || (profile && profile[key]) || process.env[env] || "";
+  const shop = pick("shop", "SHOPIFY_SHOP");
+
+  return {
+    profile,
+    shop,
+    token: pick("token", "SHOPIFY_ACCESS_TOKEN"),
+    apiVersion: pick("apiVersion", "SHOPIFY_API_VERSION"),
+    endpoint: pick("endpoint", "SHOPIFY_ENDPOINT"),
+    production: profile
+      ? profile.production
+      : Boolean(profiles) && isProductionShop(profiles, shop),
+  };
+}
+
+// Whether running a command with these options will change the store
+function writesToStore(command, args) {
+  return (
+    command.store === "write" &&
+    (!command.writesWith || args.includes(command.writesWith)) &&
+    !args.some((arg) => NON_WRITING_OPTIONS.includes(arg))
+  );
+}
+
+// List the profiles in the profiles file, without their tokens
+function listProfiles() {
+  const file = findProfilesFile();
+  if (!file) {
+    console.log(
+      `No profiles file found (looked in ${profileFileCandidates().join(", ")})`
+    );
+    return 0;
+  }
+
+  const { defaultProfile, profiles } = loadProfiles(file);
+  console.log(`Profiles in ${file}:\n`);
+  Object.entries(profiles).forEach(([name, profile]) => {
+    const notes = [
+      name === defaultProfile && "default",
+      profile.production && "production",
+      profile.endpoint && `endpoint ${profile.endpoint}`,
+    ].filter(Boolean);
+    console.log(
+      `  ${name.padEnd(16)}${profile.shop}${
+        notes.length ? `  (${notes.join(", ")})` : ""
+      }`
+    );
+  });
+  return 0;
+}
+
+// Run a script with the connection in its environment; resolves with its exit code
+function runScript(script, args, connection) {
+  const env = { ...process.env };
+  if (connection) {
+    env.SHOPIFY_SHOP = connection.shop;
+    env.SHOPIFY_ACCESS_TOKEN = connection.token;
+    env.SHOPIFY_API_VERSION = connection.apiVersion;
+    env.SHOPIFY_ENDPOINT = connection.endpoint;
+    Object.keys(env)
+      .filter((key) => key.startsWith("SHOPIFY_") && !env[key])
+      .forEach((key) => delete env[key]);
+  }
+
+  return new Promise((resolve) => {
+    const child = spawn(
+      process.execPath,
+      [path.join(__dirname, script), ...args],
+      { stdio: "inherit", env }
+    );
+    // Ctrl+C reaches the script directly; let it decide how to stop
+    const ignoreInterrupt = () => {};
+    process.on("SIGINT", ignoreInterrupt);
+    child.on("exit", (code, signal) => {
+      process.removeListener("SIGINT", ignoreInterrupt);
+      resolve(code != null ? code : signal ? 1 : 0);
+    });
+    child.on("error", (error) => {
+      console.error(`Could not run ${script}: ${error.message}`);
+      resolve(1);
+    });
+  });
+}
+
+// Main CLI function; resolves with the exit code
+async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 1;
+  }
+
+  if (!parsed.group) {
+    showHelp();
+    return parsed.help ? 0 : 1;
+  }
+
+  const group = COMMANDS[parsed.group];
+  if (!group) {
+    console.error(
+      `Error: Unknown command "${parsed.group}". Use ${Object.keys(
+        COMMANDS
+      ).join(", ")}.`
+    );
+    return 1;
+  }
+  if (!parsed.command) {
+    showGroupHelp(parsed.group);
+    return parsed.help ? 0 : 1;
+  }
+
+  const command = group.commands[parsed.command];
+  if (!command) {
+    console.error(
+      `Error: Unknown command "${parsed.group} ${
+        parsed.command
+      }". Use ${Object.keys(group.commands).join(", ")}.`
+    );
+    return 1;
+  }
+
+  const args = [...(command.args || []), ...parsed.passThrough];
+
+  try {
+    if (command.run) {
+      return command.run(args);
+    }
+    if (!command.store || args.includes("--help")) {
+      return await runScript(command.script, args, null);
+    }
+
+    const connection = resolveConnection(parsed.options);
+    const writes = writesToStore(command, args);
+
+    if (connection.profile) {
+      console.log(
+        `🏪 ${connection.shop} (profile: ${connection.profile.name}${
+          connection.production ? ", production" : ""
+        })`
+      );
+    } else if (connection.production) {
+      console.log(`🏪 ${connection.shop} (production)`);
+    }
+    if (connection.production && writes && !parsed.options.yes) {
+      console.error(
+        connection.profile
+          ? `❌ Refusing to write to production profile "${connection.profile.name}" without --yes.`
+          : `❌ Refusing to write to production shop "${connection.shop}" without --yes.`
+      );
+      console.error(
+        "   Preview the changes with --dry-run, then run again with --yes to apply them."
+      );
+      return 1;
+    }
+
+    // The script refuses an unconfirmed production write too, so pass --yes on
+    return await runScript(
+      command.script,
+      writes && parsed.options.yes ? [...args, "--yes"] : args,
+      connection
+    );
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 1;
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  main().then((code) => process.exit(code));
+}
+
+module.exports = {
+  COMMANDS,
+  main,
+  parseArgs,
+  resolveConnection,
+  writesToStore,
+};
@@ -0,0 +1,750 @@
+#!/usr/bin/env node
+
+/**
+ * Shopify Supplier Price-List Sync
+ * Prices Nielsen ready-made frames (or any supplier's products) from the supplier's price list
+ *
+ * The supplier file (CSV or XLSX) is matched to variants by the SKU stored in
+ * a variant metafield (custom.nielsen_sku by default). For every match a retail
+ * price is worked out from the trade price with the configured markup, VAT and
+ * rounding (e.g. to .95), and the supplier's stock sets the inventory policy.
+ *
+ * Output:
+ * - An import-ready CSV of the variants whose price or policy changes
+ *   (import it with import-variants.js, or pass --apply to do so straight away)
+ * - A report of SKUs that are discontinued, missing from the price list, or new
+ *   at the supplier
+ *
+ * Usage: node supplier-sync.js --supplier-file <file> [options]
+ * Options:
+ *   --shop <shop-name>        Shopify shop name (required)
+ *   --token <access-token>    Admin API access token (required)
+ *   --api-version <ver>       Admin API version (default: 2024-10)
+ *   --endpoint <url>          Send requests here instead of the shop (e.g. a mock server)
+ *   --supplier-file <file>    Supplier price list, .csv or .xlsx (required)
+ *   --config <file>           Sync settings (default: supplier-sync.json)
+ *   --output <file>           Import-ready CSV (default: supplier-sync.csv)
+ *   --report <file>           Discontinued/missing/new SKU report (default: supplier-sync-report.csv)
+ *   --apply                   Import the changes once the CSV is written
+ *   --dry-run                 With --apply, preview the import without making changes
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const cli = require("./cli");
+const { readCSVRecords, toCSV } = require("./csv");
+const { readXLSXRecords } = require("./xlsx");
+const { term, allOf } = require("./search-query");
+const { resultsPathFor } = require("./import-variants");
+
+// Configuration
+const config = {
+  ...cli.connectionConfig(),
+  supplierFile: null,
+  configFile: "supplier-sync.json",
+  output: "supplier-sync.csv",
+  report: "supplier-sync-report.csv",
+  apply: false,
+  dryRun: false,
+};
+
+// Sync settings, loaded from --config by validateConfig()
+let settings = null;
+
+const PRODUCT_PAGE_SIZE = 10;
+const VARIANT_PAGE_SIZE = 50;
+
+const ROUNDING_ENDINGS = {
+  ".95": 95,
+  ".99": 99,
+  none: null,
+};
+
+// Stock cells that mean in / out of stock, besides plain numbers
+const IN_STOCK_VALUES = ["yes", "y", "true", "in stock", "available"];
+const OUT_OF_STOCK_VALUES = ["no", "n", "false", "out of stock", "unavailable"];
+
+// Text printed by --help
+function helpText() {
+  return `
+Usage: node supplier-sync.js --supplier-file <file> [options]
+
+Options:
+${cli.connectionOptionsHelp(26)}
+  --supplier-file <file>    Supplier price list, .csv or .xlsx (required)
+  --config <file>           Sync settings (default: supplier-sync.json; see
+                            supplier-sync.example.json)
+  --output <file>           Import-ready CSV of the changed variants
+                            (default: supplier-sync.csv)
+  --report <file>           Discontinued, missing and new SKUs
+                            (default: supplier-sync-report.csv)
+  --apply                   Import the changes once the CSV is written
+  --dry-run                 With --apply, preview the import without making changes
+  --help                    Show this help message
+
+${cli.ENVIRONMENT_HELP}
+
+Examples:
+  # Work out new prices and review the CSV and report
+  node supplier-sync.js --supplier-file nielsen-2024-10.xlsx
+
+  # Preview, then apply, the changes
+  node supplier-sync.js --supplier-file nielsen-2024-10.xlsx --apply --dry-run
+  node supplier-sync.js --supplier-file nielsen-2024-10.xlsx --apply
+`;
+}
+
+// Parse command line arguments
+function parseArgs() {
+  cli.parseArgs(config, {
+    help: helpText,
+    option(arg, next) {
+      switch (arg) {
+        case "--supplier-file":
+          config.supplierFile = next();
+          break;
+        case "--config":
+          config.configFile = next();
+          break;
+        case "--output":
+          config.output = next();
+          break;
+        case "--report":
+          config.report = next();
+          break;
+        case "--apply":
+          config.apply = true;
+          break;
+        case "--dry-run":
+          config.dryRun = true;
+          break;
+      }
+    },
+  });
+}
+
+// Read and check the sync settings file
+function loadSettings(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`${file} could not be read (${error.message})`);
+  }
+
+  const columns = parsed.columns || {};
+  ["sku", "cost"].forEach((column) => {
+    if (!columns[column]) {
+      throw new Error(
+        `${file}: "columns.${column}" must name the supplier file's ${column} column`
+      );
+    }
+  });
+
+  const pricing = parsed.pricing || {};
+  if (!(pricing.markupPercent >= 0)) {
+    throw new Error(`${file}: "pricing.markupPercent" is required`);
+  }
+  const rounding = pricing.rounding || ".95";
+  if (!(rounding in ROUNDING_ENDINGS)) {
+    throw new Error(
+      `${file}: "pricing.rounding" must be one of ${Object.keys(
+        ROUNDING_ENDINGS
+      ).join(", ")}`
+    );
+  }
+
+  const skuMetafield = parsed.skuMetafield || "custom.nielsen_sku";
+  const metafieldMatch = skuMetafield.match(/^([^.]+)\.(.+)$/);
+  if (!metafieldMatch) {
+    throw new Error(
+      `${file}: "skuMetafield" should look like custom.nielsen_sku`
+    );
+  }
+
+  return {
+    supplier: parsed.supplier || "Supplier",
+    sheet: parsed.sheet ?? null,
+    headerRow: parsed.headerRow || 1,
+    columns,
+    discontinued: (parsed.discontinued || []).map((value) =>
+      String(value).trim().toLowerCase()
+    ),
+    skuMetafield: { namespace: metafieldMatch[1], key: metafieldMatch[2] },
+    products: parsed.products || {},
+    pricing: {
+      markupPercent: pricing.markupPercent,
+      vatPercent: pricing.vatPercent || 0,
+      rounding,
+      minimumPrice: pricing.minimumPrice || 0,
+    },
+    availability: parsed.availability || null,
+  };
+}
+
+// Validate configuration
+function validateConfig() {
+  cli.requireFile(
+    config.supplierFile,
+    "Supplier file",
+    "--supplier-file <file>"
+  );
+  try {
+    settings = loadSettings(config.configFile);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  cli.requireConnection(config, { writes: config.apply && !config.dryRun });
+  if (config.dryRun && !config.apply) {
+    console.error(
+      "Error: --dry-run previews the import, so it needs --apply. Without --apply nothing is changed anyway."
+    );
+    process.exit(1);
+  }
+}
+
+// Shared Admin API client, created on first use from config
+const { makeGraphQLRequest } = cli.lazyClient(config);
+
+function normaliseSku(value) {
+  return String(value ?? "")
+    .trim()
+    .toUpperCase();
+}
+
+// Trade price from a supplier cell, e.g. "£12.50" or "1,204.5"
+function parseCost(value) {
+  const text = String(value ?? "")
+    .trim()
+    .replace(/^[£$€]/, "")
+    .replace(/,(?=\d{3}\b)/g, "");
+  return /^\d+(\.\d+)?$/.test(text) ? Number(text) : null;
+}
+
+// Whether a stock cell means available (true), unavailable (false) or unknown (null)
+function parseStock(value) {
+  const text = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  if (text === "") return null;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text) > 0;
+  if (IN_STOCK_VALUES.includes(text)) return true;
+  if (OUT_OF_STOCK_VALUES.includes(text)) return false;
+  return null;
+}
+
+// Round a price up to the next amount ending in the given pence (e.g. 95)
+function roundPrice(amount, rounding) {
+  const pence = Math.round(amount * 100);
+  const ending = ROUNDING_ENDINGS[rounding];
+  if (ending == null) return (pence / 100).toFixed(2);
+
+  let rounded = Math.floor(pence / 100) * 100 + ending;
+  if (rounded < pence) rounded += 100;
+  return (rounded / 100).toFixed(2);
+}
+
+// Retail price for a trade price: markup, then VAT, then rounding
+function retailPrice(cost, pricing) {
+  const price =
+    cost * (1 + pricing.markupPercent / 100) * (1 + pricing.vatPercent / 100);
+  const rounded = roundPrice(price, pricing.rounding);
+  return Number(rounded) < pricing.minimumPrice
+    ? roundPrice(pricing.minimumPrice, pricing.rounding)
+    : rounded;
+}
+
+// Read the supplier file's records, CSV or XLSX, as { fields, line }
+async function readSupplierRecords(file) {
+  if (/\.xlsx$/i.test(file)) {
+    return readXLSXRecords(file, { sheet: settings.sheet }).records;
+  }
+  const records = [];
+  for await (const record of readCSVRecords(file)) {
+    records.push(record);
+  }
+  return records;
+}
+
+// Read the supplier price list into a Map of SKU → entry
+async function readSupplierFile(file) {
+  const records = await readSupplierRecords(file);
+  const headerRecord = records.find(
+    (record) => record.line === settings.headerRow
+  );
+  if (!headerRecord) {
+    throw new Error(
+      `${file} has no row ${settings.headerRow} to read headers from`
+    );
+  }
+
+  const headers = headerRecord.fields.map((header) => String(header).trim());
+  const indexes = {};
+  Object.entries(settings.columns).forEach(([name, header]) => {
+    const index = headers.indexOf(header);
+    if (index === -1) {
+      throw new Error(
+        `${file} has no "${header}" column (for ${name}). Columns: ${headers
+          .filter(Boolean)
+          .join(", ")}`
+      );
+    }
+    indexes[name] = index;
+  });
+
+  const entries = new Map();
+  const problems = [];
+
+  records
+    .filter((record) => record.line > settings.headerRow)
+    .forEach(({ fields, line }) => {
+      const cell = (name) =>
+        indexes[name] === undefined ? "" : fields[indexes[name]] ?? "";
+      const sku = normaliseSku(cell("sku"));
+      if (!sku) return;
+
+      const status = String(cell("status")).trim();
+      const discontinued = settings.discontinued.includes(status.toLowerCase());
+      const cost = parseCost(cell("cost"));
+
+      if (entries.has(sku)) {
+        problems.push({ line, sku, message: "duplicate SKU, first row used" });
+        return;
+      }
+      if (cost == null && !discontinued) {
+        problems.push({
+          line,
+          sku,
+          message: `invalid trade price ${JSON.stringify(cell("cost"))}`,
+        });
+        return;
+      }
+
+      entries.set(sku, {
+        sku,
+        line,
+        description: String(cell("description")).trim(),
+        cost,
+        status,
+        discontinued,
+        inStock: indexes.stock === undefined ? null : parseStock(cell("stock")),
+      });
+    });
+
+  return { entries, problems };
+}
+
+// Shopify search query for the products the supplier list covers
+function buildProductsQuery() {
+  const { vendor, productType, query } = settings.products;
+  return (
+    allOf([
+      vendor && term("vendor", vendor),
+      productType && term("product_type", productType),
+      query,
+    ]) || null
+  );
+}
+
+// Fetch every variant in scope with its supplier SKU, price and policy
+async function fetchVariants() {
+  const { namespace, key } = settings.skuMetafield;
+  const variantFields = `
+    id
+    title
+    sku
+    price
+    inventoryPolicy
+    supplierSku: metafield(namespace: ${JSON.stringify(
+      namespace
+    )}, key: ${JSON.stringify(key)}) {
+      value
+    }
+  `;
+  const productsQuery = `
+    query getProducts($first: Int!, $after: String, $query: String, $variantsFirst: Int!) {
+      products(first: $first, after: $after, query: $query) {
+        edges {
+          node {
+            id
+            title
+            variants(first: $variantsFirst) {
+              edges {
+                node {
+                  ${variantFields}
+                }
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+  const moreVariantsQuery = `
+    query getMoreVariants($id: ID!, $first: Int!, $after: String) {
+      product(id: $id) {
+        variants(first: $first, after: $after) {
+          edges {
+            node {
+              ${variantFields}
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  const query = buildProductsQuery();
+  console.log(
+    query
+      ? `Fetching products matching: ${query}`
+      : "Fetching all products (no products filter in the config)"
+  );
+
+  const variants = [];
+  let after = null;
+
+  do {
+    const response = await makeGraphQLRequest(productsQuery, {
+      first: PRODUCT_PAGE_SIZE,
+      after,
+      query,
+      variantsFirst: VARIANT_PAGE_SIZE,
+    });
+    const page = response.products;
+
+    for (const { node: product } of page.edges) {
+      let connection = product.variants;
+      for (;;) {
+        connection.edges.forEach(({ node }) =>
+          variants.push({
+            ...node,
+            productId: product.id,
+            productTitle: product.title,
+            supplierSku: node.supplierSku
+              ? normaliseSku(node.supplierSku.value)
+              : "",
+          })
+        );
+        if (!connection.pageInfo.hasNextPage) break;
+        const more = await makeGraphQLRequest(moreVariantsQuery, {
+          id: product.id,
+          first: VARIANT_PAGE_SIZE,
+          after: connection.pageInfo.endCursor,
+        });
+        connection = more.product.variants;
+      }
+    }
+
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    console.log(`  Fetched ${variants.length} variants...`);
+  } while (after);
+
+  return variants;
+}
+
+// Inventory policy for a supplier entry, or null to leave it alone
+function policyFor(entry, availability) {
+  if (!availability || entry.inStock == null) return null;
+  return entry.inStock
+    ? availability.inStockPolicy || "CONTINUE"
+    : availability.outOfStockPolicy || "DENY";
+}
+
+// Match variants to the price list, priced with `sync` (see loadSettings)
+// Returns { changes, unchanged, report } where report lists SKUs needing attention
+function matchVariants(variants, entries, sync = settings) {
+  const changes = [];
+  const report = [];
+  const matchedSkus = new Set();
+  let unchanged = 0;
+
+  const reportRow = (type, entry, variant, details) => ({
+    type,
+    sku: entry ? entry.sku : variant.supplierSku,
+    description: entry ? entry.description : "",
+    supplier_status: entry ? entry.status : "",
+    trade_price: entry && entry.cost != null ? entry.cost : "",
+    product_id: variant ? variant.productId : "",
+    product_title: variant ? variant.productTitle : "",
+    variant_id: variant ? variant.id : "",
+    variant_title: variant ? variant.title : "",
+    details,
+  });
+
+  variants.forEach((variant) => {
+    if (!variant.supplierSku) {
+      report.push(
+        reportRow(
+          "no_sku",
+          null,
+          variant,
+          "variant has no supplier SKU metafield"
+        )
+      );
+      return;
+    }
+
+    const entry = entries.get(variant.supplierSku);
+    if (!entry) {
+      report.push(
+        reportRow(
+          "missing",
+          null,
+          variant,
+          "SKU is not in the supplier price list"
+        )
+      );
+      return;
+    }
+    matchedSkus.add(entry.sku);
+
+    if (entry.discontinued) {
+      report.push(
+        reportRow(
+          "discontinued",
+          entry,
+          variant,
+          `supplier status "${entry.status}"`
+        )
+      );
+      return;
+    }
+
+    const price = retailPrice(entry.cost, sync.pricing);
+    const policy = policyFor(entry, sync.availability);
+    const priceChanged = Number(price) !== Number(variant.price);
+    const policyChanged = policy != null && policy !== variant.inventoryPolicy;
+
+    if (!priceChanged && !policyChanged) {
+      unchanged++;
+      return;
+    }
+
+    changes.push({
+      product_id: variant.productId,
+      product_title: variant.productTitle,
+      variant_id: variant.id,
+      variant_title: variant.title,
+      supplier_sku: entry.sku,
+      trade_price: entry.cost,
+      current_price: variant.price,
+      variant_price: price,
+      variant_inventory_policy: policy || variant.inventoryPolicy,
+    });
+  });
+
+  entries.forEach((entry) => {
+    if (!matchedSkus.has(entry.sku) && !entry.discontinued) {
+      report.push(
+        reportRow(
+          "new",
+          entry,
+          null,
+          "at the supplier but not linked to any variant"
+        )
+      );
+    }
+  });
+
+  return { changes, unchanged, report };
+}
+
+const CHANGE_HEADERS = [
+  "product_id",
+  "product_title",
+  "variant_id",
+  "variant_title",
+  "supplier_sku",
+  "trade_price",
+  "current_price",
+  "variant_price",
+  "variant_inventory_policy",
+];
+
+const REPORT_HEADERS = [
+  "type",
+  "sku",
+  "description",
+  "supplier_status",
+  "trade_price",
+  "product_id",
+  "product_title",
+  "variant_id",
+  "variant_title",
+  "details",
+];
+
+// Fields the import should write from the CSV
+function importFields() {
+  return settings.availability ? "price,inventory_policy" : "price";
+}
+
+// Run import-variants.js on the CSV; resolves with its exit code
+function runImport() {
+  const args = [
+    path.join(__dirname, "import-variants.js"),
+    "--input",
+    config.output,
+    "--fields",
+    importFields(),
+  ];
+  if (config.dryRun) args.push("--dry-run");
+  if (config.yes) args.push("--yes");
+
+  // Credentials go through the environment so they stay out of the process list
+  const env = {
+    ...process.env,
+    SHOPIFY_SHOP: config.shop,
+    SHOPIFY_ACCESS_TOKEN: config.token,
+    SHOPIFY_API_VERSION: config.apiVersion,
+  };
+  if (config.endpoint) env.SHOPIFY_ENDPOINT = config.endpoint;
+
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, args, { stdio: "inherit", env });
+    child.on("exit", (code) => resolve(code == null ? 1 : code));
+    child.on("error", (error) => {
+      console.error(`Could not run the import: ${error.message}`);
+      resolve(1);
+    });
+  });
+}
+
+// Variant changes the import reported as failed in its results file
+function importFailures(resultsFile) {
+  if (!fs.existsSync(resultsFile)) return [];
+  const results = JSON.parse(fs.readFileSync(resultsFile, "utf8"));
+  return (results.details || []).filter((detail) => detail.status === "failed");
+}
+
+// Main sync function
+async function supplierSync() {
+  try {
+    console.log(`Starting ${settings.supplier} price-list sync...`);
+    console.log(`Supplier file: ${config.supplierFile}`);
+
+    const { entries, problems } = await readSupplierFile(config.supplierFile);
+    console.log(`Read ${entries.size} SKUs from the supplier file`);
+    problems.forEach(({ line, sku, message }) => {
+      console.warn(`  ⚠️  Row ${line} (${sku}): ${message}`);
+    });
+
+    const variants = await fetchVariants();
+    const { changes, unchanged, report } = matchVariants(variants, entries);
+
+    fs.writeFileSync(config.output, toCSV(CHANGE_HEADERS, changes), "utf8");
+    fs.writeFileSync(config.report, toCSV(REPORT_HEADERS, report), "utf8");
+
+    const count = (type) => report.filter((row) => row.type === type).length;
+
+    // Print summary
+    console.log("\n" + "=".repeat(50));
+    console.log("SUPPLIER SYNC SUMMARY");
+    console.log("=".repeat(50));
+    console.log(`Variants checked: ${variants.length}`);
+    console.log(`Price or policy changes: ${changes.length}`);
+    console.log(`Already up to date: ${unchanged}`);
+    console.log(`Discontinued at the supplier: ${count("discontinued")}`);
+    console.log(`Missing from the price list: ${count("missing")}`);
+    console.log(`New at the supplier: ${count("new")}`);
+    console.log(`Variants without a supplier SKU: ${count("no_sku")}`);
+    if (problems.length > 0) {
+      console.log(`Supplier rows skipped: ${problems.length}`);
+    }
+
+    changes.slice(0, 10).forEach((change) => {
+      console.log(
+        `  ${change.supplier_sku}: ${change.current_price} → ${change.variant_price} (${change.product_title} - ${change.variant_title})`
+      );
+    });
+    if (changes.length > 10) {
+      console.log(`  ... and ${changes.length - 10} more`);
+    }
+
+    console.log(`\nChanges saved to: ${config.output}`);
+    console.log(`Report saved to: ${config.report}`);
+
+    if (changes.length === 0) {
+      console.log("\n✅ No price or policy changes to make");
+      return;
+    }
+
+    if (!config.apply) {
+      console.log("\nReview the CSV, then import it with:");
+      console.log(
+        `  node import-variants.js --input ${
+          config.output
+        } --fields ${importFields()} --dry-run`
+      );
+      return;
+    }
+
+    // A results file left by an earlier import would be read as this one's
+    const resultsFile = resultsPathFor(config.output);
+    fs.rmSync(resultsFile, { force: true });
+
+    console.log("\nImporting changes...\n");
+    const code = await runImport();
+
+    const failed = importFailures(resultsFile);
+    if (failed.length > 0) {
+      const skus = new Map(
+        changes.map((change) => [change.variant_id, change.supplier_sku])
+      );
+      console.error(
+        `\n❌ ${failed.length} of ${changes.length} variant changes were not imported:`
+      );
+      failed.slice(0, 10).forEach((detail) => {
+        console.error(
+          `  ${skus.get(detail.variantId) || detail.variantId}: ${detail.error}`
+        );
+      });
+      if (failed.length > 10) {
+        console.error(`  ... and ${failed.length - 10} more`);
+      }
+      console.error(
+        `Retry them with: node import-variants.js --input ${
+          config.output
+        } --fields ${importFields()} --retry-failed ${resultsFile}`
+      );
+    }
+    if (code !== 0) {
+      process.exit(code);
+    }
+  } catch (error) {
+    console.error("Supplier sync failed:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  parseArgs();
+  validateConfig();
+  supplierSync();
+}
+
+module.exports = {
+  supplierSync,
+  loadSettings,
+  parseCost,
+  parseStock,
+  roundPrice,
+  retailPrice,
+  matchVariants,
+};
@@ -0,0 +1,157 @@
+/**
+ * Table Files
+ * Reads and writes rows of string values as CSV, XLSX, JSON or JSONL
+ *
+ * Shared by the variant export and import, so an export in any format can be
+ * edited and imported back. Every format gives back exactly the values written:
+ * - csv: see csv.js
+ * - xlsx: one sheet with a frozen header, text-formatted ID columns and
+ *   dropdowns for columns with a fixed set of values (see xlsx.js)
+ * - json: an array of row objects, e.g. [{ "variant_id": "...", "variant_price": "12.50" }]
+ * - jsonl: one row object per line
+ *
+ * In JSON and JSONL a missing property is an empty cell. Numbers and booleans
+ * are read as their text, so hand-written files can use them.
+ *
+ * Usage:
+ *   const { formatFor, readTableFile, writeTableFile } = require("./table-files");
+ *   const format = formatFor("variants.xlsx"); // "xlsx"
+ *   writeTableFile("variants.xlsx", format, headers, rows, { sheet: "Variants" });
+ *   const { headers, rows, errors } = await readTableFile("variants.xlsx", format);
+ */
+
+const fs = require("fs");
+const { readCSVFile, toCSV } = require("./csv");
+const { readXLSXFile, writeXLSXFile } = require("./xlsx");
+const { readJsonl } = require("./bulk-operations");
+
+const TABLE_FORMATS = ["csv", "xlsx", "json", "jsonl"];
+
+// Raised when a JSON or JSONL file does not hold rows
+class TableFileError extends Error {
+  constructor(file, message) {
+    super(`${file}: ${message}`);
+    this.name = "TableFileError";
+    this.file = file;
+  }
+}
+
+// The format to use for a file: the one given, or the file's extension
+// (CSV when the extension is not a table format)
+function formatFor(file, format) {
+  if (format) return format.toLowerCase();
+  const extension = (file.match(/\.([^./\\]+)$/) || [])[1];
+  return extension && TABLE_FORMATS.includes(extension.toLowerCase())
+    ? extension.toLowerCase()
+    : "csv";
+}
+
+// A JSON value as a cell: strings as they are, other scalars as their text
+function cellFromJSON(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "string") return value;
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+// Turn parsed JSON objects into { headers, rows }; headers in order of first use
+function rowsFromObjects(file, objects) {
+  const headers = [];
+  const seen = new Set();
+
+  objects.forEach((object, index) => {
+    if (!object || typeof object !== "object" || Array.isArray(object)) {
+      throw new TableFileError(file, `row ${index + 1} is not an object`);
+    }
+    Object.keys(object).forEach((key) => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        headers.push(key);
+      }
+    });
+  });
+
+  const rows = objects.map((object) => {
+    const row = {};
+    headers.forEach((header) => {
+      row[header] = cellFromJSON(object[header]);
+    });
+    return row;
+  });
+
+  return { headers, rows, errors: [] };
+}
+
+// Read a table file into { headers, rows, errors }, values as strings
+async function readTableFile(file, format) {
+  switch (format) {
+    case "xlsx":
+      return readXLSXFile(file);
+    case "json": {
+      let objects;
+      try {
+        objects = JSON.parse(fs.readFileSync(file, "utf8"));
+      } catch (error) {
+        throw new TableFileError(file, `invalid JSON (${error.message})`);
+      }
+      if (!Array.isArray(objects)) {
+        throw new TableFileError(file, "expected an array of rows");
+      }
+      return rowsFromObjects(file, objects);
+    }
+    case "jsonl": {
+      const objects = [];
+      for await (const object of readJsonl(file)) {
+        objects.push(object);
+      }
+      return rowsFromObjects(file, objects);
+    }
+    default:
+      return readCSVFile(file);
+  }
+}
+
+// Write rows to a table file, with the columns in the order of `headers`
+// `options` are passed to writeXLSXFile (sheet, textColumns, lists)
+function writeTableFile(file, format, headers, rows, options = {}) {
+  const objects = () =>
+    rows.map((row) => {
+      const object = {};
+      headers.forEach((header) => {
+        object[header] = row[header] == null ? "" : String(row[header]);
+      });
+      return object;
+    });
+
+  switch (format) {
+    case "xlsx":
+      writeXLSXFile(file, headers, rows, options);
+      return;
+    case "json":
+      fs.writeFileSync(file, JSON.stringify(objects(), null, 2) + "\n", "utf8");
+      return;
+    case "jsonl":
+      fs.writeFileSync(
+        file,
+        objects()
+          .map((object) => JSON.stringify(object) + "\n")
+          .join(""),
+        "utf8"
+      );
+      return;
+    default:
+      fs.writeFileSync(
+        file,
+        headers.length > 0 ? toCSV(headers, rows) : "",
+        "utf8"
+      );
+  }
+}
+
+module.exports = {
+  TABLE_FORMATS,
+  TableFileError,
+  formatFor,
+  readTableFile,
+  writeTableFile,
+};
@@ -0,0 +1,172 @@
+/**
+ * Template Rules
+ * Works out which template each product should use from a declarative rules file
+ *
+ * Rules file (JSON):
+ *   {
+ *     "rules": [
+ *       {
+ *         "name": "Nielsen frames",
+ *         "priority": 10,
+ *         "match": { "product_type": "Ready-made Frame" },
+ *         "template": "product.nielsen-ready-made-frames"
+ *       }
+ *     ],
+ *     "default": "product"
+ *   }
+ *
+ * Every condition in `match` must hold. A value may be a list (any of them
+ * matches) and may use * as a wildcard. Comparisons ignore case.
+ * Rules are tried in priority order, lowest number first. When several rules
+ * with the same priority match with different templates, the product is a
+ * conflict. Products no rule matches use `default`, or are reported as unmatched.
+ */
+
+const fs = require("fs");
+const { parseTemplateName } = require("./theme-templates");
+
+// Conditions a rule can use, and how to read each from a product
+const CONDITIONS = {
+  product_type: (product) => [product.productType],
+  vendor: (product) => [product.vendor],
+  tag: (product) => product.tags || [],
+  handle: (product) => [product.handle],
+  title: (product) => [product.title],
+  status: (product) => [product.status],
+  template: (product) => [
+    product.templateSuffix ? `product.${product.templateSuffix}` : "product",
+  ],
+};
+
+// Raised when a rules file cannot be used
+class TemplateRulesError extends Error {
+  constructor(file, message) {
+    super(`${file}: ${message}`);
+    this.name = "TemplateRulesError";
+    this.file = file;
+  }
+}
+
+// Turn a value with * wildcards into a case-insensitive RegExp
+function toPattern(value) {
+  const escaped = String(value)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+// Read and check a rules file against the templates the theme offers
+function loadRules(file, themeTemplates) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new TemplateRulesError(file, `could not be read (${error.message})`);
+  }
+  if (!parsed || !Array.isArray(parsed.rules) || parsed.rules.length === 0) {
+    throw new TemplateRulesError(file, 'expected a non-empty "rules" array');
+  }
+
+  const available = themeTemplates ? themeTemplates.product : null;
+  const checkTemplate = (template, where) => {
+    const name = parseTemplateName(String(template));
+    if (!name || name.resource !== "product") {
+      throw new TemplateRulesError(
+        file,
+        `${where}: "${template}" is not a product template`
+      );
+    }
+    if (available && !available.includes(template)) {
+      throw new TemplateRulesError(
+        file,
+        `${where}: template "${template}" is not in the theme`
+      );
+    }
+  };
+
+  const rules = parsed.rules.map((rule, index) => {
+    const where = `rule ${index + 1}${rule.name ? ` (${rule.name})` : ""}`;
+
+    if (!rule.template) {
+      throw new TemplateRulesError(file, `${where}: "template" is required`);
+    }
+    checkTemplate(rule.template, where);
+
+    const match = rule.match || {};
+    const fields = Object.keys(match);
+    if (fields.length === 0) {
+      throw new TemplateRulesError(
+        file,
+        `${where}: "match" needs at least one condition`
+      );
+    }
+    fields.forEach((field) => {
+      if (!CONDITIONS[field]) {
+        throw new TemplateRulesError(
+          file,
+          `${where}: unknown condition "${field}" (use ${Object.keys(
+            CONDITIONS
+          ).join(", ")})`
+        );
+      }
+    });
+
+    return {
+      name: rule.name || where,
+      priority: Number.isFinite(rule.priority) ? rule.priority : 100,
+      order: index,
+      template: rule.template,
+      conditions: fields.map((field) => ({
+        field,
+        patterns: [].concat(match[field]).map(toPattern),
+      })),
+    };
+  });
+
+  if (parsed.default) {
+    checkTemplate(parsed.default, "default");
+  }
+
+  rules.sort((a, b) => a.priority - b.priority || a.order - b.order);
+  return { rules, defaultTemplate: parsed.default || null };
+}
+
+// Whether every condition of a rule holds for a product
+function matchesRule(rule, product) {
+  return rule.conditions.every(({ field, patterns }) =>
+    CONDITIONS[field](product).some(
+      (value) =>
+        value != null && patterns.some((pattern) => pattern.test(String(value)))
+    )
+  );
+}
+
+// Work out the template a product should use
+// Returns { status: "matched" | "default" | "conflict" | "unmatched", template, rules }
+function resolveTemplate({ rules, defaultTemplate }, product) {
+  const matched = rules.filter((rule) => matchesRule(rule, product));
+
+  if (matched.length === 0) {
+    return defaultTemplate
+      ? { status: "default", template: defaultTemplate, rules: [] }
+      : { status: "unmatched", template: null, rules: [] };
+  }
+
+  const top = matched.filter((rule) => rule.priority === matched[0].priority);
+  const templates = [...new Set(top.map((rule) => rule.template))];
+  if (templates.length > 1) {
+    return { status: "conflict", template: null, rules: top };
+  }
+
+  return { status: "matched", template: templates[0], rules: top };
+}
+
+module.exports = {
+  CONDITIONS,
+  TemplateRulesError,
+  toPattern,
+  loadRules,
+  matchesRule,
+  resolveTemplate,
+};
@@ -0,0 +1,186 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const {
+  createCSVParser,
+  parseCSV,
+  readCSVFile,
+  readCSVRows,
+  formatCSVValue,
+  toCSV,
+  createCSVWriter,
+} = require("../csv");
+const { readTableFile } = require("../table-files");
+
+const SCRIPTS = path.join(__dirname, "..");
+
+const tempDirs = [];
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "csv-test-"));
+  tempDirs.push(dir);
+  return dir;
+}
+
+after(() =>
+  tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }))
+);
+
+// Values that broke the old split(",") parsing
+const TRICKY_ROWS = [
+  {
+    variant_id: "gid://shopify/ProductVariant/1",
+    product_title: 'Alpha, "Black" Frame',
+    variant_title: "A4 R1234",
+    product_vendor: "Nielsen",
+    notes: "Line one\nLine two, with a comma\r\nLine three",
+  },
+  {
+    variant_id: "gid://shopify/ProductVariant/2",
+    product_title: "Café – Tōkyō 東京 🎨",
+    variant_title: '50 x 70 cm "Gallery"',
+    product_vendor: "",
+    notes: '""',
+  },
+  {
+    variant_id: "gid://shopify/ProductVariant/3",
+    product_title: " leading and trailing spaces ",
+    variant_title: "Default Title",
+    product_vendor: "Southbank; Art",
+    notes: "tab\there",
+  },
+];
+const HEADERS = Object.keys(TRICKY_ROWS[0]);
+
+test("formatCSVValue quotes only when needed", () => {
+  assert.equal(formatCSVValue("plain"), "plain");
+  assert.equal(formatCSVValue("a,b"), '"a,b"');
+  assert.equal(formatCSVValue('say "hi"'), '"say ""hi"""');
+  assert.equal(formatCSVValue("two\nlines"), '"two\nlines"');
+  assert.equal(formatCSVValue("cr\ronly"), '"cr\ronly"');
+  assert.equal(formatCSVValue(null), "");
+  assert.equal(formatCSVValue(12.5), "12.5");
+  assert.equal(formatCSVValue("a;b", ";"), '"a;b"');
+});
+
+test("toCSV and parseCSV round-trip quotes, commas, newlines and unicode", () => {
+  const text = toCSV(HEADERS, TRICKY_ROWS);
+  assert.ok(text.endsWith("\r\n"));
+
+  const { headers, rows, errors } = parseCSV(text);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(headers, HEADERS);
+  assert.deepEqual(rows, TRICKY_ROWS);
+});
+
+test("parseCSV handles LF, CRLF and lone CR line endings", () => {
+  ["\n", "\r\n", "\r"].forEach((ending) => {
+    const { rows } = parseCSV(["a,b", "1,2", "3,4"].join(ending) + ending);
+    assert.deepEqual(rows, [
+      { a: "1", b: "2" },
+      { a: "3", b: "4" },
+    ]);
+  });
+});
+
+test("parseCSV strips the BOM and Excel's sep= line and detects the delimiter", () => {
+  const { headers, rows } = parseCSV(
+    '\uFEFFsep=;\r\nsku;title\r\nR1;"Black; matt"\r\n'
+  );
+  assert.deepEqual(headers, ["sku", "title"]);
+  assert.deepEqual(rows, [{ sku: "R1", title: "Black; matt" }]);
+
+  assert.deepEqual(parseCSV("a\tb\n1\t2\n").rows, [{ a: "1", b: "2" }]);
+});
+
+test("parseCSV reports rows with the wrong number of values", () => {
+  const { rows, errors } = parseCSV("a,b\n1,2\n3\n4,5\n");
+  assert.equal(rows.length, 2);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].line, 3);
+});
+
+test("parser rejects an unterminated quoted field", () => {
+  assert.throws(() => parseCSV('a,b\n1,"open\n'), /Unterminated quoted field/);
+});
+
+test("parser keeps state across chunks split anywhere", () => {
+  const text = toCSV(HEADERS, TRICKY_ROWS);
+  for (let size = 1; size <= 7; size++) {
+    const parser = createCSVParser();
+    const records = [];
+    for (let i = 0; i < text.length; i += size) {
+      records.push(...parser.push(text.slice(i, i + size)));
+    }
+    records.push(...parser.end());
+    assert.equal(records.length, TRICKY_ROWS.length + 1, `chunk size ${size}`);
+    assert.deepEqual(
+      records.slice(1).map((record) => record.fields[4]),
+      TRICKY_ROWS.map((row) => row.notes),
+      `chunk size ${size}`
+    );
+  }
+});
+
+test("createCSVWriter output reads back through readCSVFile and readCSVRows", async () => {
+  const file = path.join(tempDir(), "written.csv");
+  const writer = createCSVWriter(file, HEADERS);
+  for (const row of TRICKY_ROWS) await writer.write(row);
+  assert.equal(await writer.close(), TRICKY_ROWS.length);
+
+  assert.deepEqual((await readCSVFile(file)).rows, TRICKY_ROWS);
+
+  const streamed = [];
+  for await (const row of readCSVRows(file)) streamed.push(row);
+  assert.deepEqual(streamed, TRICKY_ROWS);
+});
+
+test("export → process-variant-titles → import keeps every value", async () => {
+  const dir = tempDir();
+  const exported = path.join(dir, "variants-export.csv");
+  const processed = path.join(dir, "variants-export.processed.csv");
+
+  // Export: written the way export-variants.js writes a CSV
+  const writer = createCSVWriter(exported, HEADERS);
+  for (const row of TRICKY_ROWS) await writer.write(row);
+  await writer.close();
+
+  // Process: split the titles with the built-in rules
+  const result = spawnSync(
+    process.execPath,
+    [
+      path.join(SCRIPTS, "process-variant-titles.js"),
+      "--input",
+      exported,
+      "--output",
+      processed,
+    ],
+    { encoding: "utf8" }
+  );
+  assert.equal(result.status, 0, result.stderr);
+
+  // Import: read the way import-variants.js reads a CSV
+  const { headers, rows, errors } = await readTableFile(processed, "csv");
+  assert.deepEqual(errors, []);
+  assert.deepEqual(headers, [
+    ...HEADERS,
+    "metafield:custom.nielsen_sku",
+    "metafield:custom.variant_label",
+  ]);
+
+  rows.forEach((row, index) => {
+    HEADERS.forEach((header) => {
+      assert.equal(row[header], TRICKY_ROWS[index][header], header);
+    });
+  });
+  assert.equal(rows[0]["metafield:custom.nielsen_sku"], "R1234");
+  assert.equal(rows[0]["metafield:custom.variant_label"], "A4");
+  assert.equal(
+    rows[1]["metafield:custom.variant_label"],
+    '50 x 70 cm "Gallery"'
+  );
+  assert.equal(rows[1]["metafield:custom.nielsen_sku"], "");
+});
@@ -0,0 +1,57 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  baselinePathFor,
+  createBaselineWriter,
+  writeBaseline,
+  readBaseline,
+} = require("../diff");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "diff-test-"));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("a baseline written a record at a time reads back keyed by ID", () => {
+  const file = baselinePathFor(path.join(dir, "variants.csv"));
+  assert.equal(path.basename(file), "variants.csv.baseline.json");
+
+  const writer = createBaselineWriter(file, "variant_id", { shop: "mock" });
+  writer.add({ variant_id: "gid://shopify/ProductVariant/1", price: "1.00" });
+  writer.add({
+    variant_id: "gid://shopify/ProductVariant/2",
+    title: 'Alpha, "Black"\nA4',
+  });
+  // A repeated ID replaces the earlier record
+  writer.add({ variant_id: "gid://shopify/ProductVariant/1", price: "2.00" });
+  assert.equal(writer.close(), file);
+
+  const snapshot = readBaseline(file);
+  assert.equal(snapshot.idColumn, "variant_id");
+  assert.equal(snapshot.shop, "mock");
+  assert.ok(!Number.isNaN(Date.parse(snapshot.exportedAt)));
+  assert.deepEqual(snapshot.rows, {
+    "gid://shopify/ProductVariant/1": {
+      variant_id: "gid://shopify/ProductVariant/1",
+      price: "2.00",
+    },
+    "gid://shopify/ProductVariant/2": {
+      variant_id: "gid://shopify/ProductVariant/2",
+      title: 'Alpha, "Black"\nA4',
+    },
+  });
+});
+
+test("an export with no records has an empty baseline", () => {
+  const file = path.join(dir, "empty.baseline.json");
+  writeBaseline(file, [], "product_id");
+  assert.deepEqual(readBaseline(file).rows, {});
+});
+
+test("readBaseline refuses a file that is not a baseline", () => {
+  const file = path.join(dir, "results.json");
+  fs.writeFileSync(file, JSON.stringify({ details: [] }));
+  assert.throws(() => readBaseline(file), /is not a baseline snapshot/);
+});
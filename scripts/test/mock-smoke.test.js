@@ -0,0 +1,175 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { promisify } = require("util");
+const execFile = promisify(require("child_process").execFile);
+const { createMockServer } = require("../mock-shopify-server");
+const { parseCSV, toCSV } = require("../csv");
+
+const SCRIPTS = path.join(__dirname, "..");
+
+// A roomy bucket, so the scripts are not throttled
+const mock = createMockServer({
+  quiet: true,
+  bucketSize: 2000,
+  restoreRate: 2000,
+});
+let endpoint;
+let dir;
+
+before(async () => {
+  endpoint = await mock.listen(0);
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "mock-smoke-"));
+});
+
+after(() => {
+  mock.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Run a script against the mock from the temp directory; resolves with stdout
+async function run(script, args) {
+  const { stdout } = await execFile(
+    process.execPath,
+    [
+      path.join(SCRIPTS, script),
+      "--shop",
+      "mock",
+      "--token",
+      "test-token",
+      "--endpoint",
+      endpoint,
+      ...args,
+    ],
+    { cwd: dir, timeout: 120000 }
+  );
+  return stdout;
+}
+
+function findVariant(id) {
+  for (const product of mock.store().products) {
+    const variant = product.variants.find((v) => v.id === id);
+    if (variant) return variant;
+  }
+  return null;
+}
+
+function findProduct(id) {
+  return mock.store().products.find((product) => product.id === id) || null;
+}
+
+function metafieldValue(variant, namespace, key) {
+  const metafield = (variant.metafields || []).find(
+    (m) => m.namespace === namespace && m.key === key
+  );
+  return metafield ? metafield.value : null;
+}
+
+test("export → import → rollback leaves the mock shop as it was", async () => {
+  const exported = path.join(dir, "variants-export.csv");
+  const edited = path.join(dir, "variants-edited.csv");
+  const first = "gid://shopify/ProductVariant/2001";
+  const second = "gid://shopify/ProductVariant/2002";
+  const original = {
+    price: findVariant(first).price,
+    sku: metafieldValue(findVariant(second), "custom", "nielsen_sku"),
+  };
+
+  await run("export-variants.js", ["--output", exported]);
+  assert.ok(fs.existsSync(`${exported}.baseline.json`));
+
+  // Edit a core field and a metafield
+  const { headers, rows } = parseCSV(fs.readFileSync(exported, "utf8"));
+  rows.find((row) => row.variant_id === first).variant_price = "99.50";
+  rows.find((row) => row.variant_id === second)[
+    "metafield:custom.nielsen_sku"
+  ] = "SMOKE-1";
+  fs.writeFileSync(edited, toCSV(headers, rows));
+
+  const imported = await run("import-variants.js", [
+    "--input",
+    edited,
+    "--baseline",
+    `${exported}.baseline.json`,
+    "--fields",
+    "metafields,price",
+  ]);
+  assert.match(imported, /Successfully updated: 2/);
+  assert.equal(Number(findVariant(first).price), 99.5);
+  assert.equal(
+    metafieldValue(findVariant(second), "custom", "nielsen_sku"),
+    "SMOKE-1"
+  );
+
+  const rolledBack = await run("rollback.js", ["--all", "--force"]);
+  assert.match(rolledBack, /Restored: 2/);
+  assert.equal(Number(findVariant(first).price), Number(original.price));
+  assert.equal(
+    metafieldValue(findVariant(second), "custom", "nielsen_sku"),
+    original.sku
+  );
+});
+
+test("template update → rollback puts the old templates back", async () => {
+  const journal = path.join(dir, "templates.journal.jsonl");
+  const products = ["gid://shopify/Product/1001", "gid://shopify/Product/1002"];
+  const original = products.map((id) => findProduct(id).templateSuffix);
+  const args = [
+    "--template",
+    "product.framed-artwork",
+    "--ids",
+    "1001,1002",
+    "--journal",
+    journal,
+  ];
+
+  const preview = await run("update-product-templates.js", [
+    ...args,
+    "--dry-run",
+  ]);
+  assert.match(preview, /DRY RUN/);
+  assert.deepEqual(
+    products.map((id) => findProduct(id).templateSuffix),
+    original
+  );
+
+  await run("update-product-templates.js", [...args, "--force"]);
+  products.forEach((id) =>
+    assert.equal(findProduct(id).templateSuffix, "framed-artwork")
+  );
+
+  const rolledBack = await run("rollback.js", [
+    "--journal",
+    journal,
+    "--all",
+    "--force",
+  ]);
+  assert.match(rolledBack, /Restored: 2/);
+  assert.deepEqual(
+    products.map((id) => findProduct(id).templateSuffix),
+    original
+  );
+});
+
+test("a template the theme does not have is refused", async () => {
+  await assert.rejects(
+    run("update-product-templates.js", [
+      "--template",
+      "product.no-such-template",
+      "--ids",
+      "1001",
+      "--force",
+    ]),
+    (error) => {
+      assert.notEqual(error.code, 0);
+      assert.match(error.stderr + error.stdout, /no-such-template/);
+      return true;
+    }
+  );
+  assert.equal(
+    findProduct("gid://shopify/Product/1001").templateSuffix,
+    "nielsen-ready-made-frames"
+  );
+});
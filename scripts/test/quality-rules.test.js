@@ -0,0 +1,250 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  DEFAULT_QUALITY_RULES,
+  QualityRulesError,
+  CHECKS,
+  buildQualityRules,
+  loadQualityRules,
+  rulesForTemplate,
+  ruleMetafields,
+  ruleMetaobjectTypes,
+  checkProduct,
+  countIssues,
+  exceededThresholds,
+} = require("../quality-rules");
+
+const EXAMPLE = path.join(__dirname, "..", "quality-rules.example.json");
+
+const ARTIST = "gid://shopify/Metaobject/9001";
+
+function nielsenProduct() {
+  return {
+    record: {
+      product_id: "gid://shopify/Product/1001",
+      product_template: "product.nielsen-ready-made-frames",
+    },
+    variants: [
+      {
+        variant_id: "gid://shopify/ProductVariant/1",
+        variant_title: "A4",
+        variant_price: "24.00",
+        variant_image: "https://cdn.example/a4.jpg",
+        "metafield:custom.nielsen_sku": "R1234",
+        "metafield:custom.variant_label": "A4",
+        "metafield:custom.nielsen_variant_subtitle": "",
+      },
+      {
+        variant_id: "gid://shopify/ProductVariant/2",
+        variant_title: "A3",
+        variant_price: "0",
+        variant_image: "",
+        "metafield:custom.nielsen_sku": " ",
+        "metafield:custom.variant_label": "A3",
+        "metafield:custom.nielsen_variant_subtitle": "Black",
+      },
+    ],
+  };
+}
+
+test("each check passes good values and fails empty ones", () => {
+  assert.equal(CHECKS.required("R1"), null);
+  assert.equal(CHECKS.required(""), "is empty");
+  assert.equal(CHECKS.positive("0.5"), null);
+  assert.equal(CHECKS.positive("0"), "is not above zero");
+  assert.equal(CHECKS.positive("abc"), "is not above zero");
+  assert.equal(CHECKS.positive(""), "is empty");
+
+  const pattern = { pattern: /^\d{8}$/ };
+  assert.equal(CHECKS.pattern("50123456", pattern), null);
+  assert.match(CHECKS.pattern("5012", pattern), /does not match/);
+
+  const metaobjects = new Map([["artist", new Set([ARTIST])]]);
+  const rule = { type: "artist" };
+  assert.equal(CHECKS.metaobject(ARTIST, rule, metaobjects), null);
+  assert.equal(
+    CHECKS.metaobject("gid://shopify/Metaobject/1", rule, metaobjects),
+    "does not link an existing artist entry"
+  );
+  assert.equal(CHECKS.metaobject("", rule, metaobjects), "is empty");
+  assert.match(
+    CHECKS.metaobject(ARTIST, { type: "frame" }, metaobjects),
+    /frame/
+  );
+});
+
+test("a product gets the rules of every template key it matches", () => {
+  const rules = buildQualityRules(DEFAULT_QUALITY_RULES, "defaults");
+  assert.deepEqual(
+    rulesForTemplate(rules, "product.nielsen-ready-made-frames").map(
+      (rule) => rule.name
+    ),
+    [
+      "Price above zero",
+      "Nielsen SKU",
+      "Variant label",
+      "Subtitle",
+      "Variant image",
+    ]
+  );
+  assert.deepEqual(
+    rulesForTemplate(rules, "product").map((rule) => rule.name),
+    ["Price above zero"]
+  );
+});
+
+test("checkProduct scores by severity weight and lists errors first", () => {
+  const rules = buildQualityRules(DEFAULT_QUALITY_RULES, "defaults");
+  const result = checkProduct(rules, nielsenProduct());
+
+  assert.equal(result.checks, 10);
+  // Passed 24 of 38 weighted points: errors weigh 5, warnings 2
+  assert.equal(result.score, 63);
+  assert.deepEqual(
+    result.issues.map((issue) => [
+      issue.severity,
+      issue.rule,
+      issue.variantTitle,
+    ]),
+    [
+      ["error", "Price above zero", "A3"],
+      ["error", "Nielsen SKU", "A3"],
+      ["warning", "Subtitle", "A4"],
+      ["warning", "Variant image", "A3"],
+    ]
+  );
+  assert.equal(
+    result.issues[1].message,
+    "metafield:custom.nielsen_sku is empty"
+  );
+  // Values are trimmed before they are checked
+  assert.equal(result.issues[1].value, "");
+});
+
+test("product rules are checked once, against the product", () => {
+  const rules = buildQualityRules(DEFAULT_QUALITY_RULES, "defaults");
+  const product = (artist) => ({
+    record: {
+      product_template: "product.framed-artwork",
+      "metafield:custom.artist": artist,
+    },
+    variants: [
+      { variant_id: "1", variant_price: "95.00" },
+      { variant_id: "2", variant_price: "145.00" },
+    ],
+  });
+  const metaobjects = new Map([["artist", new Set([ARTIST])]]);
+
+  const linked = checkProduct(rules, product(ARTIST), metaobjects);
+  assert.equal(linked.checks, 3);
+  assert.equal(linked.score, 100);
+
+  const [issue] = checkProduct(
+    rules,
+    product("gid://shopify/Metaobject/1"),
+    metaobjects
+  ).issues;
+  assert.equal(issue.rule, "Artist linked");
+  assert.equal(issue.variantId, null);
+});
+
+test("a product no rule applies to has no score", () => {
+  const rules = buildQualityRules(
+    {
+      templates: {
+        "product.framed-artwork": [
+          { field: "product_title", check: "required" },
+        ],
+      },
+    },
+    "inline"
+  );
+  assert.deepEqual(
+    checkProduct(rules, {
+      record: { product_template: "product" },
+      variants: [],
+    }),
+    { checks: 0, issues: [], score: null }
+  );
+  // The default severity and name
+  const [rule] = rulesForTemplate(rules, "product.framed-artwork");
+  assert.equal(rule.severity, "warning");
+  assert.equal(rule.name, "product_title required");
+});
+
+test("ruleMetafields and ruleMetaobjectTypes list what the rules read", () => {
+  const rules = loadQualityRules(EXAMPLE);
+  const metafields = ruleMetafields(rules);
+  assert.ok(
+    metafields.variant.some(
+      ({ namespace, key }) => namespace === "custom" && key === "nielsen_sku"
+    )
+  );
+  assert.ok(
+    metafields.product.some(
+      ({ namespace, key }) => namespace === "custom" && key === "artist"
+    )
+  );
+  assert.deepEqual(
+    ruleMetaobjectTypes(buildQualityRules(DEFAULT_QUALITY_RULES, "defaults")),
+    ["artist"]
+  );
+});
+
+test("thresholds fail a check only past their maximum", () => {
+  const counts = countIssues([
+    { severity: "error" },
+    { severity: "warning" },
+    { severity: "warning" },
+    { severity: "notice" },
+  ]);
+  assert.deepEqual(counts, { error: 1, warning: 2, notice: 1 });
+  assert.deepEqual(exceededThresholds({ error: 0, warning: 2 }, counts), [
+    { severity: "error", count: 1, max: 0 },
+  ]);
+  assert.deepEqual(exceededThresholds({}, counts), []);
+});
+
+test("rules that cannot be used are refused with the rule named", () => {
+  const refused = (parsed, message) =>
+    assert.throws(
+      () => buildQualityRules(parsed, "rules.json"),
+      (error) =>
+        error instanceof QualityRulesError &&
+        error.message.startsWith("rules.json: ") &&
+        message.test(error.message)
+    );
+  const rule = (fields) => ({
+    templates: {
+      product: [{ field: "variant_price", check: "positive", ...fields }],
+    },
+  });
+
+  refused({}, /expected a "templates" object/);
+  refused(
+    { templates: { product: [] } },
+    /template "product": expected a non-empty list/
+  );
+  refused(rule({ check: "exists" }), /product rule 1: unknown check "exists"/);
+  refused(
+    rule({ name: "Price", severity: "fatal" }),
+    /product rule 1 \(Price\): unknown severity "fatal"/
+  );
+  refused(rule({ field: "variant_colour" }), /unknown field "variant_colour"/);
+  refused(
+    rule({ field: "metafield:custom.artist", owner: "collection" }),
+    /"owner" must be product or variant/
+  );
+  refused(rule({ check: "pattern" }), /"pattern" is required/);
+  refused(rule({ check: "pattern", pattern: "(" }), /invalid pattern/);
+  refused(rule({ check: "metaobject" }), /"type" is required/);
+  refused(
+    { ...rule({}), thresholds: { fatal: 1 } },
+    /thresholds: unknown severity "fatal"/
+  );
+  refused(
+    { ...rule({}), thresholds: { error: -1 } },
+    /thresholds: error must be a whole number/
+  );
+});
@@ -0,0 +1,80 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  quoteValue,
+  term,
+  contains,
+  allOf,
+  anyOf,
+  numericId,
+} = require("../search-query");
+
+test("quoteValue leaves plain words alone", () => {
+  assert.equal(quoteValue("nielsen"), "nielsen");
+  assert.equal(quoteValue("R1234-5"), "R1234-5");
+  assert.equal(quoteValue(42), "42");
+});
+
+test("quoteValue quotes and escapes values that need it", () => {
+  assert.equal(quoteValue("Southbank Art"), '"Southbank Art"');
+  assert.equal(quoteValue("a:b"), '"a:b"');
+  assert.equal(quoteValue("(sale)"), '"(sale)"');
+  assert.equal(quoteValue('Say "cheese"'), '"Say \\"cheese\\""');
+  assert.equal(quoteValue("back\\slash"), '"back\\\\slash"');
+  assert.equal(quoteValue("it's"), '"it\'s"');
+  assert.equal(quoteValue(""), '""');
+});
+
+test("term joins a field and a quoted value", () => {
+  assert.equal(term("vendor", "Nielsen"), "vendor:Nielsen");
+  assert.equal(
+    term("vendor", "Nielsen Bainbridge"),
+    'vendor:"Nielsen Bainbridge"'
+  );
+  assert.equal(term("tag", 'a"b'), 'tag:"a\\"b"');
+});
+
+test("contains uses wildcards for single words and a phrase otherwise", () => {
+  assert.equal(contains("title", "frame"), "title:*frame*");
+  assert.equal(contains("title", "  frame  "), "title:*frame*");
+  assert.equal(contains("title", "black frame"), 'title:"black frame"');
+  assert.equal(contains("title", "12:30"), 'title:"12:30"');
+  assert.equal(contains("title", 'the "best"'), 'title:"the \\"best\\""');
+});
+
+test("allOf and anyOf join clauses and drop empty ones", () => {
+  assert.equal(allOf([]), "");
+  assert.equal(allOf(["", null, "vendor:a"]), "vendor:a");
+  assert.equal(allOf(["vendor:a", "tag:b"]), "vendor:a AND tag:b");
+  assert.equal(anyOf(["tag:a", "tag:b", "tag:c"]), "tag:a OR tag:b OR tag:c");
+});
+
+test("clauses are grouped so an OR cannot leak into the AND", () => {
+  const query = allOf([
+    term("vendor", "Southbank Art"),
+    anyOf([term("tag", "a"), term("tag", "b")]),
+  ]);
+  assert.equal(query, 'vendor:"Southbank Art" AND (tag:a OR tag:b)');
+
+  assert.equal(
+    anyOf([allOf(["vendor:a", "tag:b"]), "tag:c"]),
+    "(vendor:a AND tag:b) OR tag:c"
+  );
+});
+
+test("quoted values with spaces are not mistaken for clauses", () => {
+  assert.equal(
+    allOf([term("title", "black frame"), term("vendor", "a b")]),
+    'title:"black frame" AND vendor:"a b"'
+  );
+  assert.equal(
+    allOf([term("title", 'say \\"hi there'), "tag:x"]),
+    'title:"say \\\\\\"hi there" AND tag:x'
+  );
+});
+
+test("numericId strips the gid prefix", () => {
+  assert.equal(numericId("gid://shopify/Product/1001"), "1001");
+  assert.equal(numericId("1001"), "1001");
+  assert.equal(numericId(1001), "1001");
+});
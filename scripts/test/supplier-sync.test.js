@@ -0,0 +1,219 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadSettings,
+  parseCost,
+  parseStock,
+  roundPrice,
+  retailPrice,
+  matchVariants,
+} = require("../supplier-sync");
+
+const EXAMPLE = path.join(__dirname, "..", "supplier-sync.example.json");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "supplier-sync-test-"));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("roundPrice rounds up to the next .95 or .99", () => {
+  assert.equal(roundPrice(23.4, ".95"), "23.95");
+  assert.equal(roundPrice(23.95, ".95"), "23.95");
+  assert.equal(roundPrice(23.96, ".95"), "24.95");
+  assert.equal(roundPrice(20, ".95"), "20.95");
+  assert.equal(roundPrice(19.991, ".99"), "19.99");
+  assert.equal(roundPrice(19.996, ".99"), "20.99");
+  assert.equal(roundPrice(12.345, "none"), "12.35");
+});
+
+test("retailPrice applies markup, then VAT, then rounding and the minimum", () => {
+  const pricing = {
+    markupPercent: 80,
+    vatPercent: 20,
+    rounding: ".95",
+    minimumPrice: 9.95,
+  };
+  // 10 × 1.8 × 1.2 = 21.60
+  assert.equal(retailPrice(10, pricing), "21.95");
+  // 12.50 × 1.8 × 1.2 = 27.00, which floating point must not push past .95
+  assert.equal(retailPrice(12.5, pricing), "27.95");
+  // 3 × 1.8 × 1.2 = 6.48, below the minimum
+  assert.equal(retailPrice(3, pricing), "9.95");
+  assert.equal(
+    retailPrice(10, { ...pricing, vatPercent: 0, rounding: "none" }),
+    "18.00"
+  );
+});
+
+test("parseCost reads currency and thousands separators", () => {
+  assert.equal(parseCost("£12.50"), 12.5);
+  assert.equal(parseCost(" 1,204.5 "), 1204.5);
+  assert.equal(parseCost(7), 7);
+  assert.equal(parseCost(""), null);
+  assert.equal(parseCost("POA"), null);
+  assert.equal(parseCost("-3"), null);
+});
+
+test("parseStock reads counts and words, and leaves the rest unknown", () => {
+  assert.equal(parseStock("12"), true);
+  assert.equal(parseStock("0"), false);
+  assert.equal(parseStock("-1"), false);
+  assert.equal(parseStock("In Stock"), true);
+  assert.equal(parseStock("no"), false);
+  assert.equal(parseStock(""), null);
+  assert.equal(parseStock("on order"), null);
+});
+
+test("loadSettings fills defaults and refuses incomplete files", () => {
+  const settings = loadSettings(EXAMPLE);
+  assert.deepEqual(settings.skuMetafield, {
+    namespace: "custom",
+    key: "nielsen_sku",
+  });
+  assert.deepEqual(settings.discontinued, [
+    "discontinued",
+    "deleted",
+    "run out",
+  ]);
+
+  const write = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(content));
+    return file;
+  };
+  const minimal = loadSettings(
+    write("minimal.json", {
+      columns: { sku: "SKU", cost: "Cost" },
+      pricing: { markupPercent: 50 },
+    })
+  );
+  assert.equal(minimal.pricing.rounding, ".95");
+  assert.equal(minimal.pricing.vatPercent, 0);
+  assert.equal(minimal.availability, null);
+
+  assert.throws(
+    () =>
+      loadSettings(
+        write("no-cost.json", {
+          columns: { sku: "SKU" },
+          pricing: { markupPercent: 50 },
+        })
+      ),
+    /"columns.cost"/
+  );
+  assert.throws(
+    () =>
+      loadSettings(
+        write("no-markup.json", { columns: { sku: "SKU", cost: "Cost" } })
+      ),
+    /"pricing.markupPercent" is required/
+  );
+  assert.throws(
+    () =>
+      loadSettings(
+        write("rounding.json", {
+          columns: { sku: "SKU", cost: "Cost" },
+          pricing: { markupPercent: 50, rounding: ".49" },
+        })
+      ),
+    /"pricing.rounding" must be one of/
+  );
+});
+
+test("matchVariants prices matched variants and reports the rest", () => {
+  const settings = loadSettings(EXAMPLE);
+  const variant = (id, supplierSku, price, inventoryPolicy) => ({
+    id: `gid://shopify/ProductVariant/${id}`,
+    title: `Variant ${id}`,
+    productId: "gid://shopify/Product/1",
+    productTitle: "Alpha Frame",
+    supplierSku,
+    price,
+    inventoryPolicy,
+  });
+  const entry = (sku, fields) => [
+    sku,
+    {
+      sku,
+      description: `Frame ${sku}`,
+      cost: 10,
+      status: "",
+      discontinued: false,
+      inStock: true,
+      ...fields,
+    },
+  ];
+
+  const { changes, unchanged, report } = matchVariants(
+    [
+      variant(1, "R1", "21.95", "CONTINUE"),
+      variant(2, "R2", "20.00", "DENY"),
+      variant(3, "R3", "21.95", "CONTINUE"),
+      variant(4, "R4", "21.95", "CONTINUE"),
+      variant(5, "R404", "21.95", "CONTINUE"),
+      variant(6, "", "21.95", "CONTINUE"),
+    ],
+    new Map([
+      entry("R1"),
+      entry("R2"),
+      entry("R3", { status: "Run out", discontinued: true }),
+      // Stock unknown: the policy is left alone
+      entry("R4", { inStock: null }),
+      entry("R5"),
+      entry("R6", { status: "Deleted", discontinued: true }),
+    ]),
+    settings
+  );
+
+  assert.equal(unchanged, 2);
+  assert.deepEqual(changes, [
+    {
+      product_id: "gid://shopify/Product/1",
+      product_title: "Alpha Frame",
+      variant_id: "gid://shopify/ProductVariant/2",
+      variant_title: "Variant 2",
+      supplier_sku: "R2",
+      trade_price: 10,
+      current_price: "20.00",
+      variant_price: "21.95",
+      variant_inventory_policy: "CONTINUE",
+    },
+  ]);
+  assert.deepEqual(
+    report.map((row) => [row.type, row.sku]),
+    [
+      ["discontinued", "R3"],
+      ["missing", "R404"],
+      ["no_sku", ""],
+      ["new", "R5"],
+    ]
+  );
+});
+
+test("matchVariants sets the out-of-stock policy, and none without availability", () => {
+  const settings = loadSettings(EXAMPLE);
+  const variants = [
+    {
+      id: "gid://shopify/ProductVariant/1",
+      supplierSku: "R1",
+      price: "21.95",
+      inventoryPolicy: "CONTINUE",
+    },
+  ];
+  const entries = new Map([
+    ["R1", { sku: "R1", cost: 10, discontinued: false, inStock: false }],
+  ]);
+
+  const { changes } = matchVariants(variants, entries, settings);
+  assert.equal(changes[0].variant_inventory_policy, "DENY");
+  assert.equal(changes[0].variant_price, "21.95");
+
+  const withoutAvailability = matchVariants(variants, entries, {
+    ...settings,
+    availability: null,
+  });
+  assert.equal(withoutAvailability.unchanged, 1);
+  assert.deepEqual(withoutAvailability.changes, []);
+});
@@ -0,0 +1,90 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  TABLE_FORMATS,
+  TableFileError,
+  formatFor,
+  readTableFile,
+  writeTableFile,
+} = require("../table-files");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "table-files-test-"));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const HEADERS = [
+  "variant_id",
+  "product_title",
+  "variant_price",
+  "variant_barcode",
+  "metafield:custom.notes",
+];
+
+// Values a spreadsheet or JSON round trip could change: leading zeros,
+// number-like text, quotes, commas, line breaks, non-ASCII and empty cells
+const ROWS = [
+  {
+    variant_id: "gid://shopify/ProductVariant/1",
+    product_title: 'Alpha, "Black" Frame',
+    variant_price: "12.50",
+    variant_barcode: "0012345678905",
+    "metafield:custom.notes": "Line one\nLine two",
+  },
+  {
+    variant_id: "gid://shopify/ProductVariant/2",
+    product_title: "Café Noir – A3",
+    variant_price: "7",
+    variant_barcode: "",
+    "metafield:custom.notes": "1e5",
+  },
+];
+
+test("formatFor uses the given format, then the extension, then CSV", () => {
+  assert.equal(formatFor("variants.xlsx"), "xlsx");
+  assert.equal(formatFor("variants.JSONL"), "jsonl");
+  assert.equal(formatFor("variants.txt"), "csv");
+  assert.equal(formatFor("variants.csv", "json"), "json");
+});
+
+for (const format of TABLE_FORMATS) {
+  test(`${format} gives back exactly the values written`, async () => {
+    const file = path.join(dir, `variants.${format}`);
+    writeTableFile(file, format, HEADERS, ROWS, {
+      sheet: "Variants",
+      textColumns: ["variant_id", "variant_barcode"],
+    });
+
+    const { headers, rows, errors = [] } = await readTableFile(file, format);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(headers, HEADERS);
+    assert.deepEqual(
+      rows.map((row) => Object.fromEntries(HEADERS.map((h) => [h, row[h]]))),
+      ROWS
+    );
+  });
+}
+
+test("JSON reads numbers and booleans as text and missing keys as empty", async () => {
+  const file = path.join(dir, "hand-written.json");
+  fs.writeFileSync(
+    file,
+    JSON.stringify([
+      { variant_id: "gid://shopify/ProductVariant/1", variant_price: 12.5 },
+      { variant_id: "gid://shopify/ProductVariant/2", taxable: false },
+    ])
+  );
+
+  const { rows } = await readTableFile(file, "json");
+  assert.equal(rows[0].variant_price, "12.5");
+  assert.equal(rows[1].taxable, "false");
+  assert.equal(rows[1].variant_price, "");
+});
+
+test("JSON that does not hold rows is a TableFileError", async () => {
+  const file = path.join(dir, "not-rows.json");
+  fs.writeFileSync(file, JSON.stringify({ variant_id: "1" }));
+  await assert.rejects(readTableFile(file, "json"), TableFileError);
+});
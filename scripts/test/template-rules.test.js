@@ -0,0 +1,202 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  TemplateRulesError,
+  toPattern,
+  loadRules,
+  matchesRule,
+  resolveTemplate,
+} = require("../template-rules");
+const { discoverTemplates, DEFAULT_THEME_DIR } = require("../theme-templates");
+
+const EXAMPLE = path.join(__dirname, "..", "template-rules.example.json");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "template-rules-test-"));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeRules(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify(content));
+  return file;
+}
+
+function product(fields) {
+  return {
+    title: "Alpha Frame",
+    handle: "alpha-frame",
+    vendor: "Nielsen Bainbridge",
+    productType: "Ready-made Frame",
+    status: "ACTIVE",
+    tags: [],
+    templateSuffix: null,
+    ...fields,
+  };
+}
+
+test("toPattern matches whole values, ignoring case, with * as a wildcard", () => {
+  assert.ok(toPattern("Nielsen*").test("nielsen bainbridge"));
+  assert.ok(!toPattern("Nielsen").test("Nielsen Bainbridge"));
+  assert.ok(toPattern("*-frame").test("alpha-frame"));
+  // Other regular expression characters are literal
+  assert.ok(toPattern("A.4 (black)").test("a.4 (black)"));
+  assert.ok(!toPattern("A.4").test("AB4"));
+});
+
+test("the example rules pick each product's template in priority order", () => {
+  const rules = loadRules(EXAMPLE, discoverTemplates(DEFAULT_THEME_DIR));
+  const resolve = (fields) => resolveTemplate(rules, product(fields));
+
+  assert.deepEqual(
+    rules.rules.map((rule) => rule.priority),
+    [10, 20, 30, 40]
+  );
+
+  const nielsen = resolve({});
+  assert.equal(nielsen.status, "matched");
+  assert.equal(nielsen.template, "product.nielsen-ready-made-frames");
+
+  // A lower priority number wins over a later match
+  const collect = resolve({ tags: ["Collect-In-Store", "framed"] });
+  assert.equal(collect.template, "product.collect-in-store");
+  assert.deepEqual(
+    collect.rules.map((rule) => rule.name),
+    ["Collect in store only"]
+  );
+
+  // Every condition must hold: the vendor does not
+  assert.equal(
+    resolve({ vendor: "Larson-Juhl", tags: ["framed-artwork"] }).template,
+    "product.framed-artwork"
+  );
+
+  const unmatched = resolve({ vendor: "Larson-Juhl" });
+  assert.equal(unmatched.status, "default");
+  assert.equal(unmatched.template, "product");
+});
+
+test("rules of the same priority with different templates are a conflict", () => {
+  const rules = loadRules(
+    writeRules("conflict.json", {
+      rules: [
+        {
+          name: "Mounts",
+          priority: 5,
+          match: { product_type: "Mount" },
+          template: "product.custom-mount",
+        },
+        {
+          name: "Framed",
+          priority: 5,
+          match: { tag: "framed" },
+          template: "product.framed-artwork",
+        },
+        {
+          name: "Also mounts",
+          priority: 5,
+          match: { vendor: "Nielsen*" },
+          template: "product.custom-mount",
+        },
+      ],
+    })
+  );
+
+  const conflict = resolveTemplate(
+    rules,
+    product({ productType: "Mount", tags: ["framed"] })
+  );
+  assert.equal(conflict.status, "conflict");
+  assert.equal(conflict.template, null);
+  assert.deepEqual(
+    conflict.rules.map((rule) => rule.name),
+    ["Mounts", "Framed", "Also mounts"]
+  );
+
+  // Two rules agreeing on the template are not a conflict
+  const agreed = resolveTemplate(rules, product({ productType: "Mount" }));
+  assert.equal(agreed.status, "matched");
+  assert.equal(agreed.template, "product.custom-mount");
+  assert.equal(agreed.rules.length, 2);
+});
+
+test("without a default, a product no rule matches is unmatched", () => {
+  const rules = loadRules(
+    writeRules("no-default.json", {
+      rules: [{ match: { status: "DRAFT" }, template: "product.custom-mount" }],
+    })
+  );
+  assert.deepEqual(resolveTemplate(rules, product({})), {
+    status: "unmatched",
+    template: null,
+    rules: [],
+  });
+  assert.equal(rules.rules[0].name, "rule 1");
+  assert.equal(rules.rules[0].priority, 100);
+});
+
+test("the template condition reads the current template", () => {
+  const rules = loadRules(
+    writeRules("current.json", {
+      rules: [
+        {
+          match: { template: ["product", "product.retired-*"] },
+          template: "product.framed-artwork",
+        },
+      ],
+    })
+  );
+  const [rule] = rules.rules;
+  assert.ok(matchesRule(rule, product({ templateSuffix: null })));
+  assert.ok(matchesRule(rule, product({ templateSuffix: "retired-layout" })));
+  assert.ok(!matchesRule(rule, product({ templateSuffix: "custom-mount" })));
+});
+
+test("rules that cannot be used are refused with the rule named", () => {
+  const themeTemplates = discoverTemplates(DEFAULT_THEME_DIR);
+  const refused = (content, message) => {
+    const file = writeRules("refused.json", content);
+    assert.throws(
+      () => loadRules(file, themeTemplates),
+      (error) =>
+        error instanceof TemplateRulesError &&
+        error.file === file &&
+        message.test(error.message)
+    );
+  };
+
+  refused({ rules: [] }, /non-empty "rules" array/);
+  refused(
+    { rules: [{ name: "X", match: { tag: "a" } }] },
+    /rule 1 \(X\): "template" is required/
+  );
+  refused(
+    { rules: [{ match: { tag: "a" }, template: "page.framing" }] },
+    /"page.framing" is not a product template/
+  );
+  refused(
+    { rules: [{ match: { tag: "a" }, template: "product.no-such-template" }] },
+    /template "product.no-such-template" is not in the theme/
+  );
+  refused(
+    { rules: [{ match: {}, template: "product" }] },
+    /"match" needs at least one condition/
+  );
+  refused(
+    { rules: [{ match: { colour: "Black" }, template: "product" }] },
+    /unknown condition "colour"/
+  );
+  refused(
+    {
+      rules: [{ match: { tag: "a" }, template: "product" }],
+      default: "product.no-such-template",
+    },
+    /default: template "product.no-such-template" is not in the theme/
+  );
+
+  const broken = path.join(dir, "broken.json");
+  fs.writeFileSync(broken, "{ rules: ");
+  assert.throws(() => loadRules(broken), /could not be read/);
+});
@@ -0,0 +1,219 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  DEFAULT_TITLE_RULES,
+  TitleRulesError,
+  buildRuleSet,
+  loadTitleRules,
+  targetMetafields,
+  missingScopeColumns,
+  matchTitle,
+} = require("../title-rules");
+
+const EXAMPLE = path.join(__dirname, "..", "title-rules.example.json");
+
+// Values of a match as { "namespace.key": value }
+function values(result) {
+  return Object.fromEntries(
+    result.values.map(({ namespace, key, value }) => [
+      `${namespace}.${key}`,
+      value,
+    ])
+  );
+}
+
+test("the example rules split each supplier's titles", () => {
+  const rules = loadTitleRules(EXAMPLE);
+
+  const nielsen = matchTitle(rules, {
+    product_vendor: "Nielsen Bainbridge",
+    variant_title: "Matt Black R1234",
+  });
+  assert.equal(nielsen.status, "matched");
+  assert.equal(nielsen.rules[0].name, "Nielsen moulding codes");
+  assert.deepEqual(values(nielsen), {
+    "custom.nielsen_sku": "R1234",
+    "custom.variant_label": "Matt Black",
+  });
+
+  // The "i" flag and a vendor list
+  const larson = matchTitle(rules, {
+    product_vendor: "Larson Juhl",
+    variant_title: "Oak - lj12345a",
+  });
+  assert.deepEqual(values(larson), {
+    "custom.supplier_sku": "lj12345a",
+    "custom.variant_label": "Oak",
+  });
+
+  // Both scopes must match
+  const southbank = {
+    product_vendor: "Southbank Art",
+    product_type: "Moulding",
+    variant_title: "Walnut 20mm (SB-M104)",
+  };
+  assert.equal(matchTitle(rules, southbank).status, "matched");
+  assert.equal(
+    matchTitle(rules, { ...southbank, product_type: "Mount" }).status,
+    "unmatched"
+  );
+});
+
+test("a title no rule matches gets the unmatched values", () => {
+  const rules = buildRuleSet(DEFAULT_TITLE_RULES, "defaults");
+  const result = matchTitle(rules, { variant_title: "  A4 Black  " });
+  assert.equal(result.status, "unmatched");
+  assert.deepEqual(values(result), { "custom.variant_label": "A4 Black" });
+});
+
+test("a rule out of scope is not tried", () => {
+  const rules = loadTitleRules(EXAMPLE);
+  const result = matchTitle(rules, {
+    product_vendor: "Larson-Juhl",
+    variant_title: "Matt Black R1234",
+  });
+  assert.equal(result.status, "unmatched");
+});
+
+test("a title more than one rule matches is a conflict and sets nothing", () => {
+  const rules = buildRuleSet(
+    {
+      rules: [
+        {
+          name: "A",
+          pattern: "^(?<size>A\\d)",
+          set: { "custom.size": "{size}" },
+        },
+        {
+          name: "B",
+          pattern: "(?<colour>Black)$",
+          set: { "custom.colour": "{colour}" },
+        },
+      ],
+    },
+    "inline"
+  );
+  const result = matchTitle(rules, { variant_title: "A4 Black" });
+  assert.equal(result.status, "conflict");
+  assert.deepEqual(
+    result.rules.map((rule) => rule.name),
+    ["A", "B"]
+  );
+  assert.deepEqual(result.values, []);
+});
+
+test("placeholders can name product_ and variant_ columns", () => {
+  const rules = buildRuleSet(
+    {
+      rules: [
+        {
+          pattern: "^(?<size>A\\d)$",
+          set: { "metafield:custom.label": "{product_title} – {size}" },
+        },
+      ],
+    },
+    "inline"
+  );
+  const result = matchTitle(rules, {
+    product_title: "Alpha Frame",
+    variant_title: "A3",
+  });
+  assert.deepEqual(values(result), { "custom.label": "Alpha Frame – A3" });
+});
+
+test("targetMetafields lists each metafield once", () => {
+  const rules = loadTitleRules(EXAMPLE);
+  assert.deepEqual(
+    targetMetafields(rules).map(({ namespace, key }) => `${namespace}.${key}`),
+    [
+      "custom.nielsen_sku",
+      "custom.variant_label",
+      "custom.supplier_sku",
+      "custom.moulding_code",
+    ]
+  );
+});
+
+test("missingScopeColumns names the scope columns a CSV lacks", () => {
+  const rules = loadTitleRules(EXAMPLE);
+  assert.deepEqual(
+    missingScopeColumns(rules, ["variant_title", "product_vendor"]),
+    ["product_type"]
+  );
+  assert.deepEqual(
+    missingScopeColumns(rules, [
+      "variant_title",
+      "product_vendor",
+      "product_type",
+    ]),
+    []
+  );
+});
+
+test("rules that cannot be used are refused with the rule named", () => {
+  const refused = (parsed, message) =>
+    assert.throws(
+      () => buildRuleSet(parsed, "rules.json"),
+      (error) =>
+        error instanceof TitleRulesError &&
+        error.message.startsWith("rules.json: ") &&
+        message.test(error.message)
+    );
+
+  refused({}, /non-empty "rules" array/);
+  refused(
+    { rules: [{ name: "X", set: { "custom.a": "x" } }] },
+    /rule 1 \(X\): "pattern" is required/
+  );
+  refused(
+    { rules: [{ pattern: "(", set: { "custom.a": "x" } }] },
+    /invalid pattern/
+  );
+  refused(
+    { rules: [{ pattern: "R\\d+", set: { "custom.a": "x" } }] },
+    /named group/
+  );
+  refused(
+    {
+      rules: [
+        {
+          pattern: "(?<sku>R\\d+)",
+          scope: { colour: "Black" },
+          set: { "custom.a": "{sku}" },
+        },
+      ],
+    },
+    /unknown scope "colour"/
+  );
+  refused(
+    { rules: [{ pattern: "(?<sku>R\\d+)", set: {} }] },
+    /needs at least one metafield/
+  );
+  refused(
+    { rules: [{ pattern: "(?<sku>R\\d+)", set: { sku: "{sku}" } }] },
+    /should be a metafield/
+  );
+  refused(
+    { rules: [{ pattern: "(?<sku>R\\d+)", set: { "custom.a": 1 } }] },
+    /must be a string/
+  );
+  refused(
+    { rules: [{ pattern: "(?<sku>R\\d+)", set: { "custom.a": "{size}" } }] },
+    /\{size\} is neither a named group/
+  );
+  refused(
+    {
+      rules: [{ pattern: "(?<sku>R\\d+)", set: { "custom.a": "{sku}" } }],
+      unmatched: { "custom.a": "{sku}" },
+    },
+    /unmatched: \{sku\} is neither/
+  );
+});
+
+test("a rules file that is not JSON is a TitleRulesError", () => {
+  assert.throws(
+    () => loadTitleRules(path.join(__dirname, "title-rules.test.js")),
+    TitleRulesError
+  );
+});
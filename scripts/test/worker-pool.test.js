@@ -0,0 +1,138 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  bucketConcurrency,
+  runPool,
+  createBufferedLog,
+  formatDuration,
+} = require("../worker-pool");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A worker that takes `delays[index]` ms and records how many ran at once
+function trackedWorker(delays) {
+  const stats = { active: 0, peak: 0, started: [] };
+  const worker = async (item, index) => {
+    stats.active++;
+    stats.peak = Math.max(stats.peak, stats.active);
+    stats.started.push(index);
+    await sleep(delays[index]);
+    stats.active--;
+    return item * 10;
+  };
+  return { worker, stats };
+}
+
+test("runPool returns results in item order, whatever order they finish in", async () => {
+  const { worker } = trackedWorker([40, 5, 20, 1]);
+  const finished = [];
+  const results = await runPool([1, 2, 3, 4], worker, {
+    concurrency: 4,
+    onDone: (result, index) => finished.push(index),
+  });
+  assert.deepEqual(results, [10, 20, 30, 40]);
+  assert.deepEqual(finished, [3, 1, 2, 0]);
+});
+
+test("runPool never runs more than `concurrency` tasks at once", async () => {
+  const { worker, stats } = trackedWorker([10, 10, 10, 10, 10, 10, 10]);
+  await runPool([1, 2, 3, 4, 5, 6, 7], worker, { concurrency: 3 });
+  assert.equal(stats.peak, 3);
+  assert.deepEqual(stats.started, [0, 1, 2, 3, 4, 5, 6]);
+});
+
+test("runPool keeps to a lower limit() while it runs", async () => {
+  const { worker, stats } = trackedWorker([5, 5, 5, 5, 5, 5]);
+  const results = await runPool([1, 2, 3, 4, 5, 6], worker, {
+    concurrency: 4,
+    limit: () => 2,
+  });
+  assert.equal(stats.peak, 2);
+  assert.equal(results.length, 6);
+});
+
+test("runPool starts one task even when limit() allows none", async () => {
+  const { worker, stats } = trackedWorker([1, 1]);
+  await runPool([1, 2], worker, { concurrency: 2, limit: () => 0 });
+  assert.equal(stats.peak, 1);
+});
+
+test("runPool rejects with the first error once running tasks settle", async () => {
+  const started = [];
+  let settled = 0;
+  const worker = async (item, index) => {
+    started.push(index);
+    if (index === 1) throw new Error("batch 2 failed");
+    await sleep(20);
+    settled++;
+  };
+
+  await assert.rejects(
+    runPool([1, 2, 3, 4, 5, 6], worker, { concurrency: 3 }),
+    /batch 2 failed/
+  );
+  // The two running alongside finished; nothing new was started
+  assert.deepEqual(started, [0, 1, 2]);
+  assert.equal(settled, 2);
+});
+
+test("runPool rejects when onDone throws", async () => {
+  await assert.rejects(
+    runPool([1, 2], async (item) => item, {
+      onDone: () => {
+        throw new Error("progress failed");
+      },
+    }),
+    /progress failed/
+  );
+});
+
+test("runPool resolves with an empty list for no items", async () => {
+  assert.deepEqual(await runPool([], async () => 1, { concurrency: 4 }), []);
+});
+
+test("bucketConcurrency backs off as the bucket drains", () => {
+  const status = (currentlyAvailable) => ({
+    currentlyAvailable,
+    maximumAvailable: 1000,
+  });
+  assert.equal(bucketConcurrency(status(1000), 4), 4);
+  assert.equal(bucketConcurrency(status(500), 4), 4);
+  assert.equal(bucketConcurrency(status(250), 4), 2);
+  assert.equal(bucketConcurrency(status(100), 4), 1);
+  assert.equal(bucketConcurrency(status(0), 4), 1);
+  // Points reserved by requests in flight can take the estimate below zero
+  assert.equal(bucketConcurrency(status(-200), 4), 1);
+  // Nothing known about the bucket yet
+  assert.equal(bucketConcurrency({ currentlyAvailable: null }, 4), 1);
+});
+
+test("createBufferedLog keeps lines until flush, in the order written", () => {
+  const buffered = createBufferedLog();
+  buffered.log("Batch 1:", 3);
+  buffered.warn("Warning: slow");
+  buffered.error("✗ failed");
+
+  const printed = [];
+  const target = {
+    log: (...args) => printed.push(["log", ...args]),
+    warn: (...args) => printed.push(["warn", ...args]),
+    error: (...args) => printed.push(["error", ...args]),
+  };
+  buffered.flush(target);
+  assert.deepEqual(printed, [
+    ["log", "Batch 1:", 3],
+    ["warn", "Warning: slow"],
+    ["error", "✗ failed"],
+  ]);
+
+  // Flushed lines are not printed again
+  buffered.flush(target);
+  assert.equal(printed.length, 3);
+});
+
+test("formatDuration writes m:ss, or h:mm:ss from an hour", () => {
+  assert.equal(formatDuration(0), "0:00");
+  assert.equal(formatDuration(65.4), "1:05");
+  assert.equal(formatDuration(3725), "1:02:05");
+});
@@ -0,0 +1,162 @@
+/**
+ * Theme Templates
+ * Discovers the templates a theme offers and assigns them to products, collections and pages
+ *
+ * Templates are read from the theme's `templates/` folder:
+ *   templates/product.json                  → "product" (the default, no suffix)
+ *   templates/product.framed-artwork.json   → "product.framed-artwork"
+ * The part after the first dot is the `templateSuffix` stored on the resource.
+ *
+ * Usage:
+ *   const { discoverTemplates, updateTemplateSuffix } = require("./theme-templates");
+ *   const templates = discoverTemplates(themeDir); // { product: [...], collection: [...], page: [...] }
+ *   await updateTemplateSuffix(client, "page", pageId, "framing");
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Resources whose template can be changed, with how to query and update them
+const RESOURCES = {
+  product: {
+    label: "products",
+    gid: "Product",
+    connection: "products",
+    mutation: `
+      mutation productUpdate($input: ProductInput!) {
+        productUpdate(input: $input) {
+          product {
+            id
+            title
+            templateSuffix
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+    operation: "productUpdate",
+    variables: (id, templateSuffix) => ({ input: { id, templateSuffix } }),
+  },
+  collection: {
+    label: "collections",
+    gid: "Collection",
+    connection: "collections",
+    mutation: `
+      mutation collectionUpdate($input: CollectionInput!) {
+        collectionUpdate(input: $input) {
+          collection {
+            id
+            title
+            templateSuffix
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+    operation: "collectionUpdate",
+    variables: (id, templateSuffix) => ({ input: { id, templateSuffix } }),
+  },
+  page: {
+    label: "pages",
+    gid: "Page",
+    connection: "pages",
+    mutation: `
+      mutation pageUpdate($id: ID!, $page: PageUpdateInput!) {
+        pageUpdate(id: $id, page: $page) {
+          page {
+            id
+            title
+            templateSuffix
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+    operation: "pageUpdate",
+    variables: (id, templateSuffix) => ({ id, page: { templateSuffix } }),
+  },
+};
+
+const TEMPLATE_FILE = /^([a-z_]+)(?:\.([^.]+))?\.(json|liquid)$/;
+
+// The theme this script lives in, used when no --theme-dir is given
+const DEFAULT_THEME_DIR = path.resolve(__dirname, "..");
+
+// Split a template name into { resource, suffix }, e.g.
+// "product.framed-artwork" → { resource: "product", suffix: "framed-artwork" }
+function parseTemplateName(name) {
+  const dot = name.indexOf(".");
+  const resource = dot === -1 ? name : name.slice(0, dot);
+  const suffix = dot === -1 ? null : name.slice(dot + 1) || null;
+  return RESOURCES[resource] ? { resource, suffix } : null;
+}
+
+// Template name for a resource type and suffix
+function templateName(resource, suffix) {
+  return suffix ? `${resource}.${suffix}` : resource;
+}
+
+// List the templates in a theme, grouped by resource type
+function discoverTemplates(themeDir = DEFAULT_THEME_DIR) {
+  const templatesDir = path.join(themeDir, "templates");
+  if (!fs.existsSync(templatesDir)) {
+    throw new Error(`No templates folder found in ${themeDir}`);
+  }
+
+  const templates = {};
+  Object.keys(RESOURCES).forEach((resource) => {
+    templates[resource] = [];
+  });
+
+  fs.readdirSync(templatesDir).forEach((file) => {
+    const match = file.match(TEMPLATE_FILE);
+    if (!match || !RESOURCES[match[1]]) return;
+    const name = templateName(match[1], match[2]);
+    if (!templates[match[1]].includes(name)) {
+      templates[match[1]].push(name);
+    }
+  });
+
+  // Default template first, then alternates in name order
+  Object.keys(templates).forEach((resource) => {
+    templates[resource].sort((a, b) =>
+      a === resource ? -1 : b === resource ? 1 : a.localeCompare(b)
+    );
+  });
+
+  return templates;
+}
+
+// Set the templateSuffix of a product, collection or page
+// A null suffix switches it back to the default template
+async function updateTemplateSuffix(client, resource, id, suffix) {
+  const settings = RESOURCES[resource];
+  if (!settings) {
+    throw new Error(`Templates cannot be set on ${resource}`);
+  }
+
+  const payload = await client.mutate(
+    settings.mutation,
+    settings.variables(id, suffix || null),
+    settings.operation
+  );
+  return payload[resource];
+}
+
+module.exports = {
+  RESOURCES,
+  DEFAULT_THEME_DIR,
+  parseTemplateName,
+  templateName,
+  discoverTemplates,
+  updateTemplateSuffix,
+};
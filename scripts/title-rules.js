@@ -0,0 +1,267 @@
+/**
+ * Title-Splitting Rules
+ * Works out which metafield values a variant title holds, from a declarative rules file
+ *
+ * Rules file (JSON):
+ *   {
+ *     "rules": [
+ *       {
+ *         "name": "Nielsen moulding codes",
+ *         "scope": { "vendor": "Nielsen*" },
+ *         "pattern": "^(?<label>.+?)\\s+(?<sku>R[A-Z0-9]+)$",
+ *         "set": {
+ *           "custom.nielsen_sku": "{sku}",
+ *           "custom.variant_label": "{label}"
+ *         }
+ *       }
+ *     ],
+ *     "unmatched": { "custom.variant_label": "{variant_title}" }
+ *   }
+ *
+ * `pattern` is a regular expression tested against variant_title; its named
+ * groups fill the {placeholders} in `set`, which maps metafields to values.
+ * Placeholders may also name a CSV column starting with product_ or variant_.
+ * `scope` limits a rule to a vendor and/or product type (a list matches any of
+ * its values, * is a wildcard, case is ignored). A title matched by more than
+ * one rule is a conflict and is left alone. `unmatched` is applied to titles no
+ * rule matches.
+ */
+
+const fs = require("fs");
+const { toPattern } = require("./template-rules");
+
+// Scopes a rule can use, and the CSV column each reads
+const SCOPES = {
+  vendor: "product_vendor",
+  product_type: "product_type",
+};
+
+const PLACEHOLDER = /\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+// Rules used when no rules file is given: a Nielsen SKU at the end of the title
+const DEFAULT_TITLE_RULES = {
+  rules: [
+    {
+      name: "Title followed by SKU",
+      pattern: "^(?<label>.+?)\\s+(?<sku>R[A-Z0-9]+)$",
+      set: {
+        "custom.nielsen_sku": "{sku}",
+        "custom.variant_label": "{label}",
+      },
+    },
+  ],
+  unmatched: { "custom.variant_label": "{variant_title}" },
+};
+
+// Raised when a rules file cannot be used
+class TitleRulesError extends Error {
+  constructor(source, message) {
+    super(`${source}: ${message}`);
+    this.name = "TitleRulesError";
+    this.source = source;
+  }
+}
+
+// Names of the named groups in a pattern
+function groupNames(pattern) {
+  return [...pattern.source.matchAll(/\(\?<([A-Za-z_][A-Za-z0-9_]*)>/g)].map(
+    (match) => match[1]
+  );
+}
+
+// Check a `set` map and split each target into { namespace, key }
+function parseTargets(source, where, set, groups) {
+  if (!set || typeof set !== "object" || Object.keys(set).length === 0) {
+    throw new TitleRulesError(
+      source,
+      `${where}: "set" needs at least one metafield`
+    );
+  }
+
+  return Object.entries(set).map(([target, template]) => {
+    const match = target.replace(/^metafield:/, "").match(/^([^.]+)\.(.+)$/);
+    if (!match) {
+      throw new TitleRulesError(
+        source,
+        `${where}: "${target}" should be a metafield like custom.nielsen_sku`
+      );
+    }
+    if (typeof template !== "string") {
+      throw new TitleRulesError(
+        source,
+        `${where}: the value for "${target}" must be a string`
+      );
+    }
+    [...template.matchAll(PLACEHOLDER)].forEach(([, name]) => {
+      if (!groups.includes(name) && !/^(product|variant)_/.test(name)) {
+        throw new TitleRulesError(
+          source,
+          `${where}: {${name}} is neither a named group of the pattern nor a product_ or variant_ column`
+        );
+      }
+    });
+    return { namespace: match[1], key: match[2], template };
+  });
+}
+
+// Check parsed rules and compile their patterns
+function buildRuleSet(parsed, source) {
+  if (!parsed || !Array.isArray(parsed.rules) || parsed.rules.length === 0) {
+    throw new TitleRulesError(source, 'expected a non-empty "rules" array');
+  }
+
+  const rules = parsed.rules.map((rule, index) => {
+    const where = `rule ${index + 1}${rule.name ? ` (${rule.name})` : ""}`;
+
+    if (!rule.pattern) {
+      throw new TitleRulesError(source, `${where}: "pattern" is required`);
+    }
+    let pattern;
+    try {
+      pattern = new RegExp(rule.pattern, rule.flags || "");
+    } catch (error) {
+      throw new TitleRulesError(
+        source,
+        `${where}: invalid pattern (${error.message})`
+      );
+    }
+    const groups = groupNames(pattern);
+    if (groups.length === 0) {
+      throw new TitleRulesError(
+        source,
+        `${where}: the pattern needs at least one named group, e.g. (?<sku>...)`
+      );
+    }
+
+    const scope = rule.scope || {};
+    Object.keys(scope).forEach((field) => {
+      if (!SCOPES[field]) {
+        throw new TitleRulesError(
+          source,
+          `${where}: unknown scope "${field}" (use ${Object.keys(SCOPES).join(
+            ", "
+          )})`
+        );
+      }
+    });
+
+    return {
+      name: rule.name || where,
+      pattern,
+      scope: Object.keys(scope).map((field) => ({
+        field,
+        column: SCOPES[field],
+        patterns: [].concat(scope[field]).map(toPattern),
+      })),
+      targets: parseTargets(source, where, rule.set, groups),
+    };
+  });
+
+  return {
+    rules,
+    unmatched: parsed.unmatched
+      ? parseTargets(source, "unmatched", parsed.unmatched, [])
+      : [],
+  };
+}
+
+// Read and check a rules file
+function loadTitleRules(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new TitleRulesError(file, `could not be read (${error.message})`);
+  }
+  return buildRuleSet(parsed, file);
+}
+
+// Every metafield a rule set may write, as { namespace, key }
+function targetMetafields({ rules, unmatched }) {
+  const seen = new Map();
+  rules
+    .flatMap((rule) => rule.targets)
+    .concat(unmatched)
+    .forEach(({ namespace, key }) => {
+      seen.set(`${namespace}.${key}`, { namespace, key });
+    });
+  return [...seen.values()];
+}
+
+// Scopes used by any rule whose column is missing from the CSV headers
+function missingScopeColumns({ rules }, headers) {
+  return [
+    ...new Set(
+      rules
+        .flatMap((rule) => rule.scope)
+        .filter(({ column }) => !headers.includes(column))
+        .map(({ column }) => column)
+    ),
+  ];
+}
+
+function inScope(rule, row) {
+  return rule.scope.every(({ column, patterns }) =>
+    patterns.some((pattern) => pattern.test(String(row[column] ?? "")))
+  );
+}
+
+// Fill a target's template from the pattern's groups and the row
+function fillTargets(targets, groups, row) {
+  return targets.map(({ namespace, key, template }) => ({
+    namespace,
+    key,
+    value: template
+      .replace(PLACEHOLDER, (_, name) =>
+        String(
+          (groups && groups[name] !== undefined ? groups[name] : row[name]) ??
+            ""
+        )
+      )
+      .trim(),
+  }));
+}
+
+// Work out what a row's title holds
+// Returns { status: "matched" | "conflict" | "unmatched", rules, values }
+// where values is a list of { namespace, key, value } to set
+function matchTitle({ rules, unmatched }, row) {
+  const title = String(row.variant_title ?? "").trim();
+  const matches = rules
+    .filter((rule) => inScope(rule, row))
+    .map((rule) => ({ rule, match: rule.pattern.exec(title) }))
+    .filter(({ match }) => match);
+
+  if (matches.length > 1) {
+    return {
+      status: "conflict",
+      rules: matches.map(({ rule }) => rule),
+      values: [],
+    };
+  }
+  if (matches.length === 0) {
+    return {
+      status: "unmatched",
+      rules: [],
+      values: fillTargets(unmatched, null, row),
+    };
+  }
+
+  const [{ rule, match }] = matches;
+  return {
+    status: "matched",
+    rules: [rule],
+    values: fillTargets(rule.targets, match.groups, row),
+  };
+}
+
+module.exports = {
+  SCOPES,
+  DEFAULT_TITLE_RULES,
+  TitleRulesError,
+  buildRuleSet,
+  loadTitleRules,
+  targetMetafields,
+  missingScopeColumns,
+  matchTitle,
+};
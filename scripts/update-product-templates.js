@@ -1,123 +1,159 @@
 #!/usr/bin/env node
 
 /**
- * Shopify Product Template Bulk Update Script
- * Updates product theme templates in bulk with filtering capabilities
+ * Shopify Template Bulk Update Script
+ * Updates the theme templates of products, collections or pages in bulk with
+ * filtering capabilities
+ *
+ * Templates are discovered from the theme's templates/ folder, so any
+ * templates/<resource>.<suffix>.json in the theme can be applied. The resource
+ * type comes from the template name, e.g. page.framing updates pages.
  *
  * Usage: node update-product-templates.js [options]
  * Options:
  *   --shop <shop-name>        Shopify shop name (required)
  *   --token <access-token>    Admin API access token (required)
+ *   --api-version <ver>       Admin API version (default: 2024-10)
+ *   --endpoint <url>          Send requests here instead of the shop (e.g. a mock server)
  *   --template <template>     Theme template to apply (required)
+ *   --apply-rules <file>      Pick each product's template from a rules file instead
+ *   --theme-dir <dir>         Theme to read templates from (default: repo root)
  *   --filter-tag <tag>        Filter products by tag
  *   --filter-vendor <vendor>  Filter products by vendor
  *   --filter-type <type>      Filter products by product type
  *   --filter-collection <id>  Filter products by collection ID
- *   --search <term>           Search products by title or handle
- *   --product-ids <ids>       Comma-separated list of specific product IDs
- *   --limit <number>          Limit number of products to process (default: 50)
+ *   --search <term>           Search by title or handle
+ *   --query <query>           Raw Shopify search syntax, combined with the filters
+ *   --exclude-template <t>    Skip items currently using this template
+ *   --ids <ids>               Comma-separated list of specific IDs (alias: --product-ids)
+ *   --limit <number>          Limit number of items to process (default: all)
  *   --dry-run                 Preview changes without applying them
  *   --force                   Skip confirmation prompt
+ *   --journal <file>          Undo journal to append to (default: changes.journal.jsonl)
  */
 
-const https = require("https");
 const fs = require("fs");
 const path = require("path");
-const readline = require("readline");
+const cli = require("./cli");
+const { createJournal, DEFAULT_JOURNAL_FILE } = require("./journal");
+const { term, contains, allOf, anyOf, numericId } = require("./search-query");
+const {
+  RESOURCES,
+  DEFAULT_THEME_DIR,
+  parseTemplateName,
+  templateName,
+  discoverTemplates,
+  updateTemplateSuffix,
+} = require("./theme-templates");
+const { loadRules, resolveTemplate } = require("./template-rules");
 
 // Configuration
 const config = {
-  shop: process.env.SHOPIFY_SHOP || "",
-  token: process.env.SHOPIFY_ACCESS_TOKEN || "",
+  ...cli.connectionConfig(),
   template: "",
+  rulesFile: null,
+  resource: "product",
+  themeDir: DEFAULT_THEME_DIR,
   filters: {
     tag: null,
     vendor: null,
     type: null,
     collection: null,
     search: null,
-    productIds: null,
+    query: null,
+    excludeTemplates: [],
+    ids: null,
   },
-  limit: 250,
+  limit: Infinity,
   dryRun: false,
   force: false,
+  journal: DEFAULT_JOURNAL_FILE,
 };
 
-// Available theme templates (from your templates directory)
-const availableTemplates = [
-  "product",
-  "product.collect-in-store",
-  "product.custom-mount",
-  "product.framed-artwork",
-  "product.nielsen-ready-made-frames",
-];
+// Items fetched per request (the Admin API maximum)
+const PAGE_SIZE = 250;
+
+// Fields fetched for each resource type
+const NODE_FIELDS = {
+  product: `
+    id
+    title
+    handle
+    vendor
+    productType
+    tags
+    templateSuffix
+    status
+    createdAt
+    updatedAt
+  `,
+  collection: `
+    id
+    title
+    handle
+    templateSuffix
+    updatedAt
+  `,
+  page: `
+    id
+    title
+    handle
+    templateSuffix
+    updatedAt
+  `,
+};
 
-// Parse command line arguments
-function parseArgs() {
-  const args = process.argv.slice(2);
-  for (let i = 0; i < args.length; i++) {
-    switch (args[i]) {
-      case "--shop":
-        config.shop = args[++i];
-        break;
-      case "--token":
-        config.token = args[++i];
-        break;
-      case "--template":
-        config.template = args[++i];
-        break;
-      case "--filter-tag":
-        config.filters.tag = args[++i];
-        break;
-      case "--filter-vendor":
-        config.filters.vendor = args[++i];
-        break;
-      case "--filter-type":
-        config.filters.type = args[++i];
-        break;
-      case "--filter-collection":
-        config.filters.collection = args[++i];
-        break;
-      case "--search":
-        config.filters.search = args[++i];
-        break;
-      case "--product-ids":
-        config.filters.productIds = args[++i].split(",").map((id) => id.trim());
-        break;
-      case "--limit":
-        config.limit = parseInt(args[++i]);
-        break;
-      case "--dry-run":
-        config.dryRun = true;
-        break;
-      case "--force":
-        config.force = true;
-        break;
-      case "--help":
-        console.log(`
+// Filters that only make sense for products
+const PRODUCT_ONLY_FILTERS = {
+  tag: "--filter-tag",
+  vendor: "--filter-vendor",
+  type: "--filter-type",
+  collection: "--filter-collection",
+};
+
+// Products listed under each heading of a rules plan before "… and N more"
+const PLAN_ITEMS_SHOWN = 20;
+
+// Templates found in the theme, loaded by validateConfig()
+let themeTemplates = null;
+
+// Text printed by --help
+function helpText() {
+  return `
 Usage: node update-product-templates.js [options]
 
 Options:
-  --shop <shop-name>        Shopify shop name (required)
-  --token <access-token>    Admin API access token (required)
-  --template <template>     Theme template to apply (required)
+${cli.connectionOptionsHelp(26)}
+  --template <template>     Theme template to apply (required). Its prefix
+                            picks what is updated: product.*, collection.*
+                            or page.*
+  --apply-rules <file>      Instead of --template, give every product the
+                            template chosen by a rules file (see
+                            template-rules.example.json)
+  --theme-dir <dir>         Theme to read templates/ from (default: the
+                            theme these scripts live in)
   --filter-tag <tag>        Filter products by tag
   --filter-vendor <vendor>  Filter products by vendor
   --filter-type <type>      Filter products by product type
   --filter-collection <id>  Filter products by collection ID
-  --search <term>           Search products by title or handle
-  --product-ids <ids>       Comma-separated list of specific product IDs
-  --limit <number>          Limit number of products to process (default: 50)
+  --search <term>           Search by title or handle
+  --query <query>           Raw Shopify search syntax, ANDed with the filters
+                            (e.g. "status:active AND created_at:>2024-01-01")
+  --exclude-template <t>    Skip items currently using this template
+                            (repeatable, or comma-separated)
+  --ids <ids>               Comma-separated list of specific IDs
+                            (--product-ids also works)
+  --limit <number|all>      Limit number of items to process (default: all)
   --dry-run                 Preview changes without applying them
   --force                   Skip confirmation prompt
+  --journal <file>          Undo journal to append every change to, for use
+                            with rollback.js (default: ${DEFAULT_JOURNAL_FILE})
   --help                    Show this help message
 
-Available Templates:
-  ${availableTemplates.join("\n  ")}
+Available Templates (${config.themeDir}):
+  ${listTemplates().join("\n  ")}
 
-Environment Variables:
-  SHOPIFY_SHOP          Shopify shop name
-  SHOPIFY_ACCESS_TOKEN  Admin API access token
+${cli.ENVIRONMENT_HELP}
 
 Examples:
   # Update all products with tag "artwork" to use framed-artwork template
@@ -129,105 +165,211 @@ Examples:
   # Update specific products by ID
   node update-product-templates.js --template product.framed-artwork --product-ids "123,456,789"
 
+  # Move active framed products to custom-mount, leaving collect-in-store ones alone
+  node update-product-templates.js --template product.custom-mount --filter-type "Framed Print" --query "status:active" --exclude-template product.collect-in-store
+
+  # Give the framing pages the framing page template
+  node update-product-templates.js --template page.framing --search framing
+
+  # Preview the template every product should have according to the rules
+  node update-product-templates.js --apply-rules template-rules.json --dry-run
+
   # Dry run to preview changes
   node update-product-templates.js --template product.framed-artwork --filter-tag artwork --dry-run
-        `);
-        process.exit(0);
-        break;
-    }
-  }
+`;
+}
+
+// Parse command line arguments
+function parseArgs() {
+  cli.parseArgs(config, {
+    help: helpText,
+    option(arg, next) {
+      switch (arg) {
+        case "--template":
+          config.template = next();
+          break;
+        case "--apply-rules":
+          config.rulesFile = next();
+          break;
+        case "--theme-dir":
+          config.themeDir = path.resolve(next());
+          break;
+        case "--filter-tag":
+          config.filters.tag = next();
+          break;
+        case "--filter-vendor":
+          config.filters.vendor = next();
+          break;
+        case "--filter-type":
+          config.filters.type = next();
+          break;
+        case "--filter-collection":
+          config.filters.collection = next();
+          break;
+        case "--search":
+          config.filters.search = next();
+          break;
+        case "--query":
+          config.filters.query = next();
+          break;
+        case "--exclude-template":
+          config.filters.excludeTemplates.push(
+            ...next()
+              .split(",")
+              .map((template) => template.trim())
+          );
+          break;
+        case "--ids":
+        case "--product-ids":
+          config.filters.ids = next()
+            .split(",")
+            .map((id) => id.trim());
+          break;
+        case "--limit": {
+          const value = next();
+          config.limit = value === "all" ? Infinity : parseInt(value);
+          break;
+        }
+        case "--dry-run":
+          config.dryRun = true;
+          break;
+        case "--force":
+          config.force = true;
+          break;
+        case "--journal":
+          config.journal = next();
+          break;
+      }
+    },
+  });
 }
 
 // Validate configuration
 function validateConfig() {
-  if (!config.shop) {
+  cli.requireConnection(config, { writes: !config.dryRun });
+  try {
+    themeTemplates = discoverTemplates(config.themeDir);
+  } catch (error) {
+    console.error(`Error: ${error.message}. Use --theme-dir <dir>.`);
+    process.exit(1);
+  }
+  if (config.rulesFile) {
+    if (config.template) {
+      console.error("Error: Use either --template or --apply-rules, not both.");
+      process.exit(1);
+    }
+    if (!fs.existsSync(config.rulesFile)) {
+      console.error(`Error: Rules file '${config.rulesFile}' does not exist.`);
+      process.exit(1);
+    }
+    config.resource = "product";
+  } else {
+    validateTemplate();
+  }
+  if (isNaN(config.limit) || config.limit < 1) {
+    console.error("Error: --limit must be a positive number or 'all'.");
+    process.exit(1);
+  }
+  config.filters.excludeTemplates =
+    config.filters.excludeTemplates.map(normaliseTemplate);
+}
+
+// Check --template against the theme and the filters used with it
+function validateTemplate() {
+  if (!config.template) {
     console.error(
-      "Error: Shop name is required. Use --shop or set SHOPIFY_SHOP environment variable."
+      "Error: Template is required. Use --template or --apply-rules."
     );
+    console.error(`Available templates: ${listTemplates().join(", ")}`);
     process.exit(1);
   }
-  if (!config.token) {
+  const parsed = parseTemplateName(config.template);
+  if (!parsed || !themeTemplates[parsed.resource].includes(config.template)) {
     console.error(
-      "Error: Access token is required. Use --token or set SHOPIFY_ACCESS_TOKEN environment variable."
+      `Error: Template "${config.template}" was not found in ${config.themeDir}/templates.`
     );
+    console.error(`Available templates: ${listTemplates().join(", ")}`);
     process.exit(1);
   }
-  if (!config.template) {
-    console.error("Error: Template is required. Use --template option.");
-    console.error(`Available templates: ${availableTemplates.join(", ")}`);
-    process.exit(1);
+  config.resource = parsed.resource;
+
+  if (config.resource !== "product") {
+    const used = Object.keys(PRODUCT_ONLY_FILTERS).filter(
+      (filter) => config.filters[filter]
+    );
+    if (used.length > 0) {
+      console.error(
+        `Error: ${used
+          .map((filter) => PRODUCT_ONLY_FILTERS[filter])
+          .join(", ")} can only be used with product templates.`
+      );
+      process.exit(1);
+    }
   }
-  if (!availableTemplates.includes(config.template)) {
-    console.error(`Error: Invalid template "${config.template}".`);
-    console.error(`Available templates: ${availableTemplates.join(", ")}`);
-    process.exit(1);
+}
+
+// Every template the theme offers, for help and error messages
+function listTemplates() {
+  try {
+    const templates = themeTemplates || discoverTemplates(config.themeDir);
+    return Object.values(templates).flat();
+  } catch (error) {
+    return [`(none found: ${error.message})`];
   }
 }
 
-// Make GraphQL request to Shopify
-function makeGraphQLRequest(query, variables = {}) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: `${config.shop}.myshopify.com`,
-      port: 443,
-      path: `/admin/api/2024-10/graphql.json`,
-      method: "POST",
-      headers: {
-        "X-Shopify-Access-Token": config.token,
-        "Content-Type": "application/json",
-      },
-    };
-
-    const requestBody = JSON.stringify({
-      query: query,
-      variables: variables,
-    });
+// Accept template names with or without the resource prefix
+function normaliseTemplate(template) {
+  return parseTemplateName(template)
+    ? template
+    : templateName(config.resource, template);
+}
 
-    const req = https.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => {
-        try {
-          const jsonData = JSON.parse(data);
-          if (jsonData.errors) {
-            reject(
-              new Error(`GraphQL errors: ${JSON.stringify(jsonData.errors)}`)
-            );
-          } else {
-            resolve(jsonData.data);
-          }
-        } catch (error) {
-          reject(new Error(`Failed to parse JSON: ${error.message}`));
-        }
-      });
-    });
+// Template an item currently uses, e.g. "product.framed-artwork"
+function currentTemplate(item) {
+  return templateName(config.resource, item.templateSuffix);
+}
 
-    req.on("error", (error) => {
-      reject(error);
-    });
+// Shared Admin API client, created on first use from config
+const { getClient, makeGraphQLRequest } = cli.lazyClient(config);
+
+// Build the search string from the filters
+// Every filter becomes its own clause, so --search and --query cannot
+// change the precedence of the others
+function buildSearchQuery(filters) {
+  const clauses = [
+    filters.tag && term("tag", filters.tag),
+    filters.vendor && term("vendor", filters.vendor),
+    filters.type && term("product_type", filters.type),
+    filters.collection && term("collection_id", numericId(filters.collection)),
+    filters.search &&
+      anyOf([
+        contains("title", filters.search),
+        contains("handle", toHandle(filters.search)),
+      ]),
+    filters.query && filters.query.trim(),
+  ];
+  return allOf(clauses);
+}
 
-    req.write(requestBody);
-    req.end();
-  });
+// Handles are lower case with hyphens, e.g. "Blue Poppies" → "blue-poppies"
+function toHandle(text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
 }
 
 // Build GraphQL query based on filters
-function buildProductsQuery() {
-  let query = `
-    query getProducts($first: Int!, $query: String) {
-      products(first: $first, query: $query) {
+function buildItemsQuery() {
+  const { connection } = RESOURCES[config.resource];
+  const query = `
+    query getItems($first: Int!, $after: String, $query: String) {
+      ${connection}(first: $first, after: $after, query: $query) {
         edges {
           node {
-            id
-            title
-            handle
-            vendor
-            productType
-            tags
-            templateSuffix
-            status
-            createdAt
-            updatedAt
+            ${NODE_FIELDS[config.resource]}
           }
         }
         pageInfo {
@@ -238,278 +380,405 @@ function buildProductsQuery() {
     }
   `;
 
-  const variables = { first: config.limit };
-  let queryString = "";
-
-  // Build query string based on filters
-  const conditions = [];
-
-  if (config.filters.tag) {
-    conditions.push(`tag:${config.filters.tag}`);
-  }
-  if (config.filters.vendor) {
-    conditions.push(`vendor:${config.filters.vendor}`);
-  }
-  if (config.filters.type) {
-    conditions.push(`product_type:${config.filters.type}`);
-  }
-  if (config.filters.collection) {
-    conditions.push(`collection_id:${config.filters.collection}`);
-  }
-  if (config.filters.search) {
-    conditions.push(
-      `title:*${config.filters.search}* OR handle:*${config.filters.search}*`
-    );
-  }
-
-  if (conditions.length > 0) {
-    queryString = conditions.join(" AND ");
-  }
-
-  variables.query = queryString;
+  const variables = {
+    first: PAGE_SIZE,
+    query: buildSearchQuery(config.filters) || null,
+  };
   return { query, variables };
 }
 
-// Get products by specific IDs
-async function getProductsByIds(productIds) {
-  const products = [];
+// Whether an item is excluded by --exclude-template
+function isExcluded(item) {
+  return config.filters.excludeTemplates.includes(currentTemplate(item));
+}
 
-  for (const productId of productIds) {
+// Get items by specific IDs
+async function getItemsByIds(ids) {
+  const { gid } = RESOURCES[config.resource];
+  const items = [];
+
+  for (const id of ids) {
     try {
       const query = `
-        query getProduct($id: ID!) {
-          product(id: $id) {
-            id
-            title
-            handle
-            vendor
-            productType
-            tags
-            templateSuffix
-            status
-            createdAt
-            updatedAt
+        query getItem($id: ID!) {
+          ${config.resource}(id: $id) {
+            ${NODE_FIELDS[config.resource]}
           }
         }
       `;
 
       const response = await makeGraphQLRequest(query, {
-        id: `gid://shopify/Product/${productId}`,
+        id: `gid://shopify/${gid}/${numericId(id)}`,
       });
 
-      if (response.product) {
-        products.push(response.product);
+      if (response[config.resource]) {
+        items.push(response[config.resource]);
       }
     } catch (error) {
       console.warn(
-        `Warning: Could not fetch product ${productId}: ${error.message}`
+        `Warning: Could not fetch ${config.resource} ${id}: ${error.message}`
       );
     }
   }
 
-  return products;
+  return items;
 }
 
-// Get products based on filters
-async function getProducts() {
-  try {
-    if (config.filters.productIds) {
-      console.log(
-        `Fetching specific products: ${config.filters.productIds.join(", ")}`
-      );
-      return await getProductsByIds(config.filters.productIds);
-    } else {
-      const { query, variables } = buildProductsQuery();
+// Fetch every page of items matching the filters, up to --limit
+async function searchItems() {
+  const { label, connection } = RESOURCES[config.resource];
+  const { query, variables } = buildItemsQuery();
+  const items = [];
+  let after = null;
+  let excluded = 0;
+  let truncated = false;
+
+  if (variables.query) {
+    console.log(`Searching ${label} with query: ${variables.query}`);
+  } else {
+    console.log(`Fetching all ${label}...`);
+  }
 
-      if (variables.query) {
-        console.log(`Searching products with query: "${variables.query}"`);
+  do {
+    const response = await makeGraphQLRequest(query, { ...variables, after });
+    const page = response[connection];
+
+    for (const { node } of page.edges) {
+      if (isExcluded(node)) {
+        excluded++;
+      } else if (items.length < config.limit) {
+        items.push(node);
       } else {
-        console.log(`Fetching products (limit: ${config.limit})...`);
+        truncated = true;
       }
+    }
+
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    if (items.length >= config.limit && after) truncated = true;
+
+    console.log(`  Fetched ${items.length + excluded} ${label}...`);
+  } while (after && !truncated);
+
+  if (excluded > 0) {
+    console.log(`Skipped ${excluded} ${label} using an excluded template`);
+  }
+  if (truncated) {
+    console.log(
+      `Stopped at --limit ${config.limit}; more ${label} match these filters`
+    );
+  }
+
+  return items;
+}
 
-      const response = await makeGraphQLRequest(query, variables);
-      return response.products.edges.map((edge) => edge.node);
+// Get items based on filters
+async function getItems() {
+  const { label } = RESOURCES[config.resource];
+  try {
+    if (config.filters.ids) {
+      console.log(
+        `Fetching specific ${label}: ${config.filters.ids.join(", ")}`
+      );
+      const items = await getItemsByIds(config.filters.ids);
+      return items.filter((item) => !isExcluded(item));
     }
+    return await searchItems();
   } catch (error) {
-    console.error("Error fetching products:", error.message);
+    console.error(`Error fetching ${label}:`, error.message);
     throw error;
   }
 }
 
-// Update product template
-async function updateProductTemplate(productId, template) {
-  try {
-    const mutation = `
-      mutation productUpdate($input: ProductInput!) {
-        productUpdate(input: $input) {
-          product {
-            id
-            title
-            templateSuffix
-          }
-          userErrors {
-            field
-            message
-          }
-        }
-      }
-    `;
-
-    const variables = {
-      input: {
-        id: productId,
-        templateSuffix:
-          template === "product" ? null : template.replace("product.", ""),
-      },
-    };
-
-    const response = await makeGraphQLRequest(mutation, variables);
-
-    if (response.productUpdate.userErrors.length > 0) {
-      throw new Error(
-        `Update failed: ${response.productUpdate.userErrors
-          .map((e) => e.message)
-          .join(", ")}`
-      );
+// Warn about items using a template the theme no longer has; the storefront
+// falls back to the default template for them
+function warnAboutMissingTemplates(items) {
+  const available = themeTemplates[config.resource];
+  const missing = new Map();
+
+  items.forEach((item) => {
+    const template = currentTemplate(item);
+    if (available.includes(template)) return;
+    missing.set(template, [...(missing.get(template) || []), item]);
+  });
+
+  missing.forEach((affected, template) => {
+    console.warn(
+      `⚠️  ${affected.length} ${
+        RESOURCES[config.resource].label
+      } use ${template}, which is not in ${config.themeDir}/templates:`
+    );
+    affected.slice(0, 10).forEach((item) => {
+      console.warn(`   • ${item.title} (${item.handle})`);
+    });
+    if (affected.length > 10) {
+      console.warn(`   … and ${affected.length - 10} more`);
     }
+  });
+}
 
-    return response.productUpdate.product;
+// Update an item's template
+async function updateItemTemplate(id, template) {
+  try {
+    const { suffix } = parseTemplateName(template);
+    return await updateTemplateSuffix(getClient(), config.resource, id, suffix);
   } catch (error) {
-    throw new Error(`Failed to update product ${productId}: ${error.message}`);
+    throw new Error(
+      `Failed to update ${config.resource} ${id}: ${error.message}`
+    );
   }
 }
 
-// Ask for user confirmation
-function askConfirmation(message) {
-  return new Promise((resolve) => {
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout,
-    });
+// Confirm, apply and report a set of { item, template } changes
+async function applyTemplateChanges(changes) {
+  const { label } = RESOURCES[config.resource];
 
-    rl.question(message, (answer) => {
-      rl.close();
-      resolve(answer.toLowerCase().startsWith("y"));
+  // Ask for confirmation unless --force is used
+  if (!config.force && !config.dryRun) {
+    const confirmed = await cli.askConfirmation(
+      `\nDo you want to update ${changes.length} ${label}? (y/N): `
+    );
+
+    if (!confirmed) {
+      console.log("Update cancelled.");
+      return;
+    }
+  }
+
+  // Update items
+  const results = {
+    success: 0,
+    failed: 0,
+    errors: [],
+  };
+
+  const journal = config.dryRun
+    ? null
+    : createJournal(config.journal, {
+        script: "update-product-templates",
+        shop: config.shop,
+      });
+
+  console.log(`\n${config.dryRun ? "Simulating" : "Updating"} ${label}...`);
+
+  for (let i = 0; i < changes.length; i++) {
+    const { item, template } = changes[i];
+    const progress = `[${i + 1}/${changes.length}]`;
+
+    try {
+      if (config.dryRun) {
+        console.log(`${progress} ✅ Would update: ${item.title} → ${template}`);
+        results.success++;
+      } else {
+        const updated = await updateItemTemplate(item.id, template);
+        journal.record({
+          kind: "template",
+          resource: config.resource,
+          target: item.id,
+          ...(config.resource === "product" ? { productId: item.id } : {}),
+          title: item.title,
+          field: "templateSuffix",
+          before: item.templateSuffix || null,
+          after: updated.templateSuffix || null,
+        });
+        console.log(`${progress} ✅ Updated: ${updated.title} → ${template}`);
+        results.success++;
+      }
+    } catch (error) {
+      console.log(`${progress} ❌ Failed: ${item.title} - ${error.message}`);
+      results.failed++;
+      results.errors.push({
+        item: item.title,
+        error: error.message,
+      });
+    }
+  }
+
+  // Display results
+  console.log(`\n📊 Update Results:`);
+  console.log(`✅ Successful: ${results.success}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.errors.length > 0) {
+    console.log(`\n❌ Errors:`);
+    results.errors.forEach(({ item, error }) => {
+      console.log(`  • ${item}: ${error}`);
     });
-  });
+  }
+
+  if (config.dryRun) {
+    console.log(
+      `\n🔍 This was a dry run. To apply changes, run the command without --dry-run`
+    );
+  } else {
+    console.log(`\n✨ Template update completed!`);
+    if (journal.count > 0) {
+      console.log(
+        `\n📝 ${journal.count} changes journalled to ${config.journal}. To undo them:`
+      );
+      console.log(
+        `  node rollback.js --journal ${config.journal} --run ${journal.runId}`
+      );
+    }
+  }
 }
 
 // Main update function
 async function updateProductTemplates() {
   try {
-    console.log("Starting product template update...");
+    const { label } = RESOURCES[config.resource];
+    console.log(`Starting ${config.resource} template update...`);
     console.log(`Template to apply: ${config.template}`);
 
     if (config.dryRun) {
       console.log("🔍 DRY RUN MODE - No changes will be made");
     }
 
-    // Get products to update
-    const products = await getProducts();
-    console.log(`\nFound ${products.length} products to process`);
+    // Get items to update
+    const items = await getItems();
+    console.log(`\nFound ${items.length} ${label} to process`);
 
-    if (products.length === 0) {
-      console.log("No products found matching the criteria.");
+    if (items.length === 0) {
+      console.log(`No ${label} found matching the criteria.`);
       return;
     }
 
-    // Filter out products that already have the correct template
-    const productsToUpdate = products.filter((product) => {
-      const currentTemplate = product.templateSuffix
-        ? `product.${product.templateSuffix}`
-        : "product";
-      return currentTemplate !== config.template;
-    });
+    warnAboutMissingTemplates(items);
 
-    console.log(
-      `\nProducts that need template updates: ${productsToUpdate.length}`
+    // Filter out items that already have the correct template
+    const itemsToUpdate = items.filter(
+      (item) => currentTemplate(item) !== config.template
     );
 
-    if (productsToUpdate.length === 0) {
-      console.log("All products already have the correct template.");
+    console.log(`\nItems that need template updates: ${itemsToUpdate.length}`);
+
+    if (itemsToUpdate.length === 0) {
+      console.log(`All ${label} already have the correct template.`);
       return;
     }
 
-    // Display products that will be updated
-    console.log("\nProducts to be updated:");
-    productsToUpdate.forEach((product, index) => {
-      const currentTemplate = product.templateSuffix
-        ? `product.${product.templateSuffix}`
-        : "product";
-      console.log(`${index + 1}. ${product.title} (${product.handle})`);
-      console.log(`   Current: ${currentTemplate} → New: ${config.template}`);
+    // Display items that will be updated
+    console.log(`\nItems to be updated:`);
+    itemsToUpdate.forEach((item, index) => {
+      console.log(`${index + 1}. ${item.title} (${item.handle})`);
+      console.log(
+        `   Current: ${currentTemplate(item)} → New: ${config.template}`
+      );
     });
 
-    // Ask for confirmation unless --force is used
-    if (!config.force && !config.dryRun) {
-      const confirmed = await askConfirmation(
-        `\nDo you want to update ${productsToUpdate.length} products? (y/N): `
-      );
+    await applyTemplateChanges(
+      itemsToUpdate.map((item) => ({ item, template: config.template }))
+    );
+  } catch (error) {
+    console.error("Update failed:", error.message);
+    process.exit(1);
+  }
+}
+
+// Print the products of one plan section, shortened for long lists
+function printItems(items, describe = () => "") {
+  items.slice(0, PLAN_ITEMS_SHOWN).forEach((item) => {
+    console.log(`   • ${item.title} (${item.handle})${describe(item)}`);
+  });
+  if (items.length > PLAN_ITEMS_SHOWN) {
+    console.log(`   … and ${items.length - PLAN_ITEMS_SHOWN} more`);
+  }
+}
+
+// Apply the templates chosen by a rules file to every matching product
+async function applyTemplateRules() {
+  try {
+    console.log(`Applying template rules from ${config.rulesFile}...`);
+    const ruleSet = loadRules(config.rulesFile, themeTemplates);
+    ruleSet.rules.forEach((rule) => {
+      console.log(`  [${rule.priority}] ${rule.name} → ${rule.template}`);
+    });
+    if (ruleSet.defaultTemplate) {
+      console.log(`  [default] → ${ruleSet.defaultTemplate}`);
+    }
+
+    if (config.dryRun) {
+      console.log("🔍 DRY RUN MODE - No changes will be made");
+    }
+
+    const items = await getItems();
+    console.log(`\nFound ${items.length} products to check`);
+    warnAboutMissingTemplates(items);
 
-      if (!confirmed) {
-        console.log("Update cancelled.");
+    // Work out the desired template of every product and group the changes
+    const groups = new Map();
+    const conflicts = [];
+    const unmatched = [];
+    let unchanged = 0;
+
+    items.forEach((item) => {
+      const resolved = resolveTemplate(ruleSet, item);
+      if (resolved.status === "conflict") {
+        conflicts.push({ item, rules: resolved.rules });
+        return;
+      }
+      if (resolved.status === "unmatched") {
+        unmatched.push(item);
         return;
       }
-    }
 
-    // Update products
-    const results = {
-      success: 0,
-      failed: 0,
-      errors: [],
-    };
-
-    console.log(`\n${config.dryRun ? "Simulating" : "Updating"} products...`);
-
-    for (let i = 0; i < productsToUpdate.length; i++) {
-      const product = productsToUpdate[i];
-      const progress = `[${i + 1}/${productsToUpdate.length}]`;
-
-      try {
-        if (config.dryRun) {
-          console.log(`${progress} ✅ Would update: ${product.title}`);
-          results.success++;
-        } else {
-          const updatedProduct = await updateProductTemplate(
-            product.id,
-            config.template
-          );
-          console.log(`${progress} ✅ Updated: ${updatedProduct.title}`);
-          results.success++;
-        }
-      } catch (error) {
-        console.log(
-          `${progress} ❌ Failed: ${product.title} - ${error.message}`
-        );
-        results.failed++;
-        results.errors.push({
-          product: product.title,
-          error: error.message,
-        });
+      const from = currentTemplate(item);
+      if (from === resolved.template) {
+        unchanged++;
+        return;
       }
-    }
 
-    // Display results
-    console.log(`\n📊 Update Results:`);
-    console.log(`✅ Successful: ${results.success}`);
-    console.log(`❌ Failed: ${results.failed}`);
+      const key = `${from} → ${resolved.template}`;
+      const group = groups.get(key) || {
+        template: resolved.template,
+        items: [],
+      };
+      group.items.push(item);
+      groups.set(key, group);
+    });
 
-    if (results.errors.length > 0) {
-      console.log(`\n❌ Errors:`);
-      results.errors.forEach(({ product, error }) => {
-        console.log(`  • ${product}: ${error}`);
+    console.log("\n📋 Plan:");
+    if (groups.size === 0) {
+      console.log("  No template changes needed.");
+    }
+    [...groups.entries()]
+      .sort((a, b) => b[1].items.length - a[1].items.length)
+      .forEach(([key, group]) => {
+        console.log(`\n${key} (${group.items.length})`);
+        printItems(group.items);
       });
+
+    console.log(`\nAlready correct: ${unchanged}`);
+
+    if (conflicts.length > 0) {
+      console.log(
+        `\n⚠️  Conflicts (${conflicts.length}): rules with the same priority disagree, left unchanged`
+      );
+      printItems(
+        conflicts.map(({ item }) => item),
+        (item) =>
+          ": " +
+          conflicts
+            .find((conflict) => conflict.item === item)
+            .rules.map((rule) => `${rule.name} → ${rule.template}`)
+            .join(", ")
+      );
     }
 
-    if (config.dryRun) {
+    if (unmatched.length > 0) {
       console.log(
-        `\n🔍 This was a dry run. To apply changes, run the command without --dry-run`
+        `\n⚠️  Unmatched (${unmatched.length}): no rule applies and there is no default, left unchanged`
       );
-    } else {
-      console.log(`\n✨ Template update completed!`);
+      printItems(unmatched, (item) => ` - ${currentTemplate(item)}`);
     }
+
+    const changes = [...groups.values()].flatMap((group) =>
+      group.items.map((item) => ({ item, template: group.template }))
+    );
+    if (changes.length === 0) return;
+
+    await applyTemplateChanges(changes);
   } catch (error) {
-    console.error("Update failed:", error.message);
+    console.error("Applying rules failed:", error.message);
     process.exit(1);
   }
 }
@@ -518,12 +787,18 @@ async function updateProductTemplates() {
 if (require.main === module) {
   parseArgs();
   validateConfig();
-  updateProductTemplates();
+  if (config.rulesFile) {
+    applyTemplateRules();
+  } else {
+    updateProductTemplates();
+  }
 }
 
 module.exports = {
   updateProductTemplates,
+  applyTemplateRules,
   makeGraphQLRequest,
-  getProducts,
-  updateProductTemplate,
+  getItems,
+  buildSearchQuery,
+  updateItemTemplate,
 };
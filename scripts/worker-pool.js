@@ -0,0 +1,216 @@
+/**
+ * Concurrent Worker Pool
+ * Runs import batches side by side, paced by the Admin API cost bucket
+ *
+ * - Up to `concurrency` tasks run at once; `limit()` can lower that while the
+ *   pool runs, e.g. bucketConcurrency() to back off as the cost bucket drains
+ * - Results come back in the order of the items, whatever order they finish in
+ * - Output of a task can be buffered and printed in one piece when it finishes,
+ *   so the lines of concurrent tasks are not mixed together
+ * - A progress bar with an ETA on terminals; a line every 10% otherwise
+ *
+ * Usage:
+ *   const { runPool, bucketConcurrency, createProgressBar } = require("./worker-pool");
+ *   const progress = createProgressBar({ total: batches.length, unit: "batches" });
+ *   const results = await runPool(batches, processBatch, {
+ *     concurrency: 4,
+ *     limit: () => bucketConcurrency(client.throttleStatus(), 4),
+ *     onDone: () => progress.tick(),
+ *   });
+ *   progress.stop();
+ */
+
+// How often a pool held back by limit() looks again
+const POLL_INTERVAL = 250;
+
+const BAR_WIDTH = 24;
+
+// How many workers the cost bucket can feed: all of them while it is at least
+// half full, fewer as it drains, and never less than one
+function bucketConcurrency(status, concurrency) {
+  if (status.currentlyAvailable == null || !status.maximumAvailable) {
+    return 1;
+  }
+  const fill = status.currentlyAvailable / status.maximumAvailable;
+  return Math.max(1, Math.min(concurrency, Math.ceil(concurrency * fill * 2)));
+}
+
+// Run `worker(item, index)` over every item, at most `concurrency` at a time
+// Resolves with the results in item order. If a worker throws, no new tasks are
+// started and the pool rejects with that error once the running ones settle
+function runPool(items, worker, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const limit = options.limit || (() => concurrency);
+  const onDone = options.onDone || (() => {});
+
+  const results = new Array(items.length);
+  let next = 0;
+  let active = 0;
+  let finished = 0;
+  let failure = null;
+  let timer = null;
+
+  return new Promise((resolve, reject) => {
+    function settle() {
+      if (active > 0) return;
+      if (failure) {
+        reject(failure);
+      } else if (finished === items.length) {
+        resolve(results);
+      }
+    }
+
+    function launch() {
+      timer = null;
+      if (failure) return settle();
+
+      const allowed = Math.max(1, Math.min(concurrency, limit()));
+      while (next < items.length && active < allowed) {
+        start(next++);
+      }
+      // Held back by the limit: look again once the bucket has had time to refill
+      if (next < items.length && active < concurrency && !timer) {
+        timer = setTimeout(launch, POLL_INTERVAL);
+      }
+      settle();
+    }
+
+    function start(index) {
+      active++;
+      Promise.resolve()
+        .then(() => worker(items[index], index))
+        .then(
+          (result) => {
+            results[index] = result;
+            finished++;
+            onDone(result, index);
+          },
+          (error) => {
+            if (!failure) failure = error;
+          }
+        )
+        .catch((error) => {
+          // onDone itself threw
+          if (!failure) failure = error;
+        })
+        .finally(() => {
+          active--;
+          if (timer) {
+            clearTimeout(timer);
+            timer = null;
+          }
+          launch();
+        });
+    }
+
+    launch();
+  });
+}
+
+// Console stand-in that keeps a task's lines until flush(), then prints them
+// to `target` (anything with log/warn/error) in the order they were written
+function createBufferedLog() {
+  const lines = [];
+  const keep =
+    (method) =>
+    (...args) =>
+      lines.push({ method, args });
+  return {
+    log: keep("log"),
+    warn: keep("warn"),
+    error: keep("error"),
+    flush(target) {
+      lines.splice(0).forEach(({ method, args }) => target[method](...args));
+    },
+  };
+}
+
+// Seconds as m:ss (or h:mm:ss)
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+// Progress bar with an ETA, drawn on the last line of a terminal
+// Anything printed through its log/warn/error appears above the bar. When the
+// stream is not a terminal (a CI log, a file) a plain line is printed instead
+// at every 10%
+function createProgressBar({ total, unit = "items", stream = process.stderr }) {
+  const live = Boolean(stream.isTTY);
+  const startedAt = Date.now();
+  let done = 0;
+  let shown = false;
+  let lastStep = 0;
+
+  function describe() {
+    const percent = total > 0 ? Math.floor((done / total) * 100) : 100;
+    const elapsed = (Date.now() - startedAt) / 1000;
+    const eta =
+      done === 0
+        ? "ETA --:--"
+        : done >= total
+        ? `done in ${formatDuration(elapsed)}`
+        : `ETA ${formatDuration((elapsed / done) * (total - done))}`;
+    return { percent, text: `${done}/${total} ${unit} (${percent}%), ${eta}` };
+  }
+
+  function clear() {
+    if (live && shown) {
+      stream.write("\r\x1b[K");
+      shown = false;
+    }
+  }
+
+  function draw() {
+    if (!live) return;
+    const { percent, text } = describe();
+    const filled = Math.round((percent / 100) * BAR_WIDTH);
+    stream.write(
+      `\r\x1b[K[${"█".repeat(filled)}${"░".repeat(BAR_WIDTH - filled)}] ${text}`
+    );
+    shown = true;
+  }
+
+  function print(method) {
+    return (...args) => {
+      clear();
+      console[method](...args);
+      draw();
+    };
+  }
+
+  return {
+    log: print("log"),
+    warn: print("warn"),
+    error: print("error"),
+    tick(count = 1) {
+      done = Math.min(total, done + count);
+      if (live) return draw();
+
+      const { percent, text } = describe();
+      const step = Math.floor(percent / 10);
+      if (step > lastStep || done === total) {
+        lastStep = step;
+        console.log(`  Progress: ${text}`);
+      }
+    },
+    stop() {
+      if (live && shown) {
+        draw();
+        stream.write("\n");
+        shown = false;
+      }
+    },
+  };
+}
+
+module.exports = {
+  bucketConcurrency,
+  runPool,
+  createBufferedLog,
+  createProgressBar,
+  formatDuration,
+};
@@ -0,0 +1,669 @@
+/**
+ * XLSX Reader and Writer
+ * Reads and writes worksheets of Excel .xlsx files without any dependencies
+ *
+ * An .xlsx file is a zip archive of XML parts. Reading walks the archive's
+ * central directory, inflates the parts it needs with zlib, and pulls cell
+ * values out of the worksheet XML. Writing builds the parts and the archive
+ * by hand.
+ *
+ * Reading:
+ * - Values are returned as strings, like the CSV reader: shared and inline
+ *   strings as written, numbers in their shortest form, booleans as TRUE/FALSE
+ * - Gaps left by empty cells are filled with ""
+ * - Formulas are read from their cached values; dates stay as Excel serial numbers
+ *
+ * Writing:
+ * - One sheet of rows under a bold header row that stays in view when scrolling
+ * - Text columns (IDs, SKUs, barcodes) are formatted as text, so Excel keeps
+ *   long numbers and leading zeros, including in cells typed in later
+ * - Other values that are plain numbers are written as numbers; everything
+ *   else as text, so reading the file back gives exactly the values written
+ * - Columns can get a dropdown of allowed values, kept on a hidden "Lists" sheet
+ *
+ * Usage:
+ *   const { readXLSXFile, writeXLSXFile } = require("./xlsx");
+ *   const { headers, rows } = readXLSXFile("price-list.xlsx", { sheet: "Frames" });
+ *   writeXLSXFile("variants.xlsx", headers, rows, {
+ *     sheet: "Variants",
+ *     textColumns: ["variant_id", "variant_sku"],
+ *     lists: { variant_taxable: ["true", "false"] },
+ *   });
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Raised when a file is not a readable workbook
+class XLSXError extends Error {
+  constructor(file, message) {
+    super(`${file}: ${message}`);
+    this.name = "XLSXError";
+    this.file = file;
+  }
+}
+
+// Read the entries of a zip archive into a Map of name → Buffer (lazily inflated)
+function readZip(file) {
+  const buffer = fs.readFileSync(file);
+
+  let end = -1;
+  for (
+    let i = buffer.length - 22;
+    i >= Math.max(0, buffer.length - 65557);
+    i--
+  ) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new XLSXError(file, "not an .xlsx file (no zip directory found)");
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (offset === 0xffffffff) {
+    throw new XLSXError(file, "zip64 workbooks are not supported");
+  }
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new XLSXError(file, "corrupt zip directory");
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, () => {
+      if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+        throw new XLSXError(file, `corrupt zip entry ${name}`);
+      }
+      const start =
+        localOffset +
+        30 +
+        buffer.readUInt16LE(localOffset + 26) +
+        buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(start, start + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data);
+      throw new XLSXError(file, `unsupported compression in ${name}`);
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return {
+    has: (name) => entries.has(name),
+    text: (name) => {
+      const read = entries.get(name);
+      if (!read) throw new XLSXError(file, `missing part ${name}`);
+      return read().toString("utf8");
+    },
+  };
+}
+
+// Decode XML character references and Excel's _xHHHH_ escapes
+function decodeXML(text) {
+  return text
+    .replace(/&(lt|gt|quot|apos|amp|#\d+|#x[0-9a-fA-F]+);/g, (entity, name) => {
+      switch (name) {
+        case "lt":
+          return "<";
+        case "gt":
+          return ">";
+        case "quot":
+          return '"';
+        case "apos":
+          return "'";
+        case "amp":
+          return "&";
+        default:
+          return String.fromCodePoint(
+            name[1] === "x"
+              ? parseInt(name.slice(2), 16)
+              : parseInt(name.slice(1), 10)
+          );
+      }
+    })
+    .replace(/_x([0-9A-Fa-f]{4})_/g, (_, hex) =>
+      String.fromCharCode(parseInt(hex, 16))
+    );
+}
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXML(match[1]) : null;
+}
+
+// Text of a string item: plain <t>, or the runs of rich text (phonetic hints skipped)
+function stringItemText(xml) {
+  const runs = xml
+    .replace(/<rPh\b[\s\S]*?<\/rPh>/g, "")
+    .match(/<t(?:\s[^>]*)?>[\s\S]*?<\/t>|<t(?:\s[^>]*)?\/>/g);
+  return (runs || [])
+    .map((run) => decodeXML(run.replace(/^<t[^>]*>|<\/t>$|^<t[^>]*\/>$/g, "")))
+    .join("");
+}
+
+function readSharedStrings(zip) {
+  if (!zip.has("xl/sharedStrings.xml")) return [];
+  const items = zip
+    .text("xl/sharedStrings.xml")
+    .match(/<si>[\s\S]*?<\/si>|<si\/>/g);
+  return (items || []).map(stringItemText);
+}
+
+// Sheets in workbook order: [{ name, part }]
+function readSheetList(file, zip) {
+  const workbook = zip.text("xl/workbook.xml");
+  const rels = zip.text("xl/_rels/workbook.xml.rels");
+
+  const targets = new Map();
+  (rels.match(/<Relationship\b[^>]*>/g) || []).forEach((tag) => {
+    targets.set(attribute(tag, "Id"), attribute(tag, "Target"));
+  });
+
+  const sheets = (workbook.match(/<sheet\b[^>]*>/g) || []).map((tag) => {
+    const target = targets.get(attribute(tag, "r:id"));
+    if (!target) {
+      throw new XLSXError(
+        file,
+        `sheet "${attribute(tag, "name")}" has no part`
+      );
+    }
+    return {
+      name: attribute(tag, "name"),
+      part: target.startsWith("/")
+        ? target.slice(1)
+        : path.posix.join("xl", target),
+    };
+  });
+  if (sheets.length === 0) throw new XLSXError(file, "workbook has no sheets");
+  return sheets;
+}
+
+// Zero-based column index of a cell reference such as "AB12"
+function columnIndex(reference) {
+  const letters = reference.match(/^[A-Z]+/)[0];
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+function cellValue(tag, body, sharedStrings) {
+  const type = attribute(tag, "t");
+  const valueMatch = body.match(/<v>([\s\S]*?)<\/v>/);
+  const value = valueMatch ? decodeXML(valueMatch[1]) : "";
+
+  switch (type) {
+    case "s":
+      return sharedStrings[parseInt(value, 10)] ?? "";
+    case "inlineStr":
+      return stringItemText(body);
+    case "b":
+      return value === "1" ? "TRUE" : "FALSE";
+    case "str":
+    case "e":
+      return value;
+    default:
+      // Keep integers exactly (long barcodes); tidy float noise like 12.949999999999999
+      return value === "" || /^-?\d+$/.test(value)
+        ? value
+        : String(Number(value));
+  }
+}
+
+// Read a worksheet's rows as records: [{ fields, line }], line being the row number
+function readXLSXRecords(file, options = {}) {
+  const zip = readZip(file);
+  const sheets = readSheetList(file, zip);
+
+  const sheet =
+    options.sheet == null
+      ? sheets[0]
+      : sheets.find((s) => s.name === options.sheet) ||
+        sheets[Number.isInteger(options.sheet) ? options.sheet : -1];
+  if (!sheet) {
+    throw new XLSXError(
+      file,
+      `no sheet "${options.sheet}" (sheets: ${sheets
+        .map((s) => s.name)
+        .join(", ")})`
+    );
+  }
+
+  const sharedStrings = readSharedStrings(zip);
+  const xml = zip.text(sheet.part);
+  const records = [];
+  let nextLine = 1;
+
+  const rowPattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+  let rowMatch;
+  while ((rowMatch = rowPattern.exec(xml))) {
+    const line = parseInt(attribute(rowMatch[1], "r"), 10) || nextLine;
+    nextLine = line + 1;
+
+    const fields = [];
+    const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let cellMatch;
+    while ((cellMatch = cellPattern.exec(rowMatch[2] || ""))) {
+      const reference = attribute(cellMatch[1], "r");
+      const index = reference ? columnIndex(reference) : fields.length;
+      while (fields.length < index) fields.push("");
+      fields[index] = cellValue(
+        cellMatch[1],
+        cellMatch[2] || "",
+        sharedStrings
+      );
+    }
+    records.push({ fields, line });
+  }
+
+  return { sheet: sheet.name, sheets: sheets.map((s) => s.name), records };
+}
+
+// Read a worksheet into { headers, rows, errors }, the first row being the headers
+// Short rows are padded with ""; values past the last header are dropped
+function readXLSXFile(file, options = {}) {
+  const { records } = readXLSXRecords(file, options);
+  if (records.length === 0) return { headers: [], rows: [], errors: [] };
+
+  const headers = records[0].fields;
+  const rows = records
+    .slice(1)
+    .filter((record) => record.fields.some((value) => value !== ""))
+    .map((record) => {
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = record.fields[index] ?? "";
+      });
+      return row;
+    });
+
+  return { headers, rows, errors: [] };
+}
+
+// Excel's limits on a worksheet
+const MAX_ROWS = 1048576;
+const MAX_CELL_LENGTH = 32767;
+
+// Numbers Excel stores exactly: at most 15 significant digits, no leading zeros
+const PLAIN_NUMBER = /^-?(0|[1-9]\d*)(\.\d*[1-9])?$/;
+const MAX_DIGITS = 15;
+
+// Style indexes in STYLES_XML's cellXfs
+const STYLE_TEXT = 1;
+const STYLE_HEADER = 2;
+
+const LISTS_SHEET = "Lists";
+
+const CONTENT_TYPES_XML = (sheetCount) =>
+  `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+  `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+  `<Default Extension="xml" ContentType="application/xml"/>` +
+  `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+  `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>` +
+  Array.from(
+    { length: sheetCount },
+    (_, i) =>
+      `<Override PartName="/xl/worksheets/sheet${
+        i + 1
+      }.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  ).join("") +
+  `</Types>`;
+
+const ROOT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`;
+
+// Default, text (@) and bold text header cell formats
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="49" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="49" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/></cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+// CRC-32 as used by zip (polynomial 0xEDB88320)
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Date and time of a zip entry in MS-DOS format
+function dosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+// Build a zip archive from [{ name, data }], each entry deflated
+function buildZip(entries) {
+  const { time, date } = dosDateTime(new Date());
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const nameBuffer = Buffer.from(name, "utf8");
+    const content = Buffer.from(data, "utf8");
+    const compressed = zlib.deflateRawSync(content);
+    const crc = crc32(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // names are UTF-8
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, nameBuffer, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(CENTRAL_DIRECTORY_ENTRY, 0);
+    entry.writeUInt16LE(20, 4); // version made by
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt16LE(time, 12);
+    entry.writeUInt16LE(date, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(content.length, 24);
+    entry.writeUInt16LE(nameBuffer.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    directory.push(entry, nameBuffer);
+
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const directorySize = directory.reduce((n, part) => n + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...directory, end]);
+}
+
+// Escape text for XML. Literal _xHHHH_ is protected and control characters
+// are written as _xHHHH_ the way Excel does; CR is kept as a reference so
+// XML line-end handling does not turn it into LF
+function encodeXML(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/_x([0-9A-Fa-f]{4})_/g, "_x005F_x$1_")
+    .replace(/\r/g, "&#13;")
+    .replace(
+      /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g,
+      (char) =>
+        `_x${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, "0")}_`
+    );
+}
+
+// Column letters of a zero-based index, e.g. 27 → "AB"
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function isPlainNumber(value) {
+  return (
+    PLAIN_NUMBER.test(value) &&
+    value !== "-0" &&
+    value.replace(/[-.]/g, "").replace(/^0+/, "").length <= MAX_DIGITS
+  );
+}
+
+function cellXML(reference, value, style) {
+  const styleAttribute = style ? ` s="${style}"` : "";
+  if (style !== STYLE_TEXT && style !== STYLE_HEADER && isPlainNumber(value)) {
+    return `<c r="${reference}"${styleAttribute}><v>${value}</v></c>`;
+  }
+  return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${encodeXML(
+    value
+  )}</t></is></c>`;
+}
+
+// Width of each column, from its longest value on one line (within reason)
+function columnWidths(headers, rows) {
+  return headers.map((header) => {
+    const longest = rows.reduce((width, row) => {
+      const lines = String(row[header] ?? "").split(/\r\n|\n|\r/);
+      return Math.max(width, ...lines.map((line) => line.length));
+    }, header.length);
+    return Math.min(60, Math.max(8, longest + 2));
+  });
+}
+
+function dataSheetXML(file, headers, rows, options) {
+  const textColumns = new Set(options.textColumns || []);
+  const lists = options.lists || {};
+  const styles = headers.map((header) =>
+    textColumns.has(header) ? STYLE_TEXT : 0
+  );
+  const lastColumn = columnName(Math.max(0, headers.length - 1));
+
+  const cols = columnWidths(headers, rows)
+    .map(
+      (width, index) =>
+        `<col min="${index + 1}" max="${index + 1}" width="${width}"${
+          styles[index] ? ` style="${styles[index]}"` : ""
+        } customWidth="1"/>`
+    )
+    .join("");
+
+  const headerRow = `<row r="1">${headers
+    .map((header, index) =>
+      cellXML(`${columnName(index)}1`, header, STYLE_HEADER)
+    )
+    .join("")}</row>`;
+
+  const dataRows = rows.map((row, rowIndex) => {
+    const line = rowIndex + 2;
+    const cells = headers
+      .map((header, index) => {
+        const value = row[header] == null ? "" : String(row[header]);
+        if (value === "") return "";
+        if (value.length > MAX_CELL_LENGTH) {
+          throw new XLSXError(
+            file,
+            `${header} on row ${line} is longer than Excel's ${MAX_CELL_LENGTH} character limit`
+          );
+        }
+        return cellXML(`${columnName(index)}${line}`, value, styles[index]);
+      })
+      .join("");
+    return `<row r="${line}">${cells}</row>`;
+  });
+
+  // A dropdown for each listed column, pointing at its values on the Lists sheet
+  // Other values are warned about rather than refused, so __CLEAR__ still works
+  const validations = Object.keys(lists)
+    .filter((header) => headers.includes(header) && lists[header].length > 0)
+    .map((header, listIndex) => {
+      const column = columnName(headers.indexOf(header));
+      const listColumn = columnName(listIndex);
+      return `<dataValidation type="list" errorStyle="warning" allowBlank="1" showErrorMessage="1" errorTitle="${encodeXML(
+        header
+      )}" error="Not one of the listed values." sqref="${column}2:${column}${MAX_ROWS}"><formula1>${LISTS_SHEET}!$${listColumn}$1:$${listColumn}$${
+        lists[header].length
+      }</formula1></dataValidation>`;
+    });
+
+  return (
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+    `<dimension ref="A1:${lastColumn}${rows.length + 1}"/>` +
+    `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>` +
+    `<selection pane="bottomLeft" activeCell="A2" sqref="A2"/></sheetView></sheetViews>` +
+    `<sheetFormatPr defaultRowHeight="15"/>` +
+    (cols ? `<cols>${cols}</cols>` : "") +
+    `<sheetData>${headerRow}${dataRows.join("")}</sheetData>` +
+    (validations.length > 0
+      ? `<dataValidations count="${validations.length}">${validations.join(
+          ""
+        )}</dataValidations>`
+      : "") +
+    `</worksheet>`
+  );
+}
+
+// The hidden sheet holding the dropdown values, one column per list
+function listsSheetXML(headers, lists) {
+  const columns = Object.keys(lists)
+    .filter((header) => headers.includes(header) && lists[header].length > 0)
+    .map((header) => lists[header]);
+  const height = Math.max(0, ...columns.map((values) => values.length));
+
+  const rows = [];
+  for (let line = 1; line <= height; line++) {
+    const cells = columns
+      .map((values, index) =>
+        line <= values.length
+          ? cellXML(
+              `${columnName(index)}${line}`,
+              String(values[line - 1]),
+              STYLE_TEXT
+            )
+          : ""
+      )
+      .join("");
+    rows.push(`<row r="${line}">${cells}</row>`);
+  }
+
+  return {
+    count: columns.length,
+    xml: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rows.join(
+      ""
+    )}</sheetData></worksheet>`,
+  };
+}
+
+// Write rows to an .xlsx file under a header row, in the order of `headers`
+// Options: sheet (name, default "Sheet1"), textColumns (headers formatted as
+// text) and lists ({ header: [allowed values] } for dropdowns)
+function writeXLSXFile(file, headers, rows, options = {}) {
+  if (rows.length + 1 > MAX_ROWS) {
+    throw new XLSXError(
+      file,
+      `${rows.length} rows do not fit on one sheet (at most ${MAX_ROWS - 1})`
+    );
+  }
+  const sheetName = (options.sheet || "Sheet1").slice(0, 31);
+  const lists = listsSheetXML(headers, options.lists || {});
+
+  const sheets = [{ name: sheetName, hidden: false }];
+  if (lists.count > 0) sheets.push({ name: LISTS_SHEET, hidden: true });
+
+  const workbook =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">` +
+    `<bookViews><workbookView activeTab="0"/></bookViews><sheets>` +
+    sheets
+      .map(
+        (sheet, index) =>
+          `<sheet name="${encodeXML(sheet.name)}" sheetId="${index + 1}"${
+            sheet.hidden ? ` state="hidden"` : ""
+          } r:id="rId${index + 1}"/>`
+      )
+      .join("") +
+    `</sheets></workbook>`;
+
+  const workbookRels =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    sheets
+      .map(
+        (_, index) =>
+          `<Relationship Id="rId${
+            index + 1
+          }" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${
+            index + 1
+          }.xml"/>`
+      )
+      .join("") +
+    `<Relationship Id="rId${
+      sheets.length + 1
+    }" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+    `</Relationships>`;
+
+  const entries = [
+    { name: "[Content_Types].xml", data: CONTENT_TYPES_XML(sheets.length) },
+    { name: "_rels/.rels", data: ROOT_RELS_XML },
+    { name: "xl/workbook.xml", data: workbook },
+    { name: "xl/_rels/workbook.xml.rels", data: workbookRels },
+    { name: "xl/styles.xml", data: STYLES_XML },
+    {
+      name: "xl/worksheets/sheet1.xml",
+      data: dataSheetXML(file, headers, rows, options),
+    },
+  ];
+  if (lists.count > 0) {
+    entries.push({ name: "xl/worksheets/sheet2.xml", data: lists.xml });
+  }
+
+  fs.writeFileSync(file, buildZip(entries));
+}
+
+module.exports = {
+  XLSXError,
+  readXLSXRecords,
+  readXLSXFile,
+  writeXLSXFile,
+};